@@ -0,0 +1,140 @@
+// Enforce every room's retention policy, see src/services/retention.js
+//
+//   GITHUB_TOKEN=... GIST_ID=... npm run cleanup -- [--dry-run] [--room <slug>]
+//
+// Pruned candles are appended to the room's archive file in the same
+// commit, see src/services/archive.js. With --dry-run, reports what would
+// be pruned without writing anything.
+import { parseArgs } from "node:util";
+import { GistStore } from "./gistStore.js";
+import { applyOperations, visibleCandles } from "../src/services/candleOperations.js";
+import {
+  resolveRetentionPolicy,
+  describeRetentionPolicy,
+  planRetention,
+  pruneOperations,
+} from "../src/services/retention.js";
+import { isValidSlug } from "../src/services/rooms.js";
+import {
+  archiveFilename,
+  parseArchive,
+  appendToArchive,
+  serializeArchive,
+} from "../src/services/archive.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const { GITHUB_TOKEN, GIST_ID } = process.env;
+
+const { values: options } = parseArgs({
+  options: {
+    "dry-run": { type: "boolean", default: false },
+    room: { type: "string" },
+  },
+});
+const dryRun = options["dry-run"];
+
+if (!GITHUB_TOKEN || !GIST_ID) {
+  console.error("GITHUB_TOKEN and GIST_ID must be set");
+  process.exit(1);
+}
+
+if (options.room && !isValidSlug(options.room)) {
+  console.error(`"${options.room}" is not a room slug`);
+  process.exit(1);
+}
+
+const store = new GistStore({ gistId: GIST_ID, token: GITHUB_TOKEN });
+
+const roomLabel = (room) => room || "main memorial";
+
+const describeCandle = (candle, now) => {
+  const age = typeof candle.createdAt === "number"
+    ? `${Math.floor((now - candle.createdAt) / DAY)} days old`
+    : "age unknown";
+  return `${candle.name || "(unnamed)"} [${candle.id}], ${age}: ${candle.reason}`;
+};
+
+/**
+ * Plan retention for the latest copy of a room's document
+ * @param {Object} document - Candles file
+ * @param {number} now - Reference time
+ * @returns {Object} `{ policy, plan }`
+ */
+function planRoom(document, now) {
+  const policy = resolveRetentionPolicy(document.meta.settings);
+  return { policy, plan: planRetention(visibleCandles(document.candles), policy, now) };
+}
+
+/**
+ * Enforce one room's policy
+ * @param {string} room - Room slug
+ * @param {number} now - Reference time
+ */
+async function cleanRoom(room, now) {
+  const { document } = await store.load(room);
+  if (!document) {
+    console.log(`🕯️ ${roomLabel(room)}: no candles file, skipping`);
+    return;
+  }
+
+  const { policy, plan } = planRoom(document, now);
+  console.log(
+    `🕯️ ${roomLabel(room)} (${describeRetentionPolicy(policy)}): ` +
+      `keeping ${plan.keep.length}, pruning ${plan.prune.length}`
+  );
+  for (const candle of plan.prune) {
+    console.log(`   - ${describeCandle(candle, now)}`);
+  }
+  if (plan.stamp.length > 0) {
+    console.log(`   ${plan.stamp.length} candles have no creation time; their age counts from now`);
+  }
+
+  if (dryRun || (plan.prune.length === 0 && plan.stamp.length === 0)) {
+    return;
+  }
+
+  // Plan again on the copy being written, in case someone lit or removed
+  // a candle since the report above
+  let pruned = [];
+  await store.update(
+    room,
+    (latest) => {
+      const { plan: latestPlan } = planRoom(latest, now);
+      const stampIds = new Set(latestPlan.stamp.map((candle) => candle.id));
+      const candles = latest.candles.map((candle) =>
+        stampIds.has(candle.id) ? { ...candle, createdAt: now } : candle
+      );
+      pruned = latestPlan.prune;
+      return { ...latest, candles: applyOperations(candles, pruneOperations(latestPlan)) };
+    },
+    () => true,
+    {
+      files: (gist) => {
+        if (pruned.length === 0) {
+          return {};
+        }
+        const filename = archiveFilename(room);
+        const archive = parseArchive(gist.files[filename]?.content);
+        return { [filename]: serializeArchive(appendToArchive(archive, pruned, now)) };
+      },
+    }
+  );
+  console.log(`   ✅ saved${pruned.length > 0 ? `, ${pruned.length} archived in ${archiveFilename(room)}` : ""}`);
+}
+
+const now = Date.now();
+const rooms = options.room !== undefined ? [options.room] : await store.listRooms();
+
+if (dryRun) {
+  console.log("Dry run: nothing will be written");
+}
+
+for (const room of rooms) {
+  try {
+    await cleanRoom(room, now);
+  } catch (error) {
+    console.error(`❌ ${roomLabel(room)}: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,182 @@
+// Server-side access to the candles gist, using a token that never
+// leaves the server. Every memorial room is a separate file in the gist.
+import { applyOperations } from "../src/services/candleOperations.js";
+import {
+  parseDocument,
+  serializeDocument,
+  createDocument,
+} from "../src/services/candleSchema.js";
+import { roomFilename, roomFromFilename } from "../src/services/rooms.js";
+
+const MAX_RETRIES = 3;
+
+export class GistStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.gistId - Gist holding the candles
+   * @param {string} options.token - GitHub token with the gist scope
+   */
+  constructor({ gistId, token }) {
+    this.url = `https://api.github.com/gists/${gistId}`;
+    this.headers = {
+      Accept: "application/vnd.github+json",
+      "Content-Type": "application/json",
+      Authorization: `token ${token}`,
+    };
+
+    // Last gist response, reused while GitHub answers 304
+    this.cached = null;
+
+    // Writes are chained so this process never races itself
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Read a room's candles file out of a gist response
+   * @param {Object} gist - Gist API response body
+   * @param {string} room - Room slug
+   * @returns {Object|null} Parsed document, null if the file is missing
+   */
+  parseDocument(gist, room) {
+    const content = gist.files[roomFilename(room)]?.content;
+    return content ? parseDocument(content) : null;
+  }
+
+  /**
+   * Load a room's candles, revalidating the cached gist with GitHub
+   * @param {string} room - Room slug
+   * @returns {Promise<Object>} `{ candles, document, version }`
+   */
+  async load(room) {
+    const { gist, version } = await this.loadGist();
+    const document = this.parseDocument(gist, room);
+    return { candles: document?.candles ?? [], document, version };
+  }
+
+  /**
+   * Every room with a file in the gist
+   * @returns {Promise<Array>} Room slugs
+   */
+  async listRooms() {
+    const { gist } = await this.loadGist();
+    return Object.keys(gist.files)
+      .map(roomFromFilename)
+      .filter((room) => room !== null);
+  }
+
+  /**
+   * Load the whole gist, revalidating the cached copy with GitHub
+   * @returns {Promise<Object>} `{ gist, version, etag }`
+   */
+  async loadGist() {
+    const headers = { ...this.headers };
+    if (this.cached) {
+      headers["If-None-Match"] = this.cached.etag;
+    }
+
+    const response = await fetch(this.url, { headers });
+
+    if (response.status === 304 && this.cached) {
+      return this.cached;
+    }
+
+    if (!response.ok) {
+      const error = new Error(`Failed to fetch gist: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const gist = await response.json();
+    this.cached = {
+      gist,
+      version: gist.history?.[0]?.version ?? gist.updated_at,
+      etag: response.headers.get("ETag"),
+    };
+    return this.cached;
+  }
+
+  /**
+   * Apply operations to a room's latest candles and save them, retrying
+   * when the gist changed underneath us
+   * @param {string} room - Room slug
+   * @param {Array} operations - Validated candle operations
+   * @param {Function} [authorize] - Receives the latest document; the write
+   *   is refused with a 403 when it returns false
+   * @returns {Promise<Object>} Document as saved
+   */
+  apply(room, operations, authorize = () => true) {
+    return this.update(
+      room,
+      (document) => ({ ...document, candles: applyOperations(document.candles, operations) }),
+      authorize
+    );
+  }
+
+  /**
+   * Queue a change to a room's document behind the writes already running
+   * @param {string} room - Room slug
+   * @param {Function} change - Receives the latest document, returns the new one
+   * @param {Function} authorize - Receives the latest document
+   * @param {Object} [options] - Update options
+   * @param {Function} [options.files] - Called with the gist after `change`;
+   *   returns other files to write in the same commit, by name
+   * @returns {Promise<Object>} Document as saved
+   */
+  update(room, change, authorize = () => true, { files } = {}) {
+    const write = this.writes.then(() => this.updateNow(room, change, authorize, files));
+    // Keep the chain going even when a write fails
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  async updateNow(room, change, authorize, files = () => ({})) {
+    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+      const { gist, version } = await this.loadGist();
+      const document = this.parseDocument(gist, room) ?? createDocument();
+
+      if (!authorize(document)) {
+        const error = new Error("Only the owner can change this");
+        error.status = 403;
+        throw error;
+      }
+      const updated = change(document);
+      const otherFiles = files(gist);
+
+      // Someone else (for example the cleanup workflow) may have written
+      // since the load; check again right before patching
+      const latest = await this.loadGist();
+      if (latest.version !== version) {
+        console.warn(`Gist changed during write (attempt ${attempt}), retrying...`);
+        continue;
+      }
+
+      const response = await fetch(this.url, {
+        method: "PATCH",
+        headers: this.headers,
+        body: JSON.stringify({
+          files: {
+            ...Object.fromEntries(
+              Object.entries(otherFiles).map(([name, content]) => [name, { content }])
+            ),
+            [roomFilename(room)]: { content: serializeDocument(updated, updated.candles) },
+          },
+        }),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`Failed to update gist: ${response.status} - ${errorText}`);
+      }
+
+      // The next load must not trust the pre-write cache
+      this.cached = null;
+      return updated;
+    }
+
+    const error = new Error("Gist kept changing, giving up");
+    error.status = 409;
+    throw error;
+  }
+}
+
+export default GistStore;
@@ -0,0 +1,352 @@
+// Framework-agnostic request handler for the candle write proxy
+//
+//   GET    /candles                -> candles file
+//   POST   /candles                <- "add" operation
+//   PUT    /candles/:id/name       <- "rename" operation
+//   PUT    /candles/:id/position   <- "move" operation
+//   PUT    /candles/:id/dedication <- "dedicate" operation
+//   PUT    /candles/:id/moderation <- "moderate" operation
+//   DELETE /candles/:id            <- "remove" operation
+//   POST   /candles/:id/restore    <- "restore" operation
+//   PUT    /meta                   <- `{ meta }` title, subtitle, settings
+//   GET    /admin                  -> 204 when X-Admin-Key is the admin key
+//
+// The same endpoints below /rooms/:room serve other memorial rooms, see
+// rooms.js. Every write answers with the saved candles file. Writes carry
+// the visitor's owner key in `auth`; only the candle's owner, or a request
+// with the admin key, may rename, move, remove or restore a candle, and only
+// the room's creator or the admin may change the room.
+//
+// Writes are moderated, see moderation.js: they are rate limited per owner
+// key and per network address, and names and dedications that need review
+// put their candle in the pending state. The room's creator and the admin moderate: they may
+// approve pending candles, remove or restore any candle in the room, and
+// their own writes are trusted. Reads send the visitor's keys in
+// X-Owner-Key and X-Admin-Key, and pending candles are left out of the
+// file for everyone but their author and the moderators.
+//
+// Saved writes are published to the room's realtime channel, when there is
+// one, see realtime.js. Other visitors are sent the operations themselves,
+// except where that would show them a candle the file would not: changes
+// to candles held for review, and approvals, are published as "changed".
+import { createHash, randomUUID, timingSafeEqual } from "node:crypto";
+import { OPERATION_TYPES, applyOperations } from "../src/services/candleOperations.js";
+import { createDocument, withMeta } from "../src/services/candleSchema.js";
+import { DEFAULT_ROOM } from "../src/services/rooms.js";
+import {
+  ADDRESS_RATE_LIMITS,
+  MODERATION_STATUS,
+  RateLimiter,
+  checkOperation,
+  isPendingReview,
+  rateLimitFor,
+} from "../src/services/moderation.js";
+import {
+  validateOperation,
+  sanitiseOperation,
+  validateMetaChange,
+  sanitiseMeta,
+} from "./validation.js";
+import { MESSAGE_TYPES } from "./realtime.js";
+
+// Optional room prefix, then the candle path
+const route = (path) => new RegExp(`^(?:/rooms/([a-z0-9]+(?:-[a-z0-9]+)*))?${path}/?$`);
+
+const ROUTES = [
+  { method: "POST", pattern: route("/candles"), type: OPERATION_TYPES.ADD },
+  { method: "PUT", pattern: route("/candles/([^/]+)/name"), type: OPERATION_TYPES.RENAME },
+  { method: "PUT", pattern: route("/candles/([^/]+)/position"), type: OPERATION_TYPES.MOVE },
+  { method: "PUT", pattern: route("/candles/([^/]+)/dedication"), type: OPERATION_TYPES.DEDICATE },
+  { method: "PUT", pattern: route("/candles/([^/]+)/moderation"), type: OPERATION_TYPES.MODERATE },
+  { method: "DELETE", pattern: route("/candles/([^/]+)"), type: OPERATION_TYPES.REMOVE },
+  { method: "POST", pattern: route("/candles/([^/]+)/restore"), type: OPERATION_TYPES.RESTORE },
+];
+
+const CANDLES_ROUTE = route("/candles");
+const META_ROUTE = route("/meta");
+const ADMIN_ROUTE = /^\/admin\/?$/;
+
+const sha256Hex = (text) => createHash("sha256").update(text).digest("hex");
+
+const sameSecret = (a, b) => {
+  const left = Buffer.from(sha256Hex(a));
+  const right = Buffer.from(sha256Hex(b));
+  return timingSafeEqual(left, right);
+};
+
+const json = (status, body, headers = {}) => ({
+  status,
+  headers: { "Content-Type": "application/json", ...headers },
+  body: JSON.stringify(body),
+});
+
+/**
+ * Build the proxy's request handler
+ * @param {Object} options - Handler options
+ * @param {Object} options.store - GistStore instance
+ * @param {string} [options.allowedOrigin] - Origin allowed by CORS
+ * @param {string} [options.adminKey] - Key that may change every candle
+ * @param {Array} [options.blocklist] - Words that need review, see parseBlocklist()
+ * @param {RateLimiter} [options.rateLimiter] - Limits on writes per owner key
+ * @param {RateLimiter} [options.addressRateLimiter] - Limits on writes per
+ *   network address
+ * @param {Function} [options.publish] - Sends `(room, message)` to the
+ *   room's realtime channel, see realtime.js
+ * @returns {Function} `({ method, path, headers, body, address }) => Promise<{ status, headers, body }>`;
+ *   address is where the request came from, when known
+ */
+export function createHandler({
+  store,
+  allowedOrigin = "*",
+  adminKey,
+  blocklist = [],
+  rateLimiter = new RateLimiter(),
+  addressRateLimiter = new RateLimiter(ADDRESS_RATE_LIMITS),
+  publish = () => {},
+}) {
+  const isAdmin = (auth) => !!adminKey && !!auth.adminKey && sameSecret(auth.adminKey, adminKey);
+
+  const isOwner = (candle, auth) =>
+    !!candle.ownerHash && !!auth.ownerKey && candle.ownerHash === sha256Hex(auth.ownerKey);
+
+  // The admin, and whoever set up the room
+  const isModerator = (meta, auth) =>
+    isAdmin(auth) || (!!meta.ownerHash && !!auth.ownerKey && meta.ownerHash === sha256Hex(auth.ownerKey));
+
+  // What a visitor gets to see of a candles file: quarantined entries stay
+  // private, and pending candles are shown only to their author and the
+  // moderators
+  const publicDocument = ({ version, candles, meta }, auth = {}) => ({
+    version,
+    candles: isModerator(meta, auth)
+      ? candles
+      : candles.filter((candle) => !isPendingReview(candle) || isOwner(candle, auth)),
+    meta,
+  });
+
+  // Checked against the latest stored document, right before writing
+  const authorize = (operation, auth) => ({ candles, meta }) => {
+    if (operation.type === OPERATION_TYPES.ADD || isAdmin(auth)) {
+      return true;
+    }
+
+    const candle = candles.find((c) => c.id === operation.candleId);
+    // Unknown candles are ignored by the reducer anyway
+    if (!candle) {
+      return true;
+    }
+
+    switch (operation.type) {
+      case OPERATION_TYPES.MODERATE:
+        // Authors may hold back their own candle, but not approve it
+        return operation.payload.moderation.status === MODERATION_STATUS.PENDING
+          ? isOwner(candle, auth) || isModerator(meta, auth)
+          : isModerator(meta, auth);
+      case OPERATION_TYPES.REMOVE:
+      case OPERATION_TYPES.RESTORE:
+        // Moderators clear up their room, see the admin console
+        return isOwner(candle, auth) || isModerator(meta, auth);
+      default:
+        return isOwner(candle, auth);
+    }
+  };
+
+  // Operations to save for a write: the write itself, then holding its
+  // candle back for review when what it says needs checking
+  const moderate = (operation, auth, { candles, meta }) => {
+    const reason = isModerator(meta, auth) ? null : checkOperation(operation, { blocklist });
+    if (!reason) {
+      return [operation];
+    }
+    // Stamped by the server, after both the write and the candle's last
+    // moderation: a write with an old timestamp must not lose its hold to
+    // an earlier approval
+    const candle = candles.find((c) => c.id === operation.candleId);
+    const timestamp = Math.max(
+      Date.now(),
+      operation.timestamp + 1,
+      (candle?.clocks?.moderation?.timestamp ?? 0) + 1
+    );
+    return [
+      operation,
+      {
+        id: randomUUID(),
+        type: OPERATION_TYPES.MODERATE,
+        candleId: operation.candleId,
+        timestamp,
+        payload: { moderation: { status: MODERATION_STATUS.PENDING, reason } },
+      },
+    ];
+  };
+
+  // What the realtime channel is told about saved operations
+  const announcement = (saved, { candles }) => {
+    const isPrivate = saved.some((operation) => {
+      const candle = candles.find((c) => c.id === operation.candleId);
+      return operation.type === OPERATION_TYPES.MODERATE || !candle || isPendingReview(candle);
+    });
+    return isPrivate
+      ? { type: MESSAGE_TYPES.CHANGED }
+      : { type: MESSAGE_TYPES.OPERATIONS, operations: saved };
+  };
+
+  // A room nobody has claimed yet may be claimed by anyone; the default
+  // room belongs to the admin
+  const authorizeRoom = (room, auth) => ({ meta }) => {
+    if (isAdmin(auth)) {
+      return true;
+    }
+    if (meta.ownerHash) {
+      return !!auth.ownerKey && meta.ownerHash === sha256Hex(auth.ownerKey);
+    }
+    return room !== DEFAULT_ROOM;
+  };
+
+  const parseBody = (body) => {
+    try {
+      return { value: JSON.parse(body || "null") };
+    } catch {
+      return { problem: "Body must be valid JSON" };
+    }
+  };
+
+  const cors = {
+    "Access-Control-Allow-Origin": allowedOrigin,
+    "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, If-None-Match, X-Owner-Key, X-Admin-Key",
+    "Access-Control-Expose-Headers": "ETag, Retry-After",
+  };
+
+  const handle = async ({ method, path, headers = {}, body, address }) => {
+    if (method === "OPTIONS") {
+      return { status: 204, headers: {}, body: "" };
+    }
+
+    const candlesMatch = method === "GET" && path.match(CANDLES_ROUTE);
+    if (candlesMatch) {
+      const room = candlesMatch[1] ?? DEFAULT_ROOM;
+      const { document, version } = await store.load(room);
+      const viewer = { ownerKey: headers["x-owner-key"], adminKey: headers["x-admin-key"] };
+      // What is shown depends on who asks
+      const cache = { ETag: `"${version}"`, Vary: "X-Owner-Key, X-Admin-Key" };
+
+      if (headers["if-none-match"] === cache.ETag) {
+        return { status: 304, headers: cache, body: "" };
+      }
+      return json(200, publicDocument(document ?? createDocument(), viewer), cache);
+    }
+
+    // Lets the app check an admin key before showing admin controls
+    if (method === "GET" && ADMIN_ROUTE.test(path)) {
+      return isAdmin({ adminKey: headers["x-admin-key"] })
+        ? { status: 204, headers: {}, body: "" }
+        : json(403, { error: "Not the admin key" });
+    }
+
+    const metaMatch = method === "PUT" && path.match(META_ROUTE);
+    if (metaMatch) {
+      const room = metaMatch[1] ?? DEFAULT_ROOM;
+      const { value: change, problem: parseProblem } = parseBody(body);
+      const problem = parseProblem ?? validateMetaChange(change);
+      if (problem) {
+        return json(400, { error: problem });
+      }
+
+      const auth = change.auth ?? {};
+      const meta = sanitiseMeta(change.meta);
+      const authorizeChange = authorizeRoom(room, auth);
+      const document = await store.update(
+        room,
+        (latest) => {
+          // Whoever sets up an unclaimed room becomes its owner
+          const claim = room !== DEFAULT_ROOM && !latest.meta.ownerHash && auth.ownerKey
+            ? { ownerHash: sha256Hex(auth.ownerKey), createdAt: Date.now() }
+            : {};
+          return withMeta(latest, { ...meta, ...claim });
+        },
+        authorizeChange
+      );
+      publish(room, { type: MESSAGE_TYPES.CHANGED });
+      return json(200, publicDocument(document, auth));
+    }
+
+    for (const candidate of ROUTES) {
+      const match = method === candidate.method && path.match(candidate.pattern);
+      if (!match) continue;
+
+      const { value: operation, problem: parseProblem } = parseBody(body);
+      if (parseProblem) {
+        return json(400, { error: parseProblem });
+      }
+
+      let candleId;
+      try {
+        candleId = match[2] && decodeURIComponent(match[2]);
+      } catch {
+        return json(400, { error: "Candle id in the URL is malformed" });
+      }
+
+      const problem = validateOperation(operation, { type: candidate.type, candleId });
+      if (problem) {
+        return json(400, { error: problem });
+      }
+
+      const room = match[1] ?? DEFAULT_ROOM;
+      const auth = operation.auth ?? {};
+      const ownerHash = auth.ownerKey && sha256Hex(auth.ownerKey);
+
+      if (!isAdmin(auth)) {
+        const limit = rateLimitFor(operation);
+        const writers = [[rateLimiter, ownerHash ?? "anonymous"]];
+        if (address) {
+          writers.push([addressRateLimiter, address]);
+        }
+        const refused = writers.find(([limiter, key]) => limiter.remaining(limit, key) === 0);
+        // Only worth loading the room to exempt its moderator once over a limit
+        if (refused && !isModerator((await store.load(room)).document?.meta ?? {}, auth)) {
+          const [limiter, key] = refused;
+          const { retryAfterMs } = limiter.take(limit, key);
+          return json(
+            429,
+            { error: "Too many changes, please wait a moment" },
+            { "Retry-After": String(Math.ceil(retryAfterMs / 1000)) }
+          );
+        }
+        // Counted only when every limit allows it
+        if (!refused) {
+          writers.forEach(([limiter, key]) => limiter.take(limit, key));
+        }
+      }
+
+      const sanitised = sanitiseOperation(operation, ownerHash);
+      // What was saved; the store retries when someone else wrote first
+      let saved = [];
+      const document = await store.update(
+        room,
+        (latest) => {
+          saved = moderate(sanitised, auth, latest);
+          return { ...latest, candles: applyOperations(latest.candles, saved) };
+        },
+        authorize(sanitised, auth)
+      );
+      publish(room, announcement(saved, document));
+      return json(200, publicDocument(document, auth));
+    }
+
+    return json(404, { error: "Not found" });
+  };
+
+  return async (request) => {
+    let response;
+    try {
+      response = await handle(request);
+    } catch (error) {
+      console.error("Proxy request failed:", error);
+      const status = [403, 409].includes(error.status) ? error.status : 502;
+      response = json(status, { error: error.message });
+    }
+    return { ...response, headers: { ...cors, ...response.headers } };
+  };
+}
+
+export default createHandler;
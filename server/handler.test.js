@@ -0,0 +1,113 @@
+import { randomUUID } from "node:crypto";
+import { describe, expect, it } from "vitest";
+import { createHandler } from "./handler.js";
+import { createDocument } from "../src/services/candleSchema.js";
+import { ADDRESS_RATE_LIMITS } from "../src/services/moderation.js";
+
+const OWNER_KEY = "o".repeat(32);
+const ADMIN_KEY = "a".repeat(32);
+
+// A store keeping one document per room in memory
+const createStore = () => {
+  const documents = new Map();
+  let version = 0;
+  return {
+    load: async (room) => ({ document: documents.get(room) ?? null, version: String(version) }),
+    update: async (room, change, authorize) => {
+      const latest = documents.get(room) ?? createDocument();
+      if (!authorize(latest)) {
+        throw Object.assign(new Error("Only the owner can change this"), { status: 403 });
+      }
+      const updated = { ...change(latest), version: latest.version };
+      documents.set(room, updated);
+      version += 1;
+      return updated;
+    },
+  };
+};
+
+const setup = () => {
+  const handler = createHandler({ store: createStore(), adminKey: ADMIN_KEY, blocklist: ["hateful"] });
+  const send = async (method, path, operation, address) => {
+    const response = await handler({ method, path, headers: {}, body: JSON.stringify(operation), address });
+    return { status: response.status, body: JSON.parse(response.body || "null") };
+  };
+  return { handler, send };
+};
+
+const operation = (type, candleId, payload, { timestamp = Date.now(), auth = { ownerKey: OWNER_KEY } } = {}) => ({
+  id: randomUUID(),
+  type,
+  candleId,
+  timestamp,
+  payload,
+  auth,
+});
+
+describe("createHandler", () => {
+  it("holds back a backdated rename to a blocked word after an approval", async () => {
+    const { send } = setup();
+    const id = randomUUID();
+    const litAt = Date.now() - 60 * 60 * 1000;
+
+    await send("POST", "/candles", operation("add", id, { candle: { id, x: 0.5, y: 0.5, name: "hateful" } }, { timestamp: litAt }));
+    const approved = await send(
+      "PUT",
+      `/candles/${id}/moderation`,
+      // A moment after the hold, which the proxy stamped while lighting it
+      operation("moderate", id, { moderation: { status: "approved" } }, { timestamp: Date.now() + 1, auth: { adminKey: ADMIN_KEY } })
+    );
+    expect(approved.body.candles[0].moderation.status).toBe("approved");
+
+    // Older than the approval, but newer than the name it replaces
+    const renamed = await send(
+      "PUT",
+      `/candles/${id}/name`,
+      operation("rename", id, { name: "hateful words" }, { timestamp: litAt + 1000 })
+    );
+
+    expect(renamed.status).toBe(200);
+    const [candle] = renamed.body.candles;
+    expect(candle.name).toBe("hateful words");
+    expect(candle.moderation.status).toBe("pending");
+  });
+
+  it("refuses a malformed candle id in the URL", async () => {
+    const { send } = setup();
+    const id = randomUUID();
+
+    const response = await send("PUT", "/candles/%E0%A4%A/name", operation("rename", id, { name: "Anna" }));
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/malformed/);
+  });
+
+  it("limits writes from one address whatever owner keys they send", async () => {
+    const { send } = setup();
+    const light = (ownerKey) => {
+      const id = randomUUID();
+      return send(
+        "POST",
+        "/candles",
+        operation("add", id, { candle: { id, x: 0.5, y: 0.5, name: "" } }, { auth: { ownerKey } }),
+        "203.0.113.7"
+      );
+    };
+
+    for (let i = 0; i < ADDRESS_RATE_LIMITS.add.limit; i += 1) {
+      expect((await light(`${i}`.padStart(32, "k"))).status).toBe(200);
+    }
+    const refused = await light("n".repeat(32));
+
+    expect(refused.status).toBe(429);
+  });
+
+  it("tells whether a key is the admin key", async () => {
+    const { handler } = setup();
+    const check = (adminKey) => handler({ method: "GET", path: "/admin", headers: { "x-admin-key": adminKey } });
+
+    expect((await check(ADMIN_KEY)).status).toBe(204);
+    expect((await check("b".repeat(32))).status).toBe(403);
+    expect((await check(undefined)).status).toBe(403);
+  });
+});
@@ -0,0 +1,86 @@
+// Local server for the candle write proxy
+//
+//   GITHUB_TOKEN=... GIST_ID=... npm run proxy
+//
+// Also serves the realtime channel, see realtime.js.
+import http from "node:http";
+import { GistStore } from "./gistStore.js";
+import { createHandler } from "./handler.js";
+import { createRealtime } from "./realtime.js";
+import { parseBlocklist } from "../src/services/moderation.js";
+
+// Requests larger than this are refused; a candle operation is tiny
+const MAX_BODY_BYTES = 10 * 1024;
+
+const {
+  GITHUB_TOKEN,
+  GIST_ID,
+  ALLOWED_ORIGIN,
+  ADMIN_KEY,
+  MODERATION_BLOCKLIST,
+  TRUST_PROXY,
+  PORT = 8787,
+} = process.env;
+
+if (!GITHUB_TOKEN || !GIST_ID) {
+  console.error("GITHUB_TOKEN and GIST_ID must be set");
+  process.exit(1);
+}
+
+const realtime = createRealtime({ allowedOrigin: ALLOWED_ORIGIN });
+
+const handler = createHandler({
+  store: new GistStore({ gistId: GIST_ID, token: GITHUB_TOKEN }),
+  allowedOrigin: ALLOWED_ORIGIN,
+  adminKey: ADMIN_KEY,
+  blocklist: parseBlocklist(MODERATION_BLOCKLIST),
+  publish: realtime.publish,
+});
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+
+// Where a request came from. Behind a reverse proxy (TRUST_PROXY set) every
+// request arrives from the reverse proxy, which adds the address it was
+// connected from to the end of X-Forwarded-For.
+const clientAddress = (req) =>
+  (TRUST_PROXY && req.headers["x-forwarded-for"]?.split(",").pop().trim()) || req.socket.remoteAddress;
+
+const server = http.createServer(async (req, res) => {
+  let body;
+  try {
+    body = await readBody(req);
+  } catch {
+    res.writeHead(413).end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url, "http://localhost");
+  const response = await handler({
+    method: req.method,
+    path: pathname,
+    headers: req.headers,
+    body,
+    address: clientAddress(req),
+  });
+
+  res.writeHead(response.status, response.headers).end(response.body);
+});
+
+server.on("upgrade", realtime.handleUpgrade);
+
+server.listen(PORT, () => {
+  console.log(`🕯️ Candle proxy listening on http://localhost:${PORT}`);
+});
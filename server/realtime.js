@@ -0,0 +1,155 @@
+// Realtime channel for memorial rooms
+//
+//   GET /realtime?visitor=<id>               WebSocket to the default room
+//   GET /rooms/:room/realtime?visitor=<id>   WebSocket to another room
+//
+// Visitors keep a WebSocket open to the room they are looking at, and are
+// sent JSON messages:
+//
+//   { type: "presence", count }         visitors in the room right now
+//   { type: "operations", operations }  candle changes the proxy just saved
+//   { type: "changed" }                 the room changed; poll for it
+//
+// The write proxy publishes what it saves, see handler.js. With relay on,
+// for storage backends without the proxy (see relay.js), visitors send
+// { type: "changed" } after saving a change themselves and everyone else
+// in the room is told. The channel only makes changes arrive sooner: the
+// app keeps polling, less often, while it is connected.
+import { randomUUID } from "node:crypto";
+import { DEFAULT_ROOM } from "../src/services/rooms.js";
+import { CLOSE_CODES, acceptWebSocket, rejectUpgrade } from "./websocket.js";
+
+export const MESSAGE_TYPES = {
+  PRESENCE: "presence",
+  OPERATIONS: "operations",
+  CHANGED: "changed",
+};
+
+const ROUTE = /^(?:\/rooms\/([a-z0-9]+(?:-[a-z0-9]+)*))?\/realtime\/?$/;
+
+// Random ids browsers keep, so each counts once however many tabs it has
+// open; anything else gets an id of its own
+const VISITOR_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// Connections that did not answer a ping within this long are dropped
+const PING_INTERVAL = 30000;
+
+// A visitor's "changed" is passed on at most this often
+const RELAY_INTERVAL = 1000;
+
+/**
+ * Build the realtime channel
+ * @param {Object} [options] - Channel options
+ * @param {string} [options.allowedOrigin] - Origin allowed to connect
+ * @param {boolean} [options.relay] - Pass visitors' "changed" on to the
+ *   rest of their room
+ * @returns {Object} `{ handleUpgrade, publish, close }`; handleUpgrade()
+ *   handles a node:http server's "upgrade" event
+ */
+export function createRealtime({ allowedOrigin = "*", relay = false } = {}) {
+  // Connected visitors by room: `{ connection, visitor, relayedAt }`
+  const rooms = new Map();
+
+  const send = (client, message) => client.connection.send(JSON.stringify(message));
+
+  /**
+   * Send a message to everyone in a room
+   * @param {string} room - Room slug
+   * @param {Object} message - Message, see MESSAGE_TYPES
+   * @param {Object} [except] - Client not to send it to
+   */
+  const publish = (room, message, except) => {
+    for (const client of rooms.get(room) ?? []) {
+      if (client !== except) {
+        send(client, message);
+      }
+    }
+  };
+
+  const announcePresence = (room) => {
+    const clients = rooms.get(room) ?? new Set();
+    const count = new Set([...clients].map((client) => client.visitor)).size;
+    publish(room, { type: MESSAGE_TYPES.PRESENCE, count });
+  };
+
+  const join = (room, client) => {
+    if (!rooms.has(room)) {
+      rooms.set(room, new Set());
+    }
+    rooms.get(room).add(client);
+    announcePresence(room);
+  };
+
+  const leave = (room, client) => {
+    const clients = rooms.get(room);
+    clients?.delete(client);
+    if (clients?.size === 0) {
+      rooms.delete(room);
+    } else {
+      announcePresence(room);
+    }
+  };
+
+  const receive = (room, client, text) => {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      return;
+    }
+
+    const now = Date.now();
+    if (relay && message?.type === MESSAGE_TYPES.CHANGED && now - client.relayedAt >= RELAY_INTERVAL) {
+      client.relayedAt = now;
+      publish(room, { type: MESSAGE_TYPES.CHANGED }, client);
+    }
+  };
+
+  const handleUpgrade = (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    const match = url.pathname.match(ROUTE);
+    if (!match) {
+      rejectUpgrade(socket, 404);
+      return;
+    }
+    // Browsers always say where they connect from
+    const { origin } = req.headers;
+    if (allowedOrigin !== "*" && origin && origin !== allowedOrigin) {
+      rejectUpgrade(socket, 403);
+      return;
+    }
+
+    const room = match[1] ?? DEFAULT_ROOM;
+    const visitor = url.searchParams.get("visitor");
+    const client = {
+      visitor: VISITOR_PATTERN.test(visitor ?? "") ? visitor : randomUUID(),
+      relayedAt: 0,
+    };
+    client.connection = acceptWebSocket(req, socket, head, {
+      onMessage: (text) => receive(room, client, text),
+      onClose: () => leave(room, client),
+    });
+    if (client.connection) {
+      join(room, client);
+    }
+  };
+
+  const keepAlive = setInterval(() => {
+    for (const clients of rooms.values()) {
+      clients.forEach((client) => client.connection.keepAlive());
+    }
+  }, PING_INTERVAL);
+  keepAlive.unref();
+
+  /**
+   * Close every connection, e.g. when the server shuts down
+   */
+  const close = () => {
+    clearInterval(keepAlive);
+    for (const clients of rooms.values()) {
+      clients.forEach((client) => client.connection.close(CLOSE_CODES.GOING_AWAY));
+    }
+  };
+
+  return { handleUpgrade, publish, close };
+}
@@ -0,0 +1,75 @@
+import { EventEmitter } from "node:events";
+import { afterEach, describe, expect, it } from "vitest";
+import { createRealtime } from "./realtime.js";
+
+// Enough of a net.Socket to read back the messages the channel sends
+const createSocket = () =>
+  Object.assign(new EventEmitter(), {
+    written: [],
+    setNoDelay() {},
+    write(data) {
+      this.written.push(Buffer.from(data));
+    },
+    end(data) {
+      if (data) this.write(data);
+    },
+    destroy() {},
+    // Text frames the server sent, parsed; all of ours are short
+    messages() {
+      return this.written.filter((frame) => frame[0] === 0x81).map((frame) => JSON.parse(frame.subarray(2)));
+    },
+  });
+
+const textFrame = (text) => {
+  const data = Buffer.from(text);
+  return Buffer.concat([Buffer.from([0x81, 0x80 | data.length]), Buffer.alloc(4), data]);
+};
+
+describe("createRealtime", () => {
+  let realtime;
+
+  const connect = (url, headers = {}) => {
+    const socket = createSocket();
+    const req = {
+      url,
+      headers: { upgrade: "websocket", "sec-websocket-version": "13", "sec-websocket-key": "a2V5", ...headers },
+    };
+    realtime.handleUpgrade(req, socket, Buffer.alloc(0));
+    return socket;
+  };
+
+  afterEach(() => realtime.close());
+
+  it("counts each visitor in a room once however many tabs they have open", () => {
+    realtime = createRealtime();
+
+    const first = connect("/rooms/walk/realtime?visitor=visitor-one");
+    connect("/rooms/walk/realtime?visitor=visitor-one");
+    connect("/rooms/walk/realtime?visitor=visitor-two");
+    const elsewhere = connect("/realtime?visitor=visitor-one");
+
+    expect(first.messages().at(-1)).toEqual({ type: "presence", count: 2 });
+    expect(elsewhere.messages().at(-1)).toEqual({ type: "presence", count: 1 });
+  });
+
+  it("passes a visitor's change on to the rest of the room when relaying", () => {
+    realtime = createRealtime({ relay: true });
+
+    const sender = connect("/realtime?visitor=visitor-one");
+    const other = connect("/realtime?visitor=visitor-two");
+    sender.emit("data", textFrame(JSON.stringify({ type: "changed" })));
+
+    expect(other.messages().at(-1)).toEqual({ type: "changed" });
+    expect(sender.messages().at(-1)).toEqual({ type: "presence", count: 2 });
+  });
+
+  it("refuses other origins and unknown paths", () => {
+    realtime = createRealtime({ allowedOrigin: "https://candles.example" });
+
+    const foreign = connect("/realtime", { origin: "https://elsewhere.example" });
+    const unknown = connect("/elsewhere");
+
+    expect(foreign.written[0].toString()).toMatch(/^HTTP\/1\.1 403 /);
+    expect(unknown.written[0].toString()).toMatch(/^HTTP\/1\.1 404 /);
+  });
+});
@@ -0,0 +1,24 @@
+// Standalone realtime channel, for storage backends without the write
+// proxy (the proxy has the channel built in, see index.js)
+//
+//   npm run realtime
+//
+// It stores nothing and sees no candles: visitors tell it when they saved
+// a change, and it tells everyone else in the room to poll right away.
+// See realtime.js.
+import http from "node:http";
+import { createRealtime } from "./realtime.js";
+
+const { ALLOWED_ORIGIN, PORT = 8788 } = process.env;
+
+const realtime = createRealtime({ allowedOrigin: ALLOWED_ORIGIN, relay: true });
+
+// Only WebSockets are served
+const server = http.createServer((req, res) => {
+  res.writeHead(426, { Upgrade: "websocket" }).end();
+});
+server.on("upgrade", realtime.handleUpgrade);
+
+server.listen(PORT, () => {
+  console.log(`🕯️ Candle realtime channel listening on ws://localhost:${PORT}`);
+});
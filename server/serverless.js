@@ -0,0 +1,66 @@
+// Serverless adapter for the candle write proxy
+//
+// Exports a fetch-style handler, `(Request) => Response`, as used by
+// Vercel, Netlify and Cloudflare-style functions. Configure it with the
+// GITHUB_TOKEN, GIST_ID, ALLOWED_ORIGIN, ADMIN_KEY and MODERATION_BLOCKLIST
+// environment variables. Rate limits are kept in memory, so each instance
+// of the function counts writes on its own.
+import { GistStore } from "./gistStore.js";
+import { createHandler } from "./handler.js";
+import { parseBlocklist } from "../src/services/moderation.js";
+
+// Requests larger than this are refused; a candle operation is tiny
+const MAX_BODY_BYTES = 10 * 1024;
+
+let handler = null;
+
+const getHandler = () => {
+  if (!handler) {
+    const { GITHUB_TOKEN, GIST_ID, ALLOWED_ORIGIN, ADMIN_KEY, MODERATION_BLOCKLIST } = process.env;
+    handler = createHandler({
+      store: new GistStore({ gistId: GIST_ID, token: GITHUB_TOKEN }),
+      allowedOrigin: ALLOWED_ORIGIN,
+      adminKey: ADMIN_KEY,
+      blocklist: parseBlocklist(MODERATION_BLOCKLIST),
+    });
+  }
+  return handler;
+};
+
+// Where a request came from, as the platform in front of the function saw
+// it: it adds the address it was connected from to the end of
+// X-Forwarded-For, after anything the client sent itself
+const clientAddress = (headers) =>
+  headers.get("x-forwarded-for")?.split(",").pop().trim() || undefined;
+
+/**
+ * Handle a proxy request
+ * @param {Request} request - Incoming request
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.basePath] - Path prefix the function is mounted at
+ * @returns {Promise<Response>} Response
+ */
+export default async function proxy(request, { basePath = "" } = {}) {
+  const body = await request.text();
+  if (body.length > MAX_BODY_BYTES) {
+    return new Response(null, { status: 413 });
+  }
+
+  const url = new URL(request.url);
+  const path = url.pathname.startsWith(basePath)
+    ? url.pathname.slice(basePath.length) || "/"
+    : url.pathname;
+
+  const response = await getHandler()({
+    method: request.method,
+    path,
+    headers: Object.fromEntries(request.headers),
+    body,
+    address: clientAddress(request.headers),
+  });
+
+  return new Response(response.body || null, {
+    status: response.status,
+    headers: response.headers,
+  });
+}
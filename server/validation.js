@@ -0,0 +1,271 @@
+// Payload validation for the candle write proxy
+import { OPERATION_TYPES } from "../src/services/candleOperations.js";
+import {
+  MAX_NAME_LENGTH,
+  validateDedication,
+  cleanDedication,
+  validateStyle,
+  cleanStyle,
+} from "../src/services/candleSchema.js";
+import { MAX_TITLE_LENGTH, MAX_SUBTITLE_LENGTH } from "../src/services/rooms.js";
+import { validateRetentionPolicy } from "../src/services/retention.js";
+import { validateModeration } from "../src/services/moderation.js";
+
+// Positions are fractions of the logical canvas, see coordinates.js
+export const MAX_COORDINATE = 1;
+
+// Operations stamped further than this ahead of the server clock are
+// refused, so a client cannot win every future last-writer-wins comparison.
+// Old timestamps are fine: they come from changes queued while offline.
+const MAX_CLOCK_SKEW = 24 * 60 * 60 * 1000;
+
+// Room settings are free-form for now, but must stay small
+const MAX_SETTINGS_LENGTH = 2 * 1024;
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isCoordinate = (value) =>
+  typeof value === "number" &&
+  Number.isFinite(value) &&
+  value >= 0 &&
+  value <= MAX_COORDINATE;
+
+const isKey = (value) =>
+  typeof value === "string" && value.length >= 16 && value.length <= 256;
+
+const isName = (value) =>
+  typeof value === "string" && [...value].length <= MAX_NAME_LENGTH;
+
+const isText = (value, maxLength) =>
+  typeof value === "string" && [...value].length <= maxLength;
+
+const isPlainObject = (value) =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Check the credentials sent with a write
+ * @param {Object} [auth] - `{ ownerKey, adminKey }`
+ * @param {boolean} ownerKeyRequired - Whether an admin key alone is not enough
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateAuth(auth = {}, ownerKeyRequired) {
+  if (auth.ownerKey !== undefined && !isKey(auth.ownerKey)) {
+    return "Owner key is malformed";
+  }
+  if (auth.adminKey !== undefined && !isKey(auth.adminKey)) {
+    return "Admin key is malformed";
+  }
+  if (ownerKeyRequired ? !auth.ownerKey : !auth.ownerKey && !auth.adminKey) {
+    return "An owner key is required";
+  }
+  return null;
+}
+
+/**
+ * Check an operation sent to one of the proxy endpoints
+ * @param {Object} operation - Operation from the request body
+ * @param {Object} expected - What the endpoint accepts
+ * @param {string} expected.type - Required operation type
+ * @param {string} [expected.candleId] - Candle id from the URL
+ * @param {number} [now] - Server time
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateOperation(operation, { type, candleId }, now = Date.now()) {
+  if (!operation || typeof operation !== "object") {
+    return "Body must be a JSON object";
+  }
+
+  if (operation.type !== type) {
+    return `Expected a "${type}" operation`;
+  }
+
+  if (typeof operation.id !== "string" || !UUID_PATTERN.test(operation.id)) {
+    return "Operation id must be a UUID";
+  }
+
+  if (typeof operation.candleId !== "string" || !UUID_PATTERN.test(operation.candleId)) {
+    return "Candle id must be a UUID";
+  }
+
+  if (candleId && operation.candleId !== candleId) {
+    return "Candle id does not match the URL";
+  }
+
+  if (
+    typeof operation.timestamp !== "number" ||
+    !Number.isFinite(operation.timestamp) ||
+    operation.timestamp <= 0 ||
+    operation.timestamp - now > MAX_CLOCK_SKEW
+  ) {
+    return "Operation timestamp is missing or out of range";
+  }
+
+  const authProblem = validateAuth(operation.auth, type === OPERATION_TYPES.ADD);
+  if (authProblem) {
+    return authProblem;
+  }
+
+  const payload = operation.payload ?? {};
+
+  switch (type) {
+    case OPERATION_TYPES.ADD: {
+      const candle = payload.candle;
+      if (!candle || candle.id !== operation.candleId) {
+        return "Candle must match the operation's candle id";
+      }
+      if (!isCoordinate(candle.x) || !isCoordinate(candle.y)) {
+        return "Candle position is out of range";
+      }
+      if (candle.name !== undefined && !isName(candle.name)) {
+        return `Name must be at most ${MAX_NAME_LENGTH} characters`;
+      }
+      if (
+        candle.createdAt !== undefined &&
+        (typeof candle.createdAt !== "number" || !Number.isFinite(candle.createdAt) || candle.createdAt <= 0)
+      ) {
+        return "Candle creation time is out of range";
+      }
+      if (candle.style !== undefined) {
+        const problem = validateStyle(candle.style);
+        if (problem) {
+          return problem;
+        }
+      }
+      if (candle.dedication !== undefined) {
+        return validateDedication(candle.dedication);
+      }
+      return null;
+    }
+    case OPERATION_TYPES.RENAME:
+      return isName(payload.name)
+        ? null
+        : `Name must be at most ${MAX_NAME_LENGTH} characters`;
+    case OPERATION_TYPES.MOVE:
+      return isCoordinate(payload.x) && isCoordinate(payload.y)
+        ? null
+        : "Candle position is out of range";
+    case OPERATION_TYPES.DEDICATE:
+      return validateDedication(payload.dedication);
+    case OPERATION_TYPES.MODERATE:
+      return validateModeration(payload.moderation);
+    case OPERATION_TYPES.REMOVE:
+    case OPERATION_TYPES.RESTORE:
+      return null;
+    default:
+      return "Unknown operation";
+  }
+}
+
+/**
+ * Keep only the fields the proxy stores, dropping anything else a client
+ * might have added, including its credentials
+ * @param {Object} operation - Validated operation
+ * @param {string} [ownerHash] - Hash of the owner key, set on new candles
+ * @returns {Object} Sanitised operation
+ */
+export function sanitiseOperation(operation, ownerHash) {
+  const { id, type, candleId, timestamp, payload = {} } = operation;
+
+  switch (type) {
+    case OPERATION_TYPES.ADD: {
+      const { id: candle, x, y, name = "" } = payload.candle;
+      // Imported candles keep their original creation time; nothing can
+      // claim to be lit later than it was added
+      const createdAt = Math.min(payload.candle.createdAt ?? timestamp, timestamp);
+      const dedication = cleanDedication(payload.candle.dedication);
+      return {
+        id,
+        type,
+        candleId,
+        timestamp,
+        payload: {
+          candle: {
+            id: candle,
+            x,
+            y,
+            name,
+            ownerHash,
+            createdAt,
+            ...(payload.candle.style ? { style: cleanStyle(payload.candle.style) } : {}),
+            ...(Object.keys(dedication).length > 0 ? { dedication } : {}),
+          },
+        },
+      };
+    }
+    case OPERATION_TYPES.RENAME:
+      return { id, type, candleId, timestamp, payload: { name: payload.name } };
+    case OPERATION_TYPES.MOVE:
+      return { id, type, candleId, timestamp, payload: { x: payload.x, y: payload.y } };
+    case OPERATION_TYPES.DEDICATE:
+      return {
+        id,
+        type,
+        candleId,
+        timestamp,
+        payload: { dedication: cleanDedication(payload.dedication) },
+      };
+    case OPERATION_TYPES.MODERATE: {
+      const { status, reason } = payload.moderation;
+      return {
+        id,
+        type,
+        candleId,
+        timestamp,
+        payload: { moderation: reason === undefined ? { status } : { status, reason } },
+      };
+    }
+    default:
+      return { id, type, candleId, timestamp, payload: {} };
+  }
+}
+
+/**
+ * Check a change to a room's title, subtitle or settings
+ * @param {Object} body - Request body, `{ meta, auth }`
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateMetaChange(body) {
+  if (!isPlainObject(body) || !isPlainObject(body.meta)) {
+    return "Body must contain a meta object";
+  }
+
+  const authProblem = validateAuth(body.auth, false);
+  if (authProblem) {
+    return authProblem;
+  }
+
+  const { title, subtitle, settings } = body.meta;
+  if (title !== undefined && (!isText(title, MAX_TITLE_LENGTH) || !title.trim())) {
+    return `Title must be 1 to ${MAX_TITLE_LENGTH} characters`;
+  }
+  if (subtitle !== undefined && !isText(subtitle, MAX_SUBTITLE_LENGTH)) {
+    return `Subtitle must be at most ${MAX_SUBTITLE_LENGTH} characters`;
+  }
+  if (body.meta.private !== undefined && typeof body.meta.private !== "boolean") {
+    return "Private must be true or false";
+  }
+  if (
+    settings !== undefined &&
+    (!isPlainObject(settings) || JSON.stringify(settings).length > MAX_SETTINGS_LENGTH)
+  ) {
+    return "Settings must be a small object";
+  }
+  if (settings?.retention !== undefined) {
+    return validateRetentionPolicy(settings.retention);
+  }
+  return null;
+}
+
+/**
+ * Keep only the meta fields a client may set. The owner hash and creation
+ * time are set by the proxy when a room is claimed.
+ * @param {Object} meta - Validated meta
+ * @returns {Object} Sanitised meta
+ */
+export function sanitiseMeta(meta) {
+  const fields = ["title", "subtitle", "private", "settings"];
+  return Object.fromEntries(
+    fields.filter((field) => meta[field] !== undefined).map((field) => [field, meta[field]])
+  );
+}
@@ -0,0 +1,237 @@
+// Just enough of the WebSocket protocol (RFC 6455) for the realtime
+// channel, see realtime.js
+//
+// The opening handshake, and unfragmented text messages, pings and
+// closes. Messages are a little JSON, so fragmented or binary messages,
+// and ones larger than MAX_MESSAGE_BYTES, close the connection.
+import { createHash } from "node:crypto";
+import { STATUS_CODES } from "node:http";
+
+const HANDSHAKE_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// Messages larger than this are refused; ours are tiny
+const MAX_MESSAGE_BYTES = 4 * 1024;
+
+const OPCODES = { TEXT: 0x1, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+export const CLOSE_CODES = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  PROTOCOL_ERROR: 1002,
+  UNSUPPORTED: 1003,
+  TOO_BIG: 1009,
+};
+
+// A frame from the server; those are never masked
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const { length } = payload;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// The header of the first frame in a buffer, or null until all of it has
+// arrived
+function decodeHeader(buffer) {
+  if (buffer.length < 2) return null;
+
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const masked = (buffer[1] & 0x80) !== 0;
+  if (masked && buffer.length < offset + 4) return null;
+
+  return {
+    fin: (buffer[0] & 0x80) !== 0,
+    opcode: buffer[0] & 0x0f,
+    mask: masked ? buffer.subarray(offset, offset + 4) : null,
+    length,
+    headerLength: masked ? offset + 4 : offset,
+  };
+}
+
+const unmask = (payload, mask) => payload.map((byte, i) => byte ^ mask[i % 4]);
+
+/**
+ * Refuse an upgrade request with an HTTP status
+ * @param {Object} socket - The request's socket
+ * @param {number} status - HTTP status
+ */
+export function rejectUpgrade(socket, status) {
+  socket.end(
+    `HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`
+  );
+}
+
+export class WebSocketConnection {
+  /**
+   * @param {Object} socket - Socket the handshake was answered on
+   * @param {Buffer} head - Data that arrived with the handshake
+   * @param {Object} handlers - Callbacks
+   * @param {Function} handlers.onMessage - Receives each text message
+   * @param {Function} handlers.onClose - Called once the connection is closed
+   */
+  constructor(socket, head, { onMessage, onClose }) {
+    this.socket = socket;
+    this.onMessage = onMessage;
+    this.onClose = onClose;
+    this.buffer = head ?? Buffer.alloc(0);
+    this.isOpen = true;
+    // Whether the other end answered the last ping, see keepAlive()
+    this.isAlive = true;
+
+    socket.setNoDelay(true);
+    socket.on("data", (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.readFrames();
+    });
+    socket.on("error", () => socket.destroy());
+    socket.on("close", () => {
+      this.isOpen = false;
+      this.onClose();
+    });
+
+    if (this.buffer.length > 0) {
+      this.readFrames();
+    }
+  }
+
+  readFrames() {
+    while (this.isOpen) {
+      const frame = decodeHeader(this.buffer);
+      if (!frame) return;
+
+      if (frame.length > MAX_MESSAGE_BYTES) {
+        this.close(CLOSE_CODES.TOO_BIG);
+        return;
+      }
+      // Browsers always mask what they send
+      if (!frame.mask) {
+        this.close(CLOSE_CODES.PROTOCOL_ERROR);
+        return;
+      }
+      if (this.buffer.length < frame.headerLength + frame.length) return;
+
+      const end = frame.headerLength + frame.length;
+      const payload = unmask(this.buffer.subarray(frame.headerLength, end), frame.mask);
+      this.buffer = this.buffer.subarray(end);
+
+      if (!frame.fin) {
+        this.close(CLOSE_CODES.UNSUPPORTED);
+        return;
+      }
+
+      switch (frame.opcode) {
+        case OPCODES.TEXT:
+          this.onMessage(payload.toString("utf8"));
+          break;
+        case OPCODES.PING:
+          this.write(OPCODES.PONG, payload);
+          break;
+        case OPCODES.PONG:
+          this.isAlive = true;
+          break;
+        case OPCODES.CLOSE:
+          this.close(CLOSE_CODES.NORMAL);
+          break;
+        default:
+          this.close(CLOSE_CODES.UNSUPPORTED);
+      }
+    }
+  }
+
+  write(opcode, payload) {
+    if (this.isOpen) {
+      this.socket.write(encodeFrame(opcode, payload));
+    }
+  }
+
+  /**
+   * Send a text message
+   * @param {string} text - Message
+   */
+  send(text) {
+    this.write(OPCODES.TEXT, Buffer.from(text, "utf8"));
+  }
+
+  /**
+   * Ping the other end, and drop the connection if it did not answer the
+   * previous ping. Call it regularly, so connections that silently went
+   * away do not linger.
+   */
+  keepAlive() {
+    if (!this.isAlive) {
+      this.socket.destroy();
+      return;
+    }
+    this.isAlive = false;
+    this.write(OPCODES.PING);
+  }
+
+  /**
+   * Close the connection
+   * @param {number} [code] - Close code, see CLOSE_CODES
+   */
+  close(code = CLOSE_CODES.NORMAL) {
+    if (!this.isOpen) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    this.write(OPCODES.CLOSE, payload);
+    this.isOpen = false;
+    this.socket.end();
+  }
+}
+
+/**
+ * Answer a WebSocket handshake
+ * @param {Object} req - The upgrade request
+ * @param {Object} socket - The request's socket
+ * @param {Buffer} head - Data that arrived with the request
+ * @param {Object} handlers - See WebSocketConnection
+ * @returns {WebSocketConnection|null} The connection, or null when the
+ *   request was not a valid handshake and has been refused
+ */
+export function acceptWebSocket(req, socket, head, handlers) {
+  const key = req.headers["sec-websocket-key"];
+  if (
+    req.headers.upgrade?.toLowerCase() !== "websocket" ||
+    req.headers["sec-websocket-version"] !== "13" ||
+    !key
+  ) {
+    rejectUpgrade(socket, 400);
+    return null;
+  }
+
+  const accept = createHash("sha1").update(key + HANDSHAKE_GUID).digest("base64");
+  socket.write(
+    [
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${accept}`,
+      "",
+      "",
+    ].join("\r\n")
+  );
+  return new WebSocketConnection(socket, head, handlers);
+}
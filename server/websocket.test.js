@@ -0,0 +1,159 @@
+import { EventEmitter } from "node:events";
+import { describe, expect, it, vi } from "vitest";
+import { CLOSE_CODES, acceptWebSocket } from "./websocket.js";
+
+// Enough of a net.Socket to record what the server writes
+const createSocket = () =>
+  Object.assign(new EventEmitter(), {
+    written: [],
+    ended: false,
+    destroyed: false,
+    setNoDelay() {},
+    write(data) {
+      this.written.push(Buffer.from(data));
+    },
+    end(data) {
+      if (data) this.write(data);
+      this.ended = true;
+    },
+    destroy() {
+      this.destroyed = true;
+    },
+  });
+
+const handshake = (headers = {}) => ({
+  headers: {
+    upgrade: "websocket",
+    "sec-websocket-version": "13",
+    "sec-websocket-key": "dGhlIHNhbXBsZSBub25jZQ==",
+    ...headers,
+  },
+});
+
+// A frame as a browser sends it: masked
+const clientFrame = (opcode, payload, { fin = true, mask = [1, 2, 3, 4] } = {}) => {
+  const data = Buffer.from(payload);
+  const length = data.length < 126 ? [data.length] : [126, data.length >> 8, data.length & 0xff];
+  const header = Buffer.from([(fin ? 0x80 : 0) | opcode, (mask ? 0x80 : 0) | length[0], ...length.slice(1)]);
+  if (!mask) return Buffer.concat([header, data]);
+  return Buffer.concat([header, Buffer.from(mask), data.map((byte, i) => byte ^ mask[i % 4])]);
+};
+
+const open = () => {
+  const socket = createSocket();
+  const onMessage = vi.fn();
+  const onClose = vi.fn();
+  const connection = acceptWebSocket(handshake(), socket, Buffer.alloc(0), { onMessage, onClose });
+  socket.written = [];
+  return { socket, connection, onMessage, onClose };
+};
+
+// Close code the server sent last
+const closeCode = (socket) => {
+  const frame = socket.written.at(-1);
+  return frame[0] === 0x88 ? frame.readUInt16BE(2) : null;
+};
+
+describe("acceptWebSocket", () => {
+  it("answers the handshake with the accept key", () => {
+    const socket = createSocket();
+
+    const connection = acceptWebSocket(handshake(), socket, Buffer.alloc(0), { onMessage() {}, onClose() {} });
+
+    expect(connection).not.toBeNull();
+    const response = socket.written[0].toString();
+    expect(response).toMatch(/^HTTP\/1\.1 101 Switching Protocols\r\n/);
+    // The example from RFC 6455
+    expect(response).toContain("Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=\r\n");
+  });
+
+  it("refuses requests that are not a WebSocket handshake", () => {
+    const socket = createSocket();
+
+    const connection = acceptWebSocket(handshake({ "sec-websocket-version": "8" }), socket, Buffer.alloc(0), {});
+
+    expect(connection).toBeNull();
+    expect(socket.written[0].toString()).toMatch(/^HTTP\/1\.1 400 Bad Request\r\n/);
+    expect(socket.ended).toBe(true);
+  });
+});
+
+describe("WebSocketConnection", () => {
+  it("reads masked text messages, also when they arrive in pieces", () => {
+    const { socket, onMessage } = open();
+    const frames = Buffer.concat([clientFrame(0x1, "hello"), clientFrame(0x1, "x".repeat(200))]);
+
+    socket.emit("data", frames.subarray(0, 3));
+    socket.emit("data", frames.subarray(3, 20));
+    socket.emit("data", frames.subarray(20));
+
+    expect(onMessage.mock.calls).toEqual([["hello"], ["x".repeat(200)]]);
+  });
+
+  it("reads messages that arrived with the handshake", () => {
+    const onMessage = vi.fn();
+
+    acceptWebSocket(handshake(), createSocket(), clientFrame(0x1, "early"), { onMessage, onClose() {} });
+
+    expect(onMessage).toHaveBeenCalledWith("early");
+  });
+
+  it("sends unmasked text frames, with a longer length when needed", () => {
+    const { socket, connection } = open();
+
+    connection.send("hi");
+    connection.send("x".repeat(300));
+
+    expect([...socket.written[0]]).toEqual([0x81, 2, ...Buffer.from("hi")]);
+    expect([...socket.written[1].subarray(0, 4)]).toEqual([0x81, 126, 300 >> 8, 300 & 0xff]);
+    expect(socket.written[1]).toHaveLength(304);
+  });
+
+  it("answers a ping with a pong carrying the same data", () => {
+    const { socket } = open();
+
+    socket.emit("data", clientFrame(0x9, "are you there"));
+
+    expect([...socket.written[0]]).toEqual([0x8a, 13, ...Buffer.from("are you there")]);
+  });
+
+  it("closes on unmasked, fragmented, binary or oversized frames", () => {
+    const cases = [
+      [clientFrame(0x1, "hi", { mask: null }), CLOSE_CODES.PROTOCOL_ERROR],
+      [clientFrame(0x1, "hi", { fin: false }), CLOSE_CODES.UNSUPPORTED],
+      [clientFrame(0x2, "hi"), CLOSE_CODES.UNSUPPORTED],
+      [clientFrame(0x1, "x".repeat(5000)), CLOSE_CODES.TOO_BIG],
+    ];
+
+    for (const [frame, code] of cases) {
+      const { socket, onMessage } = open();
+      socket.emit("data", frame);
+
+      expect(closeCode(socket)).toBe(code);
+      expect(socket.ended).toBe(true);
+      expect(onMessage).not.toHaveBeenCalled();
+    }
+  });
+
+  it("answers a close and reports it once the socket closes", () => {
+    const { socket, onClose } = open();
+
+    socket.emit("data", clientFrame(0x8, ""));
+    socket.emit("close");
+
+    expect(closeCode(socket)).toBe(CLOSE_CODES.NORMAL);
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+
+  it("drops a connection that did not answer the last ping", () => {
+    const { socket, connection } = open();
+
+    connection.keepAlive();
+    socket.emit("data", clientFrame(0xa, ""));
+    connection.keepAlive();
+    expect(socket.destroyed).toBe(false);
+
+    connection.keepAlive();
+    expect(socket.destroyed).toBe(true);
+  });
+});
@@ -2,235 +2,794 @@ import { useState, useEffect, useRef } from 'react';
 import { v4 as uuidv4 } from 'uuid';
 import StarryBackground from './components/StarryBackground';
 import Candle from './components/Candle';
-import gistService from './services/gistService';
+import RoomDialog from './components/RoomDialog';
+import CandleStylePicker from './components/CandleStylePicker';
+import ModerationReview from './components/ModerationReview';
+import AdminConsole from './components/AdminConsole';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import CandleCanvas from './components/CandleCanvas';
+import CandleTarget from './components/CandleTarget';
+import SkyControls from './components/SkyControls';
+import CandleSearch from './components/CandleSearch';
+import { Lock, Palette } from 'lucide-react';
+import { getRoomStorage } from './services/storageService';
+import { StorageConflictError, StorageLoadError, StoragePermissionError, LOAD_ERROR_REASONS } from './services/storageErrors';
+import * as operations from './services/candleOperations';
+import SyncEngine from './services/syncEngine';
+import RealtimeChannel, { isRealtimeConfigured } from './services/realtime';
+import SyncStatus from './components/SyncStatus';
+import { getRoomOutbox } from './services/outbox';
+import { getIdentity, canEdit, canEditRoom, canModerate, withAuth, authFor } from './services/ownership';
+import { CANDLE_SIZE, SKY_SIZE, toPixels, fromPixels } from './services/coordinates';
+import { avoidOverlap, leastCrowdedSpot } from './services/collisions';
+import { ZOOM_STEP, centerOn, minZoom, reveal, visibleArea, zoomAt } from './services/camera';
+import { MAX_RESULTS, searchCandles } from './services/search';
+import { describeCandle, describeNewCandles } from './services/candleDescription';
+import { cleanDedication, DEDICATION_FIELDS } from './services/candleSchema';
+import { loadPreferredStyle, savePreferredStyle } from './services/candleStyles';
+import { MODERATION_STATUS, RateLimiter, checkOperation, isPendingReview, parseBlocklist, rateLimitFor } from './services/moderation';
+import { exportFilename, exportJson, exportCsv, parseImport } from './services/candleExport';
+import { candleSnapshot, snapshotFilename } from './services/candleSnapshot';
+import { DEFAULT_ROOM, roomHash, candleHash, slugify, privateSlug, resolveMeta } from './services/rooms';
+import { RENDER_MODES } from './services/renderMode';
+import useViewportSize from './hooks/useViewportSize';
+import useRoom from './hooks/useRoom';
+import useLocale from './hooks/useLocale';
+import useRenderMode from './hooks/useRenderMode';
+import useSkyCamera from './hooks/useSkyCamera';
+import useLinkedCandle from './hooks/useLinkedCandle';
+import useStableCallback from './hooks/useStableCallback';
+import useTranslation, { TranslationContext } from './hooks/useTranslation';
+
+// Words that hold a candle back for review, on top of the write proxy's own
+const BLOCKLIST = parseBlocklist(import.meta.env.VITE_MODERATION_BLOCKLIST);
+
+// Writes from this browser, see moderation.js
+const rateLimiter = new RateLimiter();
+
+// New candles go in the part of the sky on screen unless it is so crowded
+// that the nearest candle would be closer than this, in candle sizes
+const CROWDED = 1.5;
+
+// How long candles other people light glow as they appear, in milliseconds
+const ARRIVAL_GLOW = 2500;
+
+// Conflicts mean someone else was lighting candles at the same moment;
+// load errors mean the latest candles could not be read before writing
+const saveErrorMessage = (err, fallback, t) => {
+  if (err instanceof StorageConflictError) {
+    return t('error.conflict');
+  }
+  if (err instanceof StorageLoadError && err.reason === LOAD_ERROR_REASONS.RATE_LIMITED) {
+    return t('error.rateLimited');
+  }
+  if (err instanceof StorageLoadError) {
+    return t('error.unreachable');
+  }
+  return fallback;
+};
+
+// Whether a candle from storage differs from the one shown in anything
+// that is drawn
+const candleChanged = (current, next) =>
+  next.x !== current.x ||
+  next.y !== current.y ||
+  next.name !== current.name ||
+  DEDICATION_FIELDS.some(field => next.dedication?.[field] !== current.dedication?.[field]) ||
+  next.moderation?.status !== current.moderation?.status ||
+  !!next.removed !== !!current.removed;
+
+// Keep the candle objects that did not change, so memoised candles are not
+// re-rendered, or the current list itself when nothing changed at all
+const reconcileCandles = (currentCandles, nextCandles) => {
+  const currentById = new Map(currentCandles.map(candle => [candle.id, candle]));
+  let changed = currentCandles.length !== nextCandles.length;
+
+  const reconciled = nextCandles.map(next => {
+    const current = currentById.get(next.id);
+    if (current && !candleChanged(current, next)) {
+      return current;
+    }
+    changed = true;
+    return next;
+  });
+
+  return changed ? reconciled : currentCandles;
+};
+
+// Offer text or a file as a download
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Some browsers start the download only after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// One memorial room. Each room has its own candles, storage and queue of
+// unsaved changes; App remounts this when the room in the URL changes.
+function Memorial({ room, onLocaleChange }) {
+  const t = useTranslation();
+  const storage = getRoomStorage(room);
+  const outbox = getRoomOutbox(room);
 
-function App() {
   const [candles, setCandles] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const [focusCandleId, setFocusCandleId] = useState(null);
+  const [syncStatus, setSyncStatus] = useState(null);
+  const [pendingCandleIds, setPendingCandleIds] = useState(() => outbox.pendingCandleIds());
+  const [identity, setIdentity] = useState(null);
+  const [roomMeta, setRoomMeta] = useState({});
+  const [roomDialog, setRoomDialog] = useState(null);
+  const [candleStyle, setCandleStyle] = useState(loadPreferredStyle);
+  const [showStylePicker, setShowStylePicker] = useState(false);
+  const [showReview, setShowReview] = useState(false);
+  const [showAdmin, setShowAdmin] = useState(false);
+  const [activeCandleIds, setActiveCandleIds] = useState(() => new Set());
+  const [hoveredCandleId, setHoveredCandleId] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [presence, setPresence] = useState(null);
+  const [arrivingCandleIds, setArrivingCandleIds] = useState(() => new Set());
+  const viewport = useViewportSize();
+  const { camera, setCamera, flyTo, isFlying, skyRef, skyHandlers } = useSkyCamera(viewport);
+  const linkedCandleId = useLinkedCandle();
   
   // Simple flag to prevent polling conflicts during user actions
   const skipNextPoll = useRef(false);
-  const pollingInterval = useRef(null);
+  const syncEngine = useRef(null);
+  const realtime = useRef(null);
 
-  // Simple polling function - just load and update
-  const pollForUpdates = async () => {
-    // Skip this poll if we just made a change
+  // The add button and search, which with the header above them cover the
+  // top of the sky
+  const controlsRef = useRef(null);
+
+  // Which of our candles "find my candle" showed last
+  const foundCandleId = useRef(null);
+
+  // The candle a shared link pointed at, once it has been shown
+  const shownLinkId = useRef(null);
+
+  // Candles already shown, so only new ones are announced; null until the
+  // first load
+  const seenCandleIds = useRef(null);
+
+  // Apply candles from storage if they differ from what we show. Changes
+  // still waiting in the outbox are re-applied on top.
+  const applyRemoteCandles = (storedCandles) => {
+    const remoteCandles = outbox.applyPending(storedCandles);
+
+    // Skip this update if we just made a change, and make sure the next
+    // poll downloads the candles again instead of getting a 304
     if (skipNextPoll.current) {
       skipNextPoll.current = false;
+      syncEngine.current?.invalidate();
       return;
     }
 
-    try {
-      const remoteCandles = await gistService.loadCandles();
-      
-      // Only update if we actually have data and it's different
-      if (remoteCandles && remoteCandles.length >= 0) {
-        setCandles(currentCandles => {
-          // More robust comparison - check length first, then content
-          if (currentCandles.length !== remoteCandles.length) {
-            console.log('Candles count changed:', currentCandles.length, '->', remoteCandles.length);
-            return remoteCandles;
-          }
-
-          // Check if any candle has changed (position, name, etc.)
-          const hasChanges = currentCandles.some(current => {
-            const remote = remoteCandles.find(r => r.id === current.id);
-            return !remote ||
-              remote.x !== current.x ||
-              remote.y !== current.y ||
-              remote.name !== current.name;
-          }) || remoteCandles.some(remote => {
-            return !currentCandles.find(c => c.id === remote.id);
-          });
-
-          if (hasChanges) {
-            console.log('Candle changes detected, updating...');
-            return remoteCandles;
-          }
-
-          return currentCandles;
-        });
-      }
-    } catch (err) {
-      console.error('Polling failed:', err);
-      // Don't show errors for polling failures to avoid spam
+    announceNewCandles(remoteCandles);
+
+    setCandles(currentCandles => reconcileCandles(currentCandles, remoteCandles));
+  };
+
+  // Tell screen reader users about candles other people light
+  const announceNewCandles = async (remoteCandles) => {
+    // Candles waiting for review are announced once they are approved
+    const visible = operations.visibleCandles(remoteCandles).filter(c => !isPendingReview(c));
+    const seen = seenCandleIds.current;
+    seenCandleIds.current = new Set([...(seen ?? []), ...visible.map(c => c.id)]);
+
+    if (!seen) return;
+
+    const { ownerHash } = await getIdentity();
+    const lit = visible.filter(c => !seen.has(c.id) && c.ownerHash !== ownerHash);
+    if (lit.length > 0) {
+      setAnnouncement(describeNewCandles(lit, t));
+      showArrival(lit.map(c => c.id));
     }
   };
 
-  // Start polling every second
+  // Candles other people light fade in with a glow, as full Candles even
+  // in canvas mode while it lasts
+  const showArrival = (ids) => {
+    setArrivingCandleIds(current => new Set([...current, ...ids]));
+    setTimeout(() => {
+      setArrivingCandleIds(current => new Set([...current].filter(id => !ids.includes(id))));
+    }, ARRIVAL_GLOW);
+  };
+
+  // Changes pushed over the realtime channel as soon as they are saved.
+  // Our own come back too, and change nothing. Before the first load they
+  // are left to it.
+  const applyPushedOperations = useStableCallback((pushed) => {
+    if (!seenCandleIds.current) return;
+    announceNewCandles(operations.applyOperations(candles, pushed));
+    setCandles(currentCandles => reconcileCandles(currentCandles, operations.applyOperations(currentCandles, pushed)));
+  });
+
+  // Work out which candles this browser owns
   useEffect(() => {
-    // Load initial data
-    const loadInitialData = async () => {
-      try {
-        setIsLoading(true);
-        const savedCandles = await gistService.loadCandles();
-        
-        if (savedCandles && savedCandles.length > 0) {
-          setCandles(savedCandles);
-        }
-      } catch (err) {
-        console.error('Failed to load initial candles:', err);
-        setError('Failed to load saved candles. Starting fresh.');
-      } finally {
-        setIsLoading(false);
-      }
-    };
+    getIdentity()
+      .then(setIdentity)
+      .catch(err => console.error('Failed to set up candle ownership:', err));
+  }, []);
 
-    loadInitialData();
+  // Load the room's candles and keep them in sync. The first poll doubles
+  // as the initial load.
+  useEffect(() => {
+    const engine = new SyncEngine(storage, {
+      onCandles: (storedCandles, meta) => {
+        setRoomMeta(meta);
+        applyRemoteCandles(storedCandles);
+      },
+      onStatus: (status) => {
+        setSyncStatus(status);
+        setIsLoading(false);
 
-    // Start simple polling every 1 second
-    pollingInterval.current = setInterval(pollForUpdates, 1000);
+        // Replay anything queued while offline or unreachable
+        if (!status.loadFailed && outbox.list().length > 0) {
+          flushOutbox({ silent: true });
+        }
+      },
+    });
+    syncEngine.current = engine;
+    engine.start();
 
     // Cleanup
     return () => {
-      if (pollingInterval.current) {
-        clearInterval(pollingInterval.current);
-      }
+      engine.stop();
+      syncEngine.current = null;
     };
+    // The room never changes for a mounted Memorial, see App below
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Hear about changes as they happen, when a realtime channel is set up;
+  // polling carries on either way, see realtime.js
+  useEffect(() => {
+    if (!isRealtimeConfigured()) return;
+
+    const channel = new RealtimeChannel(room, {
+      onOperations: applyPushedOperations,
+      onChanged: () => syncEngine.current?.pollNow(),
+      onPresence: setPresence,
+      onConnection: (connected) => syncEngine.current?.setRealtime(connected),
+    });
+    realtime.current = channel;
+    channel.start();
+
+    return () => {
+      channel.stop();
+      realtime.current = null;
+    };
+  }, [room, applyPushedOperations]);
+
+  const meta = resolveMeta(room, roomMeta, {
+    title: t('app.defaultTitle'),
+    subtitle: t('app.defaultSubtitle'),
+  });
+  const isModerator = canModerate(roomMeta, identity);
+
+  useEffect(() => {
+    document.title = meta.title;
+  }, [meta.title]);
+
+  // Save queued operations once the memorial is reachable again. Writes
+  // wait while the last load failed, so a failed load can never be
+  // mistaken for an empty memorial and saved over everyone's candles.
+  const flushOutbox = async ({ silent = false } = {}) => {
+    if (navigator.onLine === false || (syncEngine.current?.status.loadFailed ?? true)) {
+      return;
+    }
+    // The backend asked us to wait; the changes stay queued until then
+    if (outbox.rateLimitedUntil()) {
+      if (!silent) {
+        setError(t('error.rateLimited'));
+      }
+      return;
+    }
+
+    try {
+      const mergedCandles = await outbox.flush(storage);
+      if (mergedCandles) {
+        setCandles(currentCandles => reconcileCandles(currentCandles, outbox.applyPending(mergedCandles)));
+        realtime.current?.notifyChanged();
+      }
+    } catch (err) {
+      console.error('Failed to save queued changes:', err);
+      if (!silent) {
+        setError(saveErrorMessage(err, t('error.saveQueued'), t));
+      }
+    } finally {
+      setPendingCandleIds(outbox.pendingCandleIds());
+    }
+  };
+
+  // Only a candle's owner, or an admin, may change it
+  const ownsCandle = (id) => {
+    const candle = candles.find(c => c.id === id);
+    return !!candle && canEdit(candle, identity);
+  };
+
+  // Apply operations locally right away, queue them, then try to save
+  // them on top of the latest stored candles
+  const commitOperations = async (unsignedOperations, options) => {
+    const moderated = isModerator ? unsignedOperations : moderateOperations(unsignedOperations);
+    if (!moderated) return;
+
+    // Before anything async, so a dropped candle never jumps back
+    setCandles(current => operations.applyOperations(current, moderated));
+
+    const currentIdentity = await getIdentity();
+    const signed = moderated.map(operation => withAuth(operation, currentIdentity));
+    signed.forEach(operation => outbox.enqueue(operation));
+    setPendingCandleIds(outbox.pendingCandleIds());
+    await flushOutbox(options);
+  };
+
+  // Rate limit this browser's writes and hold back candles whose words need
+  // review. Moderators are trusted, and the write proxy checks the same
+  // again. Returns the operations to save, or nothing when over the limit;
+  // a batch is saved whole or not at all.
+  const moderateOperations = (unsignedOperations) => {
+    const limits = unsignedOperations.map(rateLimitFor);
+    if (!rateLimiter.takeAll(limits, 'self').allowed) {
+      setError(limits.includes('add') ? t('error.tooManyCandles') : t('error.tooManyChanges'));
+      return null;
+    }
+
+    return unsignedOperations.flatMap(operation => {
+      const reason = checkOperation(operation, { blocklist: BLOCKLIST });
+      if (!reason) return [operation];
+
+      setNotice(t('notice.heldForReview'));
+      return [
+        operation,
+        operations.moderateCandle(operation.candleId, { status: MODERATION_STATUS.PENDING, reason }),
+      ];
+    });
+  };
+
+  // Positions of the candles other than this one, in sky pixels
+  const otherPositions = (id) => operations.visibleCandles(candles)
+    .filter(c => c.id !== id)
+    .map(c => toPixels(c.x, c.y, SKY_SIZE));
+
+  // Nudge a candle off the others, in sky pixels
+  const findFreeSpot = (id, pixelX, pixelY) =>
+    avoidOverlap({ x: pixelX, y: pixelY }, otherPositions(id), SKY_SIZE);
+
+  // Somewhere with room for a new candle: on screen below the header if
+  // there is space there, otherwise wherever in the sky is least crowded
+  const placeNewCandle = (id) => {
+    const others = otherPositions(id);
+    const shown = visibleArea(camera, viewport);
+    const covered = (controlsRef.current?.getBoundingClientRect().bottom ?? 0) / camera.zoom;
+    const onScreen = leastCrowdedSpot(
+      others,
+      { ...shown, y: shown.y + covered, height: Math.max(shown.height - covered, CANDLE_SIZE.height) },
+      SKY_SIZE
+    );
+    if (onScreen.clearance >= CROWDED) {
+      return onScreen;
+    }
+
+    const anywhere = leastCrowdedSpot(others, { x: 0, y: 0, ...SKY_SIZE }, SKY_SIZE);
+    return anywhere.clearance > onScreen.clearance ? anywhere : onScreen;
+  };
+
+  const commitOperation = (unsignedOperation, options) =>
+    commitOperations([unsignedOperation], options);
+
+  const chooseCandleStyle = (style) => {
+    setCandleStyle(style);
+    savePreferredStyle(style);
+  };
+
   const addCandle = async () => {
     // Skip next few polls since we're making a change
     skipNextPoll.current = true;
     setTimeout(() => { skipNextPoll.current = false; }, 2000);
 
-    const x = Math.random() * (window.innerWidth - 100) + 50;
-    const y = Math.random() * (window.innerHeight - 200) + 100;
+    // Positions are fractions of the sky, away from other candles; the
+    // camera follows if the candle went off screen
+    const id = uuidv4();
+    const spot = placeNewCandle(id);
+    const { x, y } = fromPixels(spot.x, spot.y, SKY_SIZE);
+    setCamera(current => reveal(current, { x: spot.x, y: spot.y, ...CANDLE_SIZE }, viewport));
 
+    const { ownerHash } = await getIdentity();
     const newCandle = {
-      id: uuidv4(),
+      id,
       x,
       y,
       name: '',
+      ownerHash,
+      createdAt: Date.now(),
+      style: candleStyle,
     };
 
-    // Update local state immediately
-    const updatedCandles = [...candles, newCandle];
-    setCandles(updatedCandles);
-
-    // Save to gist
-    try {
-      // Get latest data first, then add our candle
-      const latestCandles = await gistService.loadCandles();
-      const mergedCandles = [...latestCandles, newCandle];
-      await gistService.saveCandles(mergedCandles);
-      
-      // Update our local state with the merged result
-      setCandles(mergedCandles);
-    } catch (err) {
-      console.error('Failed to save new candle:', err);
-      setError('Failed to save candle. Please try again.');
-      // Reload from server to get back in sync
-      try {
-        const serverCandles = await gistService.loadCandles();
-        setCandles(serverCandles);
-      } catch (reloadErr) {
-        console.error('Failed to reload candles after error:', reloadErr);
-      }
-    }
+    setFocusCandleId(newCandle.id);
+    await commitOperation(operations.addCandle(newCandle));
   };
 
   const updateCandleName = async (id, name) => {
+    if (!ownsCandle(id)) return;
+
     skipNextPoll.current = true;
     setTimeout(() => { skipNextPoll.current = false; }, 2000);
 
-    // Update locally first
-    const updatedCandles = candles.map(candle =>
-      candle.id === id ? { ...candle, name } : candle
-    );
-    setCandles(updatedCandles);
+    await commitOperation(operations.renameCandle(id, name));
+  };
 
-    // Save to gist
-    try {
-      const latestCandles = await gistService.loadCandles();
-      const mergedCandles = latestCandles.map(candle =>
-        candle.id === id ? { ...candle, name } : candle
-      );
-      await gistService.saveCandles(mergedCandles);
-      setCandles(mergedCandles);
-    } catch (err) {
-      console.error('Failed to update candle name:', err);
-      setError('Failed to save name change. Please try again.');
-      // Reload from server
-      try {
-        const serverCandles = await gistService.loadCandles();
-        setCandles(serverCandles);
-      } catch (reloadErr) {
-        console.error('Failed to reload after name update error:', reloadErr);
-      }
-    }
+  const updateCandleDedication = async (id, dedication) => {
+    if (!ownsCandle(id)) return;
+
+    skipNextPoll.current = true;
+    setTimeout(() => { skipNextPoll.current = false; }, 2000);
+
+    await commitOperation(operations.dedicateCandle(id, cleanDedication(dedication)));
   };
 
-  const updateCandlePosition = async (id, x, y) => {
+  // Candle reports sky pixels; positions are stored normalised
+  const updateCandlePosition = async (id, pixelX, pixelY) => {
+    if (!ownsCandle(id)) return;
+
+    const { x, y } = fromPixels(pixelX, pixelY, SKY_SIZE);
+
     // For position updates, skip polling for a shorter time since they're frequent
     skipNextPoll.current = true;
     setTimeout(() => { skipNextPoll.current = false; }, 1000);
 
-    // Update locally first
-    const updatedCandles = candles.map(candle =>
-      candle.id === id ? { ...candle, x, y } : candle
-    );
-    setCandles(updatedCandles);
+    // Don't show errors for position updates as they're frequent
+    await commitOperation(operations.moveCandle(id, x, y), { silent: true });
+  };
+
+  const removeCandle = async (id) => {
+    if (!ownsCandle(id)) return;
+
+    skipNextPoll.current = true;
+    setTimeout(() => { skipNextPoll.current = false; }, 1000);
+
+    await commitOperation(operations.removeCandle(id));
+  };
+
+  // Moderators decide on candles waiting for review: approved candles are
+  // shown to everyone, rejected ones are removed
+  const approveCandle = async (id) => {
+    if (!isModerator) return;
+    await commitOperation(operations.moderateCandle(id, { status: MODERATION_STATUS.APPROVED }));
+  };
+
+  const rejectCandle = async (id) => {
+    if (!isModerator) return;
+    await commitOperation(operations.removeCandle(id));
+  };
+
+  // Bulk changes from the admin console. Restoring only works while the
+  // removed candles' tombstones are kept.
+  const removeCandles = async (ids) => {
+    if (!isModerator) return;
+
+    skipNextPoll.current = true;
+    setTimeout(() => { skipNextPoll.current = false; }, 2000);
+
+    await commitOperations(ids.map(operations.removeCandle));
+    setNotice(t('notice.removed', { count: ids.length }));
+  };
+
+  const restoreCandles = async (ids) => {
+    if (!isModerator) return;
+
+    skipNextPoll.current = true;
+    setTimeout(() => { skipNextPoll.current = false; }, 2000);
+
+    await commitOperations(ids.map(operations.restoreCandle));
+    setNotice(t('notice.restored', { count: ids.length }));
+  };
+
+  // Set up a new room, then go there. Private rooms get a slug nobody
+  // could guess.
+  const createRoom = async ({ title, subtitle, isPrivate }) => {
+    const slug = isPrivate ? privateSlug(title) : slugify(title) || privateSlug(title);
+    const roomStorage = getRoomStorage(slug);
 
-    // Save to gist (don't show errors for position updates as they're frequent)
     try {
-      const latestCandles = await gistService.loadCandles();
-      const mergedCandles = latestCandles.map(candle =>
-        candle.id === id ? { ...candle, x, y } : candle
+      const currentIdentity = await getIdentity();
+      const { meta: existing = {} } = await roomStorage.pollCandles();
+
+      if (existing.ownerHash && existing.ownerHash !== currentIdentity.ownerHash) {
+        setError(t('error.roomExists'));
+        return;
+      }
+
+      await roomStorage.updateMeta(
+        {
+          title,
+          subtitle,
+          private: isPrivate,
+          ownerHash: currentIdentity.ownerHash,
+          createdAt: existing.createdAt ?? Date.now(),
+        },
+        { auth: authFor(currentIdentity) }
       );
-      await gistService.saveCandles(mergedCandles);
-      setCandles(mergedCandles);
+      setRoomDialog(null);
+      window.location.hash = roomHash(slug);
     } catch (err) {
-      console.error('Failed to update candle position:', err);
-      // Silently reload from server for position updates
-      try {
-        const serverCandles = await gistService.loadCandles();
-        setCandles(serverCandles);
-      } catch (reloadErr) {
-        console.error('Failed to reload after position update error:', reloadErr);
-      }
+      console.error('Failed to create room:', err);
+      setError(saveErrorMessage(err, t('error.createRoom'), t));
     }
   };
 
-  const removeCandle = async (id) => {
+  // Only the room's creator, or an admin, may change its title and
+  // settings. Returns whether the change was saved.
+  const saveRoomMeta = async (changes) => {
+    try {
+      const currentIdentity = await getIdentity();
+      // Setting up a room nobody has claimed makes it ours
+      const claim = room !== DEFAULT_ROOM && !roomMeta.ownerHash
+        ? { ownerHash: currentIdentity.ownerHash }
+        : {};
+
+      const savedMeta = await storage.updateMeta(
+        { ...changes, ...claim },
+        { auth: authFor(currentIdentity) }
+      );
+      setRoomMeta(savedMeta);
+      syncEngine.current?.invalidate();
+      realtime.current?.notifyChanged();
+      return true;
+    } catch (err) {
+      console.error('Failed to update room:', err);
+      setError(err instanceof StoragePermissionError
+        ? t('error.roomForbidden')
+        : saveErrorMessage(err, t('error.saveRoom'), t));
+      return false;
+    }
+  };
+
+  const editRoom = async ({ title, subtitle }) => {
+    if (await saveRoomMeta({ title, subtitle })) {
+      setRoomDialog(null);
+    }
+  };
+
+  const saveRoomFromConsole = async ({ title, subtitle }) => {
+    if (await saveRoomMeta({ title, subtitle })) {
+      setNotice(t('notice.roomSaved'));
+    }
+  };
+
+  // Settings are replaced as a whole, so keep the ones not being changed
+  const saveRetention = async (retention) => {
+    if (await saveRoomMeta({ settings: { ...roomMeta.settings, retention } })) {
+      setNotice(t('notice.retentionSaved'));
+    }
+  };
+
+  const exportCandles = (format) => {
+    const content = format === 'csv'
+      ? exportCsv(candles)
+      : exportJson({ room, meta, candles });
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    downloadFile(exportFilename(room, format), content, type);
+  };
+
+  // Merge a previous export back in. Imported candles are lit again as
+  // ours; ones already in the room are left alone.
+  const importCandles = async (file) => {
+    let imported;
+    try {
+      imported = parseImport(await file.text(), file.name);
+    } catch (err) {
+      console.error('Failed to read import:', err);
+      setError(t('error.importUnreadable'));
+      return;
+    }
+
+    const known = new Set(candles.map(c => c.id));
+    const fresh = imported.candles.filter(candle => !known.has(candle.id));
+    const withSkipped = (message) => imported.skipped > 0
+      ? `${message} ${t('notice.importSkipped', { count: imported.skipped })}`
+      : message;
+
+    if (fresh.length === 0) {
+      setNotice(withSkipped(t('notice.importKnown')));
+      return;
+    }
+
+    // Imports light candles like anyone else, within the rate limit. The
+    // rest can be imported later from the same file, since candles already
+    // here are skipped.
+    const allowed = isModerator ? fresh.length : rateLimiter.remaining('add', 'self');
+    if (allowed === 0) {
+      setError(t('error.tooManyCandles'));
+      return;
+    }
+    const lit = fresh.slice(0, allowed);
+
     skipNextPoll.current = true;
-    setTimeout(() => { skipNextPoll.current = false; }, 1000);
+    setTimeout(() => { skipNextPoll.current = false; }, 2000);
+
+    const { ownerHash } = await getIdentity();
+    await commitOperations(lit.map(candle => operations.addCandle({ ...candle, ownerHash })));
 
-    // Update locally first
-    const updatedCandles = candles.filter(candle => candle.id !== id);
-    setCandles(updatedCandles);
+    const message = t('notice.imported', { count: lit.length });
+    setNotice(withSkipped(lit.length < fresh.length
+      ? `${message} ${t('notice.importLater', { count: fresh.length - lit.length })}`
+      : message));
+  };
+
+  // Share a picture of a candle where the browser can share files, as on
+  // most phones, and download it everywhere else. Browsers that only allow
+  // sharing straight after a click may refuse once the picture is ready;
+  // it is downloaded then too.
+  const shareCandle = async (id) => {
+    const candle = candles.find(c => c.id === id);
+    if (!candle) return;
 
-    // Save to gist
+    let file;
     try {
-      const latestCandles = await gistService.loadCandles();
-      const mergedCandles = latestCandles.filter(candle => candle.id !== id);
-      await gistService.saveCandles(mergedCandles);
-      setCandles(mergedCandles);
+      const image = await candleSnapshot(candle, {
+        title: meta.title,
+        fontFamily: getComputedStyle(document.body).fontFamily,
+        t,
+      });
+      file = new File([image], snapshotFilename(candle), { type: 'image/png' });
     } catch (err) {
-      console.error('Failed to remove candle:', err);
-      setError('Failed to remove candle. Please try again.');
-      // Reload from server
+      console.error('Failed to draw candle picture:', err);
+      setError(t('error.share'));
+      return;
+    }
+
+    const text = candle.name ? t('share.named', { name: candle.name }) : t('share.unnamed');
+    if (navigator.canShare?.({ files: [file] })) {
       try {
-        const serverCandles = await gistService.loadCandles();
-        setCandles(serverCandles);
-      } catch (reloadErr) {
-        console.error('Failed to reload after remove error:', reloadErr);
+        await navigator.share({ files: [file], title: meta.title, text: `${text} ${candleLink(id)}` });
+        return;
+      } catch (err) {
+        // Closing the share sheet is not an error
+        if (err.name === 'AbortError') return;
+        console.error('Failed to share candle picture:', err);
       }
     }
+    downloadFile(file.name, file, file.type);
+  };
+
+  const handleImportFile = (e) => {
+    const [file] = e.target.files;
+    // Allow choosing the same file again
+    e.target.value = '';
+    if (file) {
+      importCandles(file);
+    }
   };
 
   const dismissError = () => {
     setError(null);
   };
 
+  // Zoom around the middle of the screen
+  const zoomBy = (factor) => {
+    const middle = { x: viewport.width / 2, y: viewport.height / 2 };
+    setCamera(current => zoomAt(current, current.zoom * factor, middle, viewport));
+  };
+
+  const showWholeSky = () => {
+    setCamera(centerOn({ x: SKY_SIZE.width / 2, y: SKY_SIZE.height / 2 }, minZoom(viewport), viewport));
+  };
+
+  const goTo = (point) => {
+    setCamera(current => centerOn(point, current.zoom, viewport));
+  };
+
+  // Pan a candle that gets focus, e.g. with Tab, onto the screen, unless
+  // the camera is already on its way to it
+  const revealFocused = (e) => {
+    const candle = e.target.closest('[data-candle]');
+    if (!candle || isFlying()) return;
+    const area = { x: candle.offsetLeft, y: candle.offsetTop, ...CANDLE_SIZE };
+    setCamera(current => reveal(current, area, viewport));
+  };
+
+  // Removed candles stay in state as tombstones until they expire
+  // Candles waiting for review are shown only to their author and moderators
+  const shownCandles = operations.visibleCandles(candles)
+    .filter(candle => !isPendingReview(candle) || isModerator || canEdit(candle, identity));
+  const pendingReview = isModerator ? shownCandles.filter(isPendingReview) : [];
+
+  // In canvas mode only the candles someone is interacting with, ones with
+  // a marker and ones just lit are full Candles; the rest are painted, see
+  // renderMode.js
+  const renderMode = useRenderMode(shownCandles.length);
+  const isCanvas = renderMode === RENDER_MODES.CANVAS;
+  const interactiveIds = new Set([...activeCandleIds, hoveredCandleId, focusCandleId, ...pendingCandleIds, ...arrivingCandleIds]);
+  const isInDom = (candle) => !isCanvas || interactiveIds.has(candle.id) || isPendingReview(candle);
+
+  // Candles are memoised, so they get callbacks that keep their identity
+  const onNameChange = useStableCallback(updateCandleName);
+  const onDedicationChange = useStableCallback(updateCandleDedication);
+  const onPositionChange = useStableCallback(updateCandlePosition);
+  const onRemove = useStableCallback(removeCandle);
+  const onShare = useStableCallback(shareCandle);
+  const resolveDrop = useStableCallback(findFreeSpot);
+  const getZoom = useStableCallback(() => camera.zoom);
+
+  // Our own candles, newest first; "find my candle" goes through them in turn
+  const ownCandles = identity
+    ? shownCandles
+      .filter(candle => candle.ownerHash === identity.ownerHash)
+      .sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0))
+    : [];
+
+  // Fly to a candle, close enough to read its name, and focus it
+  const showCandle = (candle) => {
+    const position = toPixels(candle.x, candle.y, SKY_SIZE);
+    const middle = { x: position.x + CANDLE_SIZE.width / 2, y: position.y + CANDLE_SIZE.height / 2 };
+    flyTo(centerOn(middle, Math.max(camera.zoom, 1), viewport));
+    setFocusCandleId(candle.id);
+  };
+
+  const findMyCandle = () => {
+    const index = ownCandles.findIndex(candle => candle.id === foundCandleId.current);
+    const candle = ownCandles[(index + 1) % ownCandles.length];
+    foundCandleId.current = candle.id;
+    showCandle(candle);
+  };
+
+  // Candles matching the search are highlighted, and the best listed
+  const searchResults = searchCandles(shownCandles, searchQuery);
+  const highlightedIds = new Set(searchResults.map(result => result.candle.id));
+
+  const candleLink = (id) => new URL(candleHash(room, id), window.location.href).href;
+
+  // Open a shared link at its candle once the candles have loaded
+  const hasLoaded = !!syncStatus?.lastSyncedAt;
+  useEffect(() => {
+    if (!hasLoaded || !linkedCandleId || shownLinkId.current === linkedCandleId) {
+      return;
+    }
+    shownLinkId.current = linkedCandleId;
+
+    const candle = shownCandles.find(c => c.id === linkedCandleId);
+    if (candle) {
+      showCandle(candle);
+    } else {
+      setNotice(t('notice.candleNotFound'));
+    }
+    // Only when the link changes or the candles first arrive
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [hasLoaded, linkedCandleId]);
+
+  // A candle goes back on the canvas once it is no longer hovered,
+  // focused, dragged, edited or open
+  const setCandleActive = useStableCallback((id, isActive) => {
+    setActiveCandleIds(current => {
+      const next = new Set(current);
+      if (isActive) {
+        next.add(id);
+      } else {
+        next.delete(id);
+      }
+      return next;
+    });
+    if (!isActive) {
+      setHoveredCandleId(hovered => (hovered === id ? null : hovered));
+      setFocusCandleId(focused => (focused === id ? null : focused));
+    }
+  });
+
   if (isLoading) {
     return (
       <div className="w-full h-screen overflow-hidden relative flex items-center justify-center">
         <StarryBackground />
         <div className="relative z-20 text-center">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-white mx-auto mb-4"></div>
-          <p className="text-white text-lg">Loading memorial candles...</p>
+          <p className="text-white text-lg">{t('app.loading')}</p>
         </div>
       </div>
     );
@@ -238,8 +797,23 @@ function App() {
 
   return (
     <div className="w-full h-screen overflow-hidden relative">
-      {/* Starry background */}
-      <StarryBackground />
+      {/* Starry background, or the canvas with the sky and painted candles */}
+      {isCanvas ? (
+        <CandleCanvas
+          viewport={viewport}
+          camera={camera}
+          candles={shownCandles.filter(candle => !isInDom(candle)).map(candle => ({
+            ...toPixels(candle.x, candle.y, SKY_SIZE),
+            id: candle.id,
+            name: candle.name,
+            style: candle.style,
+            isEditable: canEdit(candle, identity),
+            isHighlighted: highlightedIds.has(candle.id),
+          }))}
+        />
+      ) : (
+        <StarryBackground />
+      )}
           
       {/* Error notification */}
       {error && (
@@ -248,7 +822,24 @@ function App() {
             <span className="text-sm">{error}</span>
             <button 
               onClick={dismissError}
-              className="ml-4 text-white hover:text-gray-200"
+              aria-label={t('app.dismiss')}
+              className="ms-4 text-white hover:text-gray-200"
+            >
+              ×
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Notice */}
+      {notice && !error && (
+        <div className="fixed top-4 left-1/2 transform -translate-x-1/2 z-50 bg-gray-800 text-white px-4 py-2 rounded-lg shadow-lg">
+          <div className="flex items-center justify-between">
+            <span className="text-sm">{notice}</span>
+            <button
+              onClick={() => setNotice(null)}
+              aria-label={t('app.dismiss')}
+              className="ms-4 text-white hover:text-gray-200"
             >
               ×
             </button>
@@ -256,58 +847,259 @@ function App() {
         </div>
       )}
 
-      {/* Header */}
-      <div className="relative z-20 text-center pt-8 px-4">
-        <h1 className="text-white text-2xl md:text-4xl font-bold mb-2 drop-shadow-lg">
-          Memorial Candles
+      {/* Header, letting the sky be dragged around its text */}
+      <div className="relative z-20 text-center pt-8 px-4 pointer-events-none *:pointer-events-auto">
+        <h1 dir="auto" className="text-white text-2xl md:text-4xl font-bold mb-2 drop-shadow-lg">
+          {meta.title}
         </h1>
-        <p className="text-white text-sm md:text-lg opacity-90 mb-6 drop-shadow-md">
-          Light a candle in memory of precious little ones.
-        </p>
+        {meta.subtitle && (
+          <p dir="auto" className="text-white text-sm md:text-lg opacity-90 mb-3 drop-shadow-md">
+            {meta.subtitle}
+          </p>
+        )}
+        <div className="flex flex-wrap justify-center gap-4 text-white text-xs opacity-75 mb-6 drop-shadow-md">
+          {room !== DEFAULT_ROOM && (
+            <a href={roomHash(DEFAULT_ROOM)} className="hover:underline">
+              {t('app.mainMemorial')}
+            </a>
+          )}
+          {meta.private && (
+            <span className="inline-flex items-center gap-1">
+              <Lock size={12} /> {t('app.privateRoom')}
+            </span>
+          )}
+          {canEditRoom(room, roomMeta, identity) && (
+            <button onClick={() => setRoomDialog('edit')} className="hover:underline">
+              {t('app.editRoom')}
+            </button>
+          )}
+          {isModerator && (
+            <button onClick={() => setShowReview(true)} className="hover:underline">
+              {t('app.review', { count: pendingReview.length })}
+            </button>
+          )}
+          {isModerator && (
+            <button onClick={() => setShowAdmin(true)} className="hover:underline">
+              {t('app.manageRoom')}
+            </button>
+          )}
+          <button onClick={() => setRoomDialog('create')} className="hover:underline">
+            {t('app.createRoom')}
+          </button>
+          <button onClick={() => exportCandles('json')} className="hover:underline">
+            {t('app.exportJson')}
+          </button>
+          <button onClick={() => exportCandles('csv')} className="hover:underline">
+            {t('app.exportCsv')}
+          </button>
+          <label className="hover:underline cursor-pointer">
+            {t('app.import')}
+            <input
+              type="file"
+              accept=".json,.csv,application/json,text/csv"
+              onChange={handleImportFile}
+              className="hidden"
+            />
+          </label>
+          <LanguageSwitcher onChange={onLocaleChange} />
+        </div>
       </div>
 
+      {roomDialog && (
+        <RoomDialog
+          key={roomDialog}
+          isNew={roomDialog === 'create'}
+          initialMeta={roomDialog === 'edit' ? meta : null}
+          onSubmit={roomDialog === 'create' ? createRoom : editRoom}
+          onCancel={() => setRoomDialog(null)}
+        />
+      )}
+
+      {showReview && (
+        <ModerationReview
+          candles={pendingReview}
+          onApprove={approveCandle}
+          onReject={rejectCandle}
+          onClose={() => setShowReview(false)}
+        />
+      )}
+
+      {showAdmin && isModerator && (
+        <AdminConsole
+          meta={meta}
+          candles={candles}
+          onRemove={removeCandles}
+          onRestore={restoreCandles}
+          onSaveRoom={saveRoomFromConsole}
+          onSaveRetention={saveRetention}
+          onClose={() => setShowAdmin(false)}
+        />
+      )}
+
       {/* Add candle button */}
-      <div className="relative z-20 text-center mb-8">
+      <div ref={controlsRef} className="relative z-20 text-center mb-8 pointer-events-none *:pointer-events-auto">
         <button
           onClick={addCandle}
           className="bg-gradient-to-r from-pink-400 to-blue-500 hover:from-pink-500 hover:to-blue-600 text-white font-semibold py-3 px-6 rounded-full shadow-lg transform hover:scale-105 transition-all duration-200 text-sm md:text-base"
         >
-          Light a Candle
+          {t('app.lightCandle')}
+        </button>
+        <button
+          onClick={() => setShowStylePicker(!showStylePicker)}
+          aria-expanded={showStylePicker}
+          aria-controls="candle-style-picker"
+          title={t('app.candleStyle')}
+          className="ms-2 p-3 align-middle rounded-full text-white hover:bg-white hover:bg-opacity-10"
+        >
+          <Palette aria-hidden="true" className="h-5 w-5" />
+          <span className="sr-only">{t('app.candleStyle')}</span>
         </button>
+        {showStylePicker && (
+          <div id="candle-style-picker">
+            <CandleStylePicker value={candleStyle} onChange={chooseCandleStyle} />
+          </div>
+        )}
+        {shownCandles.length > 0 && (
+          <CandleSearch
+            query={searchQuery}
+            results={searchResults.slice(0, MAX_RESULTS)}
+            total={searchResults.length}
+            onQueryChange={setSearchQuery}
+            onChoose={showCandle}
+          />
+        )}
       </div>
 
+      {/* Reconnecting notice, instead of an empty sky when loading failed */}
+      {syncStatus?.loadFailed && shownCandles.length === 0 && (
+        <div className="relative z-20 text-center px-4 pointer-events-none">
+          <p className="text-white text-xs md:text-sm opacity-75 drop-shadow-md">
+            {t('app.reconnecting')}
+          </p>
+        </div>
+      )}
+
       {/* Instructions */}
-      {candles.length === 0 && (
-        <div className="relative z-20 text-center px-4">
+      {!syncStatus?.loadFailed && shownCandles.length === 0 && (
+        <div className="relative z-20 text-center px-4 pointer-events-none">
           <p className="text-white text-xs md:text-sm opacity-75 drop-shadow-md">
-            Click the button above to light your first candle
+            {t('app.firstCandle')}
           </p>
         </div>
       )}
 
-      {candles.length > 0 && (
-        <div className="relative z-20 text-center px-4 mb-4">
+      {shownCandles.length > 0 && (
+        <div className="relative z-20 text-center px-4 mb-4 pointer-events-none">
           <p className="text-white text-xs opacity-75 drop-shadow-md">
-            Drag candles to move them • Click names to edit
+            {t('app.instructions')}
           </p>
         </div>
       )}
 
-      {/* Candles */}
-      {candles.map((candle) => (
-        <Candle
-          key={candle.id}
-          id={candle.id}
-          initialX={candle.x}
-          initialY={candle.y}
-          name={candle.name}
-          onNameChange={updateCandleName}
-          onPositionChange={updateCandlePosition}
-          onRemove={removeCandle}
-        />
-      ))}
+      {/* Sync status */}
+      <SyncStatus status={syncStatus} presence={presence} />
+
+      <SkyControls
+        candles={shownCandles.map(candle => ({
+          ...toPixels(candle.x, candle.y, SKY_SIZE),
+          isOwn: !!identity && candle.ownerHash === identity.ownerHash,
+          isHighlighted: highlightedIds.has(candle.id),
+        }))}
+        camera={camera}
+        viewport={viewport}
+        canFindMine={ownCandles.length > 0}
+        onZoomIn={() => zoomBy(ZOOM_STEP)}
+        onZoomOut={() => zoomBy(1 / ZOOM_STEP)}
+        onShowAll={showWholeSky}
+        onFindMine={findMyCandle}
+        onNavigate={goTo}
+      />
+
+      {/* Screen reader announcements and keyboard help */}
+      <div className="sr-only" aria-live="polite">
+        {announcement}
+      </div>
+      <p id="candle-keyboard-help" className="sr-only">
+        {t('app.keyboardHelp')}
+      </p>
+
+      {/* The sky the camera looks at, with the candles, and stand-ins for
+          the painted ones in canvas mode. Focusing a candle never scrolls
+          it; the camera pans to it instead. */}
+      <div
+        ref={skyRef}
+        onFocus={revealFocused}
+        onScroll={(e) => e.currentTarget.scrollTo(0, 0)}
+        className="fixed inset-0 overflow-hidden touch-none"
+        {...skyHandlers}
+      >
+        <div
+          className="absolute top-0 left-0 origin-top-left"
+          style={{
+            width: `${SKY_SIZE.width}px`,
+            height: `${SKY_SIZE.height}px`,
+            transform: `translate(${-camera.x * camera.zoom}px, ${-camera.y * camera.zoom}px) scale(${camera.zoom})`,
+          }}
+        >
+          {shownCandles.map((candle) => {
+            const position = toPixels(candle.x, candle.y, SKY_SIZE);
+            if (!isInDom(candle)) {
+              return (
+                <CandleTarget
+                  key={candle.id}
+                  id={candle.id}
+                  x={position.x}
+                  y={position.y}
+                  label={describeCandle(candle, t)}
+                  describedBy={canEdit(candle, identity) ? 'candle-keyboard-help' : undefined}
+                  onHover={setHoveredCandleId}
+                  onActivate={setFocusCandleId}
+                />
+              );
+            }
+            return (
+              <Candle
+                key={candle.id}
+                id={candle.id}
+                initialX={position.x}
+                initialY={position.y}
+                name={candle.name}
+                createdAt={candle.createdAt}
+                candleStyle={candle.style}
+                dedication={candle.dedication}
+                link={candleLink(candle.id)}
+                isPending={pendingCandleIds.has(candle.id)}
+                isUnderReview={isPendingReview(candle)}
+                isEditable={canEdit(candle, identity)}
+                isHighlighted={highlightedIds.has(candle.id)}
+                isArriving={arrivingCandleIds.has(candle.id)}
+                autoFocus={candle.id === focusCandleId}
+                instructionsId="candle-keyboard-help"
+                getZoom={getZoom}
+                resolveDrop={resolveDrop}
+                onNameChange={onNameChange}
+                onDedicationChange={onDedicationChange}
+                onPositionChange={onPositionChange}
+                onRemove={onRemove}
+                onShare={onShare}
+                onActiveChange={isCanvas ? setCandleActive : undefined}
+              />
+            );
+          })}
+        </div>
+      </div>
     </div>
   );
 }
 
+function App() {
+  const room = useRoom();
+  const [t, chooseLocale] = useLocale();
+  return (
+    <TranslationContext.Provider value={t}>
+      <Memorial key={room} room={room} onLocaleChange={chooseLocale} />
+    </TranslationContext.Provider>
+  );
+}
+
 export default App;
\ No newline at end of file
@@ -0,0 +1,346 @@
+import { useMemo, useState } from 'react';
+import { MAX_TITLE_LENGTH, MAX_SUBTITLE_LENGTH } from '../services/rooms';
+import { resolveRetentionPolicy, validateRetentionPolicy } from '../services/retention';
+import { isPendingReview } from '../services/moderation';
+import { describeActivity, recentActivity } from '../services/activity';
+import { timeAgo } from '../services/candleDescription';
+import useTranslation from '../hooks/useTranslation';
+
+const STATUSES = ['shown', 'pending', 'removed'];
+
+const statusOf = (candle) => {
+  if (candle.removed) return 'removed';
+  return isPendingReview(candle) ? 'pending' : 'shown';
+};
+
+// Comparers by sort order, given a collator for the visitor's language
+const SORTS = {
+  newest: () => (a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0),
+  oldest: () => (a, b) => (a.createdAt ?? 0) - (b.createdAt ?? 0),
+  name: (collator) => (a, b) => collator.compare(a.name || '', b.name || ''),
+};
+
+// Retention limits as form fields; empty means no limit
+const RETENTION_FIELDS = ['maxAgeDays', 'namedMaxAgeDays', 'maxCount'];
+
+const fieldClassName = 'w-full px-3 py-2 rounded bg-gray-800 border border-gray-600 text-white';
+
+const policyFromForm = ({ neverExpire, ...limits }) => {
+  if (neverExpire) return { neverExpire: true };
+  return Object.fromEntries(
+    Object.entries(limits)
+      .filter(([, value]) => value !== '')
+      .map(([field, value]) => [field, Number(value)])
+  );
+};
+
+// Like describeRetentionPolicy() in retention.js, in the visitor's language
+const describePolicy = (policy, t) => {
+  const rules = RETENTION_FIELDS
+    .filter(field => policy[field])
+    .map(field => t(`admin.policy.${field}`, { count: policy[field] }));
+  return policy.neverExpire || rules.length === 0
+    ? t('admin.policy.neverExpire')
+    : new Intl.ListFormat(t.locale).format(rules);
+};
+
+// Room management for moderators: every candle in the room, including
+// ones removed within the last day, with bulk remove and restore, the
+// room's title and retention policy, and what happened recently. Works on
+// the same candles and storage calls as the memorial itself. Sits below
+// the error and notice banners, so the outcome of a save stays visible.
+const AdminConsole = ({ meta, candles, onRemove, onRestore, onSaveRoom, onSaveRetention, onClose }) => {
+  const t = useTranslation();
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState('all');
+  const [sort, setSort] = useState('newest');
+  const [selected, setSelected] = useState(() => new Set());
+  const [title, setTitle] = useState(meta.title);
+  const [subtitle, setSubtitle] = useState(meta.subtitle);
+  const [retention, setRetention] = useState(() => {
+    const policy = resolveRetentionPolicy(meta.settings);
+    return {
+      neverExpire: !!policy.neverExpire,
+      ...Object.fromEntries(RETENTION_FIELDS.map(field => [field, String(policy[field] ?? '')])),
+    };
+  });
+  const [isSaving, setIsSaving] = useState(false);
+  const collator = useMemo(() => new Intl.Collator(t.locale), [t.locale]);
+
+  const listed = useMemo(() => {
+    const words = query.trim().toLowerCase();
+    return candles
+      .filter(candle => status === 'all' || statusOf(candle) === status)
+      .filter(candle => !words ||
+        [candle.name, candle.dedication?.message, candle.dedication?.litBy]
+          .some(text => text?.toLowerCase().includes(words)))
+      .sort(SORTS[sort](collator));
+  }, [candles, query, status, sort, collator]);
+
+  const activity = useMemo(() => recentActivity(candles), [candles]);
+
+  // Only what is still listed can be acted on
+  const chosen = listed.filter(candle => selected.has(candle.id));
+  const removable = chosen.filter(candle => !candle.removed).map(candle => candle.id);
+  const restorable = chosen.filter(candle => candle.removed).map(candle => candle.id);
+  const allChosen = listed.length > 0 && chosen.length === listed.length;
+
+  const toggle = (id) => {
+    const next = new Set(selected);
+    if (next.has(id)) {
+      next.delete(id);
+    } else {
+      next.add(id);
+    }
+    setSelected(next);
+  };
+
+  const toggleAll = () => {
+    setSelected(allChosen ? new Set() : new Set(listed.map(candle => candle.id)));
+  };
+
+  // Runs one save at a time, so a slow save cannot be started twice
+  const save = async (action) => {
+    setIsSaving(true);
+    try {
+      await action();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const bulk = (action, ids) => save(async () => {
+    await action(ids);
+    setSelected(new Set());
+  });
+
+  const policy = policyFromForm(retention);
+  const retentionProblem = validateRetentionPolicy(policy);
+
+  const handleRoomSubmit = (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+    save(() => onSaveRoom({ title: title.trim(), subtitle: subtitle.trim() }));
+  };
+
+  const handleRetentionSubmit = (e) => {
+    e.preventDefault();
+    if (retentionProblem) return;
+    save(() => onSaveRetention(policy));
+  };
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center bg-black bg-opacity-60 px-4">
+      <div
+        role="dialog"
+        aria-labelledby="admin-console-title"
+        className="w-full max-w-3xl max-h-[90vh] overflow-y-auto bg-gray-900 text-white rounded-lg shadow-lg p-6"
+      >
+        <div className="flex items-start justify-between gap-4 mb-4">
+          <h2 id="admin-console-title" className="text-lg font-semibold">
+            {t('admin.title', { title: meta.title })}
+          </h2>
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-full text-sm hover:bg-gray-800"
+            autoFocus
+          >
+            {t('admin.close')}
+          </button>
+        </div>
+
+        <section aria-labelledby="admin-candles-title" className="mb-8">
+          <h3 id="admin-candles-title" className="font-semibold mb-2">
+            {t('admin.candles', { count: candles.length })}
+          </h3>
+
+          <div className="flex flex-wrap gap-2 mb-3 text-sm">
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={t('admin.search')}
+              aria-label={t('admin.searchLabel')}
+              dir="auto"
+              className={`${fieldClassName} flex-1 min-w-48`}
+            />
+            <select
+              value={status}
+              onChange={(e) => setStatus(e.target.value)}
+              aria-label={t('admin.show')}
+              className="px-3 py-2 rounded bg-gray-800 border border-gray-600"
+            >
+              <option value="all">{t('admin.all')}</option>
+              {STATUSES.map(value => (
+                <option key={value} value={value}>{t(`admin.status.${value}`)}</option>
+              ))}
+            </select>
+            <select
+              value={sort}
+              onChange={(e) => setSort(e.target.value)}
+              aria-label={t('admin.sort')}
+              className="px-3 py-2 rounded bg-gray-800 border border-gray-600"
+            >
+              {Object.keys(SORTS).map(value => (
+                <option key={value} value={value}>{t(`admin.sort.${value}`)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+            <label className="inline-flex items-center gap-2 me-auto">
+              <input type="checkbox" checked={allChosen} onChange={toggleAll} disabled={listed.length === 0} />
+              {t('admin.selectAll', { count: listed.length })}
+            </label>
+            <button
+              onClick={() => bulk(onRemove, removable)}
+              disabled={isSaving || removable.length === 0}
+              className="px-3 py-1 rounded-full hover:bg-gray-800 disabled:opacity-50"
+            >
+              {t('admin.remove', { count: removable.length })}
+            </button>
+            <button
+              onClick={() => bulk(onRestore, restorable)}
+              disabled={isSaving || restorable.length === 0}
+              className="px-3 py-1 rounded-full hover:bg-gray-800 disabled:opacity-50"
+            >
+              {t('admin.restore', { count: restorable.length })}
+            </button>
+          </div>
+
+          {listed.length === 0 ? (
+            <p className="text-sm opacity-75">{t('admin.noMatch')}</p>
+          ) : (
+            <ul className="divide-y divide-gray-700 text-sm">
+              {listed.map((candle) => (
+                <li key={candle.id}>
+                  <label className="flex items-start gap-3 py-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selected.has(candle.id)}
+                      onChange={() => toggle(candle.id)}
+                      className="mt-1"
+                    />
+                    <span className="flex-1 min-w-0">
+                      <span dir="auto" className={`block font-semibold break-words ${candle.removed ? 'line-through opacity-75' : ''}`}>
+                        {candle.name || t('candle.unnamed')}
+                      </span>
+                      {candle.dedication?.message && (
+                        <span dir="auto" className="block text-xs opacity-75 truncate">{candle.dedication.message}</span>
+                      )}
+                    </span>
+                    <span className="text-xs opacity-75 text-end whitespace-nowrap">
+                      {t(`admin.status.${statusOf(candle)}`)}
+                      {typeof candle.createdAt === 'number' && (
+                        <span className="block">{t('admin.litAgo', { time: timeAgo(candle.createdAt, t) })}</span>
+                      )}
+                    </span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          )}
+          <p className="text-xs opacity-75 mt-2">
+            {t('admin.restoreHint')}
+          </p>
+        </section>
+
+        <form onSubmit={handleRoomSubmit} aria-labelledby="admin-room-title" className="mb-8">
+          <h3 id="admin-room-title" className="font-semibold mb-2">{t('admin.room')}</h3>
+          <label className="block text-sm mb-1" htmlFor="admin-room-title-field">{t('room.title')}</label>
+          <input
+            id="admin-room-title-field"
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            maxLength={MAX_TITLE_LENGTH}
+            className={`${fieldClassName} mb-3`}
+            dir="auto"
+            required
+          />
+          <label className="block text-sm mb-1" htmlFor="admin-room-subtitle">{t('room.subtitle')}</label>
+          <input
+            id="admin-room-subtitle"
+            type="text"
+            value={subtitle}
+            onChange={(e) => setSubtitle(e.target.value)}
+            maxLength={MAX_SUBTITLE_LENGTH}
+            className={`${fieldClassName} mb-3`}
+            dir="auto"
+          />
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={isSaving || !title.trim()}
+              className="px-4 py-2 rounded-full text-sm font-semibold bg-gradient-to-r from-pink-400 to-blue-500 disabled:opacity-50"
+            >
+              {t('admin.saveRoom')}
+            </button>
+          </div>
+        </form>
+
+        <form onSubmit={handleRetentionSubmit} aria-labelledby="admin-retention-title" className="mb-8">
+          <h3 id="admin-retention-title" className="font-semibold mb-2">{t('admin.retention')}</h3>
+          <label className="flex items-center gap-2 text-sm mb-3">
+            <input
+              type="checkbox"
+              checked={retention.neverExpire}
+              onChange={(e) => setRetention({ ...retention, neverExpire: e.target.checked })}
+            />
+            {t('admin.neverExpire')}
+          </label>
+          <div className="grid gap-3 sm:grid-cols-3 mb-3">
+            {RETENTION_FIELDS.map(field => (
+              <div key={field}>
+                <label className="block text-sm mb-1" htmlFor={`admin-retention-${field}`}>{t(`admin.${field}`)}</label>
+                <input
+                  id={`admin-retention-${field}`}
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={retention[field]}
+                  onChange={(e) => setRetention({ ...retention, [field]: e.target.value })}
+                  disabled={retention.neverExpire}
+                  className={`${fieldClassName} disabled:opacity-50`}
+                />
+              </div>
+            ))}
+          </div>
+          <p className="text-xs opacity-75 mb-3" aria-live="polite">
+            {retentionProblem
+              ? t('admin.policy.invalid')
+              : t('admin.policy', { policy: describePolicy(policy, t) })}
+          </p>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={isSaving || !!retentionProblem}
+              className="px-4 py-2 rounded-full text-sm font-semibold bg-gradient-to-r from-pink-400 to-blue-500 disabled:opacity-50"
+            >
+              {t('admin.saveRetention')}
+            </button>
+          </div>
+        </form>
+
+        <section aria-labelledby="admin-activity-title">
+          <h3 id="admin-activity-title" className="font-semibold mb-2">{t('admin.activity')}</h3>
+          {activity.length === 0 ? (
+            <p className="text-sm opacity-75">{t('admin.noActivity')}</p>
+          ) : (
+            <ul className="text-sm space-y-1">
+              {activity.map((entry) => (
+                <li key={`${entry.candle.id}-${entry.type}`} className="flex justify-between gap-4">
+                  <span className="break-words">{describeActivity(entry, t)}</span>
+                  <span className="text-xs opacity-75 whitespace-nowrap">{timeAgo(entry.timestamp, t)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default AdminConsole;
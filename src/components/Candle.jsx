@@ -1,13 +1,67 @@
-import { useState, useRef, useEffect } from 'react';
-import { CircleX  } from 'lucide-react';
+import { memo, useState, useRef, useEffect, useCallback } from 'react';
+import { CircleX, Clock, EyeOff } from 'lucide-react';
+import { SKY_SIZE, clampToArea } from '../services/coordinates';
+import { MAX_NAME_LENGTH } from '../services/candleSchema';
+import { describeCandle } from '../services/candleDescription';
+import { resolveStyle } from '../services/candleStyles';
+import { fitText } from '../services/textWidth';
+import usePointerDrag from '../hooks/usePointerDrag';
+import useTranslation from '../hooks/useTranslation';
+import CandleDetails from './CandleDetails';
 
-const Candle = ({ id, initialX, initialY, name, onNameChange, onPositionChange, onRemove }) => {
+// Arrow keys move a candle this many pixels, or the larger step with Shift
+const KEYBOARD_STEP = 10;
+const KEYBOARD_STEP_LARGE = 50;
+
+// Keyboard moves are saved once the keys have been still this long
+const KEYBOARD_SAVE_DELAY = 500;
+
+// Widest a name may render, in pixels: about two lines of its label
+const MAX_NAME_WIDTH = 160;
+
+const ARROW_KEYS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+};
+
+const Candle = ({ id, initialX, initialY, name, createdAt, candleStyle, dedication, link, isPending, isUnderReview, isEditable, isHighlighted, isArriving, autoFocus, instructionsId, getZoom, resolveDrop, onNameChange, onDedicationChange, onPositionChange, onRemove, onShare, onActiveChange }) => {
+  const t = useTranslation();
   const [position, setPosition] = useState({ x: initialX, y: initialY });
-  const [isDragging, setIsDragging] = useState(false);
   const [isEditing, setIsEditing] = useState(false);
   const [tempName, setTempName] = useState(name || '');
+  const [showDetails, setShowDetails] = useState(false);
+  const [hasFocus, setHasFocus] = useState(false);
+  const [isHovered, setIsHovered] = useState(false);
   const dragRef = useRef(null);
-  const dragStart = useRef({ x: 0, y: 0 });
+  const keyboardSave = useRef(null);
+  const keyboardPosition = useRef(null);
+
+  // Saved once, where the candle was dropped, possibly nudged off others
+  const { isDragging, dragHandlers } = usePointerDrag({
+    position,
+    setPosition,
+    enabled: isEditable && !isEditing,
+    getZoom,
+    onDragEnd: (x, y) => {
+      const dropped = resolveDrop ? resolveDrop(id, x, y) : { x, y };
+      onPositionChange?.(id, dropped.x, dropped.y);
+      return dropped;
+    },
+  });
+
+  // Tell canvas mode which candles must stay in the DOM (see App). Only
+  // changes are reported: a candle brought up under the pointer has not
+  // been hovered yet.
+  const isActive = isDragging || isEditing || showDetails || hasFocus || isHovered;
+  const wasActive = useRef(isActive);
+  useEffect(() => {
+    if (isActive !== wasActive.current) {
+      wasActive.current = isActive;
+      onActiveChange?.(id, isActive);
+    }
+  }, [id, isActive, onActiveChange]);
 
   // Update position when props change (from other users)
   useEffect(() => {
@@ -16,178 +70,274 @@ const Candle = ({ id, initialX, initialY, name, onNameChange, onPositionChange,
     }
   }, [initialX, initialY, isDragging]);
 
+  // Focus candles the visitor just lit, so keyboard users can reach them
   useEffect(() => {
-    const handleMouseMove = (e) => {
-      if (!isDragging) return;
-      
-      const newX = e.clientX - dragStart.current.x;
-      const newY = e.clientY - dragStart.current.y;
-      
-      // Keep candle within viewport bounds
-      const maxX = window.innerWidth - 60;
-      const maxY = window.innerHeight - 120;
-      
-      setPosition({
-        x: Math.max(0, Math.min(newX, maxX)),
-        y: Math.max(0, Math.min(newY, maxY)),
-      });
-    };
-
-    const handleMouseUp = () => {
-      setIsDragging(false);
-      // Notify parent of position change for persistence
-      if (onPositionChange) {
-        onPositionChange(id, position.x, position.y);
-      }
-    };
-
-    if (isDragging) {
-      document.addEventListener('mousemove', handleMouseMove);
-      document.addEventListener('mouseup', handleMouseUp);
-      
-      return () => {
-        document.removeEventListener('mousemove', handleMouseMove);
-        document.removeEventListener('mouseup', handleMouseUp);
-      };
+    if (autoFocus) {
+      dragRef.current?.focus();
     }
-  }, [isDragging, position.x, position.y, onPositionChange, id]);
-
-  const handleMouseDown = (e) => {
-    if (isEditing) return;
-    
-    e.preventDefault();
-    setIsDragging(true);
-    dragStart.current = {
-      x: e.clientX - position.x,
-      y: e.clientY - position.y,
-    };
-  };
+  }, [autoFocus]);
 
-  const handleTouchStart = (e) => {
-    if (isEditing) return;
-    
-    const touch = e.touches[0];
-    setIsDragging(true);
-    dragStart.current = {
-      x: touch.clientX - position.x,
-      y: touch.clientY - position.y,
-    };
-  };
+  // Save a keyboard move that is still waiting when the candle goes away
+  const latestOnPositionChange = useRef(onPositionChange);
+  useEffect(() => {
+    latestOnPositionChange.current = onPositionChange;
+  });
+  useEffect(() => () => {
+    if (keyboardSave.current) {
+      clearTimeout(keyboardSave.current);
+      const { x, y } = keyboardPosition.current;
+      latestOnPositionChange.current?.(id, x, y);
+    }
+  }, [id]);
 
-  const handleTouchMove = (e) => {
-    if (!isDragging) return;
-    e.preventDefault();
-    
-    const touch = e.touches[0];
-    const newX = touch.clientX - dragStart.current.x;
-    const newY = touch.clientY - dragStart.current.y;
-    
-    const maxX = window.innerWidth - 60;
-    const maxY = window.innerHeight - 120;
-    
-    setPosition({
-      x: Math.max(0, Math.min(newX, maxX)),
-      y: Math.max(0, Math.min(newY, maxY)),
-    });
-  };
+  // Set once an edit is saved or cancelled, so the name field losing focus
+  // as it goes away does not save it (again)
+  const editFinished = useRef(false);
 
-  const handleTouchEnd = () => {
-    setIsDragging(false);
-    // Notify parent of position change for persistence
-    if (onPositionChange) {
-      onPositionChange(id, position.x, position.y);
+  // Whether focus goes back to the candle once the name field has gone.
+  // Moving it earlier would blur the field while it is still there.
+  const refocusAfterEdit = useRef(false);
+  useEffect(() => {
+    if (!isEditing && refocusAfterEdit.current) {
+      refocusAfterEdit.current = false;
+      dragRef.current?.focus();
     }
+  }, [isEditing]);
+
+  const startEditing = () => {
+    editFinished.current = false;
+    setIsEditing(true);
+    setTempName(name || '');
   };
 
   const handleNameClick = (e) => {
     e.stopPropagation();
-    setIsEditing(true);
-    setTempName(name || '');
+    if (!isEditable) return;
+    startEditing();
   };
 
   const handleNameSubmit = () => {
+    if (editFinished.current) return;
+    editFinished.current = true;
     onNameChange(id, tempName);
     setIsEditing(false);
   };
 
   const handleNameKeyPress = (e) => {
     if (e.key === 'Enter') {
+      refocusAfterEdit.current = true;
       handleNameSubmit();
     } else if (e.key === 'Escape') {
+      editFinished.current = true;
+      refocusAfterEdit.current = true;
       setIsEditing(false);
       setTempName(name || '');
     }
   };
 
+  const closeDetails = useCallback(() => setShowDetails(false), []);
+
+  const moveByKeyboard = (dx, dy) => {
+    const next = clampToArea({ x: position.x + dx, y: position.y + dy }, SKY_SIZE);
+    setPosition(next);
+
+    // Holding an arrow key repeats it; save only where the candle ends up
+    keyboardPosition.current = next;
+    clearTimeout(keyboardSave.current);
+    keyboardSave.current = setTimeout(() => {
+      keyboardSave.current = null;
+      onPositionChange?.(id, next.x, next.y);
+    }, KEYBOARD_SAVE_DELAY);
+  };
+
+  const handleKeyDown = (e) => {
+    // Keys typed into the name field or pressed on the inner buttons are
+    // theirs to handle
+    if (e.target !== e.currentTarget || isEditing) return;
+
+    if (e.key === ' ') {
+      e.preventDefault();
+      setShowDetails(!showDetails);
+      return;
+    }
+    if (!isEditable) return;
+
+    if (ARROW_KEYS[e.key]) {
+      e.preventDefault();
+      const step = e.shiftKey ? KEYBOARD_STEP_LARGE : KEYBOARD_STEP;
+      const [dx, dy] = ARROW_KEYS[e.key];
+      moveByKeyboard(dx * step, dy * step);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      startEditing();
+    } else if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      const question = name ? t('candle.confirmRemoveNamed', { name }) : t('candle.confirmRemove');
+      if (window.confirm(question)) {
+        onRemove(id);
+      }
+    }
+  };
+
+  const description = describeCandle({ name, createdAt }, t);
+  const label = isUnderReview ? t('candle.underReview', { candle: description }) : description;
+  const { color, decoration, flame } = resolveStyle(candleStyle);
+  const Decoration = decoration.icon;
+
   return (
     <div
       ref={dragRef}
-      className={`absolute select-none cursor-move ${isDragging ? 'z-50' : 'z-10'} flex flex-col`}
+      data-candle={id}
+      role="group"
+      aria-roledescription="candle"
+      aria-label={label}
+      aria-describedby={isEditable ? instructionsId : undefined}
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+      onClick={() => setShowDetails(!showDetails)}
+      onFocus={() => setHasFocus(true)}
+      onBlur={(e) => setHasFocus(e.currentTarget.contains(e.relatedTarget))}
+      onPointerEnter={() => setIsHovered(true)}
+      onPointerLeave={() => setIsHovered(false)}
+      className={`absolute select-none ${isEditable ? 'cursor-move' : 'cursor-pointer'} ${isDragging ? 'z-50' : showDetails ? 'z-40' : 'z-10'} flex flex-col rounded ${isHighlighted ? 'ring-2 ring-sky-300' : ''} ${isArriving ? 'candle-arriving' : ''} focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-200`}
       style={{
         left: `${position.x}px`,
         top: `${position.y}px`,
         transform: isDragging ? 'scale(1.05)' : 'scale(1)',
         transition: isDragging ? 'none' : 'transform 0.1s ease',
+        // Let the drag have touches and pen strokes instead of scrolling
+        touchAction: isEditable ? 'none' : 'auto',
       }}
-      onMouseDown={handleMouseDown}
-      onTouchStart={handleTouchStart}
-      onTouchMove={handleTouchMove}
-      onTouchEnd={handleTouchEnd}
+      {...dragHandlers}
     >
       {/* Candle flame */}
-      <div className="flame w-3 h-6 mx-auto mb-0.5 bg-gradient-to-t from-orange-400 via-yellow-400 to-yellow-200 rounded-full animate-pulse" 
+      <div aria-hidden="true" className="flame w-3 h-6 mx-auto mb-0.5 bg-gradient-to-t from-orange-400 via-yellow-400 to-yellow-200 rounded-full animate-pulse" 
            style={{
-             background: 'radial-gradient(circle, #ffeb3b 0%, #ff9800 40%, #f44336 70%)',
+             background: flame.background,
              borderRadius: '50% 50% 50% 50% / 60% 60% 40% 40%',
-             animation: 'flicker 1.5s infinite alternate'
+             animation: flame.animation
            }} />
       
-      {/* Candle body */}
-      <div className="candle-body w-12 h-6 rounded-t-sm border border-yellow-400 shadow-lg relative" />
+      {/* Candle body, with its decoration */}
+      <div aria-hidden="true" className="candle-body w-12 h-6 rounded-t-sm border shadow-lg relative"
+           style={{
+             background: color.body,
+             borderColor: color.border,
+             boxShadow: `0 0 20px ${color.glow}`
+           }}>
+        {Decoration && (
+          <Decoration
+            className="absolute inset-0 m-auto h-4 w-4"
+            style={{ color: decoration.color ?? color.border }} />
+        )}
+      </div>
       
       {/* Candle base */}
-      <div className="bg-gradient-to-b from-gray-300 to-gray-500 w-15 h-3 rounded-full mx-auto -mt-1 shadow-md" />
+      <div aria-hidden="true" className="bg-gradient-to-b from-gray-300 to-gray-500 w-15 h-3 rounded-full mx-auto -mt-1 shadow-md" />
       
+      {/* Pending marker (shown until the candle is saved) */}
+      {isPending && (
+        <span
+          className="absolute -top-1 -end-1 text-gray-400"
+          title={t('candle.waitingToSync')}
+          role="img"
+          aria-label={t('candle.waitingToSync')}
+        >
+          <Clock className="h-3 w-3 animate-pulse" />
+        </span>
+      )}
+
+      {/* Review marker (shown to the author and moderators until approved) */}
+      {isUnderReview && (
+        <span
+          className="absolute -top-1 -start-1 text-gray-400"
+          title={t('candle.waitingForReviewHint')}
+          role="img"
+          aria-label={t('candle.waitingForReview')}
+        >
+          <EyeOff className="h-3 w-3" />
+        </span>
+      )}
+
       {/* Name label */}
       <div className="mt-1 text-center">
         {isEditing ? (
           <input
             type="text"
             value={tempName}
-            onChange={(e) => setTempName(e.target.value)}
+            onChange={(e) => setTempName(fitText(e.target.value, {
+              font: getComputedStyle(e.target).font,
+              maxWidth: MAX_NAME_WIDTH,
+              maxLength: MAX_NAME_LENGTH,
+            }))}
             onBlur={handleNameSubmit}
             onKeyDown={handleNameKeyPress}
             className="font-semibold text-gray-400 text-s px-2 py-1 rounded border-none outline-none text-center w-20"
             autoFocus
-            maxLength={15}
-            onMouseDown={(e) => e.stopPropagation()}
+            dir="auto"
+            aria-label={t('candle.nameField')}
+            onPointerDown={(e) => e.stopPropagation()}
           />
+        ) : isEditable ? (
+          // Reached with Enter on the candle itself, so kept out of the tab order
+          <button
+            type="button"
+            tabIndex={-1}
+            onClick={handleNameClick}
+            onPointerDown={(e) => e.stopPropagation()}
+            aria-label={name ? t('candle.rename', { name }) : t('candle.nameThis')}
+            dir={name ? 'auto' : undefined}
+            className={`${name ? "font-semibold text-s" : "font-thin text-xs"} text-gray-400 px-2 py-1 rounded cursor-pointer transition-all min-h-6 flex items-center justify-center max-w-20 mx-auto break-words`}
+          >
+            {name || t('candle.clickToName')}
+          </button>
         ) : (
           <div
-            onClick={handleNameClick}
-            onMouseDown={(e) => e.stopPropagation()}
-            className={`${name ? "font-semibold text-s" : "font-thin text-xs"} text-gray-400 px-2 py-1 rounded cursor-pointer transition-all min-h-6 flex items-center justify-center max-w-20 mx-auto`}
+            aria-hidden="true"
+            dir="auto"
+            className={`${name ? "font-semibold text-s" : "font-thin text-xs"} text-gray-400 px-2 py-1 rounded transition-all min-h-6 flex items-center justify-center max-w-20 mx-auto break-words`}
           >
-            {name || 'Click to name'}
+            {name}
           </div>
         )}
       </div>
       
-      {/* Remove button (appears on hover) */}
-      <button
-        onClick={(e) => {
-          e.stopPropagation();
-          onRemove(id);
+      {/* Remove button (appears on hover, only for the candle's owner) */}
+      {isEditable && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemove(id);
           }}
-          onMouseDown={(e) => e.stopPropagation()}
+          onPointerDown={(e) => e.stopPropagation()}
           className="remove-candle"
-          title="Remove candle"
-          >
+          title={t('candle.remove')}
+          aria-label={name ? t('candle.removeNamed', { name }) : t('candle.removeThis')}
+          tabIndex={-1}
+        >
           <CircleX 
+            aria-hidden="true"
             className="text-gray-400 h-4"/>
-      </button>
+        </button>
+      )}
+
+      {/* Dedication card (opens on click) */}
+      {showDetails && (
+        <CandleDetails
+          id={id}
+          name={name}
+          createdAt={createdAt}
+          dedication={dedication}
+          link={link}
+          isEditable={isEditable}
+          onSave={(changed) => onDedicationChange(id, changed)}
+          onShare={onShare && (() => onShare(id))}
+          onClose={closeDetails}
+        />
+      )}
     </div>
   );
 };
 
-export default Candle;
\ No newline at end of file
+// Candles re-render only when their own props change, not on every poll
+export default memo(Candle);
\ No newline at end of file
@@ -0,0 +1,66 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { cleanup, fireEvent, render, screen } from '@testing-library/react';
+import Candle from './Candle';
+
+const renderCandle = (props = {}) => {
+  const onNameChange = vi.fn();
+  render(
+    <Candle
+      id="candle-1"
+      initialX={100}
+      initialY={100}
+      name="Anna"
+      isEditable
+      onNameChange={onNameChange}
+      onRemove={() => {}}
+      {...props}
+    />
+  );
+  return { onNameChange, candle: screen.getByRole('group') };
+};
+
+const editName = (candle, value) => {
+  candle.focus();
+  fireEvent.keyDown(candle, { key: 'Enter' });
+  const input = screen.getByRole('textbox');
+  fireEvent.change(input, { target: { value } });
+  return input;
+};
+
+describe('Candle name editing', () => {
+  afterEach(cleanup);
+
+  it('saves the name once on Enter and gives focus back to the candle', () => {
+    const { onNameChange, candle } = renderCandle();
+    const input = editName(candle, 'Anna Maria');
+
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    expect(onNameChange).toHaveBeenCalledTimes(1);
+    expect(onNameChange).toHaveBeenCalledWith('candle-1', 'Anna Maria');
+    expect(screen.queryByRole('textbox')).toBeNull();
+    expect(document.activeElement).toBe(candle);
+  });
+
+  it('discards the edit on Escape and gives focus back to the candle', () => {
+    const { onNameChange, candle } = renderCandle();
+    const input = editName(candle, 'Someone else');
+
+    fireEvent.keyDown(input, { key: 'Escape' });
+
+    expect(onNameChange).not.toHaveBeenCalled();
+    expect(screen.queryByRole('textbox')).toBeNull();
+    expect(document.activeElement).toBe(candle);
+  });
+
+  it('saves the name when the field loses focus', () => {
+    const { onNameChange, candle } = renderCandle();
+    const input = editName(candle, 'Anna Maria');
+
+    fireEvent.blur(input);
+
+    expect(onNameChange).toHaveBeenCalledTimes(1);
+    expect(onNameChange).toHaveBeenCalledWith('candle-1', 'Anna Maria');
+  });
+});
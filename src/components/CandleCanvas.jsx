@@ -0,0 +1,105 @@
+import { useEffect, useRef } from 'react';
+import { resolveStyle } from '../services/candleStyles';
+import { CANDLE_SIZE } from '../services/coordinates';
+import { visibleArea } from '../services/camera';
+import { createStars, labelFor, paintCandle, paintSky, phaseOf } from '../services/skyPainter';
+import useTranslation from '../hooks/useTranslation';
+
+// Sharper than this costs more than it shows on small screens
+const MAX_SCALE = 2;
+
+// About 30 frames a second is plenty for flames and stars
+const FRAME_INTERVAL = 1000 / 30;
+
+// Sprites are drawn at whole multiples of the sky's size, up to this
+const MAX_SPRITE_SCALE = 4;
+
+// How far a candle's glow and label reach past its box, in sky pixels
+const OVERHANG = 20;
+
+const isShown = (candle, area) =>
+  candle.x + CANDLE_SIZE.width + OVERHANG > area.x &&
+  candle.x - OVERHANG < area.x + area.width &&
+  candle.y + CANDLE_SIZE.height + OVERHANG > area.y &&
+  candle.y - OVERHANG < area.y + area.height;
+
+// The sky and the candles nobody is interacting with, painted on one
+// canvas in canvas mode (see renderMode.js). Stars stay put while candles
+// move with the camera; only candles on screen are painted. Purely
+// decorative: each candle has a CandleTarget on top for the pointer,
+// keyboard and screen readers. With reduced motion, flames and stars hold
+// still and the canvas is only painted when something changes.
+const CandleCanvas = ({ candles, camera, viewport }) => {
+  const t = useTranslation();
+  const canvasRef = useRef(null);
+  const scene = useRef({ stars: createStars(), candles: [], camera, changed: true });
+
+  // Work out what to paint once per render, not once per frame
+  useEffect(() => {
+    const { fontFamily } = getComputedStyle(canvasRef.current);
+    const hint = t('candle.clickToName');
+    scene.current.candles = candles.map(candle => ({
+      x: candle.x,
+      y: candle.y,
+      style: resolveStyle(candle.style),
+      phase: phaseOf(candle.id),
+      isHighlighted: candle.isHighlighted,
+      label: candle.name
+        ? labelFor(candle.name, { isHint: false, fontFamily })
+        : candle.isEditable ? labelFor(hint, { isHint: true, fontFamily }) : null,
+    }));
+    scene.current.changed = true;
+  }, [candles, t]);
+
+  useEffect(() => {
+    scene.current.camera = camera;
+    scene.current.changed = true;
+  }, [camera]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const scale = Math.min(window.devicePixelRatio || 1, MAX_SCALE);
+    canvas.width = viewport.width * scale;
+    canvas.height = viewport.height * scale;
+    const ctx = canvas.getContext('2d');
+    const still = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    scene.current.changed = true;
+
+    let frame = null;
+    let lastPainted = -Infinity;
+    const paint = (time) => {
+      frame = requestAnimationFrame(paint);
+      if (time - lastPainted < FRAME_INTERVAL || (still && !scene.current.changed)) return;
+      lastPainted = time;
+      scene.current.changed = false;
+
+      const moment = still ? 0 : time;
+      ctx.setTransform(scale, 0, 0, scale, 0, 0);
+      paintSky(ctx, viewport, scene.current.stars, moment);
+
+      const { x, y, zoom } = scene.current.camera;
+      const shown = visibleArea(scene.current.camera, viewport);
+      const spriteScale = Math.min(Math.ceil(scale * zoom), MAX_SPRITE_SCALE);
+      ctx.setTransform(scale * zoom, 0, 0, scale * zoom, -x * zoom * scale, -y * zoom * scale);
+      for (const candle of scene.current.candles) {
+        if (isShown(candle, shown)) {
+          paintCandle(ctx, candle, moment, spriteScale);
+        }
+      }
+    };
+    frame = requestAnimationFrame(paint);
+
+    return () => cancelAnimationFrame(frame);
+  }, [viewport]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      aria-hidden="true"
+      className="fixed inset-0 -z-1 pointer-events-none"
+      style={{ width: `${viewport.width}px`, height: `${viewport.height}px` }}
+    />
+  );
+};
+
+export default CandleCanvas;
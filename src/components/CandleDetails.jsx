@@ -0,0 +1,237 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, Share2, X } from 'lucide-react';
+import { MAX_MESSAGE_LENGTH, MAX_LIT_BY_LENGTH } from '../services/candleSchema';
+import { timeAgo, formatRemembranceDate } from '../services/candleDescription';
+import useTranslation from '../hooks/useTranslation';
+
+// How long "Link copied" shows, in milliseconds
+const COPIED_DURATION = 2000;
+
+// Card with a candle's dedication, opened by clicking the candle. Whoever
+// may rename the candle may also edit its dedication here. Anyone can copy
+// a link that opens the memorial at this candle, or share a picture of it.
+const CandleDetails = ({ id, name, createdAt, dedication = {}, link, isEditable, onSave, onShare, onClose }) => {
+  const t = useTranslation();
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(dedication);
+  const [copyState, setCopyState] = useState(null);
+  const [isSharing, setIsSharing] = useState(false);
+  const cardRef = useRef(null);
+  const titleId = `candle-details-${id}`;
+
+  // Read out by screen readers as soon as it opens
+  useEffect(() => {
+    cardRef.current?.focus();
+  }, []);
+
+  // Clicking anywhere but this candle closes the card
+  useEffect(() => {
+    const handlePointerDown = (e) => {
+      if (!cardRef.current?.parentElement?.contains(e.target)) {
+        onClose();
+      }
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    return () => document.removeEventListener('pointerdown', handlePointerDown);
+  }, [onClose]);
+
+  // Closed from the keyboard or the close button: back to the candle
+  const close = () => {
+    cardRef.current?.parentElement?.focus();
+    onClose();
+  };
+
+  const startEditing = () => {
+    setDraft(dedication);
+    setIsEditing(true);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(draft);
+    setIsEditing(false);
+    cardRef.current?.focus();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    if (isEditing) {
+      setIsEditing(false);
+      cardRef.current?.focus();
+    } else {
+      close();
+    }
+  };
+
+  // Where the clipboard cannot be written, show the link to copy by hand
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopyState('copied');
+      setTimeout(() => setCopyState(current => (current === 'copied' ? null : current)), COPIED_DURATION);
+    } catch (err) {
+      console.error('Failed to copy candle link:', err);
+      setCopyState('failed');
+    }
+  };
+
+  const share = async () => {
+    setIsSharing(true);
+    try {
+      await onShare();
+    } finally {
+      setIsSharing(false);
+    }
+  };
+
+  const setField = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+  const litBy = dedication.litBy
+    ? t('details.litByName', { name: dedication.litBy })
+    : t('details.litAnonymously');
+  const lit = typeof createdAt === 'number'
+    ? t('details.litWhen', { who: litBy, time: timeAgo(createdAt, t) })
+    : litBy;
+
+  return (
+    <div
+      ref={cardRef}
+      role="dialog"
+      aria-labelledby={titleId}
+      tabIndex={-1}
+      onKeyDown={handleKeyDown}
+      // Keep the candle from being dragged or toggled from inside the card
+      onPointerDown={(e) => e.stopPropagation()}
+      onClick={(e) => e.stopPropagation()}
+      className="absolute top-full left-1/2 -translate-x-1/2 mt-2 w-64 bg-gray-900 text-white text-start rounded-lg shadow-lg p-4 cursor-default select-text focus:outline-none"
+    >
+      <div className="flex items-start justify-between gap-2 mb-2">
+        <h2 id={titleId} className="font-semibold break-words">
+          {name ? t('details.inMemory', { name }) : t('details.aCandle')}
+        </h2>
+        <button
+          type="button"
+          onClick={close}
+          aria-label={t('details.close')}
+          className="text-gray-400 hover:text-white"
+        >
+          <X aria-hidden="true" className="h-4 w-4" />
+        </button>
+      </div>
+
+      {isEditing ? (
+        <form onSubmit={handleSubmit}>
+          <label className="block text-xs mb-1" htmlFor={`${titleId}-message`}>{t('details.message')}</label>
+          <textarea
+            id={`${titleId}-message`}
+            value={draft.message ?? ''}
+            onChange={setField('message')}
+            maxLength={MAX_MESSAGE_LENGTH}
+            rows={4}
+            dir="auto"
+            className="w-full mb-3 px-2 py-1 rounded bg-gray-800 border border-gray-600 text-white text-sm"
+            autoFocus
+          />
+
+          <label className="block text-xs mb-1" htmlFor={`${titleId}-date`}>{t('details.date')}</label>
+          <input
+            id={`${titleId}-date`}
+            type="date"
+            value={draft.remembranceDate ?? ''}
+            onChange={setField('remembranceDate')}
+            className="w-full mb-3 px-2 py-1 rounded bg-gray-800 border border-gray-600 text-white text-sm"
+          />
+
+          <label className="block text-xs mb-1" htmlFor={`${titleId}-lit-by`}>{t('details.litBy')}</label>
+          <input
+            id={`${titleId}-lit-by`}
+            type="text"
+            value={draft.litBy ?? ''}
+            onChange={setField('litBy')}
+            maxLength={MAX_LIT_BY_LENGTH}
+            placeholder={t('details.litByPlaceholder')}
+            dir="auto"
+            className="w-full mb-4 px-2 py-1 rounded bg-gray-800 border border-gray-600 text-white text-sm"
+          />
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setIsEditing(false)}
+              className="px-3 py-1 rounded-full text-sm hover:bg-gray-800"
+            >
+              {t('details.cancel')}
+            </button>
+            <button
+              type="submit"
+              className="px-3 py-1 rounded-full text-sm font-semibold bg-gradient-to-r from-pink-400 to-blue-500"
+            >
+              {t('details.save')}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <>
+          {dedication.message ? (
+            <p dir="auto" className="text-sm whitespace-pre-wrap break-words mb-2">{dedication.message}</p>
+          ) : (
+            isEditable && <p className="text-sm italic opacity-75 mb-2">{t('details.empty')}</p>
+          )}
+          {dedication.remembranceDate && (
+            <p className="text-xs opacity-75">
+              {t('details.remembering', { date: formatRemembranceDate(dedication.remembranceDate, t) })}
+            </p>
+          )}
+          <p className="text-xs opacity-75">{lit}</p>
+
+          {copyState === 'failed' && (
+            <input
+              type="text"
+              readOnly
+              value={link}
+              onFocus={(e) => e.target.select()}
+              aria-label={t('details.link')}
+              className="w-full mt-3 px-2 py-1 rounded bg-gray-800 border border-gray-600 text-white text-xs"
+              autoFocus
+            />
+          )}
+
+          <div className="flex flex-wrap justify-end gap-2 mt-3">
+            {onShare && (
+              <button
+                type="button"
+                onClick={share}
+                disabled={isSharing}
+                className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm hover:bg-gray-800 disabled:opacity-50"
+              >
+                <Share2 aria-hidden="true" className="h-4 w-4" />
+                {isSharing ? t('details.sharing') : t('details.share')}
+              </button>
+            )}
+            {link && (
+              <button
+                type="button"
+                onClick={copyLink}
+                className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm hover:bg-gray-800"
+              >
+                <Link aria-hidden="true" className="h-4 w-4" />
+                {copyState === 'copied' ? t('details.linkCopied') : t('details.copyLink')}
+              </button>
+            )}
+            {isEditable && (
+              <button
+                type="button"
+                onClick={startEditing}
+                className="px-3 py-1 rounded-full text-sm hover:bg-gray-800"
+              >
+                {dedication.message || dedication.remembranceDate || dedication.litBy ? t('details.edit') : t('details.add')}
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CandleDetails;
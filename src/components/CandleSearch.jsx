@@ -0,0 +1,143 @@
+import { useState } from 'react';
+import { Search, X } from 'lucide-react';
+import useTranslation from '../hooks/useTranslation';
+
+// Longest piece of a dedication message shown under a result
+const EXCERPT_LENGTH = 60;
+
+const excerpt = (text) =>
+  text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH).trimEnd()}…` : text;
+
+// What matched, when it was not the name
+const matchedText = ({ candle, field }, t) => {
+  if (field === 'litBy') return t('details.litByName', { name: candle.dedication.litBy });
+  if (field === 'message') return excerpt(candle.dedication.message);
+  return null;
+};
+
+// Search box for candles by name or dedication, as a combobox: matching
+// candles are listed under it and highlighted in the sky (see search.js
+// and App). Arrow keys pick a result, Enter goes to it, Escape closes the
+// list and then clears the search.
+const CandleSearch = ({ query, results, total, onQueryChange, onChoose }) => {
+  const t = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const showList = isOpen && query.trim() !== '';
+  const optionId = (index) => `candle-search-option-${index}`;
+
+  const change = (value) => {
+    onQueryChange(value);
+    setIsOpen(true);
+    setActiveIndex(-1);
+  };
+
+  const choose = (result) => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+    onChoose(result.candle);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setIsOpen(true);
+      setActiveIndex(index => index < 0
+        ? (step > 0 ? 0 : results.length - 1)
+        : (index + step + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      const result = results[activeIndex] ?? results[0];
+      if (showList && result) {
+        e.preventDefault();
+        choose(result);
+      }
+    } else if (e.key === 'Escape') {
+      if (showList) {
+        setIsOpen(false);
+      } else {
+        change('');
+      }
+    }
+  };
+
+  return (
+    <div className="relative w-64 max-w-full mx-auto mt-3 text-start">
+      <Search aria-hidden="true" className="absolute start-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400 pointer-events-none" />
+      <input
+        type="text"
+        role="combobox"
+        value={query}
+        onChange={(e) => change(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        placeholder={t('search.placeholder')}
+        aria-label={t('search.label')}
+        aria-expanded={showList}
+        aria-controls="candle-search-results"
+        aria-autocomplete="list"
+        aria-activedescendant={showList && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+        dir="auto"
+        className="w-full ps-9 pe-8 py-2 rounded-full bg-gray-900/70 border border-gray-600 text-white text-sm placeholder:text-gray-400"
+      />
+      {query && (
+        <button
+          type="button"
+          onClick={() => change('')}
+          aria-label={t('search.clear')}
+          className="absolute end-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-white"
+        >
+          <X aria-hidden="true" className="h-4 w-4" />
+        </button>
+      )}
+
+      <ul
+        id="candle-search-results"
+        role="listbox"
+        aria-label={t('search.label')}
+        hidden={!showList}
+        className="absolute z-30 mt-1 w-full max-h-72 overflow-y-auto rounded-lg bg-gray-900 shadow-lg text-white text-sm"
+      >
+        {results.map((result, index) => {
+          const detail = matchedText(result, t);
+          return (
+            <li
+              key={result.candle.id}
+              id={optionId(index)}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Before the input's blur closes the list
+              onPointerDown={(e) => e.preventDefault()}
+              onClick={() => choose(result)}
+              className={`px-3 py-2 cursor-pointer hover:bg-gray-800 ${index === activeIndex ? 'bg-gray-800' : ''}`}
+            >
+              <span dir="auto" className="block font-semibold break-words">
+                {result.candle.name || t('candle.unnamed')}
+              </span>
+              {detail && (
+                <span dir="auto" className="block text-xs opacity-75 break-words">{detail}</span>
+              )}
+            </li>
+          );
+        })}
+        {results.length === 0 && (
+          <li role="presentation" className="px-3 py-2 opacity-75">{t('search.noMatch')}</li>
+        )}
+        {total > results.length && (
+          <li role="presentation" className="px-3 py-2 text-xs opacity-75">
+            {t('search.more', { count: total - results.length })}
+          </li>
+        )}
+      </ul>
+
+      {/* Result count for screen readers */}
+      <div className="sr-only" aria-live="polite">
+        {query.trim() && t('search.found', { count: total })}
+      </div>
+    </div>
+  );
+};
+
+export default CandleSearch;
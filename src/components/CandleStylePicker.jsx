@@ -0,0 +1,69 @@
+import { CANDLE_COLORS, DECORATIONS, FLAMES } from '../services/candleStyles';
+import useTranslation from '../hooks/useTranslation';
+
+// Choice of color, decoration and flame for the next candle lit. Built from
+// the catalogue in candleStyles.js, so new styles show up here on their own,
+// under their catalogue label until they are translated.
+const CandleStylePicker = ({ value, onChange }) => {
+  const t = useTranslation();
+  const labelOf = (field, entry) => {
+    const key = `style.${field}.${entry.id}`;
+    return t.has(key) ? t(key) : entry.label;
+  };
+
+  const option = (field, entry, content) => (
+    <label key={entry.id} className="cursor-pointer">
+      <input
+        type="radio"
+        name={`candle-style-${field}`}
+        value={entry.id}
+        checked={value[field] === entry.id}
+        onChange={() => onChange({ ...value, [field]: entry.id })}
+        className="sr-only peer"
+      />
+      <span className="flex items-center justify-center gap-1 min-w-8 h-8 px-2 rounded-full text-xs border border-gray-600 peer-checked:border-yellow-200 peer-checked:ring-2 peer-checked:ring-yellow-200 peer-focus-visible:ring-2 peer-focus-visible:ring-white">
+        {content}
+      </span>
+    </label>
+  );
+
+  return (
+    <div className="inline-block mt-4 px-4 py-3 bg-gray-900 bg-opacity-80 text-white text-start rounded-lg shadow-lg">
+      <fieldset className="mb-3">
+        <legend className="text-xs mb-1 opacity-75">{t('style.colour')}</legend>
+        <div className="flex flex-wrap gap-2">
+          {CANDLE_COLORS.map((color) => option('color', color, (
+            <>
+              <span aria-hidden="true" className="w-4 h-4 rounded-full" style={{ background: color.body }} />
+              <span className="sr-only">{labelOf('color', color)}</span>
+            </>
+          )))}
+        </div>
+      </fieldset>
+
+      <fieldset className="mb-3">
+        <legend className="text-xs mb-1 opacity-75">{t('style.decoration')}</legend>
+        <div className="flex flex-wrap gap-2">
+          {DECORATIONS.map((decoration) => {
+            const Icon = decoration.icon;
+            return option('decoration', decoration, Icon ? (
+              <>
+                <Icon aria-hidden="true" className="h-4 w-4" style={{ color: decoration.color }} />
+                <span className="sr-only">{labelOf('decoration', decoration)}</span>
+              </>
+            ) : labelOf('decoration', decoration));
+          })}
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend className="text-xs mb-1 opacity-75">{t('style.flame')}</legend>
+        <div className="flex flex-wrap gap-2">
+          {FLAMES.map((flame) => option('flame', flame, labelOf('flame', flame)))}
+        </div>
+      </fieldset>
+    </div>
+  );
+};
+
+export default CandleStylePicker;
@@ -0,0 +1,28 @@
+import { memo } from 'react';
+import { CANDLE_SIZE } from '../services/coordinates';
+
+// Stand-in for a candle painted on the canvas: an invisible button over
+// where it is drawn, so the candle can still be reached with Tab and by
+// screen readers. Hovering, focusing or touching it brings up the full
+// Candle in its place, see App.
+const CandleTarget = ({ id, x, y, label, describedBy, onHover, onActivate }) => (
+  <button
+    type="button"
+    data-candle={id}
+    aria-roledescription="candle"
+    aria-label={label}
+    aria-describedby={describedBy}
+    onPointerEnter={() => onHover(id)}
+    onPointerDown={() => onActivate(id)}
+    onFocus={() => onActivate(id)}
+    className="absolute z-10 rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-yellow-200"
+    style={{
+      left: `${x}px`,
+      top: `${y}px`,
+      width: `${CANDLE_SIZE.width}px`,
+      height: `${CANDLE_SIZE.height}px`,
+    }}
+  />
+);
+
+export default memo(CandleTarget);
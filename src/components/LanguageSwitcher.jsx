@@ -0,0 +1,29 @@
+import { Languages } from 'lucide-react';
+import { LOCALES } from '../services/i18n';
+import useTranslation from '../hooks/useTranslation';
+
+// Choose the language the app is shown in. Each language is listed under
+// its own name, so visitors can find theirs whatever is showing now.
+const LanguageSwitcher = ({ onChange }) => {
+  const t = useTranslation();
+
+  return (
+    <label className="inline-flex items-center gap-1">
+      <Languages aria-hidden="true" size={12} />
+      <span className="sr-only">{t('app.language')}</span>
+      <select
+        value={t.locale}
+        onChange={(e) => onChange(e.target.value)}
+        className="bg-transparent hover:underline cursor-pointer"
+      >
+        {LOCALES.map(locale => (
+          <option key={locale.id} value={locale.id} lang={locale.id} className="text-black">
+            {locale.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,63 @@
+import { useEffect, useRef } from 'react';
+import { SKY_SIZE } from '../services/coordinates';
+import { visibleArea } from '../services/camera';
+
+const WIDTH = 160;
+const HEIGHT = Math.round((WIDTH * SKY_SIZE.height) / SKY_SIZE.width);
+const RATIO = WIDTH / SKY_SIZE.width;
+
+// The whole sky in small, with a dot per candle, the visitor's own in
+// pink and ones matching a search in blue, and the part on screen
+// outlined. Clicking or dragging on it moves
+// there. For the pointer only: keyboard users reach candles with Tab.
+const Minimap = ({ candles, camera, viewport, onNavigate }) => {
+  const canvasRef = useRef(null);
+  const isDragging = useRef(false);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const scale = window.devicePixelRatio || 1;
+    canvas.width = WIDTH * scale;
+    canvas.height = HEIGHT * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+
+    for (const candle of candles) {
+      const isMarked = candle.isOwn || candle.isHighlighted;
+      ctx.fillStyle = candle.isHighlighted ? '#7dd3fc' : candle.isOwn ? '#f9a8d4' : 'rgba(253, 224, 71, 0.8)';
+      ctx.beginPath();
+      ctx.arc(candle.x * RATIO, candle.y * RATIO, isMarked ? 2.5 : 1.5, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+
+    const shown = visibleArea(camera, viewport);
+    ctx.strokeStyle = '#ffffff';
+    ctx.strokeRect(shown.x * RATIO, shown.y * RATIO, shown.width * RATIO, shown.height * RATIO);
+  }, [candles, camera, viewport]);
+
+  const navigate = (e) => {
+    const bounds = e.currentTarget.getBoundingClientRect();
+    onNavigate({ x: (e.clientX - bounds.left) / RATIO, y: (e.clientY - bounds.top) / RATIO });
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      aria-hidden="true"
+      onPointerDown={(e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        isDragging.current = true;
+        navigate(e);
+      }}
+      onPointerMove={(e) => {
+        if (isDragging.current) navigate(e);
+      }}
+      onPointerUp={() => { isDragging.current = false; }}
+      onPointerCancel={() => { isDragging.current = false; }}
+      className="rounded border border-white/30 bg-black/40 cursor-pointer touch-none"
+      style={{ width: `${WIDTH}px`, height: `${HEIGHT}px` }}
+    />
+  );
+};
+
+export default Minimap;
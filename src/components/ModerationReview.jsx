@@ -0,0 +1,79 @@
+import { timeAgo } from '../services/candleDescription';
+import { MODERATION_REASONS } from '../services/moderation';
+import useTranslation from '../hooks/useTranslation';
+
+const REASON_KEYS = {
+  [MODERATION_REASONS.BLOCKED_WORD]: 'review.reason.blockedWord',
+  [MODERATION_REASONS.LINK]: 'review.reason.link',
+  [MODERATION_REASONS.SPAM]: 'review.reason.spam',
+};
+
+// Candles waiting for review in a room, for moderators to approve or reject
+const ModerationReview = ({ candles, onApprove, onReject, onClose }) => {
+  const t = useTranslation();
+  const reasonOf = (candle) => t(REASON_KEYS[candle.moderation.reason] ?? 'review.reason.unknown');
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-60 px-4">
+      <div
+        role="dialog"
+        aria-labelledby="moderation-review-title"
+        className="w-full max-w-lg max-h-[80vh] overflow-y-auto bg-gray-900 text-white rounded-lg shadow-lg p-6"
+      >
+        <h2 id="moderation-review-title" className="text-lg font-semibold mb-4">
+          {t('review.title')}
+        </h2>
+
+        {candles.length === 0 ? (
+          <p className="text-sm opacity-75 mb-4">{t('review.empty')}</p>
+        ) : (
+          <ul className="mb-4 divide-y divide-gray-700">
+            {candles.map((candle) => (
+              <li key={candle.id} className="py-3">
+                <p dir="auto" className="font-semibold break-words">{candle.name || t('candle.unnamed')}</p>
+                {candle.dedication?.message && (
+                  <p dir="auto" className="text-sm whitespace-pre-wrap break-words">{candle.dedication.message}</p>
+                )}
+                {candle.dedication?.litBy && (
+                  <p className="text-xs opacity-75 break-words">{t('details.litByName', { name: candle.dedication.litBy })}</p>
+                )}
+                <p className="text-xs opacity-75">
+                  {typeof candle.createdAt === 'number'
+                    ? t('review.flaggedLit', { reason: reasonOf(candle), time: timeAgo(candle.createdAt, t) })
+                    : t('review.flaggedFor', { reason: reasonOf(candle) })}
+                </p>
+                <div className="flex justify-end gap-2 mt-2">
+                  <button
+                    onClick={() => onReject(candle.id)}
+                    className="px-3 py-1 rounded-full text-sm hover:bg-gray-800"
+                  >
+                    {t('review.reject')}
+                  </button>
+                  <button
+                    onClick={() => onApprove(candle.id)}
+                    className="px-3 py-1 rounded-full text-sm font-semibold bg-gradient-to-r from-pink-400 to-blue-500"
+                  >
+                    {t('review.approve')}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-full text-sm hover:bg-gray-800"
+            autoFocus
+          >
+            {t('review.close')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModerationReview;
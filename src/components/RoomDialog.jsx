@@ -0,0 +1,100 @@
+import { useState } from 'react';
+import { MAX_TITLE_LENGTH, MAX_SUBTITLE_LENGTH } from '../services/rooms';
+import useTranslation from '../hooks/useTranslation';
+
+// Form for creating a memorial room or changing its title and subtitle
+const RoomDialog = ({ initialMeta, isNew, onSubmit, onCancel }) => {
+  const t = useTranslation();
+  const [title, setTitle] = useState(initialMeta?.title ?? '');
+  const [subtitle, setSubtitle] = useState(initialMeta?.subtitle ?? '');
+  const [isPrivate, setIsPrivate] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+
+    setIsSaving(true);
+    try {
+      await onSubmit({ title: title.trim(), subtitle: subtitle.trim(), isPrivate });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-60 px-4">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-md bg-gray-900 text-white rounded-lg shadow-lg p-6"
+        aria-labelledby="room-dialog-title"
+      >
+        <h2 id="room-dialog-title" className="text-lg font-semibold mb-4">
+          {isNew ? t('room.createTitle') : t('room.editTitle')}
+        </h2>
+
+        <label className="block text-sm mb-1" htmlFor="room-title">{t('room.title')}</label>
+        <input
+          id="room-title"
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          maxLength={MAX_TITLE_LENGTH}
+          placeholder={t('room.titlePlaceholder')}
+          dir="auto"
+          className="w-full mb-4 px-3 py-2 rounded bg-gray-800 border border-gray-600 text-white"
+          autoFocus
+          required
+        />
+
+        <label className="block text-sm mb-1" htmlFor="room-subtitle">{t('room.subtitle')}</label>
+        <input
+          id="room-subtitle"
+          type="text"
+          value={subtitle}
+          onChange={(e) => setSubtitle(e.target.value)}
+          maxLength={MAX_SUBTITLE_LENGTH}
+          placeholder={t('room.subtitlePlaceholder')}
+          dir="auto"
+          className="w-full mb-4 px-3 py-2 rounded bg-gray-800 border border-gray-600 text-white"
+        />
+
+        {isNew && (
+          <label className="flex items-start gap-2 text-sm mb-4">
+            <input
+              type="checkbox"
+              checked={isPrivate}
+              onChange={(e) => setIsPrivate(e.target.checked)}
+              className="mt-1"
+            />
+            <span>
+              {t('room.private')}
+              <span className="block text-xs opacity-75">
+                {t('room.privateHint')}
+              </span>
+            </span>
+          </label>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 rounded-full text-sm hover:bg-gray-800"
+          >
+            {t('room.cancel')}
+          </button>
+          <button
+            type="submit"
+            disabled={isSaving || !title.trim()}
+            className="px-4 py-2 rounded-full text-sm font-semibold bg-gradient-to-r from-pink-400 to-blue-500 disabled:opacity-50"
+          >
+            {isNew ? t('room.create') : t('room.save')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RoomDialog;
@@ -0,0 +1,31 @@
+import { LocateFixed, Maximize, ZoomIn, ZoomOut } from 'lucide-react';
+import Minimap from './Minimap';
+import useTranslation from '../hooks/useTranslation';
+
+const buttonClassName = 'p-2 rounded-full bg-gray-800/70 text-white hover:bg-gray-700 disabled:opacity-50';
+
+// Zoom buttons, "find my candle" and the minimap, in the bottom corner
+const SkyControls = ({ candles, camera, viewport, canFindMine, onZoomIn, onZoomOut, onShowAll, onFindMine, onNavigate }) => {
+  const t = useTranslation();
+
+  const control = (Icon, label, onClick) => (
+    <button type="button" onClick={onClick} title={label} className={buttonClassName}>
+      <Icon aria-hidden="true" className="h-4 w-4" />
+      <span className="sr-only">{label}</span>
+    </button>
+  );
+
+  return (
+    <div className="fixed bottom-4 end-4 z-30 flex flex-col items-end gap-2">
+      <div className="flex gap-2">
+        {canFindMine && control(LocateFixed, t('sky.findMine'), onFindMine)}
+        {control(ZoomOut, t('sky.zoomOut'), onZoomOut)}
+        {control(ZoomIn, t('sky.zoomIn'), onZoomIn)}
+        {control(Maximize, t('sky.showAll'), onShowAll)}
+      </div>
+      <Minimap candles={candles} camera={camera} viewport={viewport} onNavigate={onNavigate} />
+    </div>
+  );
+};
+
+export default SkyControls;
@@ -26,7 +26,8 @@ const StarryBackground = () => {
   }, []);
 
   return (
-    <div className="starry-sky">
+    // Purely decorative
+    <div className="starry-sky" aria-hidden="true">
       {stars.map((star) => (
         <div
           key={star.id}
@@ -0,0 +1,53 @@
+import { Users } from 'lucide-react';
+import { SYNC_STATES } from '../services/syncEngine';
+import useTranslation from '../hooks/useTranslation';
+
+const formatTime = (timestamp, locale) =>
+  new Date(timestamp).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+
+const describe = (status, t) => {
+  switch (status.state) {
+    case SYNC_STATES.SYNCED:
+      return { label: t('sync.live'), color: 'bg-green-400' };
+    case SYNC_STATES.HIDDEN:
+      return { label: t('sync.hidden'), color: 'bg-gray-400' };
+    case SYNC_STATES.OFFLINE:
+      return { label: t('sync.offline'), color: 'bg-gray-400' };
+    case SYNC_STATES.BACKOFF:
+      return { label: t('sync.backoff'), color: 'bg-yellow-400' };
+    case SYNC_STATES.RATE_LIMITED:
+      return {
+        label: t('sync.rateLimited', {
+          time: formatTime(status.error?.retryAt ?? status.rateLimit?.resetAt, t.locale),
+        }),
+        color: 'bg-orange-400',
+      };
+    default:
+      return { label: t('sync.connecting'), color: 'bg-gray-400' };
+  }
+};
+
+// How the candles are kept up to date, and, when the realtime channel is
+// connected and someone else is here too, how many people are looking.
+// Only the sync status is announced; people coming and going is not.
+const SyncStatus = ({ status, presence }) => {
+  const t = useTranslation();
+  if (!status) return null;
+
+  const { label, color } = describe(status, t);
+
+  return (
+    <div className="fixed bottom-4 start-4 z-30 flex items-center gap-2 text-white text-xs opacity-75 drop-shadow-md">
+      <span className={`inline-block w-2 h-2 rounded-full ${color}`} />
+      <span role="status">{label}</span>
+      {presence > 1 && (
+        <span className="flex items-center gap-1 ms-2">
+          <Users aria-hidden="true" className="h-3 w-3" />
+          {t('presence.here', { count: presence })}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default SyncStatus;
@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+import { candleFromHash } from '../services/rooms';
+
+const readCandle = () => candleFromHash(window.location.hash);
+
+// Candle a shared link points at, updated when the hash changes
+const useLinkedCandle = () => {
+  const [candleId, setCandleId] = useState(readCandle);
+
+  useEffect(() => {
+    const handleHashChange = () => setCandleId(readCandle());
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  return candleId;
+};
+
+export default useLinkedCandle;
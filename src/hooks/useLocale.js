@@ -0,0 +1,24 @@
+import { useEffect, useMemo, useState } from 'react';
+import { createTranslator, detectLocale, savePreferredLocale } from '../services/i18n';
+
+// Language the visitor reads the app in, remembered in this browser. The
+// page's `lang` and `dir` follow it, so right-to-left languages lay out
+// from the right.
+const useLocale = () => {
+  const [locale, setLocale] = useState(detectLocale);
+  const t = useMemo(() => createTranslator(locale), [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = t.locale;
+    document.documentElement.dir = t.dir;
+  }, [t]);
+
+  const chooseLocale = (id) => {
+    setLocale(id);
+    savePreferredLocale(id);
+  };
+
+  return [t, chooseLocale];
+};
+
+export default useLocale;
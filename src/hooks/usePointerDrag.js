@@ -0,0 +1,94 @@
+import { useRef, useState } from 'react';
+import { SKY_SIZE, clampToArea } from '../services/coordinates';
+
+// Pointer movement below this many screen pixels is a click, not a drag
+const DRAG_THRESHOLD = 3;
+
+// Drag a candle with a mouse, pen or finger, using Pointer Events. Each
+// candle follows the one pointer that grabbed it, so several fingers can
+// drag several candles at once. While dragging, the position only lives in
+// this component; onDragEnd is called exactly once per gesture, with where
+// the candle was dropped, and may move it elsewhere (see collisions.js).
+// Positions are in sky pixels; getZoom tells how many screen pixels the
+// pointer moves for each of them (see camera.js).
+const usePointerDrag = ({ position, setPosition, enabled, getZoom = () => 1, onDragEnd }) => {
+  const [isDragging, setIsDragging] = useState(false);
+
+  // The gesture in progress: pointer, where it went down, zoom, start and
+  // latest position
+  const gesture = useRef(null);
+
+  // Set when a gesture that moved the candle ends, so the click the browser
+  // fires after it is not taken for a click on the candle
+  const suppressClick = useRef(false);
+
+  const onPointerDown = (e) => {
+    suppressClick.current = false;
+    if (!enabled || gesture.current || (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+    // Stops text selection and the emulated mouse events, which would
+    // also stop the candle getting focus, so focus it here
+    e.preventDefault();
+    e.currentTarget.focus({ preventScroll: true });
+    e.currentTarget.setPointerCapture(e.pointerId);
+    gesture.current = {
+      pointerId: e.pointerId,
+      pointer: { x: e.clientX, y: e.clientY },
+      zoom: getZoom(),
+      start: position,
+      latest: position,
+      moved: false,
+    };
+    setIsDragging(true);
+  };
+
+  const onPointerMove = (e) => {
+    const current = gesture.current;
+    if (!current || e.pointerId !== current.pointerId) return;
+
+    const dx = e.clientX - current.pointer.x;
+    const dy = e.clientY - current.pointer.y;
+    const next = clampToArea(
+      { x: current.start.x + dx / current.zoom, y: current.start.y + dy / current.zoom },
+      SKY_SIZE
+    );
+    current.moved = current.moved || Math.hypot(dx, dy) >= DRAG_THRESHOLD;
+    current.latest = next;
+    setPosition(next);
+  };
+
+  const finish = (e, { cancelled }) => {
+    const current = gesture.current;
+    if (!current || e.pointerId !== current.pointerId) return;
+
+    gesture.current = null;
+    setIsDragging(false);
+
+    if (cancelled) {
+      setPosition(current.start);
+    } else if (current.moved) {
+      suppressClick.current = true;
+      const dropped = onDragEnd(current.latest.x, current.latest.y) ?? current.latest;
+      setPosition(dropped);
+    }
+  };
+
+  return {
+    isDragging,
+    dragHandlers: {
+      onPointerDown,
+      onPointerMove,
+      onPointerUp: (e) => finish(e, { cancelled: false }),
+      // The browser took the pointer over, e.g. to scroll or for a system gesture
+      onPointerCancel: (e) => finish(e, { cancelled: true }),
+      onClickCapture: (e) => {
+        if (suppressClick.current) {
+          suppressClick.current = false;
+          e.stopPropagation();
+        }
+      },
+    },
+  };
+};
+
+export default usePointerDrag;
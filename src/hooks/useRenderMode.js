@@ -0,0 +1,19 @@
+import { useState } from 'react';
+import { RENDER_MODES, chooseRenderMode, requestedRenderMode } from '../services/renderMode';
+
+const requested = requestedRenderMode(window.location.search);
+
+// How candles are drawn for the number shown, unless the URL asks for a
+// mode, see renderMode.js
+const useRenderMode = (candleCount) => {
+  const [mode, setMode] = useState(() => requested ?? chooseRenderMode(candleCount, RENDER_MODES.DOM));
+
+  const next = requested ?? chooseRenderMode(candleCount, mode);
+  if (next !== mode) {
+    setMode(next);
+  }
+
+  return next;
+};
+
+export default useRenderMode;
@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+import { roomFromHash } from '../services/rooms';
+
+const readRoom = () => roomFromHash(window.location.hash);
+
+// Memorial room named in the URL, updated when the hash changes
+const useRoom = () => {
+  const [room, setRoom] = useState(readRoom);
+
+  useEffect(() => {
+    const handleHashChange = () => setRoom(readRoom());
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  return room;
+};
+
+export default useRoom;
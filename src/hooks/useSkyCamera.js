@@ -0,0 +1,145 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { cameraBetween, clampCamera, initialCamera, panBy, zoomAt } from '../services/camera';
+
+// Zoom per pixel scrolled with a mouse wheel, and per pixel pinched on a
+// trackpad, which browsers report as wheel events with Ctrl held
+const WHEEL_ZOOM_SPEED = 0.0015;
+const TRACKPAD_ZOOM_SPEED = 0.01;
+
+// Pixels per line, for wheels that scroll by lines
+const LINE_HEIGHT = 16;
+
+// How long flying to another part of the sky takes, in milliseconds
+const FLIGHT_DURATION = 700;
+
+const easeInOut = (progress) => (1 - Math.cos(progress * Math.PI)) / 2;
+
+const middleOf = (points) => ({
+  x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+  y: points.reduce((sum, point) => sum + point.y, 0) / points.length,
+});
+
+const spreadOf = ([a, b]) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Camera over the memorial sky (see camera.js), moved by dragging the sky
+// with one finger or the mouse, pinching with two, and the mouse wheel.
+// Gestures that start on a candle belong to the candle. flyTo() animates
+// the camera somewhere else, unless the visitor prefers reduced motion;
+// any other move stops the flight where it is.
+const useSkyCamera = (viewport) => {
+  const [camera, setCameraState] = useState(() => initialCamera(viewport));
+  const latestCamera = useRef(camera);
+  const latestViewport = useRef(viewport);
+  const flight = useRef(null);
+
+  const setCamera = useCallback((update) => {
+    cancelAnimationFrame(flight.current);
+    flight.current = null;
+    setCameraState(update);
+  }, []);
+
+  useEffect(() => {
+    latestCamera.current = camera;
+  }, [camera]);
+
+  const flyTo = useCallback((target) => {
+    cancelAnimationFrame(flight.current);
+    const from = latestCamera.current;
+    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+      flight.current = null;
+      setCameraState(clampCamera(target, latestViewport.current));
+      return;
+    }
+
+    let startTime = null;
+    const step = (time) => {
+      startTime ??= time;
+      const progress = Math.min((time - startTime) / FLIGHT_DURATION, 1);
+      setCameraState(cameraBetween(from, target, easeInOut(progress), latestViewport.current));
+      flight.current = progress < 1 ? requestAnimationFrame(step) : null;
+    };
+    flight.current = requestAnimationFrame(step);
+  }, []);
+
+  const isFlying = useCallback(() => flight.current !== null, []);
+
+  // Stop flying when the sky goes away
+  useEffect(() => () => cancelAnimationFrame(flight.current), []);
+
+  // Pointers on the sky, by id, where they were last seen
+  const pointers = useRef(new Map());
+
+  // Keep the sky filling the screen as the window changes size
+  useEffect(() => {
+    latestViewport.current = viewport;
+    setCamera(current => clampCamera(current, viewport));
+  }, [viewport, setCamera]);
+
+  // Wheel events are listened to directly, since React's listener is
+  // passive and could not stop the browser zooming the page instead
+  const skyRef = useCallback((sky) => {
+    if (!sky) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const pixels = e.deltaMode === WheelEvent.DOM_DELTA_LINE ? LINE_HEIGHT : 1;
+      const speed = e.ctrlKey ? TRACKPAD_ZOOM_SPEED : WHEEL_ZOOM_SPEED;
+      const factor = Math.exp(-e.deltaY * pixels * speed);
+      const point = { x: e.clientX, y: e.clientY };
+      setCamera(current => panBy(
+        zoomAt(current, current.zoom * factor, point, latestViewport.current),
+        -e.deltaX * pixels,
+        0,
+        latestViewport.current
+      ));
+    };
+
+    sky.addEventListener('wheel', handleWheel, { passive: false });
+    return () => sky.removeEventListener('wheel', handleWheel);
+  }, [setCamera]);
+
+  const onPointerDown = (e) => {
+    if (e.target.closest('[data-candle]') || (e.pointerType === 'mouse' && e.button !== 0)) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  };
+
+  // One pointer pans; two also zoom around the middle of the pinch
+  const onPointerMove = (e) => {
+    if (!pointers.current.has(e.pointerId)) return;
+
+    const before = [...pointers.current.values()];
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const after = [...pointers.current.values()];
+
+    const from = middleOf(before);
+    const to = middleOf(after);
+    const factor = after.length > 1 && spreadOf(before) > 0 ? spreadOf(after) / spreadOf(before) : 1;
+    setCamera(current => zoomAt(
+      panBy(current, to.x - from.x, to.y - from.y, latestViewport.current),
+      current.zoom * factor,
+      to,
+      latestViewport.current
+    ));
+  };
+
+  const onPointerEnd = (e) => {
+    pointers.current.delete(e.pointerId);
+  };
+
+  return {
+    camera,
+    setCamera,
+    flyTo,
+    isFlying,
+    skyRef,
+    skyHandlers: {
+      onPointerDown,
+      onPointerMove,
+      onPointerUp: onPointerEnd,
+      onPointerCancel: onPointerEnd,
+    },
+  };
+};
+
+export default useSkyCamera;
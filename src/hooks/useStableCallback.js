@@ -0,0 +1,16 @@
+import { useCallback, useLayoutEffect, useRef } from 'react';
+
+// A function that keeps its identity across renders but always calls the
+// latest `callback`, so passing it down does not re-render memoised
+// components
+const useStableCallback = (callback) => {
+  const latest = useRef(callback);
+
+  useLayoutEffect(() => {
+    latest.current = callback;
+  });
+
+  return useCallback((...args) => latest.current(...args), []);
+};
+
+export default useStableCallback;
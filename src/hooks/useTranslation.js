@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+import { createTranslator, DEFAULT_LOCALE } from '../services/i18n';
+
+// Provided by App for the visitor's language
+export const TranslationContext = createContext(createTranslator(DEFAULT_LOCALE));
+
+// Translation function for the current language, see i18n.js
+const useTranslation = () => useContext(TranslationContext);
+
+export default useTranslation;
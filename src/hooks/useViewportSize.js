@@ -0,0 +1,18 @@
+import { useEffect, useState } from 'react';
+
+const readSize = () => ({ width: window.innerWidth, height: window.innerHeight });
+
+// Current window size, updated on resize and orientation changes
+const useViewportSize = () => {
+  const [size, setSize] = useState(readSize);
+
+  useEffect(() => {
+    const handleResize = () => setSize(readSize());
+    window.addEventListener('resize', handleResize);
+    return () => window.removeEventListener('resize', handleResize);
+  }, []);
+
+  return size;
+};
+
+export default useViewportSize;
@@ -0,0 +1,301 @@
+// Arabic messages, see en.js. Shown right to left.
+export default {
+  // Header and main controls
+  "app.loading": "جارٍ تحميل الشموع…",
+  "app.defaultTitle": "شموع الذكرى",
+  "app.defaultSubtitle": "أضئ شمعة في ذكرى صغارنا الغالين.",
+  "app.mainMemorial": "→ صفحة الذكرى الرئيسية",
+  "app.privateRoom": "غرفة خاصة — لا يراها إلا من لديه الرابط",
+  "app.editRoom": "تعديل الغرفة",
+  "app.review": "مراجعة ({count})",
+  "app.manageRoom": "إدارة الغرفة",
+  "app.createRoom": "إنشاء غرفة",
+  "app.exportJson": "تصدير JSON",
+  "app.exportCsv": "تصدير CSV",
+  "app.import": "استيراد",
+  "app.language": "اللغة",
+  "app.lightCandle": "أضئ شمعة",
+  "app.candleStyle": "شكل الشمعة",
+  "app.reconnecting": "جارٍ إعادة الاتصال بصفحة الذكرى…",
+  "app.firstCandle": "انقر الزر أعلاه لإضاءة شمعتك الأولى",
+  "app.instructions": "اسحب السماء لتتجول فيها وقرّب بإصبعين أو بعجلة التمرير للتكبير • اسحب شموعك لتحريكها • انقر أسماءها لتعديلها • أو انتقل إلى شمعة بمفتاح Tab واستخدم مفاتيح الأسهم أو Enter أو Delete",
+  "app.keyboardHelp": "استخدم مفاتيح الأسهم لتحريك هذه الشمعة، ومع Shift لتحريكها أبعد. اضغط Enter لتسميتها، والمسافة لقراءة إهدائها أو تعديله، وDelete لإزالتها.",
+  "app.dismiss": "إغلاق",
+
+  // Errors
+  "error.conflict": "هناك من يضيء شموعًا في هذه اللحظة. يرجى المحاولة مرة أخرى بعد قليل.",
+  "error.rateLimited": "أنت تجري تغييرات كثيرة. إنها محفوظة على هذا الجهاز وستُحفظ بعد قليل.",
+  "error.unreachable": "تعذّر الوصول إلى صفحة الذكرى. يرجى المحاولة مرة أخرى بعد قليل.",
+  "error.saveQueued": "تعذّر الحفظ الآن. تغييرك محفوظ على هذا الجهاز وسيُحفظ عند عودة الاتصال.",
+  "error.tooManyCandles": "لقد أضأت عدة شموع في وقت قصير. يرجى الانتظار بضع دقائق قبل إضاءة شمعة أخرى.",
+  "error.tooManyChanges": "أنت تجري تغييرات كثيرة. يرجى الانتظار لحظة والمحاولة مرة أخرى.",
+  "error.roomExists": "توجد غرفة بهذا العنوان بالفعل. يرجى اختيار عنوان آخر.",
+  "error.createRoom": "تعذّر إنشاء الغرفة. يرجى المحاولة مرة أخرى.",
+  "error.roomForbidden": "لا يستطيع تغيير هذه الغرفة إلا من أنشأها.",
+  "error.saveRoom": "تعذّر حفظ الغرفة. يرجى المحاولة مرة أخرى.",
+  "error.importUnreadable": "تعذّرت قراءة هذا الملف. يرجى اختيار ملف تصدير JSON أو CSV.",
+  "error.share": "تعذّر إنشاء الصورة. يُرجى المحاولة مرة أخرى.",
+
+  // Notices
+  "notice.heldForReview": "شكرًا لك. ستظهر شمعتك للجميع بعد أن يطّلع عليها أحد المشرفين.",
+  "notice.candleNotFound": "الشمعة في هذا الرابط لم تعد موجودة.",
+  "notice.removed": {
+    zero: "لم تُزل أي شمعة.",
+    one: "أُزيلت شمعة واحدة.",
+    two: "أُزيلت شمعتان.",
+    few: "أُزيلت {count} شموع.",
+    many: "أُزيلت {count} شمعة.",
+    other: "أُزيلت {count} شمعة.",
+  },
+  "notice.restored": {
+    zero: "لم تُستعد أي شمعة.",
+    one: "استُعيدت شمعة واحدة.",
+    two: "استُعيدت شمعتان.",
+    few: "استُعيدت {count} شموع.",
+    many: "استُعيدت {count} شمعة.",
+    other: "استُعيدت {count} شمعة.",
+  },
+  "notice.roomSaved": "حُفظت الغرفة.",
+  "notice.retentionSaved": "حُفظت سياسة الاحتفاظ. تُطبَّق بدءًا من التنظيف القادم.",
+  "notice.importKnown": "كل الشموع في هذا الملف موجودة هنا بالفعل.",
+  "notice.imported": {
+    zero: "لم تُستورد أي شمعة.",
+    one: "استُوردت شمعة واحدة.",
+    two: "استُوردت شمعتان.",
+    few: "استُوردت {count} شموع.",
+    many: "استُوردت {count} شمعة.",
+    other: "استُوردت {count} شمعة.",
+  },
+  "notice.importSkipped": {
+    zero: "لم يُتخطَّ أي إدخال.",
+    one: "تُخطّي إدخال واحد غير صالح.",
+    two: "تُخطّي إدخالان غير صالحين.",
+    few: "تُخطّيت {count} إدخالات غير صالحة.",
+    many: "تُخطّي {count} إدخالًا غير صالح.",
+    other: "تُخطّي {count} إدخال غير صالح.",
+  },
+  "notice.importLater": {
+    zero: "لم يبقَ شيء للاستيراد.",
+    one: "يمكن استيراد شمعة أخرى من الملف نفسه بعد بضع دقائق.",
+    two: "يمكن استيراد شمعتين أخريين من الملف نفسه بعد بضع دقائق.",
+    few: "يمكن استيراد {count} شموع أخرى من الملف نفسه بعد بضع دقائق.",
+    many: "يمكن استيراد {count} شمعة أخرى من الملف نفسه بعد بضع دقائق.",
+    other: "يمكن استيراد {count} شمعة أخرى من الملف نفسه بعد بضع دقائق.",
+  },
+
+  // Describing candles
+  "candle.named": "شمعة لـ{name}",
+  "candle.unnamed": "شمعة بلا اسم",
+  "candle.lit": "{candle}، أُضيئت {time}",
+  "candle.underReview": "{candle}، بانتظار المراجعة",
+  "candle.justNow": "الآن",
+  "candle.newNamed": "أُضيئت شمعة لـ{name}",
+  "candle.new": "أُضيئت شمعة جديدة",
+  "candle.newMany": {
+    zero: "لم تُضأ شموع جديدة",
+    one: "أُضيئت شمعة جديدة",
+    two: "أُضيئت شمعتان جديدتان",
+    few: "أُضيئت {count} شموع جديدة",
+    many: "أُضيئت {count} شمعة جديدة",
+    other: "أُضيئت {count} شمعة جديدة",
+  },
+
+  // A candle
+  "candle.clickToName": "انقر للتسمية",
+  "candle.nameField": "الاسم على الشمعة",
+  "candle.rename": "إعادة تسمية شمعة {name}",
+  "candle.nameThis": "سمِّ هذه الشمعة",
+  "candle.remove": "إزالة الشمعة",
+  "candle.removeNamed": "إزالة شمعة {name}",
+  "candle.removeThis": "إزالة هذه الشمعة",
+  "candle.confirmRemoveNamed": "هل تريد إزالة شمعة {name}؟",
+  "candle.confirmRemove": "هل تريد إزالة هذه الشمعة؟",
+  "candle.waitingToSync": "بانتظار المزامنة",
+  "candle.waitingForReview": "بانتظار المراجعة",
+  "candle.waitingForReviewHint": "بانتظار المراجعة؛ لا يراها إلا أنت والمشرفون",
+
+  // Dedication card
+  "details.inMemory": "في ذكرى {name}",
+  "details.aCandle": "شمعة",
+  "details.close": "إغلاق",
+  "details.message": "الرسالة",
+  "details.date": "تاريخ الذكرى",
+  "details.litBy": "أضاءها",
+  "details.litByPlaceholder": "اتركه فارغًا لتبقى مجهول الاسم",
+  "details.cancel": "إلغاء",
+  "details.save": "حفظ",
+  "details.empty": "لا يوجد إهداء بعد.",
+  "details.remembering": "نتذكّر {date}",
+  "details.litByName": "أضاءها {name}",
+  "details.litAnonymously": "أُضيئت دون ذكر اسم",
+  "details.litWhen": "{who}، {time}",
+  "details.edit": "تعديل الإهداء",
+  "details.add": "إضافة إهداء",
+  "details.copyLink": "نسخ الرابط",
+  "details.linkCopied": "نُسخ الرابط",
+  "details.link": "رابط هذه الشمعة",
+  "details.share": "مشاركة",
+  "details.sharing": "جارٍ التحضير…",
+
+  // Candle styles
+  "style.colour": "اللون",
+  "style.decoration": "الزينة",
+  "style.flame": "اللهب",
+  "style.color.ivory": "عاجي",
+  "style.color.pink": "وردي",
+  "style.color.blue": "أزرق",
+  "style.color.white": "أبيض",
+  "style.color.pink-and-blue": "وردي وأزرق",
+  "style.color.lavender": "خزامي",
+  "style.decoration.none": "بلا زينة",
+  "style.decoration.ribbon": "شريط",
+  "style.decoration.heart": "قلب",
+  "style.flame.flicker": "متراقص",
+  "style.flame.dance": "راقص",
+  "style.flame.glow": "توهّج هادئ",
+
+  // Room dialog
+  "room.createTitle": "إنشاء غرفة ذكرى",
+  "room.editTitle": "تعديل هذه الغرفة",
+  "room.title": "العنوان",
+  "room.titlePlaceholder": "أسبوع التوعية بفقدان الأطفال 2026",
+  "room.subtitle": "العنوان الفرعي",
+  "room.subtitlePlaceholder": "أضئ شمعة في ذكرى صغارنا الغالين.",
+  "room.private": "غرفة خاصة",
+  "room.privateHint": "تحصل على رابط لا يمكن تخمينه، لتشاركه مع المقرّبين فقط.",
+  "room.cancel": "إلغاء",
+  "room.create": "إنشاء الغرفة",
+  "room.save": "حفظ",
+
+  // Moderation
+  "review.title": "شموع بانتظار المراجعة",
+  "review.empty": "لا شيء للمراجعة.",
+  "review.flaggedFor": "سبب الإشارة: {reason}",
+  "review.flaggedLit": "سبب الإشارة: {reason}، أُضيئت {time}",
+  "review.reject": "رفض",
+  "review.approve": "موافقة",
+  "review.close": "إغلاق",
+  "review.reason.blockedWord": "كلمة محظورة",
+  "review.reason.link": "رابط",
+  "review.reason.spam": "رسائل مزعجة",
+  "review.reason.unknown": "مراجعة",
+
+  // Admin console
+  "admin.title": "إدارة «{title}»",
+  "admin.close": "إغلاق",
+  "admin.candles": "الشموع ({count})",
+  "admin.search": "ابحث في الأسماء والإهداءات",
+  "admin.searchLabel": "البحث في الشموع",
+  "admin.show": "عرض",
+  "admin.all": "كل الشموع",
+  "admin.status.shown": "ظاهرة",
+  "admin.status.pending": "بانتظار المراجعة",
+  "admin.status.removed": "مُزالة",
+  "admin.sort": "الترتيب حسب",
+  "admin.sort.newest": "الأحدث أولًا",
+  "admin.sort.oldest": "الأقدم أولًا",
+  "admin.sort.name": "الاسم",
+  "admin.selectAll": "تحديد الكل ({count})",
+  "admin.remove": "إزالة ({count})",
+  "admin.restore": "استعادة ({count})",
+  "admin.noMatch": "لا توجد شموع مطابقة.",
+  "admin.litAgo": "أُضيئت {time}",
+  "admin.restoreHint": "يمكن استعادة الشموع المُزالة خلال يوم واحد. بعد ذلك تختفي من الغرفة؛ أما الشموع التي تحذفها سياسة الاحتفاظ فتبقى في أرشيف الغرفة.",
+  "admin.room": "الغرفة",
+  "admin.saveRoom": "حفظ الغرفة",
+  "admin.retention": "الاحتفاظ",
+  "admin.neverExpire": "الاحتفاظ بالشموع دائمًا",
+  "admin.maxAgeDays": "الاحتفاظ بالشموع (أيام)",
+  "admin.namedMaxAgeDays": "الاحتفاظ بالشموع المسمّاة (أيام)",
+  "admin.maxCount": "الحد الأقصى (شموع)",
+  "admin.policy": "التنظيف الأسبوعي: {policy}.",
+  "admin.policy.neverExpire": "الاحتفاظ بكل شيء",
+  "admin.policy.maxAgeDays": {
+    zero: "الاحتفاظ بالشموع {count} يوم",
+    one: "الاحتفاظ بالشموع يومًا واحدًا",
+    two: "الاحتفاظ بالشموع يومين",
+    few: "الاحتفاظ بالشموع {count} أيام",
+    many: "الاحتفاظ بالشموع {count} يومًا",
+    other: "الاحتفاظ بالشموع {count} يوم",
+  },
+  "admin.policy.namedMaxAgeDays": {
+    zero: "الاحتفاظ بالشموع المسمّاة {count} يوم",
+    one: "الاحتفاظ بالشموع المسمّاة يومًا واحدًا",
+    two: "الاحتفاظ بالشموع المسمّاة يومين",
+    few: "الاحتفاظ بالشموع المسمّاة {count} أيام",
+    many: "الاحتفاظ بالشموع المسمّاة {count} يومًا",
+    other: "الاحتفاظ بالشموع المسمّاة {count} يوم",
+  },
+  "admin.policy.maxCount": {
+    zero: "عدم الاحتفاظ بأي شمعة",
+    one: "الاحتفاظ بأحدث شمعة",
+    two: "الاحتفاظ بأحدث شمعتين",
+    few: "الاحتفاظ بأحدث {count} شموع",
+    many: "الاحتفاظ بأحدث {count} شمعة",
+    other: "الاحتفاظ بأحدث {count} شمعة",
+  },
+  "admin.policy.invalid": "يجب أن تكون الحدود أعدادًا صحيحة أكبر من صفر.",
+  "admin.saveRetention": "حفظ سياسة الاحتفاظ",
+  "admin.activity": "النشاط الأخير",
+  "admin.noActivity": "لم يحدث شيء بعد.",
+
+  // Recent activity
+  "activity.lit": "{candle}: أُضيئت",
+  "activity.renamed": "{candle}: سُمّيت",
+  "activity.moved": "{candle}: نُقلت",
+  "activity.dedicated": "{candle}: إهداء جديد",
+  "activity.flagged": "{candle}: حُجبت للمراجعة",
+  "activity.approved": "{candle}: تمت الموافقة عليها",
+  "activity.removed": "{candle}: أُزيلت",
+  "activity.restored": "{candle}: استُعيدت",
+
+  // Sharing a picture of a candle
+  "share.named": "شمعة في ذكرى {name}",
+  "share.unnamed": "شمعة تذكارية",
+
+  // Search
+  "search.label": "البحث في الشموع",
+  "search.placeholder": "ابحث عن اسم أو إهداء",
+  "search.clear": "مسح البحث",
+  "search.noMatch": "لا توجد شموع مطابقة",
+  "search.more": {
+    zero: "و{count} أخرى مميّزة في السماء",
+    one: "وشمعة أخرى مميّزة في السماء",
+    two: "وشمعتان أخريان مميّزتان في السماء",
+    few: "و{count} شموع أخرى مميّزة في السماء",
+    many: "و{count} شمعة أخرى مميّزة في السماء",
+    other: "و{count} شمعة أخرى مميّزة في السماء",
+  },
+  "search.found": {
+    zero: "لم يُعثر على أي شمعة",
+    one: "عُثر على شمعة واحدة",
+    two: "عُثر على شمعتين",
+    few: "عُثر على {count} شموع",
+    many: "عُثر على {count} شمعة",
+    other: "عُثر على {count} شمعة",
+  },
+
+  // Sky controls
+  "sky.zoomIn": "تكبير",
+  "sky.zoomOut": "تصغير",
+  "sky.showAll": "عرض السماء كاملة",
+  "sky.findMine": "اعثر على شمعتي",
+
+  // Sync status
+  "sync.live": "مباشر",
+  "sync.hidden": "متوقف مؤقتًا في الخلفية",
+  "sync.offline": "غير متصل — بانتظار الاتصال",
+  "sync.backoff": "جارٍ إعادة الاتصال…",
+  "sync.rateLimited": "تحديث بطيء حتى {time}",
+  "sync.connecting": "جارٍ الاتصال…",
+
+  // Presence, when the realtime channel is connected
+  "presence.here": {
+    zero: "لا أحد هنا",
+    one: "شخص واحد هنا",
+    two: "شخصان هنا",
+    few: "{count} أشخاص هنا",
+    many: "{count} شخصًا هنا",
+    other: "{count} شخص هنا",
+  },
+};
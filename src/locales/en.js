@@ -0,0 +1,224 @@
+// English messages, and the fallback for messages other languages lack.
+// See i18n.js for placeholders and plural forms.
+export default {
+  // Header and main controls
+  "app.loading": "Loading memorial candles…",
+  "app.defaultTitle": "Memorial Candles",
+  "app.defaultSubtitle": "Light a candle in memory of precious little ones.",
+  "app.mainMemorial": "← Main memorial",
+  "app.privateRoom": "Private room — only people with the link can see it",
+  "app.editRoom": "Edit room",
+  "app.review": "Review ({count})",
+  "app.manageRoom": "Manage room",
+  "app.createRoom": "Create a room",
+  "app.exportJson": "Export JSON",
+  "app.exportCsv": "Export CSV",
+  "app.import": "Import",
+  "app.language": "Language",
+  "app.lightCandle": "Light a Candle",
+  "app.candleStyle": "Candle style",
+  "app.reconnecting": "Reconnecting to the memorial…",
+  "app.firstCandle": "Click the button above to light your first candle",
+  "app.instructions": "Drag the sky to look around and pinch or scroll to zoom • Drag your candles to move them • Click their names to edit • Or Tab to a candle and use the arrow keys, Enter or Delete",
+  "app.keyboardHelp": "Use the arrow keys to move this candle, with Shift to move it further. Press Enter to name it, Space to read or edit its dedication and Delete to remove it.",
+  "app.dismiss": "Dismiss",
+
+  // Errors
+  "error.conflict": "Someone else is lighting candles right now. Please try again in a moment.",
+  "error.rateLimited": "You are making a lot of changes. They are kept on this device and will be saved in a moment.",
+  "error.unreachable": "Could not reach the memorial. Please try again in a moment.",
+  "error.saveQueued": "Could not save right now. Your change is kept on this device and will be saved when the connection returns.",
+  "error.tooManyCandles": "You have lit several candles in a short time. Please wait a few minutes before lighting another.",
+  "error.tooManyChanges": "You are making a lot of changes. Please wait a moment and try again.",
+  "error.roomExists": "A room with this title already exists. Please choose another title.",
+  "error.createRoom": "Could not create the room. Please try again.",
+  "error.roomForbidden": "Only the person who created this room can change it.",
+  "error.saveRoom": "Could not save the room. Please try again.",
+  "error.importUnreadable": "Could not read that file. Please choose a JSON or CSV export.",
+  "error.share": "Could not create the picture. Please try again.",
+
+  // Notices
+  "notice.heldForReview": "Thank you. Your candle will be shown to everyone once a moderator has looked at it.",
+  "notice.candleNotFound": "The candle in this link is no longer here.",
+  "notice.removed": { one: "Removed {count} candle.", other: "Removed {count} candles." },
+  "notice.restored": { one: "Restored {count} candle.", other: "Restored {count} candles." },
+  "notice.roomSaved": "Room saved.",
+  "notice.retentionSaved": "Retention policy saved. It applies from the next cleanup.",
+  "notice.importKnown": "Every candle in that file is already here.",
+  "notice.imported": { one: "Imported {count} candle.", other: "Imported {count} candles." },
+  "notice.importSkipped": {
+    one: "{count} invalid entry was skipped.",
+    other: "{count} invalid entries were skipped.",
+  },
+  "notice.importLater": "{count} more can be imported from the same file in a few minutes.",
+
+  // Describing candles
+  "candle.named": "Candle for {name}",
+  "candle.unnamed": "Unnamed candle",
+  "candle.lit": "{candle}, lit {time}",
+  "candle.underReview": "{candle}, waiting for review",
+  "candle.justNow": "just now",
+  "candle.newNamed": "A candle was lit for {name}",
+  "candle.new": "A new candle was lit",
+  "candle.newMany": { one: "{count} new candle was lit", other: "{count} new candles were lit" },
+
+  // A candle
+  "candle.clickToName": "Click to name",
+  "candle.nameField": "Name on the candle",
+  "candle.rename": "Rename the candle for {name}",
+  "candle.nameThis": "Name this candle",
+  "candle.remove": "Remove candle",
+  "candle.removeNamed": "Remove the candle for {name}",
+  "candle.removeThis": "Remove this candle",
+  "candle.confirmRemoveNamed": "Remove the candle for {name}?",
+  "candle.confirmRemove": "Remove this candle?",
+  "candle.waitingToSync": "Waiting to sync",
+  "candle.waitingForReview": "Waiting for review",
+  "candle.waitingForReviewHint": "Waiting for review; only you and moderators can see it",
+
+  // Dedication card
+  "details.inMemory": "In memory of {name}",
+  "details.aCandle": "A candle",
+  "details.close": "Close",
+  "details.message": "Message",
+  "details.date": "Date of remembrance",
+  "details.litBy": "Lit by",
+  "details.litByPlaceholder": "Leave empty to stay anonymous",
+  "details.cancel": "Cancel",
+  "details.save": "Save",
+  "details.empty": "No dedication yet.",
+  "details.remembering": "Remembering {date}",
+  "details.litByName": "Lit by {name}",
+  "details.litAnonymously": "Lit anonymously",
+  "details.litWhen": "{who}, {time}",
+  "details.edit": "Edit dedication",
+  "details.add": "Add a dedication",
+  "details.copyLink": "Copy link",
+  "details.linkCopied": "Link copied",
+  "details.link": "Link to this candle",
+  "details.share": "Share",
+  "details.sharing": "Preparing…",
+
+  // Candle styles, by catalogue id, see candleStyles.js
+  "style.colour": "Colour",
+  "style.decoration": "Decoration",
+  "style.flame": "Flame",
+  "style.color.ivory": "Ivory",
+  "style.color.pink": "Pink",
+  "style.color.blue": "Blue",
+  "style.color.white": "White",
+  "style.color.pink-and-blue": "Pink and blue",
+  "style.color.lavender": "Lavender",
+  "style.decoration.none": "None",
+  "style.decoration.ribbon": "Ribbon",
+  "style.decoration.heart": "Heart",
+  "style.flame.flicker": "Flicker",
+  "style.flame.dance": "Dancing",
+  "style.flame.glow": "Soft glow",
+
+  // Room dialog
+  "room.createTitle": "Create a memorial room",
+  "room.editTitle": "Edit this room",
+  "room.title": "Title",
+  "room.titlePlaceholder": "Baby Loss Awareness Week 2026",
+  "room.subtitle": "Subtitle",
+  "room.subtitlePlaceholder": "Light a candle in memory of precious little ones.",
+  "room.private": "Private room",
+  "room.privateHint": "Gets a link that cannot be guessed, to share only with your circle.",
+  "room.cancel": "Cancel",
+  "room.create": "Create room",
+  "room.save": "Save",
+
+  // Moderation
+  "review.title": "Candles waiting for review",
+  "review.empty": "Nothing to review.",
+  "review.flaggedFor": "Flagged for: {reason}",
+  "review.flaggedLit": "Flagged for: {reason}, lit {time}",
+  "review.reject": "Reject",
+  "review.approve": "Approve",
+  "review.close": "Close",
+  "review.reason.blockedWord": "blocked word",
+  "review.reason.link": "link",
+  "review.reason.spam": "spam",
+  "review.reason.unknown": "review",
+
+  // Admin console
+  "admin.title": "Manage “{title}”",
+  "admin.close": "Close",
+  "admin.candles": "Candles ({count})",
+  "admin.search": "Search names and dedications",
+  "admin.searchLabel": "Search candles",
+  "admin.show": "Show",
+  "admin.all": "All candles",
+  "admin.status.shown": "Shown",
+  "admin.status.pending": "Waiting for review",
+  "admin.status.removed": "Removed",
+  "admin.sort": "Sort by",
+  "admin.sort.newest": "Newest first",
+  "admin.sort.oldest": "Oldest first",
+  "admin.sort.name": "Name",
+  "admin.selectAll": "Select all {count}",
+  "admin.remove": "Remove ({count})",
+  "admin.restore": "Restore ({count})",
+  "admin.noMatch": "No candles match.",
+  "admin.litAgo": "lit {time}",
+  "admin.restoreHint": "Removed candles can be restored for a day. After that they are gone from the room; candles pruned by the retention policy are kept in the room’s archive.",
+  "admin.room": "Room",
+  "admin.saveRoom": "Save room",
+  "admin.retention": "Retention",
+  "admin.neverExpire": "Never expire candles",
+  "admin.maxAgeDays": "Keep candles for (days)",
+  "admin.namedMaxAgeDays": "Keep named candles for (days)",
+  "admin.maxCount": "Keep at most (candles)",
+  "admin.policy": "Weekly cleanup: {policy}.",
+  "admin.policy.neverExpire": "never expire",
+  "admin.policy.maxAgeDays": { one: "keep candles for {count} day", other: "keep candles for {count} days" },
+  "admin.policy.namedMaxAgeDays": {
+    one: "keep named candles for {count} day",
+    other: "keep named candles for {count} days",
+  },
+  "admin.policy.maxCount": { one: "keep the newest candle", other: "keep the newest {count} candles" },
+  "admin.policy.invalid": "Limits must be whole numbers above zero.",
+  "admin.saveRetention": "Save retention",
+  "admin.activity": "Recent activity",
+  "admin.noActivity": "Nothing has happened yet.",
+
+  // Recent activity, see activity.js
+  "activity.lit": "{candle} was lit",
+  "activity.renamed": "{candle} was named",
+  "activity.moved": "{candle} was moved",
+  "activity.dedicated": "{candle} got a new dedication",
+  "activity.flagged": "{candle} was held back for review",
+  "activity.approved": "{candle} was approved",
+  "activity.removed": "{candle} was removed",
+  "activity.restored": "{candle} was restored",
+
+  // Sharing a picture of a candle
+  "share.named": "A candle in memory of {name}",
+  "share.unnamed": "A memorial candle",
+
+  // Search
+  "search.label": "Search candles",
+  "search.placeholder": "Find a name or dedication",
+  "search.clear": "Clear search",
+  "search.noMatch": "No candles match",
+  "search.more": "and {count} more, highlighted in the sky",
+  "search.found": { one: "{count} candle found", other: "{count} candles found" },
+
+  // Sky controls
+  "sky.zoomIn": "Zoom in",
+  "sky.zoomOut": "Zoom out",
+  "sky.showAll": "Show the whole sky",
+  "sky.findMine": "Find my candle",
+
+  // Sync status
+  "sync.live": "Live",
+  "sync.hidden": "Paused while in background",
+  "sync.offline": "Offline — waiting for connection",
+  "sync.backoff": "Reconnecting…",
+  "sync.rateLimited": "Updating slowly until {time}",
+  "sync.connecting": "Connecting…",
+
+  // Presence, when the realtime channel is connected
+  "presence.here": { one: "{count} person is here", other: "{count} people are here" },
+};
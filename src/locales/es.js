@@ -0,0 +1,232 @@
+// Spanish messages, see en.js
+export default {
+  // Header and main controls
+  "app.loading": "Cargando las velas…",
+  "app.defaultTitle": "Velas en memoria",
+  "app.defaultSubtitle": "Enciende una vela en memoria de nuestros pequeños.",
+  "app.mainMemorial": "← Memorial principal",
+  "app.privateRoom": "Sala privada: solo quien tenga el enlace puede verla",
+  "app.editRoom": "Editar sala",
+  "app.review": "Revisar ({count})",
+  "app.manageRoom": "Gestionar sala",
+  "app.createRoom": "Crear una sala",
+  "app.exportJson": "Exportar JSON",
+  "app.exportCsv": "Exportar CSV",
+  "app.import": "Importar",
+  "app.language": "Idioma",
+  "app.lightCandle": "Encender una vela",
+  "app.candleStyle": "Estilo de la vela",
+  "app.reconnecting": "Reconectando con el memorial…",
+  "app.firstCandle": "Pulsa el botón de arriba para encender tu primera vela",
+  "app.instructions": "Arrastra el cielo para recorrerlo y pellizca o desplázate para hacer zoom • Arrastra tus velas para moverlas • Pulsa su nombre para editarlo • O llega a una vela con Tab y usa las flechas, Intro o Supr",
+  "app.keyboardHelp": "Usa las flechas para mover esta vela, con Mayús para moverla más lejos. Pulsa Intro para ponerle nombre, Espacio para leer o editar su dedicatoria y Supr para quitarla.",
+  "app.dismiss": "Cerrar",
+
+  // Errors
+  "error.conflict": "Otra persona está encendiendo velas en este momento. Inténtalo de nuevo en un momento.",
+  "error.rateLimited": "Estás haciendo muchos cambios. Se guardan en este dispositivo y se enviarán en un momento.",
+  "error.unreachable": "No se pudo conectar con el memorial. Inténtalo de nuevo en un momento.",
+  "error.saveQueued": "No se pudo guardar ahora. Tu cambio se guarda en este dispositivo y se enviará cuando vuelva la conexión.",
+  "error.tooManyCandles": "Has encendido varias velas en poco tiempo. Espera unos minutos antes de encender otra.",
+  "error.tooManyChanges": "Estás haciendo muchos cambios. Espera un momento e inténtalo de nuevo.",
+  "error.roomExists": "Ya existe una sala con este título. Elige otro título.",
+  "error.createRoom": "No se pudo crear la sala. Inténtalo de nuevo.",
+  "error.roomForbidden": "Solo la persona que creó esta sala puede cambiarla.",
+  "error.saveRoom": "No se pudo guardar la sala. Inténtalo de nuevo.",
+  "error.importUnreadable": "No se pudo leer ese archivo. Elige una exportación JSON o CSV.",
+  "error.share": "No se pudo crear la imagen. Inténtalo de nuevo.",
+
+  // Notices
+  "notice.heldForReview": "Gracias. Tu vela se mostrará a todos cuando la haya revisado una persona moderadora.",
+  "notice.candleNotFound": "La vela de este enlace ya no está aquí.",
+  "notice.removed": { one: "Se quitó {count} vela.", other: "Se quitaron {count} velas." },
+  "notice.restored": { one: "Se restauró {count} vela.", other: "Se restauraron {count} velas." },
+  "notice.roomSaved": "Sala guardada.",
+  "notice.retentionSaved": "Política de conservación guardada. Se aplica a partir de la próxima limpieza.",
+  "notice.importKnown": "Todas las velas de ese archivo ya están aquí.",
+  "notice.imported": { one: "Se importó {count} vela.", other: "Se importaron {count} velas." },
+  "notice.importSkipped": {
+    one: "Se omitió {count} entrada no válida.",
+    other: "Se omitieron {count} entradas no válidas.",
+  },
+  "notice.importLater": "Podrás importar {count} más desde el mismo archivo dentro de unos minutos.",
+
+  // Describing candles
+  "candle.named": "Vela por {name}",
+  "candle.unnamed": "Vela sin nombre",
+  "candle.lit": "{candle}, encendida {time}",
+  "candle.underReview": "{candle}, pendiente de revisión",
+  "candle.justNow": "ahora mismo",
+  "candle.newNamed": "Se encendió una vela por {name}",
+  "candle.new": "Se encendió una nueva vela",
+  "candle.newMany": { one: "Se encendió {count} vela nueva", other: "Se encendieron {count} velas nuevas" },
+
+  // A candle
+  "candle.clickToName": "Pulsa para nombrar",
+  "candle.nameField": "Nombre en la vela",
+  "candle.rename": "Cambiar el nombre de la vela por {name}",
+  "candle.nameThis": "Poner nombre a esta vela",
+  "candle.remove": "Quitar vela",
+  "candle.removeNamed": "Quitar la vela por {name}",
+  "candle.removeThis": "Quitar esta vela",
+  "candle.confirmRemoveNamed": "¿Quitar la vela por {name}?",
+  "candle.confirmRemove": "¿Quitar esta vela?",
+  "candle.waitingToSync": "Pendiente de sincronizar",
+  "candle.waitingForReview": "Pendiente de revisión",
+  "candle.waitingForReviewHint": "Pendiente de revisión; solo tú y las personas moderadoras podéis verla",
+
+  // Dedication card
+  "details.inMemory": "En memoria de {name}",
+  "details.aCandle": "Una vela",
+  "details.close": "Cerrar",
+  "details.message": "Mensaje",
+  "details.date": "Fecha de recuerdo",
+  "details.litBy": "Encendida por",
+  "details.litByPlaceholder": "Déjalo vacío para quedar en el anonimato",
+  "details.cancel": "Cancelar",
+  "details.save": "Guardar",
+  "details.empty": "Todavía no hay dedicatoria.",
+  "details.remembering": "Recordando el {date}",
+  "details.litByName": "Encendida por {name}",
+  "details.litAnonymously": "Encendida de forma anónima",
+  "details.litWhen": "{who}, {time}",
+  "details.edit": "Editar dedicatoria",
+  "details.add": "Añadir una dedicatoria",
+  "details.copyLink": "Copiar enlace",
+  "details.linkCopied": "Enlace copiado",
+  "details.link": "Enlace a esta vela",
+  "details.share": "Compartir",
+  "details.sharing": "Preparando…",
+
+  // Candle styles
+  "style.colour": "Color",
+  "style.decoration": "Decoración",
+  "style.flame": "Llama",
+  "style.color.ivory": "Marfil",
+  "style.color.pink": "Rosa",
+  "style.color.blue": "Azul",
+  "style.color.white": "Blanco",
+  "style.color.pink-and-blue": "Rosa y azul",
+  "style.color.lavender": "Lavanda",
+  "style.decoration.none": "Ninguna",
+  "style.decoration.ribbon": "Lazo",
+  "style.decoration.heart": "Corazón",
+  "style.flame.flicker": "Parpadeo",
+  "style.flame.dance": "Danzante",
+  "style.flame.glow": "Brillo suave",
+
+  // Room dialog
+  "room.createTitle": "Crear una sala de recuerdo",
+  "room.editTitle": "Editar esta sala",
+  "room.title": "Título",
+  "room.titlePlaceholder": "Semana de concienciación sobre la pérdida gestacional 2026",
+  "room.subtitle": "Subtítulo",
+  "room.subtitlePlaceholder": "Enciende una vela en memoria de nuestros pequeños.",
+  "room.private": "Sala privada",
+  "room.privateHint": "Recibe un enlace imposible de adivinar, para compartirlo solo con tu círculo.",
+  "room.cancel": "Cancelar",
+  "room.create": "Crear sala",
+  "room.save": "Guardar",
+
+  // Moderation
+  "review.title": "Velas pendientes de revisión",
+  "review.empty": "No hay nada que revisar.",
+  "review.flaggedFor": "Marcada por: {reason}",
+  "review.flaggedLit": "Marcada por: {reason}, encendida {time}",
+  "review.reject": "Rechazar",
+  "review.approve": "Aprobar",
+  "review.close": "Cerrar",
+  "review.reason.blockedWord": "palabra bloqueada",
+  "review.reason.link": "enlace",
+  "review.reason.spam": "spam",
+  "review.reason.unknown": "revisión",
+
+  // Admin console
+  "admin.title": "Gestionar «{title}»",
+  "admin.close": "Cerrar",
+  "admin.candles": "Velas ({count})",
+  "admin.search": "Buscar en nombres y dedicatorias",
+  "admin.searchLabel": "Buscar velas",
+  "admin.show": "Mostrar",
+  "admin.all": "Todas las velas",
+  "admin.status.shown": "Visibles",
+  "admin.status.pending": "Pendientes de revisión",
+  "admin.status.removed": "Quitadas",
+  "admin.sort": "Ordenar por",
+  "admin.sort.newest": "Más recientes primero",
+  "admin.sort.oldest": "Más antiguas primero",
+  "admin.sort.name": "Nombre",
+  "admin.selectAll": "Seleccionar las {count}",
+  "admin.remove": "Quitar ({count})",
+  "admin.restore": "Restaurar ({count})",
+  "admin.noMatch": "Ninguna vela coincide.",
+  "admin.litAgo": "encendida {time}",
+  "admin.restoreHint": "Las velas quitadas se pueden restaurar durante un día. Después desaparecen de la sala; las velas eliminadas por la política de conservación se guardan en el archivo de la sala.",
+  "admin.room": "Sala",
+  "admin.saveRoom": "Guardar sala",
+  "admin.retention": "Conservación",
+  "admin.neverExpire": "Conservar las velas para siempre",
+  "admin.maxAgeDays": "Conservar velas durante (días)",
+  "admin.namedMaxAgeDays": "Conservar velas con nombre durante (días)",
+  "admin.maxCount": "Conservar como máximo (velas)",
+  "admin.policy": "Limpieza semanal: {policy}.",
+  "admin.policy.neverExpire": "conservar para siempre",
+  "admin.policy.maxAgeDays": {
+    one: "conservar las velas {count} día",
+    other: "conservar las velas {count} días",
+  },
+  "admin.policy.namedMaxAgeDays": {
+    one: "conservar las velas con nombre {count} día",
+    other: "conservar las velas con nombre {count} días",
+  },
+  "admin.policy.maxCount": {
+    one: "conservar la vela más reciente",
+    other: "conservar las {count} velas más recientes",
+  },
+  "admin.policy.invalid": "Los límites deben ser números enteros mayores que cero.",
+  "admin.saveRetention": "Guardar conservación",
+  "admin.activity": "Actividad reciente",
+  "admin.noActivity": "Todavía no ha pasado nada.",
+
+  // Recent activity
+  "activity.lit": "{candle}: encendida",
+  "activity.renamed": "{candle}: nombrada",
+  "activity.moved": "{candle}: movida",
+  "activity.dedicated": "{candle}: nueva dedicatoria",
+  "activity.flagged": "{candle}: retenida para revisión",
+  "activity.approved": "{candle}: aprobada",
+  "activity.removed": "{candle}: quitada",
+  "activity.restored": "{candle}: restaurada",
+
+  // Sharing a picture of a candle
+  "share.named": "Una vela en memoria de {name}",
+  "share.unnamed": "Una vela en su memoria",
+
+  // Search
+  "search.label": "Buscar velas",
+  "search.placeholder": "Busca un nombre o una dedicatoria",
+  "search.clear": "Borrar la búsqueda",
+  "search.noMatch": "Ninguna vela coincide",
+  "search.more": {
+    one: "y {count} más, resaltada en el cielo",
+    other: "y {count} más, resaltadas en el cielo",
+  },
+  "search.found": { one: "{count} vela encontrada", other: "{count} velas encontradas" },
+
+  // Sky controls
+  "sky.zoomIn": "Acercar",
+  "sky.zoomOut": "Alejar",
+  "sky.showAll": "Ver todo el cielo",
+  "sky.findMine": "Encontrar mi vela",
+
+  // Sync status
+  "sync.live": "En directo",
+  "sync.hidden": "En pausa mientras está en segundo plano",
+  "sync.offline": "Sin conexión: esperando a que vuelva",
+  "sync.backoff": "Reconectando…",
+  "sync.rateLimited": "Actualizando despacio hasta las {time}",
+  "sync.connecting": "Conectando…",
+
+  // Presence, when the realtime channel is connected
+  "presence.here": { one: "{count} persona está aquí", other: "{count} personas están aquí" },
+};
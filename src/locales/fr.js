@@ -0,0 +1,238 @@
+// French messages, see en.js
+export default {
+  // Header and main controls
+  "app.loading": "Chargement des bougies…",
+  "app.defaultTitle": "Bougies du souvenir",
+  "app.defaultSubtitle": "Allumez une bougie en mémoire de nos tout-petits.",
+  "app.mainMemorial": "← Mémorial principal",
+  "app.privateRoom": "Salle privée : seules les personnes ayant le lien peuvent la voir",
+  "app.editRoom": "Modifier la salle",
+  "app.review": "Vérifier ({count})",
+  "app.manageRoom": "Gérer la salle",
+  "app.createRoom": "Créer une salle",
+  "app.exportJson": "Exporter en JSON",
+  "app.exportCsv": "Exporter en CSV",
+  "app.import": "Importer",
+  "app.language": "Langue",
+  "app.lightCandle": "Allumer une bougie",
+  "app.candleStyle": "Style de bougie",
+  "app.reconnecting": "Reconnexion au mémorial…",
+  "app.firstCandle": "Cliquez sur le bouton ci-dessus pour allumer votre première bougie",
+  "app.instructions": "Faites glisser le ciel pour l’explorer, pincez ou faites défiler pour zoomer • Faites glisser vos bougies pour les déplacer • Cliquez sur leur nom pour le modifier • Ou atteignez une bougie avec Tab et utilisez les flèches, Entrée ou Suppr",
+  "app.keyboardHelp": "Utilisez les flèches pour déplacer cette bougie, avec Maj pour aller plus loin. Appuyez sur Entrée pour la nommer, Espace pour lire ou modifier sa dédicace et Suppr pour la retirer.",
+  "app.dismiss": "Fermer",
+
+  // Errors
+  "error.conflict": "Quelqu’un d’autre allume des bougies en ce moment. Veuillez réessayer dans un instant.",
+  "error.rateLimited": "Vous faites beaucoup de modifications. Elles sont conservées sur cet appareil et seront enregistrées dans un instant.",
+  "error.unreachable": "Impossible de joindre le mémorial. Veuillez réessayer dans un instant.",
+  "error.saveQueued": "Impossible d’enregistrer pour le moment. Votre modification est conservée sur cet appareil et sera enregistrée au retour de la connexion.",
+  "error.tooManyCandles": "Vous avez allumé plusieurs bougies en peu de temps. Veuillez patienter quelques minutes avant d’en allumer une autre.",
+  "error.tooManyChanges": "Vous faites beaucoup de modifications. Veuillez patienter un instant et réessayer.",
+  "error.roomExists": "Une salle porte déjà ce titre. Veuillez en choisir un autre.",
+  "error.createRoom": "Impossible de créer la salle. Veuillez réessayer.",
+  "error.roomForbidden": "Seule la personne qui a créé cette salle peut la modifier.",
+  "error.saveRoom": "Impossible d’enregistrer la salle. Veuillez réessayer.",
+  "error.importUnreadable": "Impossible de lire ce fichier. Veuillez choisir un export JSON ou CSV.",
+  "error.share": "Impossible de créer l’image. Veuillez réessayer.",
+
+  // Notices
+  "notice.heldForReview": "Merci. Votre bougie sera visible par tous dès qu’une personne de la modération l’aura vue.",
+  "notice.candleNotFound": "La bougie de ce lien n’est plus là.",
+  "notice.removed": { one: "{count} bougie retirée.", other: "{count} bougies retirées." },
+  "notice.restored": { one: "{count} bougie restaurée.", other: "{count} bougies restaurées." },
+  "notice.roomSaved": "Salle enregistrée.",
+  "notice.retentionSaved": "Règle de conservation enregistrée. Elle s’applique dès le prochain nettoyage.",
+  "notice.importKnown": "Toutes les bougies de ce fichier sont déjà ici.",
+  "notice.imported": { one: "{count} bougie importée.", other: "{count} bougies importées." },
+  "notice.importSkipped": {
+    one: "{count} entrée non valide a été ignorée.",
+    other: "{count} entrées non valides ont été ignorées.",
+  },
+  "notice.importLater": {
+    one: "{count} autre pourra être importée depuis le même fichier dans quelques minutes.",
+    other: "{count} autres pourront être importées depuis le même fichier dans quelques minutes.",
+  },
+
+  // Describing candles
+  "candle.named": "Bougie pour {name}",
+  "candle.unnamed": "Bougie sans nom",
+  "candle.lit": "{candle}, allumée {time}",
+  "candle.underReview": "{candle}, en attente de vérification",
+  "candle.justNow": "à l’instant",
+  "candle.newNamed": "Une bougie a été allumée pour {name}",
+  "candle.new": "Une nouvelle bougie a été allumée",
+  "candle.newMany": {
+    one: "{count} nouvelle bougie a été allumée",
+    other: "{count} nouvelles bougies ont été allumées",
+  },
+
+  // A candle
+  "candle.clickToName": "Cliquez pour nommer",
+  "candle.nameField": "Nom sur la bougie",
+  "candle.rename": "Renommer la bougie pour {name}",
+  "candle.nameThis": "Nommer cette bougie",
+  "candle.remove": "Retirer la bougie",
+  "candle.removeNamed": "Retirer la bougie pour {name}",
+  "candle.removeThis": "Retirer cette bougie",
+  "candle.confirmRemoveNamed": "Retirer la bougie pour {name} ?",
+  "candle.confirmRemove": "Retirer cette bougie ?",
+  "candle.waitingToSync": "En attente de synchronisation",
+  "candle.waitingForReview": "En attente de vérification",
+  "candle.waitingForReviewHint": "En attente de vérification ; seules vous et la modération pouvez la voir",
+
+  // Dedication card
+  "details.inMemory": "En mémoire de {name}",
+  "details.aCandle": "Une bougie",
+  "details.close": "Fermer",
+  "details.message": "Message",
+  "details.date": "Date du souvenir",
+  "details.litBy": "Allumée par",
+  "details.litByPlaceholder": "Laissez vide pour rester anonyme",
+  "details.cancel": "Annuler",
+  "details.save": "Enregistrer",
+  "details.empty": "Pas encore de dédicace.",
+  "details.remembering": "En souvenir du {date}",
+  "details.litByName": "Allumée par {name}",
+  "details.litAnonymously": "Allumée anonymement",
+  "details.litWhen": "{who}, {time}",
+  "details.edit": "Modifier la dédicace",
+  "details.add": "Ajouter une dédicace",
+  "details.copyLink": "Copier le lien",
+  "details.linkCopied": "Lien copié",
+  "details.link": "Lien vers cette bougie",
+  "details.share": "Partager",
+  "details.sharing": "Préparation…",
+
+  // Candle styles
+  "style.colour": "Couleur",
+  "style.decoration": "Décoration",
+  "style.flame": "Flamme",
+  "style.color.ivory": "Ivoire",
+  "style.color.pink": "Rose",
+  "style.color.blue": "Bleu",
+  "style.color.white": "Blanc",
+  "style.color.pink-and-blue": "Rose et bleu",
+  "style.color.lavender": "Lavande",
+  "style.decoration.none": "Aucune",
+  "style.decoration.ribbon": "Ruban",
+  "style.decoration.heart": "Cœur",
+  "style.flame.flicker": "Vacillante",
+  "style.flame.dance": "Dansante",
+  "style.flame.glow": "Lueur douce",
+
+  // Room dialog
+  "room.createTitle": "Créer une salle du souvenir",
+  "room.editTitle": "Modifier cette salle",
+  "room.title": "Titre",
+  "room.titlePlaceholder": "Semaine de sensibilisation au deuil périnatal 2026",
+  "room.subtitle": "Sous-titre",
+  "room.subtitlePlaceholder": "Allumez une bougie en mémoire de nos tout-petits.",
+  "room.private": "Salle privée",
+  "room.privateHint": "Reçoit un lien impossible à deviner, à partager uniquement avec vos proches.",
+  "room.cancel": "Annuler",
+  "room.create": "Créer la salle",
+  "room.save": "Enregistrer",
+
+  // Moderation
+  "review.title": "Bougies en attente de vérification",
+  "review.empty": "Rien à vérifier.",
+  "review.flaggedFor": "Signalée pour : {reason}",
+  "review.flaggedLit": "Signalée pour : {reason}, allumée {time}",
+  "review.reject": "Refuser",
+  "review.approve": "Approuver",
+  "review.close": "Fermer",
+  "review.reason.blockedWord": "mot bloqué",
+  "review.reason.link": "lien",
+  "review.reason.spam": "spam",
+  "review.reason.unknown": "vérification",
+
+  // Admin console
+  "admin.title": "Gérer « {title} »",
+  "admin.close": "Fermer",
+  "admin.candles": "Bougies ({count})",
+  "admin.search": "Chercher dans les noms et dédicaces",
+  "admin.searchLabel": "Chercher des bougies",
+  "admin.show": "Afficher",
+  "admin.all": "Toutes les bougies",
+  "admin.status.shown": "Visibles",
+  "admin.status.pending": "En attente de vérification",
+  "admin.status.removed": "Retirées",
+  "admin.sort": "Trier par",
+  "admin.sort.newest": "Les plus récentes d’abord",
+  "admin.sort.oldest": "Les plus anciennes d’abord",
+  "admin.sort.name": "Nom",
+  "admin.selectAll": "Tout sélectionner ({count})",
+  "admin.remove": "Retirer ({count})",
+  "admin.restore": "Restaurer ({count})",
+  "admin.noMatch": "Aucune bougie ne correspond.",
+  "admin.litAgo": "allumée {time}",
+  "admin.restoreHint": "Les bougies retirées peuvent être restaurées pendant un jour. Ensuite, elles disparaissent de la salle ; les bougies supprimées par la règle de conservation restent dans les archives de la salle.",
+  "admin.room": "Salle",
+  "admin.saveRoom": "Enregistrer la salle",
+  "admin.retention": "Conservation",
+  "admin.neverExpire": "Conserver les bougies pour toujours",
+  "admin.maxAgeDays": "Conserver les bougies (jours)",
+  "admin.namedMaxAgeDays": "Conserver les bougies nommées (jours)",
+  "admin.maxCount": "Conserver au plus (bougies)",
+  "admin.policy": "Nettoyage hebdomadaire : {policy}.",
+  "admin.policy.neverExpire": "tout conserver",
+  "admin.policy.maxAgeDays": {
+    one: "conserver les bougies {count} jour",
+    other: "conserver les bougies {count} jours",
+  },
+  "admin.policy.namedMaxAgeDays": {
+    one: "conserver les bougies nommées {count} jour",
+    other: "conserver les bougies nommées {count} jours",
+  },
+  "admin.policy.maxCount": {
+    one: "conserver la bougie la plus récente",
+    other: "conserver les {count} bougies les plus récentes",
+  },
+  "admin.policy.invalid": "Les limites doivent être des nombres entiers supérieurs à zéro.",
+  "admin.saveRetention": "Enregistrer la conservation",
+  "admin.activity": "Activité récente",
+  "admin.noActivity": "Rien ne s’est encore passé.",
+
+  // Recent activity
+  "activity.lit": "{candle} : allumée",
+  "activity.renamed": "{candle} : nommée",
+  "activity.moved": "{candle} : déplacée",
+  "activity.dedicated": "{candle} : nouvelle dédicace",
+  "activity.flagged": "{candle} : retenue pour vérification",
+  "activity.approved": "{candle} : approuvée",
+  "activity.removed": "{candle} : retirée",
+  "activity.restored": "{candle} : restaurée",
+
+  // Sharing a picture of a candle
+  "share.named": "Une bougie en mémoire de {name}",
+  "share.unnamed": "Une bougie du souvenir",
+
+  // Search
+  "search.label": "Rechercher des bougies",
+  "search.placeholder": "Chercher un nom ou une dédicace",
+  "search.clear": "Effacer la recherche",
+  "search.noMatch": "Aucune bougie ne correspond",
+  "search.more": {
+    one: "et {count} autre, en surbrillance dans le ciel",
+    other: "et {count} autres, en surbrillance dans le ciel",
+  },
+  "search.found": { one: "{count} bougie trouvée", other: "{count} bougies trouvées" },
+
+  // Sky controls
+  "sky.zoomIn": "Zoomer",
+  "sky.zoomOut": "Dézoomer",
+  "sky.showAll": "Voir tout le ciel",
+  "sky.findMine": "Trouver ma bougie",
+
+  // Sync status
+  "sync.live": "En direct",
+  "sync.hidden": "En pause en arrière-plan",
+  "sync.offline": "Hors ligne — en attente de connexion",
+  "sync.backoff": "Reconnexion…",
+  "sync.rateLimited": "Mise à jour ralentie jusqu’à {time}",
+  "sync.connecting": "Connexion…",
+
+  // Presence, when the realtime channel is connected
+  "presence.here": { one: "{count} personne est là", other: "{count} personnes sont là" },
+};
@@ -0,0 +1,99 @@
+// Recent activity in a room, for the admin console
+//
+// Rooms keep no log of past operations, so activity is read back from the
+// clocks each candle keeps (see candleOperations.js): when it was lit, and
+// the last time its name, position, dedication or moderation state
+// changed, it was removed or restored. Earlier changes to the same field
+// are not known.
+import { MODERATION_STATUS } from "./moderation";
+import { candleName } from "./candleDescription";
+
+export const ACTIVITY_TYPES = {
+  LIT: "lit",
+  RENAMED: "renamed",
+  MOVED: "moved",
+  DEDICATED: "dedicated",
+  FLAGGED: "flagged",
+  APPROVED: "approved",
+  REMOVED: "removed",
+  RESTORED: "restored",
+};
+
+// Clock name -> activity it records
+const FIELD_ACTIVITY = {
+  name: ACTIVITY_TYPES.RENAMED,
+  position: ACTIVITY_TYPES.MOVED,
+  dedication: ACTIVITY_TYPES.DEDICATED,
+};
+
+/**
+ * Operation that lit a candle. Candles lit before the add clock was kept
+ * still carry it as their name and position clocks until either changes.
+ * @param {Object} clocks - Candle clocks
+ * @returns {string|undefined} Operation id
+ */
+const addedBy = (clocks) =>
+  clocks.added?.op ?? (clocks.name?.op === clocks.position?.op ? clocks.name?.op : undefined);
+
+/**
+ * What is known to have happened to one candle
+ * @param {Object} candle - Candle, possibly a tombstone
+ * @returns {Array} Activity entries, `{ type, candle, timestamp }`
+ */
+function candleActivity(candle) {
+  const clocks = candle.clocks ?? {};
+  const added = addedBy(clocks);
+  const entry = (type, timestamp) => ({ type, candle, timestamp });
+  const entries = [];
+
+  const litAt = candle.createdAt ?? clocks.added?.timestamp;
+  if (typeof litAt === "number") {
+    entries.push(entry(ACTIVITY_TYPES.LIT, litAt));
+  }
+
+  for (const [field, type] of Object.entries(FIELD_ACTIVITY)) {
+    const clock = clocks[field];
+    if (clock && clock.op !== added) {
+      entries.push(entry(type, clock.timestamp));
+    }
+  }
+
+  if (clocks.moderation && clocks.moderation.op !== added && candle.moderation) {
+    entries.push(entry(
+      candle.moderation.status === MODERATION_STATUS.PENDING
+        ? ACTIVITY_TYPES.FLAGGED
+        : ACTIVITY_TYPES.APPROVED,
+      clocks.moderation.timestamp
+    ));
+  }
+
+  if (candle.removed) {
+    entries.push(entry(ACTIVITY_TYPES.REMOVED, candle.removed.timestamp));
+  }
+  if (clocks.restored) {
+    entries.push(entry(ACTIVITY_TYPES.RESTORED, clocks.restored.timestamp));
+  }
+  return entries;
+}
+
+/**
+ * The latest activity across a room's candles, newest first
+ * @param {Array} candles - Candles including tombstones
+ * @param {number} [limit] - Most entries returned
+ * @returns {Array} Activity entries, `{ type, candle, timestamp }`
+ */
+export function recentActivity(candles, limit = 20) {
+  return candles
+    .flatMap(candleActivity)
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, limit);
+}
+
+/**
+ * One activity entry in words, e.g. "Candle for Sophie was moved"
+ * @param {Object} entry - Entry from recentActivity()
+ * @param {Function} t - Translation function, see i18n.js
+ * @returns {string} Description
+ */
+export const describeActivity = ({ type, candle }, t) =>
+  t(`activity.${type}`, { candle: candleName(candle, t) });
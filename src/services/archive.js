@@ -0,0 +1,89 @@
+// Archive of candles removed by retention policies
+//
+// Before server/cleanup.js prunes a room, the pruned candles are appended
+// to the room's archive file in the same gist, so names lit in
+// remembrance are never lost. The archive is written in the same commit
+// as the pruned candles file.
+//
+// Also used by server/, hence the explicit extensions.
+import { StorageLoadError, LOAD_ERROR_REASONS } from "./storageErrors.js";
+
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * Name of the gist file holding a room's archive
+ * @param {string} room - Room slug, see rooms.js
+ * @returns {string} File name
+ */
+export const archiveFilename = (room) => (room ? `archive-${room}.json` : "archive.json");
+
+/**
+ * A candle as worth remembering: without its sync bookkeeping
+ * @param {Object} candle - Stored candle
+ * @returns {Object} `{ id, name, x, y, createdAt?, style?, dedication? }`
+ */
+export function recordOf(candle) {
+  const { id, name, x, y, createdAt, style, dedication } = candle;
+  return {
+    id,
+    name,
+    x,
+    y,
+    ...(createdAt === undefined ? {} : { createdAt }),
+    ...(style ? { style } : {}),
+    ...(dedication && Object.keys(dedication).length > 0 ? { dedication } : {}),
+  };
+}
+
+/**
+ * Parse an archive file
+ * @param {string} [content] - Stored JSON text; empty for a new archive
+ * @returns {Object} `{ version, entries }`
+ * @throws {StorageLoadError} If the archive cannot be understood
+ */
+export function parseArchive(content) {
+  if (!content) {
+    return { version: ARCHIVE_VERSION, entries: [] };
+  }
+
+  let archive;
+  try {
+    archive = JSON.parse(content);
+  } catch (error) {
+    throw new StorageLoadError("Archive is not valid JSON", {
+      reason: LOAD_ERROR_REASONS.MALFORMED,
+      cause: error,
+    });
+  }
+
+  if (!archive || !Array.isArray(archive.entries)) {
+    throw new StorageLoadError("Archive has no entries", {
+      reason: LOAD_ERROR_REASONS.MALFORMED,
+    });
+  }
+  return archive;
+}
+
+/**
+ * Add pruned candles to an archive, skipping ones already in it
+ * @param {Object} archive - Parsed archive
+ * @param {Array} candles - Pruned candles, each with a `reason`
+ * @param {number} [archivedAt] - Time of pruning
+ * @returns {Object} New archive
+ */
+export function appendToArchive(archive, candles, archivedAt = Date.now()) {
+  const archived = new Set(archive.entries.map((entry) => entry.candle.id));
+  const entries = candles
+    .filter((candle) => !archived.has(candle.id))
+    .map((candle) => ({ candle: recordOf(candle), reason: candle.reason, archivedAt }));
+
+  return { ...archive, entries: [...archive.entries, ...entries] };
+}
+
+/**
+ * Turn an archive back into the stored JSON text
+ * @param {Object} archive - Archive
+ * @returns {string} JSON text
+ */
+export const serializeArchive = (archive) =>
+  JSON.stringify({ ...archive, version: ARCHIVE_VERSION }, null, 2);
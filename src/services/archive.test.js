@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { ARCHIVE_VERSION, appendToArchive, archiveFilename, parseArchive, serializeArchive } from "./archive";
+import { LOAD_ERROR_REASONS } from "./storageErrors";
+
+const pruned = (id, extra = {}) => ({
+  id,
+  x: 0.5,
+  y: 0.5,
+  name: "Anna",
+  createdAt: 1000,
+  clocks: { added: { timestamp: 1000, op: "a" } },
+  reason: "too old",
+  ...extra,
+});
+
+describe("appendToArchive", () => {
+  it("records pruned candles without their sync bookkeeping", () => {
+    const archive = appendToArchive(parseArchive(""), [pruned("a", { dedication: {} })], 5000);
+
+    expect(archive.entries).toEqual([
+      { candle: { id: "a", x: 0.5, y: 0.5, name: "Anna", createdAt: 1000 }, reason: "too old", archivedAt: 5000 },
+    ]);
+  });
+
+  it("keeps a candle's style and dedication", () => {
+    const style = { color: "pink" };
+    const dedication = { message: "Always" };
+
+    const [entry] = appendToArchive(parseArchive(""), [pruned("a", { style, dedication })]).entries;
+
+    expect(entry.candle).toMatchObject({ style, dedication });
+  });
+
+  it("skips candles already archived", () => {
+    const once = appendToArchive(parseArchive(""), [pruned("a")], 1);
+    const twice = appendToArchive(once, [pruned("a"), pruned("b")], 2);
+
+    expect(twice.entries.map((entry) => [entry.candle.id, entry.archivedAt])).toEqual([["a", 1], ["b", 2]]);
+  });
+});
+
+describe("parseArchive", () => {
+  it("reads back what was serialized", () => {
+    const archive = appendToArchive(parseArchive(""), [pruned("a")], 1);
+
+    expect(parseArchive(serializeArchive(archive))).toEqual({ ...archive, version: ARCHIVE_VERSION });
+  });
+
+  it("refuses archives it cannot understand", () => {
+    const malformed = expect.objectContaining({ reason: LOAD_ERROR_REASONS.MALFORMED });
+
+    expect(() => parseArchive("{")).toThrow(malformed);
+    expect(() => parseArchive(JSON.stringify({ version: 1 }))).toThrow(malformed);
+  });
+});
+
+describe("archiveFilename", () => {
+  it("names the default room's archive without a slug", () => {
+    expect(archiveFilename()).toBe("archive.json");
+    expect(archiveFilename("spring-walk")).toBe("archive-spring-walk.json");
+  });
+});
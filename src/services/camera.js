@@ -0,0 +1,163 @@
+// Panning and zooming over the memorial sky
+//
+// The camera is the point of the sky at the top left of the screen, in
+// sky pixels (see SKY_SIZE in coordinates.js), and the zoom, in screen
+// pixels per sky pixel. Cameras are always kept within the sky: zoomed out
+// so far that the sky is smaller than the screen, it is centred instead.
+import { SKY_SIZE } from "./coordinates";
+
+export const MAX_ZOOM = 2;
+
+// Zoomed out further than this, candles are too small to make out, even
+// if a phone then shows only part of the sky
+const MIN_ZOOM = 0.25;
+
+// Zoom buttons zoom in or out this much at a time
+export const ZOOM_STEP = 1.5;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Furthest a viewport can zoom out: the whole sky, if that is not too small
+ * @param {Object} viewport - `{ width, height }` of the screen
+ * @returns {number} Zoom
+ */
+export function minZoom(viewport) {
+  const whole = Math.min(viewport.width / SKY_SIZE.width, viewport.height / SKY_SIZE.height);
+  return clamp(whole, MIN_ZOOM, MAX_ZOOM);
+}
+
+const clampAxis = (position, visible, size) =>
+  visible >= size ? (size - visible) / 2 : clamp(position, 0, size - visible);
+
+/**
+ * Keep a camera within its zoom limits and the sky
+ * @param {Object} camera - `{ x, y, zoom }`
+ * @param {Object} viewport - `{ width, height }` of the screen
+ * @returns {Object} Camera
+ */
+export function clampCamera({ x, y, zoom }, viewport) {
+  const clampedZoom = clamp(zoom, minZoom(viewport), MAX_ZOOM);
+  return {
+    x: clampAxis(x, viewport.width / clampedZoom, SKY_SIZE.width),
+    y: clampAxis(y, viewport.height / clampedZoom, SKY_SIZE.height),
+    zoom: clampedZoom,
+  };
+}
+
+/**
+ * Camera showing a point of the sky in the middle of the screen
+ * @param {Object} point - `{ x, y }` in sky pixels
+ * @param {number} zoom - Zoom
+ * @param {Object} viewport - `{ width, height }` of the screen
+ * @returns {Object} Camera
+ */
+export function centerOn(point, zoom, viewport) {
+  return clampCamera(
+    { x: point.x - viewport.width / zoom / 2, y: point.y - viewport.height / zoom / 2, zoom },
+    viewport
+  );
+}
+
+/**
+ * Camera for a first visit: the middle of the sky, at a zoom of 1
+ * @param {Object} viewport - `{ width, height }` of the screen
+ * @returns {Object} Camera
+ */
+export const initialCamera = (viewport) =>
+  centerOn({ x: SKY_SIZE.width / 2, y: SKY_SIZE.height / 2 }, 1, viewport);
+
+/**
+ * Point of the sky at a point of the screen
+ * @param {Object} camera - `{ x, y, zoom }`
+ * @param {Object} point - `{ x, y }` in screen pixels
+ * @returns {Object} `{ x, y }` in sky pixels
+ */
+export const toSkyPoint = (camera, point) => ({
+  x: camera.x + point.x / camera.zoom,
+  y: camera.y + point.y / camera.zoom,
+});
+
+/**
+ * Zoom while keeping one point of the screen over the same point of the
+ * sky, e.g. the pointer or the middle of a pinch
+ * @param {Object} camera - `{ x, y, zoom }`
+ * @param {number} zoom - New zoom
+ * @param {Object} point - `{ x, y }` in screen pixels
+ * @param {Object} viewport - `{ width, height }` of the screen
+ * @returns {Object} Camera
+ */
+export function zoomAt(camera, zoom, point, viewport) {
+  const anchor = toSkyPoint(camera, point);
+  const clampedZoom = clamp(zoom, minZoom(viewport), MAX_ZOOM);
+  return clampCamera(
+    { x: anchor.x - point.x / clampedZoom, y: anchor.y - point.y / clampedZoom, zoom: clampedZoom },
+    viewport
+  );
+}
+
+/**
+ * Move the sky along with a dragging pointer
+ * @param {Object} camera - `{ x, y, zoom }`
+ * @param {number} dx - Screen pixels moved right
+ * @param {number} dy - Screen pixels moved down
+ * @param {Object} viewport - `{ width, height }` of the screen
+ * @returns {Object} Camera
+ */
+export const panBy = (camera, dx, dy, viewport) =>
+  clampCamera({ ...camera, x: camera.x - dx / camera.zoom, y: camera.y - dy / camera.zoom }, viewport);
+
+/**
+ * Part of the sky on screen
+ * @param {Object} camera - `{ x, y, zoom }`
+ * @param {Object} viewport - `{ width, height }` of the screen
+ * @returns {Object} `{ x, y, width, height }` in sky pixels
+ */
+export const visibleArea = (camera, viewport) => ({
+  x: camera.x,
+  y: camera.y,
+  width: viewport.width / camera.zoom,
+  height: viewport.height / camera.zoom,
+});
+
+/**
+ * Pan as little as possible to bring part of the sky on screen
+ * @param {Object} camera - `{ x, y, zoom }`
+ * @param {Object} area - `{ x, y, width, height }` in sky pixels
+ * @param {Object} viewport - `{ width, height }` of the screen
+ * @returns {Object} Camera, the same object when the area is already shown
+ */
+export function reveal(camera, area, viewport) {
+  const shown = visibleArea(camera, viewport);
+  const axis = (start, size, shownStart, shownSize) => {
+    if (start < shownStart) return start;
+    if (start + size > shownStart + shownSize) return start + size - shownSize;
+    return shownStart;
+  };
+
+  const x = axis(area.x, area.width, shown.x, shown.width);
+  const y = axis(area.y, area.height, shown.y, shown.height);
+  return x === camera.x && y === camera.y ? camera : clampCamera({ ...camera, x, y }, viewport);
+}
+
+/**
+ * Camera part of the way from one camera to another, for animating
+ * between them. The middle of the screen moves in a straight line while
+ * the zoom changes evenly on a log scale, so zooming in feels steady.
+ * @param {Object} from - Camera to start from
+ * @param {Object} to - Camera to end at
+ * @param {number} progress - How far along, between 0 and 1
+ * @param {Object} viewport - `{ width, height }` of the screen
+ * @returns {Object} Camera
+ */
+export function cameraBetween(from, to, progress, viewport) {
+  const middle = (camera) => toSkyPoint(camera, { x: viewport.width / 2, y: viewport.height / 2 });
+  const start = middle(from);
+  const end = middle(to);
+  const zoom = from.zoom * (to.zoom / from.zoom) ** progress;
+  return centerOn(
+    { x: start.x + (end.x - start.x) * progress, y: start.y + (end.y - start.y) * progress },
+    zoom,
+    viewport
+  );
+}
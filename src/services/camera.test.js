@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import {
+  MAX_ZOOM,
+  cameraBetween,
+  centerOn,
+  clampCamera,
+  initialCamera,
+  minZoom,
+  panBy,
+  reveal,
+  toSkyPoint,
+  zoomAt,
+} from "./camera";
+import { SKY_SIZE } from "./coordinates";
+
+const desktop = { width: 1200, height: 800 };
+const phone = { width: 400, height: 800 };
+
+describe("clampCamera", () => {
+  it("keeps the camera within the sky", () => {
+    expect(clampCamera({ x: -100, y: 5000, zoom: 1 }, desktop)).toEqual({ x: 0, y: SKY_SIZE.height - 800, zoom: 1 });
+  });
+
+  it("keeps the zoom within its limits", () => {
+    expect(clampCamera({ x: 0, y: 0, zoom: 10 }, desktop).zoom).toBe(MAX_ZOOM);
+    expect(clampCamera({ x: 0, y: 0, zoom: 0.01 }, desktop).zoom).toBe(minZoom(desktop));
+  });
+
+  it("centres a sky smaller than the screen", () => {
+    // Zoomed out to show the whole sky's height, which is wider still
+    const camera = clampCamera({ x: 0, y: 0, zoom: 0.25 }, { width: 1200, height: 400 });
+
+    // 1200 / 0.25 = 4800 sky pixels across, twice the sky
+    expect(camera.x).toBe(-(4800 - SKY_SIZE.width) / 2);
+  });
+});
+
+describe("minZoom", () => {
+  it("shows the whole sky when that is not too small", () => {
+    expect(minZoom(desktop)).toBe(0.5);
+    expect(minZoom(phone)).toBe(0.25);
+  });
+});
+
+describe("zoomAt", () => {
+  it("keeps the point under the pointer in place", () => {
+    const camera = initialCamera(desktop);
+    const pointer = { x: 300, y: 200 };
+
+    const zoomed = zoomAt(camera, 2, pointer, desktop);
+
+    expect(toSkyPoint(zoomed, pointer)).toEqual(toSkyPoint(camera, pointer));
+    expect(zoomed.zoom).toBe(2);
+  });
+});
+
+describe("panBy", () => {
+  it("moves the sky with the pointer, in screen pixels", () => {
+    const camera = centerOn({ x: 1200, y: 800 }, 2, desktop);
+
+    expect(panBy(camera, 100, -50, desktop)).toEqual({ x: camera.x - 50, y: camera.y + 25, zoom: 2 });
+  });
+});
+
+describe("reveal", () => {
+  it("leaves the camera alone when the area is already shown", () => {
+    const camera = initialCamera(desktop);
+
+    expect(reveal(camera, { x: camera.x + 10, y: camera.y + 10, width: 60, height: 120 }, desktop)).toBe(camera);
+  });
+
+  it("pans just far enough to show the area", () => {
+    const camera = { x: 0, y: 0, zoom: 1 };
+
+    const revealed = reveal(camera, { x: 1300, y: 100, width: 60, height: 120 }, desktop);
+
+    expect(revealed).toEqual({ x: 1360 - desktop.width, y: 0, zoom: 1 });
+  });
+});
+
+describe("cameraBetween", () => {
+  it("starts and ends at the two cameras", () => {
+    const from = initialCamera(desktop);
+    const to = centerOn({ x: 400, y: 300 }, 2, desktop);
+
+    expect(cameraBetween(from, to, 0, desktop)).toEqual(from);
+    expect(cameraBetween(from, to, 1, desktop)).toEqual(to);
+  });
+
+  it("changes the zoom evenly on a log scale", () => {
+    const from = centerOn({ x: 1200, y: 800 }, 0.5, desktop);
+    const to = centerOn({ x: 1200, y: 800 }, 2, desktop);
+
+    expect(cameraBetween(from, to, 0.5, desktop).zoom).toBeCloseTo(1);
+  });
+});
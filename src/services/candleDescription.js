@@ -0,0 +1,102 @@
+// Text describing candles, to screen readers and in cards and lists. Every
+// function takes the translation function from i18n.js, which also names
+// the locale dates and times are written for.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Largest unit first
+const UNITS = [
+  ["year", 365 * DAY],
+  ["month", 30 * DAY],
+  ["week", 7 * DAY],
+  ["day", DAY],
+  ["hour", HOUR],
+  ["minute", MINUTE],
+];
+
+// Formatters by locale, since building them is slow
+const formatters = new Map();
+
+const formatter = (kind, locale, create) => {
+  const key = `${kind}:${locale}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, create());
+  }
+  return formatters.get(key);
+};
+
+const relativeTime = (locale) =>
+  formatter("relative", locale, () => new Intl.RelativeTimeFormat(locale, { numeric: "auto" }));
+
+// Remembrance dates are calendar days, so they are not shifted into the
+// visitor's time zone
+const calendarDate = (locale) =>
+  formatter("calendar", locale, () =>
+    new Intl.DateTimeFormat(locale, { dateStyle: "long", timeZone: "UTC" })
+  );
+
+/**
+ * How long ago something happened, e.g. "3 days ago"
+ * @param {number} timestamp - Past time
+ * @param {Function} t - Translation function
+ * @param {number} [now] - Reference time
+ * @returns {string} Relative time
+ */
+export function timeAgo(timestamp, t, now = Date.now()) {
+  const elapsed = Math.max(0, now - timestamp);
+
+  for (const [unit, size] of UNITS) {
+    if (elapsed >= size) {
+      return relativeTime(t.locale).format(-Math.floor(elapsed / size), unit);
+    }
+  }
+  return t("candle.justNow");
+}
+
+/**
+ * A remembrance date for reading, e.g. "March 3, 2024"
+ * @param {string} date - Date as YYYY-MM-DD
+ * @param {Function} t - Translation function
+ * @returns {string} Formatted date
+ */
+export const formatRemembranceDate = (date, t) =>
+  calendarDate(t.locale).format(new Date(`${date}T00:00:00Z`));
+
+/**
+ * A candle's name in a sentence, e.g. "Candle for Sophie"
+ * @param {Object} candle - Candle with `name`
+ * @param {Function} t - Translation function
+ * @returns {string} Description
+ */
+export const candleName = ({ name }, t) =>
+  name ? t("candle.named", { name }) : t("candle.unnamed");
+
+/**
+ * Accessible name of a candle, e.g. "Candle for Sophie, lit 3 days ago"
+ * @param {Object} candle - Candle with `name` and, usually, `createdAt`
+ * @param {Function} t - Translation function
+ * @param {number} [now] - Reference time
+ * @returns {string} Description
+ */
+export function describeCandle({ name, createdAt }, t, now = Date.now()) {
+  const candle = candleName({ name }, t);
+  return typeof createdAt === "number"
+    ? t("candle.lit", { candle, time: timeAgo(createdAt, t, now) })
+    : candle;
+}
+
+/**
+ * Announcement for candles someone else lit
+ * @param {Array} candles - Newly lit candles
+ * @param {Function} t - Translation function
+ * @returns {string} Announcement
+ */
+export function describeNewCandles(candles, t) {
+  if (candles.length === 1) {
+    const [candle] = candles;
+    return candle.name ? t("candle.newNamed", { name: candle.name }) : t("candle.new");
+  }
+  return t("candle.newMany", { count: candles.length });
+}
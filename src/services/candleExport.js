@@ -0,0 +1,213 @@
+// Export a room's candles as JSON or CSV, and read such exports back
+//
+// Exports keep only what is worth remembering about each candle (see
+// archive.js). Importing turns the exported candles back into "add"
+// operations, so they are merged like any other newly lit candle and
+// candles already in the room are left alone.
+import { v4 as uuidv4 } from "uuid";
+import { recordOf } from "./archive";
+import { validateCandle, cleanDedication, DEDICATION_FIELDS } from "./candleSchema";
+import { visibleCandles } from "./candleOperations";
+import { migratePositions } from "./coordinates";
+
+export const EXPORT_FORMAT = "memorial-candles-export";
+
+// Dedication fields get a column each
+const CSV_COLUMNS = ["id", "name", "x", "y", "createdAt", ...DEDICATION_FIELDS];
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * File name for an export
+ * @param {string} room - Room slug, see rooms.js
+ * @param {string} extension - "json" or "csv"
+ * @param {number} [now] - Export time
+ * @returns {string} File name
+ */
+export function exportFilename(room, extension, now = Date.now()) {
+  const date = new Date(now).toISOString().slice(0, 10);
+  return `memorial-candles-${room || "main"}-${date}.${extension}`;
+}
+
+/**
+ * A room's candles as JSON
+ * @param {Object} options - Export contents
+ * @param {string} options.room - Room slug
+ * @param {Object} options.meta - Room meta, see rooms.js
+ * @param {Array} options.candles - Candles including tombstones
+ * @param {number} [now] - Export time
+ * @returns {string} JSON text
+ */
+export function exportJson({ room, meta, candles }, now = Date.now()) {
+  return JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      room,
+      title: meta.title,
+      exportedAt: new Date(now).toISOString(),
+      candles: visibleCandles(candles).map(recordOf),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Quote a CSV field. Fields that spreadsheets would run as formulas are
+ * prefixed with an apostrophe.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * A room's candles as CSV, one row per candle
+ * @param {Array} candles - Candles including tombstones
+ * @returns {string} CSV text
+ */
+export function exportCsv(candles) {
+  const rows = visibleCandles(candles).map((candle) => {
+    const { createdAt, dedication, ...record } = recordOf(candle);
+    const lit = createdAt === undefined ? "" : new Date(createdAt).toISOString();
+    const fields = { ...record, ...dedication, createdAt: lit };
+    return CSV_COLUMNS.map((column) => csvField(fields[column]));
+  });
+  return [CSV_COLUMNS, ...rows].map((row) => row.join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array} Rows
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell !== ""));
+}
+
+/**
+ * Read candles out of an exported CSV file
+ * @param {string} text - CSV text
+ * @returns {Array} Candle records
+ */
+function parseCsv(text) {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const index = Object.fromEntries(header.map((column, i) => [column.trim(), i]));
+
+  if (index.name === undefined) {
+    throw new Error("The CSV file has no name column");
+  }
+
+  return rows.map((cells) => {
+    const cell = (column) => (index[column] === undefined ? "" : cells[index[column]] ?? "");
+    // Undo the formula guard added on export
+    const text = (column) => cell(column).replace(/^'(?=[=+\-@\t\r])/, "");
+    const createdAt = Date.parse(cell("createdAt"));
+    const dedication = cleanDedication(
+      Object.fromEntries(DEDICATION_FIELDS.map((field) => [field, text(field)]))
+    );
+    return {
+      id: cell("id"),
+      name: text("name"),
+      x: Number.parseFloat(cell("x")),
+      y: Number.parseFloat(cell("y")),
+      ...(Number.isNaN(createdAt) ? {} : { createdAt }),
+      ...(Object.keys(dedication).length > 0 ? { dedication } : {}),
+    };
+  });
+}
+
+/**
+ * Read candles out of an exported JSON file. Also accepts a stored
+ * candles file, see candleSchema.js.
+ * @param {string} text - JSON text
+ * @returns {Array} Candle records
+ */
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const candles = Array.isArray(data) ? data : data?.candles;
+
+  if (!Array.isArray(candles)) {
+    throw new Error("The file does not contain any candles");
+  }
+  // Old candles files stored pixel positions
+  return migratePositions(visibleCandles(candles)).map(recordOf);
+}
+
+/**
+ * Read candles out of an export
+ *
+ * Candles keep their ids, so importing the same export twice does not
+ * duplicate them. Candles without a usable position are placed at random.
+ * @param {string} text - File contents
+ * @param {string} filename - File name, used to tell CSV from JSON
+ * @returns {Object} `{ candles, skipped }`; skipped candles were invalid
+ */
+export function parseImport(text, filename) {
+  const records = /\.csv$/i.test(filename) ? parseCsv(text) : parseJson(text);
+  const candles = [];
+  let skipped = 0;
+
+  for (const record of records) {
+    const candle = {
+      ...record,
+      id: UUID_PATTERN.test(record.id ?? "") ? record.id : uuidv4(),
+      name: typeof record.name === "string" ? record.name.trim() : "",
+    };
+    if (!(candle.x >= 0 && candle.x <= 1 && candle.y >= 0 && candle.y <= 1)) {
+      candle.x = Math.random() * 0.9 + 0.05;
+      candle.y = Math.random() * 0.8 + 0.1;
+    }
+
+    if (validateCandle(candle)) {
+      skipped += 1;
+    } else {
+      candles.push(candle);
+    }
+  }
+
+  return { candles, skipped };
+}
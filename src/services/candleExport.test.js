@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import { EXPORT_FORMAT, exportCsv, exportFilename, exportJson, parseImport } from "./candleExport";
+
+const ID = "3f1c2a4b-5d6e-4f70-8a9b-0c1d2e3f4a5b";
+
+const candle = (extra = {}) => ({ id: ID, x: 0.25, y: 0.75, name: "Anna", createdAt: Date.UTC(2026, 9, 15), ...extra });
+
+describe("exportCsv", () => {
+  it("quotes fields with commas, quotes and line breaks", () => {
+    const csv = exportCsv([candle({ name: 'Anna "Nan", 1930', dedication: { message: "Two\nlines" } })]);
+
+    expect(csv.split("\r\n")[1]).toBe(`${ID},"Anna ""Nan"", 1930",0.25,0.75,2026-10-15T00:00:00.000Z,"Two\nlines",,`);
+  });
+
+  it("keeps spreadsheets from running names as formulas", () => {
+    const csv = exportCsv([candle({ name: "=HYPERLINK(1)", dedication: { litBy: "@home" } })]);
+
+    expect(csv).toContain(",'=HYPERLINK(1),");
+    expect(csv).toContain(",'@home\r\n");
+  });
+
+  it("leaves out removed candles", () => {
+    const csv = exportCsv([candle({ removed: { timestamp: 1, op: "r" } })]);
+
+    expect(csv).toBe("id,name,x,y,createdAt,message,remembranceDate,litBy\r\n");
+  });
+});
+
+describe("exportJson", () => {
+  it("exports visible candles without their bookkeeping", () => {
+    const candles = [
+      candle({ clocks: { added: { timestamp: 1, op: "a" } }, ownerHash: "5e88" }),
+      candle({ id: "gone", removed: { timestamp: 1, op: "r" } }),
+    ];
+
+    const exported = JSON.parse(exportJson({ room: "", meta: { title: "Walk" }, candles }, Date.UTC(2026, 9, 19)));
+
+    expect(exported).toEqual({
+      format: EXPORT_FORMAT,
+      room: "",
+      title: "Walk",
+      exportedAt: "2026-10-19T00:00:00.000Z",
+      candles: [candle()],
+    });
+  });
+});
+
+describe("parseImport", () => {
+  it("reads back a CSV export, formula guard and all", () => {
+    const exported = candle({ name: '=Anna, "Nan"', dedication: { message: "Two\nlines", litBy: "-Mum" } });
+
+    const { candles, skipped } = parseImport(exportCsv([exported]), "export.CSV");
+
+    expect(skipped).toBe(0);
+    expect(candles).toEqual([exported]);
+  });
+
+  it("reads back a JSON export", () => {
+    const exported = candle({ style: { color: "pink" }, dedication: { message: "Always" } });
+
+    const { candles } = parseImport(exportJson({ room: "", meta: {}, candles: [exported] }), "export.json");
+
+    expect(candles).toEqual([exported]);
+  });
+
+  it("keeps exported ids so a second import does not duplicate candles", () => {
+    const { candles: first } = parseImport(exportCsv([candle()]), "a.csv");
+    const { candles: second } = parseImport(exportCsv([candle()]), "a.csv");
+
+    expect(first[0].id).toBe(ID);
+    expect(second[0].id).toBe(ID);
+  });
+
+  it("gives candles without a usable id or position new ones", () => {
+    const { candles } = parseImport("name,id,x\r\nAnna,not-an-id,7\r\n", "a.csv");
+
+    expect(candles[0].id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(candles[0].id).not.toBe("not-an-id");
+    expect(candles[0].x).toBeGreaterThanOrEqual(0);
+    expect(candles[0].x).toBeLessThanOrEqual(1);
+  });
+
+  it("converts pixel positions from old candles files", () => {
+    const { candles } = parseImport(JSON.stringify([{ id: ID, x: 640, y: 400, name: "Anna" }]), "candles.json");
+
+    expect(candles[0].x).toBeGreaterThan(0);
+    expect(candles[0].x).toBeLessThan(1);
+  });
+
+  it("skips candles that are not valid", () => {
+    const { candles, skipped } = parseImport(exportCsv([candle(), candle({ id: "b", name: "a".repeat(100) })]), "a.csv");
+
+    expect(candles).toHaveLength(1);
+    expect(skipped).toBe(1);
+  });
+
+  it("refuses files without candles", () => {
+    expect(() => parseImport("id,x,y\r\n", "a.csv")).toThrow(/no name column/);
+    expect(() => parseImport(JSON.stringify({ title: "Walk" }), "a.json")).toThrow(/does not contain any candles/);
+  });
+});
+
+describe("exportFilename", () => {
+  it("names the file after the room and the day", () => {
+    expect(exportFilename("", "csv", Date.UTC(2026, 9, 19))).toBe("memorial-candles-main-2026-10-19.csv");
+    expect(exportFilename("walk", "json", Date.UTC(2026, 9, 19))).toBe("memorial-candles-walk-2026-10-19.json");
+  });
+});
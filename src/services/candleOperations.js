@@ -0,0 +1,306 @@
+// Candle operations and the reducer that merges them
+//
+// Every change to the memorial is an operation: add, rename, move,
+// dedicate, moderate, remove or restore. Operations carry their own id and
+// timestamp, and each candle remembers which operation last wrote each of
+// its fields. Applying
+// an operation only wins when it is newer than that field's clock, so the
+// same set of operations always produces the same candles regardless of
+// the order writers saw them in.
+import { v4 as uuidv4 } from "uuid";
+
+export const OPERATION_TYPES = {
+  ADD: "add",
+  RENAME: "rename",
+  MOVE: "move",
+  DEDICATE: "dedicate",
+  MODERATE: "moderate",
+  REMOVE: "remove",
+  RESTORE: "restore",
+};
+
+// Removed candles are kept as tombstones for this long so a stale write
+// cannot bring them back
+const TOMBSTONE_TTL = 24 * 60 * 60 * 1000;
+
+const ZERO_CLOCK = { timestamp: 0, op: "" };
+
+// Keeps operations from this browser strictly ordered even when several
+// are created within the same millisecond
+let lastTimestamp = 0;
+
+/**
+ * Create an operation
+ * @param {string} type - One of OPERATION_TYPES
+ * @param {string} candleId - Candle the operation targets
+ * @param {Object} [payload] - Operation data
+ * @returns {Object} Operation
+ */
+export function createOperation(type, candleId, payload = {}) {
+  lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+
+  return {
+    id: uuidv4(),
+    type,
+    candleId,
+    timestamp: lastTimestamp,
+    payload,
+  };
+}
+
+/**
+ * @param {Object} candle - Candle with id, x, y and name
+ * @returns {Object} Add operation
+ */
+export const addCandle = (candle) =>
+  createOperation(OPERATION_TYPES.ADD, candle.id, { candle });
+
+/**
+ * @param {string} candleId - Candle id
+ * @param {string} name - New name
+ * @returns {Object} Rename operation
+ */
+export const renameCandle = (candleId, name) =>
+  createOperation(OPERATION_TYPES.RENAME, candleId, { name });
+
+/**
+ * @param {string} candleId - Candle id
+ * @param {number} x - New x position
+ * @param {number} y - New y position
+ * @returns {Object} Move operation
+ */
+export const moveCandle = (candleId, x, y) =>
+  createOperation(OPERATION_TYPES.MOVE, candleId, { x, y });
+
+/**
+ * @param {string} candleId - Candle id
+ * @param {Object} dedication - New dedication, see candleSchema.js; replaces
+ *   the whole previous one
+ * @returns {Object} Dedicate operation
+ */
+export const dedicateCandle = (candleId, dedication) =>
+  createOperation(OPERATION_TYPES.DEDICATE, candleId, { dedication });
+
+/**
+ * @param {string} candleId - Candle id
+ * @param {Object} moderation - `{ status, reason? }`, see moderation.js
+ * @returns {Object} Moderate operation
+ */
+export const moderateCandle = (candleId, moderation) =>
+  createOperation(OPERATION_TYPES.MODERATE, candleId, { moderation });
+
+/**
+ * @param {string} candleId - Candle id
+ * @returns {Object} Remove operation
+ */
+export const removeCandle = (candleId) =>
+  createOperation(OPERATION_TYPES.REMOVE, candleId);
+
+/**
+ * Bring back a removed candle while its tombstone is still kept
+ * @param {string} candleId - Candle id
+ * @returns {Object} Restore operation
+ */
+export const restoreCandle = (candleId) =>
+  createOperation(OPERATION_TYPES.RESTORE, candleId);
+
+/**
+ * Order two clocks by timestamp, breaking ties on operation id
+ * @param {Object} a - Clock
+ * @param {Object} b - Clock
+ * @returns {number} Positive when a is newer than b
+ */
+function compareClocks(a = ZERO_CLOCK, b = ZERO_CLOCK) {
+  if (a.timestamp !== b.timestamp) {
+    return a.timestamp - b.timestamp;
+  }
+  return a.op < b.op ? -1 : a.op > b.op ? 1 : 0;
+}
+
+/**
+ * @param {Object} [a] - Clock
+ * @param {Object} [b] - Clock
+ * @returns {Object|undefined} The newer of the two
+ */
+const newest = (a, b) => (compareClocks(a, b) >= 0 ? a : b);
+
+/**
+ * Apply an operation's update to one field group of a candle
+ * @param {Object} candle - Current candle
+ * @param {string} field - Clock name ("name", "position", "dedication" or
+ *   "moderation")
+ * @param {Object} clock - Clock of the operation
+ * @param {Object} values - Values to write
+ * @returns {Object} Updated candle
+ */
+function writeField(candle, field, clock, values) {
+  if (compareClocks(clock, candle.clocks?.[field]) <= 0) {
+    return candle;
+  }
+
+  return {
+    ...candle,
+    ...values,
+    clocks: { ...candle.clocks, [field]: clock },
+  };
+}
+
+/**
+ * Settle whether a candle is removed: the newer of its removal and its
+ * last restore wins
+ * @param {Object} candle - Candle
+ * @param {Object} [removed] - Clock of the newest removal
+ * @param {Object} [restored] - Clock of the newest restore
+ * @returns {Object} Updated candle
+ */
+function settleRemoval(candle, removed, restored) {
+  const { removed: _removed, ...rest } = candle;
+  return {
+    ...rest,
+    ...(compareClocks(removed, restored) > 0 ? { removed } : {}),
+    clocks: restored ? { ...candle.clocks, restored } : candle.clocks,
+  };
+}
+
+/**
+ * Drop tombstones that are old enough to no longer matter
+ * @param {Array} candles - Candles including tombstones
+ * @param {number} now - Reference time
+ * @returns {Array} Compacted candles
+ */
+function compact(candles, now) {
+  return candles.filter(
+    (candle) => !candle.removed || now - candle.removed.timestamp < TOMBSTONE_TTL
+  );
+}
+
+/**
+ * Apply one operation to a list of candles
+ * @param {Array} candles - Candles including tombstones
+ * @param {Object} operation - Operation to apply
+ * @returns {Array} New list of candles
+ */
+export function applyOperation(candles, operation) {
+  const { type, candleId, timestamp, payload } = operation;
+  const clock = { timestamp, op: operation.id };
+  const existing = candles.find((candle) => candle.id === candleId);
+
+  if (type === OPERATION_TYPES.ADD) {
+    if (existing) {
+      return candles;
+    }
+
+    const { id, x, y, name = "" } = payload.candle;
+    return compact(
+      [
+        ...candles,
+        {
+          ...payload.candle,
+          id,
+          x,
+          y,
+          name,
+          clocks: {
+            added: clock,
+            name: clock,
+            position: clock,
+            dedication: clock,
+            moderation: clock,
+          },
+        },
+      ],
+      timestamp
+    );
+  }
+
+  // Changes to unknown or removed candles are dropped
+  const settlesRemoval = type === OPERATION_TYPES.REMOVE || type === OPERATION_TYPES.RESTORE;
+  if (!existing || (existing.removed && !settlesRemoval)) {
+    return candles;
+  }
+
+  const update = (candle) => {
+    switch (type) {
+      case OPERATION_TYPES.RENAME:
+        return writeField(candle, "name", clock, { name: payload.name });
+      case OPERATION_TYPES.MOVE:
+        return writeField(candle, "position", clock, { x: payload.x, y: payload.y });
+      case OPERATION_TYPES.DEDICATE:
+        return writeField(candle, "dedication", clock, { dedication: payload.dedication });
+      case OPERATION_TYPES.MODERATE:
+        return writeField(candle, "moderation", clock, { moderation: payload.moderation });
+      case OPERATION_TYPES.REMOVE:
+        return candle.removed || compareClocks(clock, candle.clocks?.restored) <= 0
+          ? candle
+          : { ...candle, removed: clock };
+      case OPERATION_TYPES.RESTORE:
+        return compareClocks(clock, candle.removed) > 0 && compareClocks(clock, candle.clocks?.restored) > 0
+          ? settleRemoval(candle, candle.removed, clock)
+          : candle;
+      default:
+        console.warn(`Unknown candle operation "${type}"`);
+        return candle;
+    }
+  };
+
+  return compact(
+    candles.map((candle) => (candle.id === candleId ? update(candle) : candle)),
+    timestamp
+  );
+}
+
+/**
+ * Apply a list of operations in order
+ * @param {Array} candles - Candles including tombstones
+ * @param {Array} operations - Operations to apply
+ * @returns {Array} New list of candles
+ */
+export function applyOperations(candles, operations) {
+  return operations.reduce(applyOperation, candles);
+}
+
+/**
+ * Merge two copies of the candle list field by field
+ * @param {Array} local - One copy of the candles
+ * @param {Array} remote - Another copy of the candles
+ * @returns {Array} Merged candles
+ */
+export function mergeCandles(local, remote) {
+  const merged = new Map(remote.map((candle) => [candle.id, candle]));
+
+  for (const candle of local) {
+    const other = merged.get(candle.id);
+
+    if (!other) {
+      merged.set(candle.id, candle);
+      continue;
+    }
+
+    let result = other;
+    result = writeField(result, "name", candle.clocks?.name, { name: candle.name });
+    result = writeField(result, "position", candle.clocks?.position, {
+      x: candle.x,
+      y: candle.y,
+    });
+    result = writeField(result, "dedication", candle.clocks?.dedication, {
+      dedication: candle.dedication,
+    });
+    result = writeField(result, "moderation", candle.clocks?.moderation, {
+      moderation: candle.moderation,
+    });
+    const restored = newest(candle.clocks?.restored, result.clocks?.restored);
+    result = settleRemoval(result, newest(candle.removed, result.removed), restored);
+    merged.set(candle.id, result);
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Candles that should be shown, without tombstones
+ * @param {Array} candles - Candles including tombstones
+ * @returns {Array} Visible candles
+ */
+export function visibleCandles(candles) {
+  return candles.filter((candle) => !candle.removed);
+}
@@ -0,0 +1,130 @@
+import { describe, expect, it } from "vitest";
+import {
+  applyOperations,
+  createOperation,
+  mergeCandles,
+  visibleCandles,
+} from "./candleOperations";
+
+const op = (id, type, timestamp, payload = {}) => ({ id, type, candleId: "c", timestamp, payload });
+
+const lit = op("a", "add", 1000, { candle: { id: "c", x: 0.5, y: 0.5, name: "Anna" } });
+
+describe("applyOperations", () => {
+  it("ends with the same candle whatever order the writes arrive in", () => {
+    const writes = [
+      op("b", "rename", 2000, { name: "Bea" }),
+      op("c", "move", 2500, { x: 0.1, y: 0.2 }),
+      op("d", "rename", 3000, { name: "Cleo" }),
+    ];
+
+    const inOrder = applyOperations([], [lit, ...writes]);
+    const reversed = applyOperations([], [lit, ...[...writes].reverse()]);
+
+    expect(reversed).toEqual(inOrder);
+    expect(inOrder[0]).toMatchObject({ name: "Cleo", x: 0.1, y: 0.2 });
+  });
+
+  it("keeps the newer write to a field, not the later one to arrive", () => {
+    const newer = op("c", "rename", 3000, { name: "New" });
+    const older = op("b", "rename", 2000, { name: "Old" });
+    const [candle] = applyOperations([], [lit, newer, older]);
+
+    expect(candle.name).toBe("New");
+    expect(candle.clocks.name).toEqual({ timestamp: 3000, op: "c" });
+  });
+
+  it("breaks timestamp ties on the operation id", () => {
+    const x = op("x", "rename", 2000, { name: "X" });
+    const y = op("y", "rename", 2000, { name: "Y" });
+
+    expect(applyOperations([], [lit, x, y])[0].name).toBe("Y");
+    expect(applyOperations([], [lit, y, x])[0].name).toBe("Y");
+  });
+
+  it("tracks each field on its own clock", () => {
+    const moved = op("c", "move", 3000, { x: 0.9, y: 0.9 });
+    const renamed = op("b", "rename", 2000, { name: "Bea" });
+    const [candle] = applyOperations([], [lit, moved, renamed]);
+
+    expect(candle).toMatchObject({ name: "Bea", x: 0.9, y: 0.9 });
+  });
+
+  it("ignores a second add of the same candle", () => {
+    const again = op("z", "add", 5000, { candle: { id: "c", x: 0.1, y: 0.1, name: "Other" } });
+
+    expect(applyOperations([], [lit, again])).toEqual(applyOperations([], [lit]));
+  });
+
+  it("drops changes to a removed candle until it is restored", () => {
+    const candles = applyOperations([], [lit, op("r", "remove", 2000), op("b", "rename", 3000, { name: "Bea" })]);
+    expect(visibleCandles(candles)).toEqual([]);
+    expect(candles[0].name).toBe("Anna");
+
+    const [restored] = applyOperations(candles, [op("s", "restore", 4000)]);
+    expect(restored.removed).toBeUndefined();
+    expect(restored.clocks.restored).toEqual({ timestamp: 4000, op: "s" });
+  });
+
+  it("does not let a restore older than the removal bring a candle back", () => {
+    const candles = applyOperations([], [lit, op("r", "remove", 3000), op("s", "restore", 2000)]);
+
+    expect(visibleCandles(candles)).toEqual([]);
+  });
+
+  it("does not let a removal older than the last restore remove it again", () => {
+    const candles = applyOperations([], [
+      lit,
+      op("r", "remove", 2000),
+      op("s", "restore", 3000),
+      op("q", "remove", 2500),
+    ]);
+
+    expect(visibleCandles(candles)).toHaveLength(1);
+  });
+
+  it("forgets tombstones a day after the removal", () => {
+    const day = 24 * 60 * 60 * 1000;
+    const other = { ...op("l", "add", 2000 + day, { candle: { id: "d", x: 0, y: 0 } }), candleId: "d" };
+
+    const candles = applyOperations([], [lit, op("r", "remove", 2000), other]);
+
+    expect(candles.map((candle) => candle.id)).toEqual(["d"]);
+  });
+});
+
+describe("mergeCandles", () => {
+  it("keeps the newer copy of each field", () => {
+    const [base] = applyOperations([], [lit]);
+    const [renamed] = applyOperations([base], [op("b", "rename", 2000, { name: "Bea" })]);
+    const [moved] = applyOperations([base], [op("c", "move", 3000, { x: 0.2, y: 0.3 })]);
+
+    const [merged] = mergeCandles([renamed], [moved]);
+
+    expect(merged).toMatchObject({ name: "Bea", x: 0.2, y: 0.3 });
+    expect(mergeCandles([moved], [renamed])).toEqual([merged]);
+  });
+
+  it("keeps a removal from either copy", () => {
+    const [base] = applyOperations([], [lit]);
+    const [removed] = applyOperations([base], [op("r", "remove", 2000)]);
+
+    expect(visibleCandles(mergeCandles([base], [removed]))).toEqual([]);
+    expect(visibleCandles(mergeCandles([removed], [base]))).toEqual([]);
+  });
+
+  it("keeps candles only one copy has", () => {
+    const [candle] = applyOperations([], [lit]);
+
+    expect(mergeCandles([candle], [])).toEqual([candle]);
+    expect(mergeCandles([], [candle])).toEqual([candle]);
+  });
+});
+
+describe("createOperation", () => {
+  it("gives operations from this browser increasing timestamps", () => {
+    const timestamps = Array.from({ length: 5 }, () => createOperation("rename", "c", {}).timestamp);
+
+    timestamps.slice(1).forEach((timestamp, i) => expect(timestamp).toBeGreaterThan(timestamps[i]));
+  });
+});
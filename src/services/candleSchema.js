@@ -0,0 +1,303 @@
+// Versioned format of the stored candles file
+//
+// The file is an envelope: `{ version, candles, meta, quarantine }`.
+// Older files are upgraded on read by the migrations below, one version at
+// a time, and every candle is validated. Invalid candles are moved to
+// `quarantine` instead of being rendered or written back as candles, so a
+// bad entry from a buggy or newer client cannot break everyone else.
+//
+// Also used by the write proxy in server/, hence the explicit extensions.
+import { StorageLoadError, LOAD_ERROR_REASONS } from "./storageErrors.js";
+import { migratePositions } from "./coordinates.js";
+import { validateModeration } from "./moderation.js";
+
+export const SCHEMA_VERSION = 3;
+
+// In code points. The name input in Candle.jsx also limits how wide a name
+// renders, which is what keeps it short in any script, see textWidth.js.
+export const MAX_NAME_LENGTH = 40;
+
+// Optional dedication shown in a candle's detail card: a message, the date
+// being remembered (YYYY-MM-DD) and who lit it. All fields may be left out;
+// a candle without `litBy` was lit anonymously.
+export const DEDICATION_FIELDS = ["message", "remembranceDate", "litBy"];
+export const MAX_MESSAGE_LENGTH = 280;
+export const MAX_LIT_BY_LENGTH = 40;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Look chosen when a candle is lit, by ids from the catalogue in
+// candleStyles.js. Ids are only checked for shape here, so candles styled
+// by a newer version of the app are kept and drawn with the defaults.
+export const STYLE_FIELDS = ["color", "decoration", "flame"];
+const STYLE_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_STYLE_ID_LENGTH = 32;
+
+// Oldest quarantined entries are dropped beyond this many
+const MAX_QUARANTINE = 100;
+
+// Each migration upgrades a file from its key's version to the next one
+const MIGRATIONS = {
+  // Version 1: a bare array of candles. Early files stored pixel positions.
+  1: (candles) => ({
+    version: 2,
+    candles: migratePositions(candles),
+    meta: {},
+    quarantine: [],
+  }),
+  // Version 2: names of at most 15 characters. Longer names are only written
+  // as version 3, so older apps read those files as newer and read-only
+  // instead of quarantining the candles and saving them away.
+  2: (document) => ({ ...document, version: 3 }),
+};
+
+const malformed = (message, cause) =>
+  new StorageLoadError(message, { reason: LOAD_ERROR_REASONS.MALFORMED, cause });
+
+const isUnitNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0 && value <= 1;
+
+/**
+ * Whether a string is a real calendar date written as YYYY-MM-DD
+ * @param {string} value - Date text
+ * @returns {boolean} Valid date
+ */
+const isCalendarDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false;
+  // Invalid for months past 12 or days past 31; shorter months roll over
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Check a candle's dedication
+ * @param {*} dedication - Dedication, see DEDICATION_FIELDS
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateDedication(dedication) {
+  if (!dedication || typeof dedication !== "object" || Array.isArray(dedication)) {
+    return "dedication is not an object";
+  }
+  const { message, remembranceDate, litBy } = dedication;
+  if (message !== undefined && (typeof message !== "string" || [...message].length > MAX_MESSAGE_LENGTH)) {
+    return `message is not text of at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  if (litBy !== undefined && (typeof litBy !== "string" || [...litBy].length > MAX_LIT_BY_LENGTH)) {
+    return `lit by is not text of at most ${MAX_LIT_BY_LENGTH} characters`;
+  }
+  if (remembranceDate !== undefined && (typeof remembranceDate !== "string" || !isCalendarDate(remembranceDate))) {
+    return "remembrance date is not a YYYY-MM-DD date";
+  }
+  return null;
+}
+
+/**
+ * Check a candle's style
+ * @param {*} style - Style, see STYLE_FIELDS
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateStyle(style) {
+  if (!style || typeof style !== "object" || Array.isArray(style)) {
+    return "style is not an object";
+  }
+  for (const field of STYLE_FIELDS) {
+    const value = style[field];
+    if (
+      value !== undefined &&
+      (typeof value !== "string" || value.length > MAX_STYLE_ID_LENGTH || !STYLE_ID_PATTERN.test(value))
+    ) {
+      return `style ${field} is not a style id`;
+    }
+  }
+  return null;
+}
+
+/**
+ * A style with only the known fields
+ * @param {Object} [style] - Style as chosen or received
+ * @returns {Object} Style to store
+ */
+export function cleanStyle(style = {}) {
+  return Object.fromEntries(
+    STYLE_FIELDS.filter((field) => style[field] !== undefined).map((field) => [field, style[field]])
+  );
+}
+
+/**
+ * A dedication with surrounding whitespace trimmed and empty or unknown
+ * fields left out
+ * @param {Object} [dedication] - Dedication as entered or received
+ * @returns {Object} Dedication to store; empty when nothing was dedicated
+ */
+export function cleanDedication(dedication = {}) {
+  return Object.fromEntries(
+    DEDICATION_FIELDS
+      .filter((field) => typeof dedication[field] === "string" && dedication[field].trim())
+      .map((field) => [field, dedication[field].trim()])
+  );
+}
+
+/**
+ * Check one stored candle
+ * @param {*} candle - Stored candle
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateCandle(candle) {
+  if (!candle || typeof candle !== "object" || Array.isArray(candle)) {
+    return "not an object";
+  }
+  if (typeof candle.id !== "string" || candle.id.length === 0) {
+    return "missing id";
+  }
+  if (!isUnitNumber(candle.x) || !isUnitNumber(candle.y)) {
+    return "position is not a pair of numbers between 0 and 1";
+  }
+  if (typeof candle.name !== "string") {
+    return "name is not a string";
+  }
+  if ([...candle.name].length > MAX_NAME_LENGTH) {
+    return `name is longer than ${MAX_NAME_LENGTH} characters`;
+  }
+  if (candle.ownerHash !== undefined && typeof candle.ownerHash !== "string") {
+    return "owner hash is not a string";
+  }
+  if (candle.createdAt !== undefined && !Number.isFinite(candle.createdAt)) {
+    return "creation time is not a number";
+  }
+  if (candle.style !== undefined) {
+    const problem = validateStyle(candle.style);
+    if (problem) {
+      return problem;
+    }
+  }
+  if (candle.moderation !== undefined) {
+    const problem = validateModeration(candle.moderation);
+    if (problem) {
+      return problem;
+    }
+  }
+  if (candle.dedication !== undefined) {
+    return validateDedication(candle.dedication);
+  }
+  return null;
+}
+
+/**
+ * Work out which schema version parsed data is in
+ * @param {*} data - Parsed JSON
+ * @returns {number} Schema version
+ */
+function detectVersion(data) {
+  if (Array.isArray(data)) {
+    return 1;
+  }
+  if (data && typeof data === "object" && Number.isInteger(data.version) && Array.isArray(data.candles)) {
+    return data.version;
+  }
+  throw malformed("Stored candles are neither a list nor a versioned file");
+}
+
+/**
+ * Upgrade parsed data to the current schema version
+ * @param {*} data - Parsed JSON
+ * @returns {Object} Document in the current (or a newer) version
+ */
+export function migrateDocument(data) {
+  let version = detectVersion(data);
+  let document = data;
+
+  while (version < SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw malformed(`No migration from schema version ${version}`);
+    }
+    document = migrate(document);
+    version = document.version;
+  }
+
+  return document;
+}
+
+/**
+ * Move invalid candles into quarantine
+ * @param {Object} document - Migrated document
+ * @param {number} [now] - Quarantine time
+ * @returns {Object} Document with only valid candles
+ */
+function quarantineInvalid(document, now = Date.now()) {
+  const candles = [];
+  const quarantine = [...(document.quarantine ?? [])];
+
+  for (const candle of document.candles) {
+    const problem = validateCandle(candle);
+    if (problem) {
+      console.warn("Quarantining invalid candle:", problem, candle);
+      quarantine.push({ candle, reason: problem, quarantinedAt: now });
+    } else {
+      candles.push(candle);
+    }
+  }
+
+  return { ...document, candles, quarantine: quarantine.slice(-MAX_QUARANTINE) };
+}
+
+/**
+ * Parse the stored candles file
+ * @param {string} content - Stored JSON text
+ * @returns {Object} `{ version, candles, meta, quarantine }`, plus
+ *   `readOnly` when the file was written by a newer version of the app
+ * @throws {StorageLoadError} If the file cannot be understood
+ */
+export function parseDocument(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw malformed("Stored candles are not valid JSON", error);
+  }
+
+  const document = quarantineInvalid(migrateDocument(data));
+  return {
+    ...document,
+    meta: document.meta ?? {},
+    readOnly: document.version > SCHEMA_VERSION,
+  };
+}
+
+/**
+ * An empty document in the current version
+ * @returns {Object} Document
+ */
+export function createDocument() {
+  return { version: SCHEMA_VERSION, candles: [], meta: {}, quarantine: [] };
+}
+
+/**
+ * A document with some of its meta replaced
+ * @param {Object|null} document - Document last read, if any
+ * @param {Object} changes - Meta fields to set
+ * @returns {Object} Document
+ */
+export function withMeta(document, changes) {
+  const base = document ?? createDocument();
+  return { ...base, meta: { ...base.meta, ...changes } };
+}
+
+/**
+ * Turn a document back into the stored JSON text
+ * @param {Object|null} document - Document last read, if any
+ * @param {Array} candles - Candles to store
+ * @returns {string} JSON text
+ * @throws {Error} If the file was written by a newer version of the app
+ */
+export function serializeDocument(document, candles) {
+  const base = document ?? createDocument();
+
+  if (base.readOnly) {
+    // Writing would silently drop whatever the newer version added
+    throw new Error("These candles were saved by a newer version of the app. Please reload the page.");
+  }
+
+  const { readOnly: _readOnly, ...stored } = base;
+  return JSON.stringify({ ...stored, version: SCHEMA_VERSION, candles }, null, 2);
+}
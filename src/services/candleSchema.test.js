@@ -0,0 +1,130 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  MAX_NAME_LENGTH,
+  SCHEMA_VERSION,
+  cleanDedication,
+  parseDocument,
+  serializeDocument,
+  validateCandle,
+  validateDedication,
+} from "./candleSchema";
+import { LOAD_ERROR_REASONS } from "./storageErrors";
+
+const candle = (name) => ({ id: "a", x: 0.5, y: 0.5, name });
+
+describe("schema versions", () => {
+  it("upgrades a version 2 file to the current version", () => {
+    const document = parseDocument(JSON.stringify({ version: 2, candles: [candle("Sophie")], meta: {}, quarantine: [] }));
+
+    expect(document.version).toBe(SCHEMA_VERSION);
+    expect(document.candles).toEqual([candle("Sophie")]);
+    expect(document.readOnly).toBe(false);
+  });
+
+  it("writes long names in a version newer than 2", () => {
+    const name = "a".repeat(MAX_NAME_LENGTH);
+    const stored = JSON.parse(serializeDocument(null, [candle(name)]));
+
+    // Apps that only allow 15 characters read it as newer instead of
+    // quarantining the candle
+    expect(stored.version).toBeGreaterThan(2);
+    expect(stored.candles[0].name).toBe(name);
+  });
+
+  it("reads a file from a newer version but will not overwrite it", () => {
+    const document = parseDocument(JSON.stringify({ version: SCHEMA_VERSION + 1, candles: [], meta: {} }));
+
+    expect(document.readOnly).toBe(true);
+    expect(() => serializeDocument(document, [])).toThrow(/newer version/);
+  });
+});
+
+describe("parseDocument", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("upgrades a bare list of candles with pixel positions", () => {
+    const document = parseDocument(JSON.stringify([{ id: "a", x: 640, y: 400, name: "Anna" }, candle("Bea")]));
+
+    expect(document).toMatchObject({ version: SCHEMA_VERSION, meta: {}, quarantine: [], readOnly: false });
+    const [anna, bea] = document.candles;
+    expect(anna.x).toBeGreaterThan(0);
+    expect(anna.x).toBeLessThan(1);
+    expect(anna.y).toBeGreaterThan(0);
+    expect(anna.y).toBeLessThan(1);
+    expect(bea).toEqual(candle("Bea"));
+  });
+
+  it("moves invalid candles into quarantine with the reason", () => {
+    const tooLong = candle("a".repeat(MAX_NAME_LENGTH + 1));
+    const document = parseDocument(
+      JSON.stringify({ version: SCHEMA_VERSION, candles: [candle("Anna"), tooLong, { id: "b", x: 2, y: 0 }, null] })
+    );
+
+    expect(document.candles).toEqual([candle("Anna")]);
+    expect(document.quarantine.map((entry) => entry.reason)).toEqual([
+      `name is longer than ${MAX_NAME_LENGTH} characters`,
+      "position is not a pair of numbers between 0 and 1",
+      "not an object",
+    ]);
+    expect(document.quarantine[0].candle).toEqual(tooLong);
+  });
+
+  it("keeps only the newest hundred quarantined entries", () => {
+    const old = Array.from({ length: 100 }, (_, i) => ({ candle: { id: `old-${i}` }, reason: "missing id", quarantinedAt: 1 }));
+    const document = parseDocument(
+      JSON.stringify({ version: SCHEMA_VERSION, candles: [{ id: "" }], quarantine: old })
+    );
+
+    expect(document.quarantine).toHaveLength(100);
+    expect(document.quarantine[0].candle.id).toBe("old-1");
+    expect(document.quarantine[99].reason).toBe("missing id");
+  });
+
+  it("refuses files it cannot understand", () => {
+    expect(() => parseDocument("{")).toThrow(expect.objectContaining({ reason: LOAD_ERROR_REASONS.MALFORMED }));
+    expect(() => parseDocument(JSON.stringify({ candles: {} }))).toThrow(
+      expect.objectContaining({ reason: LOAD_ERROR_REASONS.MALFORMED })
+    );
+    expect(() => parseDocument(JSON.stringify({ version: 0, candles: [] }))).toThrow(/No migration/);
+  });
+});
+
+describe("validateCandle", () => {
+  it("accepts a candle with a dedication and style", () => {
+    const dedicated = {
+      ...candle("Anna"),
+      style: { color: "pink", flame: "flicker" },
+      dedication: { message: "Always", remembranceDate: "2024-02-29", litBy: "Mum" },
+    };
+
+    expect(validateCandle(dedicated)).toBeNull();
+  });
+
+  it("counts name length in code points", () => {
+    expect(validateCandle(candle("🕯️".repeat(MAX_NAME_LENGTH / 2)))).toBeNull();
+  });
+
+  it("refuses dates that are not on the calendar", () => {
+    const dedicated = { ...candle("Anna"), dedication: { remembranceDate: "2023-02-29" } };
+
+    expect(validateCandle(dedicated)).toBe("remembrance date is not a YYYY-MM-DD date");
+    expect(validateDedication({ remembranceDate: "2023-13-01" })).toBe("remembrance date is not a YYYY-MM-DD date");
+    expect(validateDedication({ remembranceDate: "2023-01-32" })).toBe("remembrance date is not a YYYY-MM-DD date");
+  });
+
+  it("refuses style ids that are not kebab case", () => {
+    expect(validateCandle({ ...candle("Anna"), style: { color: "Pink!" } })).toBe("style color is not a style id");
+  });
+});
+
+describe("cleanDedication", () => {
+  it("trims fields and leaves out empty and unknown ones", () => {
+    expect(cleanDedication({ message: "  Always ", litBy: " ", extra: "x" })).toEqual({ message: "Always" });
+  });
+});
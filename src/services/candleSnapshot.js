@@ -0,0 +1,122 @@
+// Pictures of a single candle, for sharing
+//
+// A square PNG painted with the same code as canvas mode (see
+// skyPainter.js): the night sky, the candle in its own style, drawn large,
+// and under it the name, the dedication message and the memorial's title.
+// Square pictures are cropped least by social networks.
+import { resolveStyle } from "./candleStyles";
+import { CANDLE_SIZE } from "./coordinates";
+import { slugify } from "./rooms";
+import { createStars, paintCandle, paintSky, whenStyleReady } from "./skyPainter";
+import { graphemes, textWidth, wrapText } from "./textWidth";
+
+const SIZE = { width: 1080, height: 1080 };
+
+// The candle is drawn this many times its size in the sky
+const CANDLE_SCALE = 4;
+const CANDLE_TOP = 170;
+
+const MARGIN = 100;
+const TEXT_WIDTH = SIZE.width - 2 * MARGIN;
+
+// Where the text starts, and how it is set
+const TEXT_TOP = 500;
+const HEADING = { weight: 700, size: 56, lineHeight: 68, maxLines: 2 };
+const MESSAGE = { weight: 400, size: 32, lineHeight: 44, maxLines: 7 };
+const FOOTER = { weight: 400, size: 26, bottom: 60 };
+const GAP = 28;
+
+const fontOf = ({ weight, size }, fontFamily) => `${weight} ${size}px ${fontFamily}`;
+
+// Lines of text within a box, the last one cut short with an ellipsis if
+// there are too many
+const linesFor = (text, font, maxLines) => {
+  const lines = wrapText(text, { font, maxWidth: TEXT_WIDTH });
+  if (lines.length <= maxLines) {
+    return lines;
+  }
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last && textWidth(`${last}…`, font) > TEXT_WIDTH) {
+    last = graphemes(last).slice(0, -1).join("");
+  }
+  kept[maxLines - 1] = `${last.trimEnd()}…`;
+  return kept;
+};
+
+const toBlob = (canvas) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Could not encode the picture"))),
+      "image/png"
+    );
+  });
+
+/**
+ * Paint a picture of a candle
+ * @param {Object} candle - Candle, with its name, dedication and style
+ * @param {Object} options - Options
+ * @param {string} options.title - Title of the memorial it was lit in
+ * @param {string} options.fontFamily - Font family of the page
+ * @param {Function} options.t - Translation function, see i18n.js
+ * @returns {Promise<Blob>} PNG image
+ */
+export async function candleSnapshot(candle, { title, fontFamily, t }) {
+  const style = resolveStyle(candle.style);
+  await whenStyleReady(style);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = SIZE.width;
+  canvas.height = SIZE.height;
+  const ctx = canvas.getContext("2d");
+  ctx.direction = t.dir;
+
+  paintSky(ctx, SIZE, createStars(), 0);
+
+  // A still flame, standing straight
+  ctx.save();
+  ctx.translate((SIZE.width - CANDLE_SIZE.width * CANDLE_SCALE) / 2, CANDLE_TOP);
+  ctx.scale(CANDLE_SCALE, CANDLE_SCALE);
+  paintCandle(ctx, { x: 0, y: 0, style, phase: 0, label: null }, 0, CANDLE_SCALE);
+  ctx.restore();
+
+  ctx.textAlign = "center";
+  ctx.textBaseline = "top";
+  ctx.fillStyle = "#ffffff";
+  let y = TEXT_TOP;
+
+  const paintLines = (text, setting) => {
+    const font = fontOf(setting, fontFamily);
+    ctx.font = font;
+    for (const line of linesFor(text, font, setting.maxLines)) {
+      ctx.fillText(line, SIZE.width / 2, y);
+      y += setting.lineHeight;
+    }
+    y += GAP;
+  };
+
+  if (candle.name) {
+    paintLines(t("details.inMemory", { name: candle.name }), HEADING);
+  }
+  if (candle.dedication?.message) {
+    ctx.globalAlpha = 0.9;
+    paintLines(candle.dedication.message, MESSAGE);
+  }
+
+  ctx.globalAlpha = 0.6;
+  ctx.font = fontOf(FOOTER, fontFamily);
+  ctx.textBaseline = "bottom";
+  ctx.fillText(title, SIZE.width / 2, SIZE.height - FOOTER.bottom, TEXT_WIDTH);
+
+  return toBlob(canvas);
+}
+
+/**
+ * File name for a picture of a candle, e.g. `memorial-candle-sophie.png`
+ * @param {Object} candle - Candle
+ * @returns {string} File name
+ */
+export function snapshotFilename(candle) {
+  const slug = slugify(candle.name ?? "");
+  return slug ? `memorial-candle-${slug}.png` : "memorial-candle.png";
+}
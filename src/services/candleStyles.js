@@ -0,0 +1,154 @@
+// Catalogue of candle styles
+//
+// A candle stores only the ids of its color, decoration and flame (see
+// STYLE_FIELDS in candleSchema.js); what each id looks like is described
+// here. Adding an entry to one of these lists is all it takes to offer a
+// new style. Ids must never be renamed once candles use them.
+import { Heart, Ribbon } from "lucide-react";
+
+const STORAGE_KEY = "memorial-candles:style";
+
+// Gradients are kept as color stops, `[color, percent]`, so the canvas
+// renderer (see skyPainter.js) can draw the same candles as the CSS
+const cssStops = (stops) => stops.map(([color, percent]) => `${color} ${percent}%`).join(", ");
+
+const withCss = {
+  color: (entry) => ({ ...entry, body: `linear-gradient(${entry.angle}deg, ${cssStops(entry.stops)})` }),
+  flame: (entry) => ({ ...entry, background: `radial-gradient(circle, ${cssStops(entry.stops)})` }),
+};
+
+// Pink, blue and white are the colours of baby loss awareness
+export const CANDLE_COLORS = [
+  {
+    id: "ivory",
+    label: "Ivory",
+    angle: 180,
+    stops: [["#f8f6f0", 0], ["#e5e0d8", 100]],
+    border: "#facc15",
+    glow: "rgba(251, 191, 36, 0.3)",
+  },
+  {
+    id: "pink",
+    label: "Pink",
+    angle: 180,
+    stops: [["#fce7f3", 0], ["#f9a8d4", 100]],
+    border: "#f472b6",
+    glow: "rgba(244, 114, 182, 0.35)",
+  },
+  {
+    id: "blue",
+    label: "Blue",
+    angle: 180,
+    stops: [["#dbeafe", 0], ["#93c5fd", 100]],
+    border: "#60a5fa",
+    glow: "rgba(96, 165, 250, 0.35)",
+  },
+  {
+    id: "white",
+    label: "White",
+    angle: 180,
+    stops: [["#ffffff", 0], ["#f1f5f9", 100]],
+    border: "#e2e8f0",
+    glow: "rgba(255, 255, 255, 0.35)",
+  },
+  {
+    id: "pink-and-blue",
+    label: "Pink and blue",
+    angle: 90,
+    stops: [["#f9a8d4", 0], ["#f9a8d4", 50], ["#93c5fd", 50], ["#93c5fd", 100]],
+    border: "#c4b5fd",
+    glow: "rgba(196, 181, 253, 0.35)",
+  },
+  {
+    id: "lavender",
+    label: "Lavender",
+    angle: 180,
+    stops: [["#ede9fe", 0], ["#c4b5fd", 100]],
+    border: "#a78bfa",
+    glow: "rgba(167, 139, 250, 0.35)",
+  },
+].map(withCss.color);
+
+// Shown on the candle body. Without a color of their own, decorations take
+// the border color of the candle.
+export const DECORATIONS = [
+  { id: "none", label: "None", icon: null },
+  { id: "ribbon", label: "Ribbon", icon: Ribbon },
+  { id: "heart", label: "Heart", icon: Heart, color: "#fb7185" },
+];
+
+// Animations are keyframes in index.css. `motion` is roughly the same
+// movement for the canvas renderer: seconds per cycle, degrees of sway,
+// how much the flame stretches, and how much it fades and glows.
+export const FLAMES = [
+  {
+    id: "flicker",
+    label: "Flicker",
+    animation: "flicker 1.5s infinite alternate",
+    stops: [["#ffeb3b", 0], ["#ff9800", 40], ["#f44336", 70]],
+    motion: { period: 1.5, sway: 1, stretch: 0.02, fade: 0.1, glow: 0 },
+  },
+  {
+    id: "dance",
+    label: "Dancing",
+    animation: "dance 0.7s infinite alternate ease-in-out",
+    stops: [["#fff59d", 0], ["#ffb300", 45], ["#ff5722", 75]],
+    motion: { period: 0.7, sway: 4, stretch: 0.06, fade: 0, glow: 0 },
+  },
+  {
+    id: "glow",
+    label: "Soft glow",
+    animation: "glow 3s infinite ease-in-out",
+    stops: [["#fffde7", 0], ["#ffe082", 45], ["#ffb74d", 75]],
+    motion: { period: 3, sway: 0, stretch: 0, fade: 0.15, glow: 6 },
+  },
+].map(withCss.flame);
+
+export const DEFAULT_STYLE = { color: "ivory", decoration: "none", flame: "flicker" };
+
+const CATALOGUE = { color: CANDLE_COLORS, decoration: DECORATIONS, flame: FLAMES };
+
+const findEntry = (field, id) =>
+  CATALOGUE[field].find((entry) => entry.id === id) ??
+  CATALOGUE[field].find((entry) => entry.id === DEFAULT_STYLE[field]);
+
+/**
+ * Look up how a candle is drawn. Missing or unknown ids, e.g. from a newer
+ * version of the app, fall back to the defaults.
+ * @param {Object} [style] - Stored style ids
+ * @returns {Object} `{ color, decoration, flame }` catalogue entries
+ */
+export function resolveStyle(style = {}) {
+  return {
+    color: findEntry("color", style.color),
+    decoration: findEntry("decoration", style.decoration),
+    flame: findEntry("flame", style.flame),
+  };
+}
+
+/**
+ * Style this browser last lit a candle with
+ * @returns {Object} Style ids
+ */
+export function loadPreferredStyle() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    const { color, decoration, flame } = resolveStyle(stored ?? {});
+    return { color: color.id, decoration: decoration.id, flame: flame.id };
+  } catch (error) {
+    console.error("Error reading candle style:", error);
+    return DEFAULT_STYLE;
+  }
+}
+
+/**
+ * Remember the style for the next candle lit in this browser
+ * @param {Object} style - Style ids
+ */
+export function savePreferredStyle(style) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(style));
+  } catch (error) {
+    console.error("Error saving candle style:", error);
+  }
+}
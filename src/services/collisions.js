@@ -0,0 +1,133 @@
+// Keeps candles from being dropped on top of each other, and finds room
+// for new ones
+//
+// Works in sky pixels: positions are the top-left corner of a candle of
+// CANDLE_SIZE, as rendered by Candle.jsx.
+import { CANDLE_SIZE, clampToArea } from "./coordinates";
+
+// Candles closer than this, in pixels, count as overlapping
+const MIN_GAP = 4;
+
+// Rings of candidate spots tried around the drop point
+const SEARCH_STEP = 16;
+const SEARCH_RINGS = 12;
+const SPOTS_PER_RING = 16;
+
+// Spacing of the spots considered for a new candle
+const PLACEMENT_STEP = 40;
+
+// Clearance, in candle sizes, beyond which spots count as equally roomy,
+// so a new candle goes near the middle of the area rather than its edge
+const ROOMY = 3;
+
+/**
+ * Whether two candles at these positions overlap
+ * @param {Object} a - `{ x, y }`
+ * @param {Object} b - `{ x, y }`
+ * @returns {boolean} Overlap
+ */
+export const overlaps = (a, b) =>
+  Math.abs(a.x - b.x) < CANDLE_SIZE.width + MIN_GAP &&
+  Math.abs(a.y - b.y) < CANDLE_SIZE.height + MIN_GAP;
+
+/**
+ * Nearest spot to a position where a candle overlaps none of the others
+ *
+ * Tries rings of spots around the position, closest first. When the sky
+ * is too crowded to find one, the position is returned unchanged.
+ * @param {Object} position - Wanted `{ x, y }`
+ * @param {Array} others - Positions of the other candles
+ * @param {Object} area - `{ width, height }`, e.g. SKY_SIZE
+ * @returns {Object} `{ x, y }`
+ */
+export function avoidOverlap(position, others, area) {
+  const isFree = (spot) => !others.some((other) => overlaps(spot, other));
+
+  if (isFree(position)) {
+    return position;
+  }
+
+  for (let ring = 1; ring <= SEARCH_RINGS; ring++) {
+    const radius = ring * SEARCH_STEP;
+    const spots = [];
+
+    for (let i = 0; i < SPOTS_PER_RING; i++) {
+      const angle = (2 * Math.PI * i) / SPOTS_PER_RING;
+      spots.push(
+        clampToArea(
+          { x: position.x + radius * Math.cos(angle), y: position.y + radius * Math.sin(angle) },
+          area
+        )
+      );
+    }
+
+    const free = spots.filter(isFree);
+    if (free.length > 0) {
+      // Clamping to the edges can pull spots closer or further; take the
+      // closest free one
+      const distance = (spot) => Math.hypot(spot.x - position.x, spot.y - position.y);
+      return free.reduce((best, spot) => (distance(spot) < distance(best) ? spot : best));
+    }
+  }
+
+  return position;
+}
+
+/**
+ * Distance from a spot to the nearest other candle, in candle sizes, so
+ * that being one candle apart counts the same across and down
+ * @param {Object} spot - `{ x, y }`
+ * @param {Array} others - Positions of the other candles
+ * @returns {number} Clearance, Infinity without other candles
+ */
+export const clearance = (spot, others) =>
+  others.reduce(
+    (nearest, other) =>
+      Math.min(
+        nearest,
+        Math.hypot((spot.x - other.x) / CANDLE_SIZE.width, (spot.y - other.y) / CANDLE_SIZE.height)
+      ),
+    Infinity
+  );
+
+/**
+ * The spot in part of the sky furthest from every other candle
+ *
+ * Spots are tried on a grid, shifted at random so new candles do not line
+ * up. The one with the most clearance wins; among roomy ones, the one
+ * nearest the middle of the area.
+ * @param {Array} others - Positions of the other candles
+ * @param {Object} area - Part of the sky, `{ x, y, width, height }`
+ * @param {Object} bounds - `{ width, height }` of the whole sky
+ * @param {Function} [random] - Source of numbers between 0 and 1
+ * @returns {Object} `{ x, y, clearance }`
+ */
+export function leastCrowdedSpot(others, area, bounds, random = Math.random) {
+  const offsetX = random() * PLACEMENT_STEP;
+  const offsetY = random() * PLACEMENT_STEP;
+  const maxX = Math.max(area.width - CANDLE_SIZE.width, 0);
+  const maxY = Math.max(area.height - CANDLE_SIZE.height, 0);
+
+  const middle = { x: area.x + maxX / 2, y: area.y + maxY / 2 };
+  const score = (spot) => [
+    Math.min(spot.clearance, ROOMY),
+    -Math.hypot(spot.x - middle.x, spot.y - middle.y),
+  ];
+  const isBetter = (spot, than) => {
+    const [room, centrality] = score(spot);
+    const [bestRoom, bestCentrality] = score(than);
+    return room > bestRoom || (room === bestRoom && centrality > bestCentrality);
+  };
+
+  let best = null;
+  for (let dy = Math.min(offsetY, maxY); dy <= maxY; dy += PLACEMENT_STEP) {
+    for (let dx = Math.min(offsetX, maxX); dx <= maxX; dx += PLACEMENT_STEP) {
+      const position = clampToArea({ x: area.x + dx, y: area.y + dy }, bounds);
+      const spot = { ...position, clearance: clearance(position, others) };
+      if (!best || isBetter(spot, best)) {
+        best = spot;
+      }
+    }
+  }
+  return best;
+}
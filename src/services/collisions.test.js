@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { avoidOverlap, clearance, leastCrowdedSpot, overlaps } from "./collisions";
+import { CANDLE_SIZE, SKY_SIZE } from "./coordinates";
+
+describe("avoidOverlap", () => {
+  it("leaves a free position alone", () => {
+    const position = { x: 500, y: 500 };
+
+    expect(avoidOverlap(position, [{ x: 100, y: 100 }], SKY_SIZE)).toBe(position);
+  });
+
+  it("moves a candle dropped on another to a nearby free spot", () => {
+    const other = { x: 500, y: 500 };
+
+    const spot = avoidOverlap({ x: 510, y: 500 }, [other], SKY_SIZE);
+
+    expect(overlaps(spot, other)).toBe(false);
+    expect(Math.hypot(spot.x - 510, spot.y - 500)).toBeLessThanOrEqual(CANDLE_SIZE.height * 2);
+  });
+
+  it("stays within the sky at its edge", () => {
+    const spot = avoidOverlap({ x: 0, y: 0 }, [{ x: 0, y: 0 }], SKY_SIZE);
+
+    expect(spot.x).toBeGreaterThanOrEqual(0);
+    expect(spot.y).toBeGreaterThanOrEqual(0);
+    expect(overlaps(spot, { x: 0, y: 0 })).toBe(false);
+  });
+
+  it("gives up and keeps the position when there is no room", () => {
+    const area = { width: CANDLE_SIZE.width, height: CANDLE_SIZE.height };
+
+    expect(avoidOverlap({ x: 0, y: 0 }, [{ x: 0, y: 0 }], area)).toEqual({ x: 0, y: 0 });
+  });
+});
+
+describe("clearance", () => {
+  it("measures in candle sizes", () => {
+    expect(clearance({ x: 0, y: 0 }, [{ x: CANDLE_SIZE.width, y: 0 }, { x: 0, y: CANDLE_SIZE.height * 2 }])).toBe(1);
+    expect(clearance({ x: 0, y: 0 }, [])).toBe(Infinity);
+  });
+});
+
+describe("leastCrowdedSpot", () => {
+  const area = { x: 0, y: 0, width: 800, height: 600 };
+  const fixed = () => 0;
+
+  it("puts the first candle near the middle of the area", () => {
+    const spot = leastCrowdedSpot([], area, SKY_SIZE, fixed);
+
+    expect(Math.abs(spot.x - (area.width - CANDLE_SIZE.width) / 2)).toBeLessThanOrEqual(20);
+    expect(Math.abs(spot.y - (area.height - CANDLE_SIZE.height) / 2)).toBeLessThanOrEqual(20);
+  });
+
+  it("keeps away from other candles", () => {
+    const others = [{ x: 370, y: 240 }];
+
+    const spot = leastCrowdedSpot(others, area, SKY_SIZE, fixed);
+
+    expect(spot.clearance).toBeGreaterThanOrEqual(3);
+    expect(overlaps(spot, others[0])).toBe(false);
+  });
+
+  it("only picks spots within the sky", () => {
+    const spot = leastCrowdedSpot([], { x: SKY_SIZE.width - 100, y: 0, width: 800, height: 600 }, SKY_SIZE, fixed);
+
+    expect(spot.x).toBeLessThanOrEqual(SKY_SIZE.width - CANDLE_SIZE.width);
+  });
+});
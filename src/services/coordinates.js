@@ -0,0 +1,78 @@
+// Resolution-independent candle positions
+//
+// Candles store x and y as fractions (0–1) of the memorial sky, so every
+// visitor sees the same arrangement. They are mapped to pixels of the sky,
+// which is larger than most screens, only when rendering; visitors pan
+// and zoom around it (see camera.js).
+
+// Size of a rendered candle, kept inside the area when mapping
+export const CANDLE_SIZE = { width: 60, height: 120 };
+
+// The memorial sky, in pixels at a zoom of 1
+export const SKY_SIZE = { width: 2400, height: 1600 };
+
+// Candles saved before positions were normalised stored raw pixels from
+// whatever screen lit them. They are mapped from this typical desktop size.
+const LEGACY_CANVAS = { width: 1280, height: 800 };
+
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+
+/**
+ * Map a normalised position to pixels in an area
+ * @param {number} x - Normalised x (0–1)
+ * @param {number} y - Normalised y (0–1)
+ * @param {Object} area - `{ width, height }` in pixels, e.g. SKY_SIZE
+ * @returns {Object} `{ x, y }` in pixels
+ */
+export function toPixels(x, y, area) {
+  return {
+    x: clamp01(x) * Math.max(area.width - CANDLE_SIZE.width, 0),
+    y: clamp01(y) * Math.max(area.height - CANDLE_SIZE.height, 0),
+  };
+}
+
+/**
+ * Map a pixel position in an area to a normalised position
+ * @param {number} x - Pixel x
+ * @param {number} y - Pixel y
+ * @param {Object} area - `{ width, height }` in pixels, e.g. SKY_SIZE
+ * @returns {Object} `{ x, y }` between 0 and 1
+ */
+export function fromPixels(x, y, area) {
+  const width = Math.max(area.width - CANDLE_SIZE.width, 1);
+  const height = Math.max(area.height - CANDLE_SIZE.height, 1);
+  return { x: clamp01(x / width), y: clamp01(y / height) };
+}
+
+/**
+ * Keep a pixel position inside an area
+ * @param {Object} position - `{ x, y }` in pixels
+ * @param {Object} area - `{ width, height }` in pixels, e.g. SKY_SIZE
+ * @returns {Object} `{ x, y }` in pixels
+ */
+export function clampToArea({ x, y }, area) {
+  return {
+    x: Math.min(Math.max(x, 0), Math.max(area.width - CANDLE_SIZE.width, 0)),
+    y: Math.min(Math.max(y, 0), Math.max(area.height - CANDLE_SIZE.height, 0)),
+  };
+}
+
+/**
+ * Whether a candle still has a pixel position from before normalisation
+ * @param {Object} candle - Stored candle
+ * @returns {boolean} Legacy position
+ */
+export const hasPixelPosition = (candle) => candle.x > 1 || candle.y > 1;
+
+/**
+ * Convert pixel positions saved by older versions to normalised ones
+ * @param {Array} candles - Stored candles
+ * @returns {Array} Candles with normalised positions
+ */
+export function migratePositions(candles) {
+  return candles.map((candle) =>
+    hasPixelPosition(candle)
+      ? { ...candle, ...fromPixels(candle.x, candle.y, LEGACY_CANVAS) }
+      : candle
+  );
+}
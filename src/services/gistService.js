@@ -1,88 +1,301 @@
 // GitHub Gist service for persisting candle data
+import {
+  StorageConflictError,
+  StorageLoadError,
+  StorageValidationError,
+  StoragePermissionError,
+  LOAD_ERROR_REASONS,
+  fetchOrThrow,
+  loadErrorFromResponse,
+} from "./storageErrors";
+import { parseDocument, serializeDocument, withMeta } from "./candleSchema";
+import { mergeCandles, applyOperations, OPERATION_TYPES } from "./candleOperations";
+import { DEFAULT_ROOM, roomFilename } from "./rooms";
+import { getIdentity } from "./ownership";
+
 const GIST_ID = import.meta.env.VITE_GIST_ID;
 const GITHUB_TOKEN = import.meta.env.VITE_GITHUB_TOKEN;
-const FILENAME = "candles.json";
+// Write proxy holding the token server-side, see server/
+const GIST_PROXY_URL = import.meta.env.VITE_GIST_PROXY_URL;
+const MAX_RETRIES = 3;
+
+export class GistService {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {string} [options.room] - Room whose candles to read and write
+   */
+  constructor({ room = DEFAULT_ROOM } = {}) {
+    // Every room is a separate file in the same gist
+    this.room = room;
+    this.filename = roomFilename(room);
 
-class GistService {
-  constructor() {
     this.baseUrl = "https://api.github.com/gists";
     this.headers = {
       Accept: "application/vnd.github+json",
       "Content-Type": "application/json",
     };
 
-    if (GITHUB_TOKEN) {
+    if (GITHUB_TOKEN && !GIST_PROXY_URL) {
       this.headers["Authorization"] = `token ${GITHUB_TOKEN}`;
     }
+
+    // When set, candles are read and written through the proxy instead of
+    // api.github.com
+    this.proxyUrl = (GIST_PROXY_URL || "").replace(/\/+$/, "");
+    this.proxyRoomUrl = room ? `${this.proxyUrl}/rooms/${room}` : this.proxyUrl;
+
+    // Last candles file read, see candleSchema.js
+    this.document = null;
+
+    // Revision of the gist the last load was based on
+    this.version = null;
+    this.etag = null;
+
+    // Latest X-RateLimit-* values reported by GitHub
+    this.rateLimit = null;
+  }
+
+  /**
+   * Remember the rate limit GitHub reported for a response
+   * @param {Response} response - Fetch response
+   */
+  trackRateLimit(response) {
+    const remaining = response.headers.get("X-RateLimit-Remaining");
+    if (remaining === null) {
+      return;
+    }
+
+    this.rateLimit = {
+      limit: Number(response.headers.get("X-RateLimit-Limit")),
+      remaining: Number(remaining),
+      // GitHub reports the reset time in epoch seconds
+      resetAt: Number(response.headers.get("X-RateLimit-Reset")) * 1000,
+    };
+  }
+
+  /**
+   * Read the candles file out of a gist response
+   * @param {Object} gist - Gist API response body
+   * @returns {Object|null} Parsed document, null if the file is missing
+   */
+  parseDocument(gist) {
+    const fileContent = gist.files[this.filename]?.content;
+
+    if (!fileContent) {
+      // If file doesn't exist or is empty, there are no candles yet
+      return null;
+    }
+
+    return parseDocument(fileContent);
+  }
+
+  /**
+   * Read the candles out of a gist response, remembering the rest of the
+   * file so it is preserved on the next write
+   * @param {Object} gist - Gist API response body
+   * @returns {Array} Array of candle objects
+   */
+  parseCandles(gist) {
+    this.document = this.parseDocument(gist);
+    return this.document?.candles ?? [];
+  }
+
+  /**
+   * Request a gist, turning every failure into a StorageLoadError
+   * @param {string} path - Path below the gists endpoint
+   * @param {Object} [headers] - Request headers
+   * @returns {Promise<Object>} `{ response, gist }`; `gist` is null on a 304
+   */
+  async fetchGist(path, headers = this.headers) {
+    const response = await fetchOrThrow(`${this.baseUrl}/${path}`, { headers });
+    this.trackRateLimit(response);
+
+    if (response.status === 304) {
+      return { response, gist: null };
+    }
+
+    if (!response.ok) {
+      throw loadErrorFromResponse(response, "gist");
+    }
+
+    try {
+      return { response, gist: await response.json() };
+    } catch (error) {
+      throw new StorageLoadError("Gist response is not valid JSON", {
+        reason: LOAD_ERROR_REASONS.MALFORMED,
+        cause: error,
+      });
+    }
+  }
+
+  /**
+   * Remember the revision a gist response describes
+   * @param {Object} gist - Gist API response body
+   * @param {Response} response - Fetch response
+   */
+  trackVersion(gist, response) {
+    this.version = gist.history?.[0]?.version ?? gist.updated_at ?? null;
+    this.etag = response.headers.get("ETag") || this.etag;
   }
 
   /**
    * Fetch candle data from the Gist
    * @returns {Promise<Array>} Array of candle objects
+   * @throws {StorageLoadError} If the candles could not be read
    */
   async loadCandles() {
+    if (this.isProxy()) {
+      const { candles } = await this.pollCandles();
+      return candles;
+    }
+
     try {
-      const response = await fetch(`${this.baseUrl}/${GIST_ID}`, {
-        headers: this.headers,
-      });
+      const { response, gist } = await this.fetchGist(GIST_ID);
+      this.trackVersion(gist, response);
+      return this.parseCandles(gist);
+    } catch (error) {
+      console.error("Error loading candles from Gist:", error);
+      throw error;
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`Failed to fetch gist: ${response.status}`);
-      }
+  /**
+   * Fetch candle data only if it changed since the given ETag. GitHub
+   * does not count 304 responses against the rate limit.
+   * @param {string} [etag] - ETag of the candles the caller already has
+   * @returns {Promise<Object>} `{ changed, candles, meta, etag, rateLimit }`
+   * @throws {StorageLoadError} If the candles could not be read
+   */
+  async pollCandles(etag) {
+    const headers = { ...this.headers };
+    if (etag) {
+      headers["If-None-Match"] = etag;
+    }
 
-      const gist = await response.json();
-      const fileContent = gist.files[FILENAME]?.content;
+    if (this.isProxy()) {
+      return this.pollProxy(headers, etag);
+    }
 
-      if (!fileContent) {
-        // If file doesn't exist or is empty, return empty array
-        return [];
-      }
+    const { response, gist } = await this.fetchGist(GIST_ID, headers);
 
-      const data = JSON.parse(fileContent);
-      return Array.isArray(data) ? data : [];
-    } catch (error) {
-      console.error("Error loading candles from Gist:", error);
-      // Return empty array if there's an error loading
-      return [];
+    if (!gist) {
+      return { changed: false, etag, rateLimit: this.rateLimit };
     }
+
+    this.trackVersion(gist, response);
+    return {
+      changed: true,
+      candles: this.parseCandles(gist),
+      meta: this.document?.meta ?? {},
+      etag: response.headers.get("ETag"),
+      rateLimit: this.rateLimit,
+    };
   }
 
   /**
-   * Save candle data to the Gist
+   * Fetch candle data from a specific revision of the Gist
+   * @param {string} version - Gist history version
+   * @returns {Promise<Array>} Array of candle objects
+   */
+  async loadRevision(version) {
+    const { gist } = await this.fetchGist(`${GIST_ID}/${version}`);
+    return this.parseDocument(gist)?.candles ?? [];
+  }
+
+  /**
+   * Look up the current revision of the Gist without downloading it
+   * again when it has not changed
+   * @returns {Promise<string|null>} Current gist history version
+   */
+  async fetchVersion() {
+    const headers = { ...this.headers };
+    if (this.etag) {
+      headers["If-None-Match"] = this.etag;
+    }
+
+    const { gist } = await this.fetchGist(GIST_ID, headers);
+
+    if (!gist) {
+      return this.version;
+    }
+
+    return gist.history?.[0]?.version ?? gist.updated_at ?? null;
+  }
+
+  /**
+   * Write the candles file, refusing to do so if the Gist moved past
+   * the expected revision
    * @param {Array} candles - Array of candle objects
-   * @returns {Promise<boolean>} Success status
+   * @param {string} [expectedVersion] - Revision the write is based on
+   * @returns {Promise<Object>} Updated gist
    */
-  async saveCandles(candles) {
-    try {
-      if (!GITHUB_TOKEN) {
-        console.warn("No GitHub token provided. Data will not be persisted.");
-        throw new Error("No GitHub token configured");
-      }
+  async writeCandles(candles, expectedVersion) {
+    if (this.isProxy()) {
+      throw new Error("The candle proxy only accepts candle operations");
+    }
 
-      if (!Array.isArray(candles)) {
-        console.error("Invalid candles data - must be an array");
-        throw new Error("Invalid candles data");
+    if (!GITHUB_TOKEN) {
+      console.warn("No GitHub token provided. Data will not be persisted.");
+      throw new Error("No GitHub token configured");
+    }
+
+    if (!Array.isArray(candles)) {
+      console.error("Invalid candles data - must be an array");
+      throw new Error("Invalid candles data");
+    }
+
+    if (expectedVersion) {
+      const actualVersion = await this.fetchVersion();
+      if (actualVersion !== expectedVersion) {
+        throw new StorageConflictError("Gist changed since it was loaded", {
+          expectedVersion,
+          actualVersion,
+        });
       }
+    }
 
-      const response = await fetch(`${this.baseUrl}/${GIST_ID}`, {
-        method: "PATCH",
-        headers: this.headers,
-        body: JSON.stringify({
-          files: {
-            [FILENAME]: {
-              content: JSON.stringify(candles, null, 2),
-            },
+    const response = await fetch(`${this.baseUrl}/${GIST_ID}`, {
+      method: "PATCH",
+      headers: this.headers,
+      body: JSON.stringify({
+        files: {
+          [this.filename]: {
+            content: serializeDocument(this.document, candles),
           },
-        }),
-      });
+        },
+      }),
+    });
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(
-          `Failed to update gist: ${response.status} - ${errorText}`
-        );
-      }
+    if (response.status === 409 || response.status === 412) {
+      throw new StorageConflictError(
+        `Gist update rejected: ${response.status}`,
+        { expectedVersion }
+      );
+    }
 
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(
+        `Failed to update gist: ${response.status} - ${errorText}`
+      );
+    }
+
+    const gist = await response.json();
+    this.trackVersion(gist, response);
+    return gist;
+  }
+
+  /**
+   * Save candle data to the Gist
+   * @param {Array} candles - Array of candle objects
+   * @param {Object} [options] - Save options
+   * @param {string} [options.expectedVersion] - Only write if the gist is
+   *   still at this revision
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveCandles(candles, { expectedVersion } = {}) {
+    try {
+      await this.writeCandles(candles, expectedVersion);
       return true;
     } catch (error) {
       console.error("Error saving candles to Gist:", error);
@@ -90,12 +303,238 @@ class GistService {
     }
   }
 
+  /**
+   * Apply a change to the latest candle data with a conditional write,
+   * re-applying it on top of any concurrent write
+   *
+   * The version check and the PATCH are two requests, so another write
+   * can still land between them. The gist history reveals that case: the
+   * revision before ours is then not the one we read, and the change is
+   * applied again on top of the revision we skipped over.
+   * @param {Function} mutate - Receives the latest candles, returns the new array
+   * @param {Object} [options] - Update options
+   * @param {number} [options.retries] - Attempts before giving up
+   * @returns {Promise<Array>} Candles as saved
+   */
+  async updateCandles(mutate, { retries = MAX_RETRIES } = {}) {
+    let latestCandles = await this.loadCandles();
+    let expectedVersion = this.version;
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      const candles = mutate(latestCandles);
+
+      try {
+        const gist = await this.writeCandles(candles, expectedVersion);
+        const [current, previous] = gist.history ?? [];
+
+        // Nothing to reconcile if the write made no new revision or
+        // followed directly on the one we read
+        if (
+          !expectedVersion ||
+          !previous ||
+          current?.version === expectedVersion ||
+          previous.version === expectedVersion
+        ) {
+          return candles;
+        }
+
+        // Someone wrote between our check and our PATCH; merge their
+        // revision with ours and apply our change again on top
+        console.warn("Concurrent gist write detected, merging...");
+        latestCandles = mergeCandles(
+          candles,
+          await this.loadRevision(previous.version)
+        );
+        expectedVersion = this.version;
+      } catch (error) {
+        if (!(error instanceof StorageConflictError)) {
+          console.error("Error saving candles to Gist:", error);
+          throw error;
+        }
+
+        console.warn(`Gist write conflict (attempt ${attempt}), retrying...`);
+        latestCandles = await this.loadCandles();
+        expectedVersion = this.version;
+      }
+    }
+
+    throw new StorageConflictError(
+      "Could not save candles: the memorial kept changing",
+      { expectedVersion, attempts: retries }
+    );
+  }
+
+  /**
+   * Save candle operations, in order
+   * @param {Array} operations - Candle operations
+   * @param {Object} [options] - Save options
+   * @param {Function} [options.onSaved] - Called with each operation the
+   *   proxy has saved or refused for good, as it goes
+   * @returns {Promise<Array>} Candles as saved
+   */
+  async applyOperations(operations, { onSaved } = {}) {
+    if (!this.isProxy()) {
+      return this.updateCandles((latestCandles) =>
+        applyOperations(latestCandles, operations)
+      );
+    }
+
+    let candles = null;
+    for (const operation of operations) {
+      try {
+        candles = await this.sendToProxy(operation);
+      } catch (error) {
+        // The proxy will never accept an invalid or unauthorised
+        // operation, so drop it rather than retrying it forever
+        if (!(error instanceof StorageValidationError)) {
+          throw error;
+        }
+        console.error("Candle proxy rejected operation:", error.message, operation);
+      }
+      onSaved?.(operation);
+    }
+    return candles ?? this.loadCandles();
+  }
+
+  /**
+   * Change the room's title, subtitle or settings
+   * @param {Object} changes - Meta fields to set
+   * @param {Object} [options] - Update options
+   * @param {Object} [options.auth] - Credentials, see ownership.js
+   * @returns {Promise<Object>} Meta as saved
+   */
+  async updateMeta(changes, { auth } = {}) {
+    if (this.isProxy()) {
+      const response = await this.requestProxy("PUT", "/meta", { meta: changes, auth });
+      this.document = parseDocument(await response.text());
+      return this.document.meta;
+    }
+
+    // The candles are written back unchanged along with the new meta
+    await this.updateCandles((latestCandles) => {
+      this.document = withMeta(this.document, changes);
+      return latestCandles;
+    });
+    return this.document.meta;
+  }
+
+  /**
+   * Read candles from the write proxy
+   * @param {Object} headers - Request headers
+   * @param {string} [etag] - ETag of the candles the caller already has
+   * @returns {Promise<Object>} `{ changed, candles, meta, etag }`
+   */
+  async pollProxy(headers, etag) {
+    // Candles waiting for review are only sent to their author and to
+    // moderators, see server/handler.js
+    const { ownerKey, adminKey } = await getIdentity();
+    const viewer = { "X-Owner-Key": ownerKey };
+    if (adminKey) {
+      viewer["X-Admin-Key"] = adminKey;
+    }
+    const response = await fetchOrThrow(`${this.proxyRoomUrl}/candles`, {
+      headers: { ...headers, ...viewer },
+    });
+
+    if (response.status === 304) {
+      return { changed: false, etag };
+    }
+
+    if (!response.ok) {
+      throw loadErrorFromResponse(response, "candles");
+    }
+
+    this.document = parseDocument(await response.text());
+    return {
+      changed: true,
+      candles: this.document.candles,
+      meta: this.document.meta,
+      etag: response.headers.get("ETag"),
+    };
+  }
+
+  /**
+   * Send one operation to the matching write proxy endpoint
+   * @param {Object} operation - Candle operation
+   * @returns {Promise<Array>} Candles as saved
+   */
+  async sendToProxy(operation) {
+    const id = encodeURIComponent(operation.candleId);
+    const endpoints = {
+      [OPERATION_TYPES.ADD]: ["POST", "/candles"],
+      [OPERATION_TYPES.RENAME]: ["PUT", `/candles/${id}/name`],
+      [OPERATION_TYPES.MOVE]: ["PUT", `/candles/${id}/position`],
+      [OPERATION_TYPES.DEDICATE]: ["PUT", `/candles/${id}/dedication`],
+      [OPERATION_TYPES.MODERATE]: ["PUT", `/candles/${id}/moderation`],
+      [OPERATION_TYPES.REMOVE]: ["DELETE", `/candles/${id}`],
+      [OPERATION_TYPES.RESTORE]: ["POST", `/candles/${id}/restore`],
+    };
+    const [method, path] = endpoints[operation.type] ?? [];
+
+    if (!method) {
+      throw new StorageValidationError(`Unknown operation "${operation.type}"`);
+    }
+
+    const response = await this.requestProxy(method, path, operation);
+    this.document = parseDocument(await response.text());
+    return this.document.candles;
+  }
+
+  /**
+   * Send a write to the proxy, turning refusals into typed errors
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the room
+   * @param {Object} body - Request body
+   * @returns {Promise<Response>} Successful response
+   */
+  async requestProxy(method, path, body) {
+    const response = await fetch(`${this.proxyRoomUrl}${path}`, {
+      method,
+      headers: this.headers,
+      body: JSON.stringify(body),
+    });
+
+    if (response.status === 400) {
+      const { error } = await response.json().catch(() => ({}));
+      throw new StorageValidationError(error || "Invalid candle operation");
+    }
+
+    if (response.status === 403) {
+      const { error } = await response.json().catch(() => ({}));
+      throw new StoragePermissionError(error || "Only the owner can change this");
+    }
+
+    if (response.status === 409) {
+      throw new StorageConflictError("Candle proxy could not save: the memorial kept changing");
+    }
+
+    // Too many changes from this browser; kept queued and retried later
+    if (response.status === 429) {
+      throw loadErrorFromResponse(response, "candle proxy");
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Candle proxy failed: ${response.status} - ${errorText}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Whether candles go through the write proxy
+   * @returns {boolean} Proxy mode
+   */
+  isProxy() {
+    return !!this.proxyUrl;
+  }
+
   /**
    * Check if the service is properly configured
    * @returns {boolean} Configuration status
    */
   isConfigured() {
-    return !!(GITHUB_TOKEN && GIST_ID);
+    return this.isProxy() || !!(GITHUB_TOKEN && GIST_ID);
   }
 
   /**
@@ -104,6 +543,9 @@ class GistService {
    */
   getConfigStatus() {
     return {
+      backend: "gist",
+      mode: this.isProxy() ? "proxy" : "direct",
+      room: this.room,
       hasToken: !!GITHUB_TOKEN,
       hasGistId: !!GIST_ID,
       isConfigured: this.isConfigured(),
@@ -0,0 +1,123 @@
+// Translation of the app's text
+//
+// Every string the app shows lives in a message catalogue per language,
+// in src/locales/. Messages are looked up by key and may hold `{name}`
+// placeholders; messages that depend on a number are objects keyed by
+// plural category (see Intl.PluralRules), chosen by the `count`
+// parameter. Keys missing from a catalogue fall back to English.
+//
+// Text visitors wrote, such as names, is wrapped in Unicode isolates when
+// it is placed in a message, so a Hebrew name in an English sentence, or
+// the other way round, does not reorder the words around it.
+import ar from "../locales/ar";
+import en from "../locales/en";
+import es from "../locales/es";
+import fr from "../locales/fr";
+
+// Offered in the language switcher, in this order
+export const LOCALES = [
+  { id: "en", label: "English", dir: "ltr", messages: en },
+  { id: "es", label: "Español", dir: "ltr", messages: es },
+  { id: "fr", label: "Français", dir: "ltr", messages: fr },
+  { id: "ar", label: "العربية", dir: "rtl", messages: ar },
+];
+
+export const DEFAULT_LOCALE = "en";
+
+const STORAGE_KEY = "memorial-candles:locale";
+
+// First strong isolate and pop directional isolate
+const ISOLATE_START = "\u2068";
+const ISOLATE_END = "\u2069";
+
+const findLocale = (id) => LOCALES.find((locale) => locale.id === id);
+
+/**
+ * Best supported locale for a list of preferred languages
+ * @param {Array} languages - BCP 47 tags, most preferred first, e.g.
+ *   `navigator.languages`
+ * @returns {string} Locale id
+ */
+export function matchLocale(languages) {
+  for (const language of languages) {
+    const tag = language.toLowerCase();
+    const match = findLocale(tag) ?? findLocale(tag.split("-")[0]);
+    if (match) {
+      return match.id;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Language to show: the visitor's earlier choice in this browser, or else
+ * the best match for the browser's languages
+ * @returns {string} Locale id
+ */
+export function detectLocale() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    if (findLocale(stored)) {
+      return stored;
+    }
+  } catch (error) {
+    console.error("Error reading language:", error);
+  }
+  return matchLocale(navigator.languages ?? [navigator.language ?? DEFAULT_LOCALE]);
+}
+
+/**
+ * Remember the language chosen in this browser
+ * @param {string} id - Locale id
+ */
+export function savePreferredLocale(id) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, id);
+  } catch (error) {
+    console.error("Error saving language:", error);
+  }
+}
+
+/**
+ * Build the translation function for a locale
+ *
+ *   t("candle.named", { name: "Sophie" })   // "Candle for Sophie"
+ *   t("notice.imported", { count: 3 })      // "Imported 3 candles."
+ *
+ * The function also carries `locale` and `dir` ("ltr" or "rtl"), and
+ * `has(key)` to check for optional messages.
+ * @param {string} id - Locale id
+ * @returns {Function} `(key, params?) => string`
+ */
+export function createTranslator(id) {
+  const { messages, dir } = findLocale(id) ?? findLocale(DEFAULT_LOCALE);
+  const locale = findLocale(id) ? id : DEFAULT_LOCALE;
+  const plurals = new Intl.PluralRules(locale);
+  const numbers = new Intl.NumberFormat(locale);
+
+  const format = (value) => {
+    if (typeof value === "number") {
+      return numbers.format(value);
+    }
+    return typeof value === "string" ? `${ISOLATE_START}${value}${ISOLATE_END}` : String(value);
+  };
+
+  const t = (key, params = {}) => {
+    let message = messages[key] ?? en[key];
+    if (message === undefined) {
+      console.warn(`Missing message "${key}"`);
+      return key;
+    }
+    if (typeof message === "object") {
+      message = message[plurals.select(params.count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      name in params ? format(params[name]) : placeholder
+    );
+  };
+
+  t.locale = locale;
+  t.dir = dir;
+  t.has = (key) => key in messages || key in en;
+  return t;
+}
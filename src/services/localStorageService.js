@@ -0,0 +1,164 @@
+// Browser storage service for offline or token-less deployments
+import { parseDocument, serializeDocument, withMeta } from "./candleSchema";
+import { applyOperations } from "./candleOperations";
+import { DEFAULT_ROOM, roomFilename } from "./rooms";
+
+const STORAGE_PREFIX = "memorial-candles:";
+
+export class LocalStorageService {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {string} [options.room] - Room whose candles to read and write
+   */
+  constructor({ room = DEFAULT_ROOM } = {}) {
+    this.room = room;
+    this.storageKey = `${STORAGE_PREFIX}${roomFilename(room)}`;
+
+    // Last candles file read, see candleSchema.js
+    this.document = null;
+  }
+
+  /**
+   * Check whether window.localStorage can be used in this browser
+   * @returns {boolean} Availability status
+   */
+  isAvailable() {
+    try {
+      return typeof window !== "undefined" && !!window.localStorage;
+    } catch {
+      // Accessing localStorage throws when storage is disabled
+      return false;
+    }
+  }
+
+  /**
+   * Read candle data from localStorage
+   * @returns {Promise<Array>} Array of candle objects
+   * @throws {StorageLoadError} If the stored candles are malformed
+   */
+  async loadCandles() {
+    if (!this.isAvailable()) {
+      return [];
+    }
+
+    try {
+      const content = window.localStorage.getItem(this.storageKey);
+
+      if (!content) {
+        return [];
+      }
+
+      this.document = parseDocument(content);
+      return this.document.candles;
+    } catch (error) {
+      console.error("Error loading candles from localStorage:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read candle data only if it changed since the given tag
+   * @param {string} [etag] - Tag of the candles the caller already has
+   * @returns {Promise<Object>} `{ changed, candles, meta, etag }`
+   */
+  async pollCandles(etag) {
+    const content = this.isAvailable()
+      ? window.localStorage.getItem(this.storageKey) || ""
+      : "";
+
+    // The stored text itself is a cheap enough change marker
+    if (content === etag) {
+      return { changed: false, etag };
+    }
+
+    const candles = await this.loadCandles();
+    return { changed: true, candles, meta: this.document?.meta ?? {}, etag: content };
+  }
+
+  /**
+   * Write candle data to localStorage
+   * @param {Array} candles - Array of candle objects
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveCandles(candles) {
+    if (!Array.isArray(candles)) {
+      console.error("Invalid candles data - must be an array");
+      throw new Error("Invalid candles data");
+    }
+
+    if (!this.isAvailable()) {
+      throw new Error("localStorage is not available in this browser");
+    }
+
+    try {
+      window.localStorage.setItem(
+        this.storageKey,
+        serializeDocument(this.document, candles)
+      );
+      return true;
+    } catch (error) {
+      console.error("Error saving candles to localStorage:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a change to the latest candle data
+   * @param {Function} mutate - Receives the latest candles, returns the new array
+   * @returns {Promise<Array>} Candles as saved
+   */
+  async updateCandles(mutate) {
+    const candles = mutate(await this.loadCandles());
+    await this.saveCandles(candles);
+    return candles;
+  }
+
+  /**
+   * Save candle operations, in order
+   * @param {Array} operations - Candle operations
+   * @returns {Promise<Array>} Candles as saved
+   */
+  async applyOperations(operations) {
+    return this.updateCandles((latestCandles) =>
+      applyOperations(latestCandles, operations)
+    );
+  }
+
+  /**
+   * Change the room's title, subtitle or settings
+   * @param {Object} changes - Meta fields to set
+   * @returns {Promise<Object>} Meta as saved
+   */
+  async updateMeta(changes) {
+    await this.updateCandles((latestCandles) => {
+      this.document = withMeta(this.document, changes);
+      return latestCandles;
+    });
+    return this.document.meta;
+  }
+
+  /**
+   * Check if the service is properly configured
+   * @returns {boolean} Configuration status
+   */
+  isConfigured() {
+    return this.isAvailable();
+  }
+
+  /**
+   * Get configuration status details
+   * @returns {Object} Configuration details
+   */
+  getConfigStatus() {
+    return {
+      backend: "local",
+      room: this.room,
+      isAvailable: this.isAvailable(),
+      isConfigured: this.isConfigured(),
+    };
+  }
+}
+
+// Export a singleton instance
+export const localStorageService = new LocalStorageService();
+export default localStorageService;
@@ -0,0 +1,263 @@
+// Moderation of what visitors write on candles
+//
+// Names and dedications are checked against a configurable blocklist and
+// for links and spam before they are saved. Flagged candles are not
+// refused: they are saved with `moderation: { status: "pending" }` and
+// shown only to their author and to moderators until a moderator approves
+// or removes them. Writes are also rate limited per browser.
+//
+// The browser checks writes before queueing them, and the write proxy in
+// server/ checks them again, since the browser can be bypassed. Hence the
+// explicit extensions.
+import { OPERATION_TYPES } from "./candleOperations.js";
+
+export const MODERATION_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+};
+
+// Longest reason stored with a pending candle
+export const MAX_REASON_LENGTH = 100;
+
+export const MODERATION_REASONS = {
+  BLOCKED_WORD: "blocked word",
+  LINK: "link",
+  SPAM: "spam",
+};
+
+// Limits per browser; admins are not limited
+export const RATE_LIMITS = {
+  // Lighting candles
+  add: { limit: 5, windowMs: 10 * 60 * 1000 },
+  // Renaming, moving, dedicating and removing them
+  change: { limit: 60, windowMs: 60 * 1000 },
+};
+
+// Owner keys are made up by the browser, so the proxy also counts writes
+// per network address. Households and offices share one, hence the room.
+export const ADDRESS_RATE_LIMITS = {
+  add: { limit: 20, windowMs: 10 * 60 * 1000 },
+  change: { limit: 240, windowMs: 60 * 1000 },
+};
+
+// Web addresses, with or without a scheme, and bare domains such as
+// "example.com"
+const LINK_PATTERN =
+  /(?:[a-z][a-z0-9+.-]*:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|info|biz|io|co|ru|cn|xyz|top|site|online|shop|app|ly|gg|me)\b/i;
+
+// Writers tracked before idle ones are forgotten
+const MAX_TRACKED = 10000;
+
+// The same character six or more times in a row
+const REPEAT_PATTERN = /(.)\1{5,}/u;
+
+/**
+ * Lower-case text without accents or punctuation, so blocklist entries
+ * match however they are written
+ * @param {string} text - Text
+ * @returns {string} Normalised text, words separated by single spaces
+ */
+const normalise = (text) =>
+  text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+/**
+ * Read a blocklist from configuration: words or phrases separated by
+ * commas or new lines
+ * @param {string} [text] - Blocklist text
+ * @returns {Array} Normalised entries
+ */
+export function parseBlocklist(text = "") {
+  return [...new Set(text.split(/[,\n]/).map(normalise).filter(Boolean))];
+}
+
+/**
+ * Why a piece of text needs review
+ * @param {string} text - Text written by a visitor
+ * @param {Object} [options] - Moderation options
+ * @param {Array} [options.blocklist] - Entries from parseBlocklist()
+ * @returns {string|null} One of MODERATION_REASONS, or null when fine
+ */
+export function checkText(text, { blocklist = [] } = {}) {
+  if (typeof text !== "string" || !text) {
+    return null;
+  }
+
+  const words = ` ${normalise(text)} `;
+  if (blocklist.some((entry) => words.includes(` ${entry} `))) {
+    return MODERATION_REASONS.BLOCKED_WORD;
+  }
+  if (LINK_PATTERN.test(text)) {
+    return MODERATION_REASONS.LINK;
+  }
+  if (REPEAT_PATTERN.test(text)) {
+    return MODERATION_REASONS.SPAM;
+  }
+  return null;
+}
+
+/**
+ * Why what an operation writes needs review. Only the text the operation
+ * carries is checked: the name and dedication of a new candle, a new name
+ * or a new dedication.
+ * @param {Object} operation - Candle operation
+ * @param {Object} [options] - See checkText()
+ * @returns {string|null} One of MODERATION_REASONS, or null when fine
+ */
+export function checkOperation(operation, options) {
+  const { candle, name, dedication } = operation.payload ?? {};
+  const texts = [
+    candle?.name,
+    ...Object.values(candle?.dedication ?? {}),
+    name,
+    ...Object.values(dedication ?? {}),
+  ];
+
+  for (const text of texts) {
+    const reason = checkText(text, options);
+    if (reason) {
+      return reason;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a candle's moderation state
+ * @param {*} moderation - `{ status, reason? }`
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateModeration(moderation) {
+  if (!moderation || typeof moderation !== "object" || Array.isArray(moderation)) {
+    return "moderation is not an object";
+  }
+  if (!Object.values(MODERATION_STATUS).includes(moderation.status)) {
+    return "moderation status is unknown";
+  }
+  if (
+    moderation.reason !== undefined &&
+    (typeof moderation.reason !== "string" || moderation.reason.length > MAX_REASON_LENGTH)
+  ) {
+    return `moderation reason is not text of at most ${MAX_REASON_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Whether a candle is waiting for a moderator
+ * @param {Object} candle - Candle
+ * @returns {boolean} Pending review
+ */
+export const isPendingReview = (candle) =>
+  candle.moderation?.status === MODERATION_STATUS.PENDING;
+
+/**
+ * Which rate limit an operation counts against
+ * @param {Object} operation - Candle operation
+ * @returns {string} Key of RATE_LIMITS
+ */
+export const rateLimitFor = (operation) =>
+  operation.type === OPERATION_TYPES.ADD ? "add" : "change";
+
+/**
+ * Sliding-window rate limiter, kept in memory
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} [limits] - `{ [name]: { limit, windowMs } }`, see RATE_LIMITS
+   */
+  constructor(limits = RATE_LIMITS) {
+    this.limits = limits;
+    // `${name}:${key}` -> times of recent writes, oldest first
+    this.hits = new Map();
+  }
+
+  /**
+   * Count a write if it is within the limit
+   * @param {string} name - Key of the limits
+   * @param {string} key - Who is writing, e.g. an owner hash
+   * @param {number} [now] - Time of the write
+   * @returns {Object} `{ allowed, retryAfterMs }`
+   */
+  take(name, key, now = Date.now()) {
+    const { limit, windowMs } = this.limits[name];
+    const id = `${name}:${key}`;
+    const recent = this.recent(name, key, now);
+
+    if (this.hits.size > MAX_TRACKED) {
+      this.forgetIdle(now);
+    }
+
+    if (recent.length >= limit) {
+      this.hits.set(id, recent);
+      return { allowed: false, retryAfterMs: windowMs - (now - recent[0]) };
+    }
+
+    recent.push(now);
+    this.hits.set(id, recent);
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  /**
+   * Count a batch of writes only if all of them are within their limits,
+   * so a batch that is refused uses up none of the quota
+   * @param {Array} names - Key of the limits of each write
+   * @param {string} key - Who is writing, e.g. an owner hash
+   * @param {number} [now] - Time of the writes
+   * @returns {Object} `{ allowed, retryAfterMs }`; retryAfterMs is
+   *   Infinity when the batch is larger than a limit allows at all
+   */
+  takeAll(names, key, now = Date.now()) {
+    const counts = new Map();
+    names.forEach((name) => counts.set(name, (counts.get(name) ?? 0) + 1));
+
+    for (const [name, count] of counts) {
+      const { limit, windowMs } = this.limits[name];
+      if (count > limit) {
+        return { allowed: false, retryAfterMs: Infinity };
+      }
+      const recent = this.recent(name, key, now);
+      if (recent.length + count > limit) {
+        // Until enough of the oldest writes have left the window
+        return { allowed: false, retryAfterMs: windowMs - (now - recent[recent.length + count - limit - 1]) };
+      }
+    }
+
+    names.forEach((name) => this.take(name, key, now));
+    return { allowed: true, retryAfterMs: 0 };
+  }
+
+  /**
+   * How many more writes are within a limit right now
+   * @param {string} name - Key of the limits
+   * @param {string} key - Who is writing
+   * @param {number} [now] - Current time
+   * @returns {number} Writes left
+   */
+  remaining(name, key, now = Date.now()) {
+    return Math.max(this.limits[name].limit - this.recent(name, key, now).length, 0);
+  }
+
+  // Times of a writer's writes still within the window, oldest first
+  recent(name, key, now) {
+    const { windowMs } = this.limits[name];
+    return (this.hits.get(`${name}:${key}`) ?? []).filter((time) => now - time < windowMs);
+  }
+
+  /**
+   * Forget writers whose writes have all left their window
+   * @param {number} now - Current time
+   */
+  forgetIdle(now) {
+    for (const [id, times] of this.hits) {
+      const { windowMs } = this.limits[id.slice(0, id.indexOf(":"))];
+      if (now - times[times.length - 1] >= windowMs) {
+        this.hits.delete(id);
+      }
+    }
+  }
+}
@@ -0,0 +1,31 @@
+import { describe, expect, it } from "vitest";
+import { RateLimiter } from "./moderation";
+
+const limits = { add: { limit: 5, windowMs: 1000 }, change: { limit: 60, windowMs: 1000 } };
+
+describe("RateLimiter.takeAll", () => {
+  it("counts a batch within the limit", () => {
+    const limiter = new RateLimiter(limits);
+    expect(limiter.takeAll(["add", "add", "change"], "me", 0).allowed).toBe(true);
+    expect(limiter.remaining("add", "me", 0)).toBe(3);
+  });
+
+  it("refuses a batch over the limit without using up any of it", () => {
+    const limiter = new RateLimiter(limits);
+    limiter.take("add", "me", 0);
+    limiter.take("add", "me", 100);
+
+    const result = limiter.takeAll(["add", "add", "add", "add"], "me", 200);
+
+    expect(result).toEqual({ allowed: false, retryAfterMs: 800 });
+    expect(limiter.remaining("add", "me", 200)).toBe(3);
+  });
+
+  it("never allows a batch larger than the limit", () => {
+    const limiter = new RateLimiter(limits);
+    const result = limiter.takeAll(Array(6).fill("add"), "me", 0);
+
+    expect(result).toEqual({ allowed: false, retryAfterMs: Infinity });
+    expect(limiter.remaining("add", "me", 0)).toBe(5);
+  });
+});
@@ -0,0 +1,173 @@
+// Persistent queue of candle operations that have not been saved yet
+//
+// Operations are kept in localStorage until the storage backend accepts
+// them, so a candle lit on a poor connection survives a failed save or a
+// page reload and is replayed in order once the memorial is reachable.
+// When the backend refuses them as too many changes, saving waits as long
+// as it asks before trying again.
+import { applyOperations, OPERATION_TYPES } from "./candleOperations";
+import { DEFAULT_ROOM } from "./rooms";
+import { LOAD_ERROR_REASONS, StorageLoadError } from "./storageErrors";
+
+const STORAGE_KEY = "memorial-candles:outbox";
+
+// How long to wait after a refusal that did not say, in milliseconds
+const RATE_LIMIT_WAIT = 60000;
+
+// Only the latest of these per candle matters, so earlier ones are dropped
+const COALESCED_TYPES = [
+  OPERATION_TYPES.RENAME,
+  OPERATION_TYPES.MOVE,
+  OPERATION_TYPES.DEDICATE,
+  OPERATION_TYPES.MODERATE,
+];
+
+class Outbox {
+  constructor(storageKey = STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.flushing = null;
+    // When saving may be tried again after a rate limit, see flush()
+    this.retryAt = 0;
+  }
+
+  /**
+   * Queued operations, oldest first
+   * @returns {Array} Operations
+   */
+  list() {
+    try {
+      const content = window.localStorage.getItem(this.storageKey);
+      const operations = content ? JSON.parse(content) : [];
+      return Array.isArray(operations) ? operations : [];
+    } catch (error) {
+      console.error("Error reading outbox:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Replace the queued operations
+   * @param {Array} operations - Operations to keep
+   */
+  write(operations) {
+    try {
+      window.localStorage.setItem(this.storageKey, JSON.stringify(operations));
+    } catch (error) {
+      console.error("Error writing outbox:", error);
+    }
+  }
+
+  /**
+   * Queue an operation
+   * @param {Object} operation - Candle operation
+   */
+  enqueue(operation) {
+    const superseded = (queued) =>
+      COALESCED_TYPES.includes(operation.type) &&
+      queued.type === operation.type &&
+      queued.candleId === operation.candleId;
+
+    this.write([...this.list().filter((queued) => !superseded(queued)), operation]);
+  }
+
+  /**
+   * Drop operations that have been saved
+   * @param {Array} ids - Operation ids
+   */
+  remove(ids) {
+    this.write(this.list().filter((operation) => !ids.includes(operation.id)));
+  }
+
+  /**
+   * Ids of candles with operations still waiting to be saved
+   * @returns {Set} Candle ids
+   */
+  pendingCandleIds() {
+    return new Set(this.list().map((operation) => operation.candleId));
+  }
+
+  /**
+   * Apply queued operations on top of candles loaded from storage
+   * @param {Array} candles - Stored candles
+   * @returns {Array} Candles as this browser should show them
+   */
+  applyPending(candles) {
+    return applyOperations(candles, this.list());
+  }
+
+  /**
+   * When saving will be tried again, after the backend refused too many
+   * changes
+   * @returns {number|null} Time (epoch ms), or null when saving may go ahead
+   */
+  rateLimitedUntil() {
+    return this.retryAt > Date.now() ? this.retryAt : null;
+  }
+
+  /**
+   * Save every queued operation, in order
+   * @param {Object} storage - Storage backend
+   * @returns {Promise<Array|null>} Saved candles, or null if nothing was
+   *   queued or saving waits for a rate limit
+   */
+  async flush(storage) {
+    // Only one flush at a time, so operations are never saved out of order
+    if (this.flushing) {
+      return this.flushing;
+    }
+
+    const operations = this.list();
+    if (operations.length === 0 || this.rateLimitedUntil()) {
+      return null;
+    }
+
+    this.flushing = (async () => {
+      try {
+        // Operations saved one at a time leave the queue as they go, so a
+        // failure part way through never sends them again
+        const candles = await storage.applyOperations(operations, {
+          onSaved: (operation) => this.remove([operation.id]),
+        });
+        this.remove(operations.map((operation) => operation.id));
+        return candles;
+      } catch (error) {
+        if (error instanceof StorageLoadError && error.reason === LOAD_ERROR_REASONS.RATE_LIMITED) {
+          this.retryAt = error.retryAt ?? Date.now() + RATE_LIMIT_WAIT;
+        }
+        throw error;
+      } finally {
+        this.flushing = null;
+      }
+    })();
+
+    const candles = await this.flushing;
+
+    // Save anything queued while this flush was running
+    if (this.list().length > 0) {
+      return (await this.flush(storage)) ?? candles;
+    }
+    return candles;
+  }
+}
+
+// Queues of rooms other than the default one
+const roomOutboxes = new Map();
+
+/**
+ * Outbox for a memorial room
+ * @param {string} [room] - Room slug, see rooms.js
+ * @returns {Outbox} Outbox
+ */
+export function getRoomOutbox(room = DEFAULT_ROOM) {
+  if (room === DEFAULT_ROOM) {
+    return outbox;
+  }
+  if (!roomOutboxes.has(room)) {
+    roomOutboxes.set(room, new Outbox(`${STORAGE_KEY}:${room}`));
+  }
+  return roomOutboxes.get(room);
+}
+
+// Export a singleton instance
+export const outbox = new Outbox();
+export default outbox;
@@ -0,0 +1,56 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getRoomOutbox } from "./outbox";
+import { LOAD_ERROR_REASONS, StorageLoadError } from "./storageErrors";
+
+const operation = (id) => ({ id, type: "rename", candleId: `candle-${id}`, timestamp: 1, payload: {} });
+
+const rateLimited = (retryAt) =>
+  new StorageLoadError("Too many changes", { reason: LOAD_ERROR_REASONS.RATE_LIMITED, status: 429, retryAt });
+
+describe("Outbox.flush", () => {
+  let outbox;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    outbox = getRoomOutbox(`test-${Math.random().toString(36).slice(2)}`);
+    ["a", "b", "c"].forEach((id) => outbox.enqueue(operation(id)));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("keeps only the operations that were not saved when a save fails part way", async () => {
+    const storage = {
+      applyOperations: vi.fn(async (operations, { onSaved }) => {
+        onSaved(operations[0]);
+        throw rateLimited(Date.now() + 1000);
+      }),
+    };
+
+    await expect(outbox.flush(storage)).rejects.toThrow("Too many changes");
+    expect(outbox.list().map((queued) => queued.id)).toEqual(["b", "c"]);
+  });
+
+  it("waits for as long as a rate limit asks before saving again", async () => {
+    vi.useFakeTimers({ now: 0 });
+    const storage = {
+      applyOperations: vi.fn()
+        .mockRejectedValueOnce(rateLimited(30000))
+        .mockResolvedValue([]),
+    };
+
+    await expect(outbox.flush(storage)).rejects.toThrow();
+    expect(outbox.rateLimitedUntil()).toBe(30000);
+
+    vi.setSystemTime(29999);
+    expect(await outbox.flush(storage)).toBeNull();
+    expect(storage.applyOperations).toHaveBeenCalledTimes(1);
+
+    vi.setSystemTime(30000);
+    expect(await outbox.flush(storage)).toEqual([]);
+    expect(storage.applyOperations).toHaveBeenCalledTimes(2);
+    expect(outbox.list()).toEqual([]);
+  });
+});
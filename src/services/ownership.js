@@ -0,0 +1,190 @@
+// Candle ownership: who may rename, move or remove a candle
+//
+// Each browser keeps a random owner key in localStorage. Candles store only
+// the SHA-256 hash of their owner's key, so the public candle data never
+// reveals it. The key itself is sent with every change; the write proxy
+// checks it against the hash, and the UI hides controls on candles whose
+// hash is not ours. An admin key, passed once as `?admin=<key>`, can edit
+// every candle. The browser only trusts it once it has been checked: by
+// asking the write proxy, or against VITE_ADMIN_KEY_HASH.
+import { DEFAULT_ROOM } from "./rooms";
+
+const OWNER_KEY_STORAGE = "memorial-candles:owner-key";
+const ADMIN_KEY_STORAGE = "memorial-candles:admin-key";
+
+// Optional SHA-256 hex of the admin key. Without a write proxy to check
+// the key, this is the only way the browser can tell a real admin key
+// from a made-up one.
+const ADMIN_KEY_HASH = import.meta.env.VITE_ADMIN_KEY_HASH;
+
+// Candles are written through the write proxy, which checks the admin key
+// itself, see storageService.js
+const PROXY_URL =
+  [undefined, "", "gist"].includes(import.meta.env.VITE_STORAGE_BACKEND)
+    ? (import.meta.env.VITE_GIST_PROXY_URL || "").replace(/\/+$/, "")
+    : "";
+
+let identityPromise = null;
+
+/**
+ * SHA-256 of a string, as lowercase hex
+ * @param {string} text - Text to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Read this browser's owner key, creating one on first use
+ * @returns {string} Owner key
+ */
+function loadOwnerKey() {
+  let ownerKey = window.localStorage.getItem(OWNER_KEY_STORAGE);
+
+  if (!ownerKey) {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    ownerKey = [...bytes].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+    window.localStorage.setItem(OWNER_KEY_STORAGE, ownerKey);
+  }
+
+  return ownerKey;
+}
+
+/**
+ * Pick up an admin key passed in the URL, remember it and remove it from
+ * the address bar. `?admin=` with no value forgets the stored key.
+ * @returns {string|null} Admin key
+ */
+function loadAdminKey() {
+  const url = new URL(window.location.href);
+
+  if (url.searchParams.has("admin")) {
+    const adminKey = url.searchParams.get("admin");
+    if (adminKey) {
+      window.localStorage.setItem(ADMIN_KEY_STORAGE, adminKey);
+    } else {
+      window.localStorage.removeItem(ADMIN_KEY_STORAGE);
+    }
+
+    url.searchParams.delete("admin");
+    window.history.replaceState(null, "", url);
+  }
+
+  return window.localStorage.getItem(ADMIN_KEY_STORAGE);
+}
+
+/**
+ * Whether an admin key can be trusted. Without a hash to check it against,
+ * the write proxy is asked; anywhere else a made-up key would unlock every
+ * candle.
+ * @param {string} adminKey - Admin key
+ * @param {Object} [config] - Configuration, defaults to the build's
+ * @param {string} [config.adminKeyHash] - SHA-256 hex of the admin key
+ * @param {string} [config.proxyUrl] - Address of the write proxy, when
+ *   writes go through it
+ * @returns {Promise<boolean>} Whether to treat it as the admin key; false
+ *   when the proxy cannot be reached
+ */
+export async function isTrustedAdminKey(
+  adminKey,
+  { adminKeyHash = ADMIN_KEY_HASH, proxyUrl = PROXY_URL } = {}
+) {
+  if (adminKeyHash) {
+    return (await sha256Hex(adminKey)) === adminKeyHash;
+  }
+  if (!proxyUrl) {
+    return false;
+  }
+  try {
+    const response = await fetch(`${proxyUrl}/admin`, { headers: { "X-Admin-Key": adminKey } });
+    return response.ok;
+  } catch (error) {
+    console.error("Could not check the admin key:", error);
+    return false;
+  }
+}
+
+/**
+ * Resolve this browser's identity
+ * @returns {Promise<Object>} `{ ownerKey, ownerHash, adminKey, isAdmin }`
+ */
+export function getIdentity() {
+  if (!identityPromise) {
+    identityPromise = (async () => {
+      const ownerKey = loadOwnerKey();
+      const adminKey = loadAdminKey();
+      const isAdmin = !!adminKey && (await isTrustedAdminKey(adminKey));
+
+      return { ownerKey, ownerHash: await sha256Hex(ownerKey), adminKey, isAdmin };
+    })();
+  }
+
+  return identityPromise;
+}
+
+/**
+ * Whether an identity may change a candle
+ * @param {Object} candle - Candle
+ * @param {Object|null} identity - Result of getIdentity()
+ * @returns {boolean} Edit permission
+ */
+export function canEdit(candle, identity) {
+  if (!identity) return false;
+  if (identity.isAdmin) return true;
+  return !!candle.ownerHash && candle.ownerHash === identity.ownerHash;
+}
+
+/**
+ * Whether an identity may change a room's title, subtitle and settings.
+ * A room nobody has set up yet can be claimed by whoever sets it up first;
+ * the default memorial belongs to the admin.
+ * @param {string} room - Room slug
+ * @param {Object} meta - Stored room meta
+ * @param {Object|null} identity - Result of getIdentity()
+ * @returns {boolean} Edit permission
+ */
+export function canEditRoom(room, meta, identity) {
+  if (!identity) return false;
+  if (identity.isAdmin) return true;
+  if (meta.ownerHash) return meta.ownerHash === identity.ownerHash;
+  return room !== DEFAULT_ROOM;
+}
+
+/**
+ * Whether an identity may approve or reject candles waiting for review in
+ * a room: the admin, and whoever set the room up
+ * @param {Object} meta - Stored room meta
+ * @param {Object|null} identity - Result of getIdentity()
+ * @returns {boolean} Moderation permission
+ */
+export function canModerate(meta, identity) {
+  if (!identity) return false;
+  return identity.isAdmin || (!!meta.ownerHash && meta.ownerHash === identity.ownerHash);
+}
+
+/**
+ * The credentials the write path checks
+ * @param {Object} identity - Result of getIdentity()
+ * @returns {Object} `{ ownerKey, adminKey? }`
+ */
+export function authFor(identity) {
+  const auth = { ownerKey: identity.ownerKey };
+  if (identity.adminKey) {
+    auth.adminKey = identity.adminKey;
+  }
+  return auth;
+}
+
+/**
+ * Attach the credentials the write path checks to an operation
+ * @param {Object} operation - Candle operation
+ * @param {Object} identity - Result of getIdentity()
+ * @returns {Object} Operation with `auth`
+ */
+export function withAuth(operation, identity) {
+  return { ...operation, auth: authFor(identity) };
+}
@@ -0,0 +1,38 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { isTrustedAdminKey, sha256Hex } from "./ownership";
+
+const PROXY_URL = "https://proxy.example";
+
+describe("isTrustedAdminKey", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it("checks the key against the configured hash", async () => {
+    const adminKeyHash = await sha256Hex("secret");
+    expect(await isTrustedAdminKey("secret", { adminKeyHash, proxyUrl: "" })).toBe(true);
+    expect(await isTrustedAdminKey("guess", { adminKeyHash, proxyUrl: "" })).toBe(false);
+    expect(await isTrustedAdminKey("guess", { adminKeyHash, proxyUrl: PROXY_URL })).toBe(false);
+  });
+
+  it("does not trust any key without a hash or a proxy to check it", async () => {
+    expect(await isTrustedAdminKey("anything", { adminKeyHash: "", proxyUrl: "" })).toBe(false);
+  });
+
+  it("asks the write proxy when there is one", async () => {
+    const fetch = vi.fn(async (url, { headers }) => ({ ok: headers["X-Admin-Key"] === "secret" }));
+    vi.stubGlobal("fetch", fetch);
+
+    expect(await isTrustedAdminKey("secret", { adminKeyHash: "", proxyUrl: PROXY_URL })).toBe(true);
+    expect(await isTrustedAdminKey("guess", { adminKeyHash: "", proxyUrl: PROXY_URL })).toBe(false);
+    expect(fetch).toHaveBeenCalledWith(`${PROXY_URL}/admin`, expect.anything());
+  });
+
+  it("does not trust the key when the proxy cannot be reached", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    vi.stubGlobal("fetch", vi.fn().mockRejectedValue(new TypeError("Failed to fetch")));
+
+    expect(await isTrustedAdminKey("secret", { adminKeyHash: "", proxyUrl: PROXY_URL })).toBe(false);
+  });
+});
@@ -0,0 +1,215 @@
+// Realtime channel to a memorial room, see server/realtime.js
+//
+// Optional: VITE_REALTIME_URL points at the write proxy, or at the
+// standalone channel (npm run realtime) for other storage backends. While
+// it is connected, changes arrive as soon as they are saved and the sync
+// engine polls less often. When it drops it reconnects, waiting longer
+// after each failure, and polling carries on as before.
+import { v4 as uuidv4 } from "uuid";
+import { DEFAULT_ROOM } from "./rooms";
+
+const REALTIME_URL = import.meta.env.VITE_REALTIME_URL;
+
+const VISITOR_STORAGE = "memorial-candles:visitor";
+
+export const MESSAGE_TYPES = {
+  PRESENCE: "presence",
+  OPERATIONS: "operations",
+  CHANGED: "changed",
+};
+
+const DEFAULT_OPTIONS = {
+  retryDelay: 2000,
+  maxRetryDelay: 60000,
+};
+
+/**
+ * Whether a realtime channel is configured
+ * @returns {boolean}
+ */
+export const isRealtimeConfigured = () => !!REALTIME_URL;
+
+// A random id, so the room counts a browser once however many tabs it has
+// open. Unlike the owner key it says nothing about who lit which candle.
+function visitorId() {
+  try {
+    let id = window.localStorage.getItem(VISITOR_STORAGE);
+    if (!id) {
+      id = uuidv4();
+      window.localStorage.setItem(VISITOR_STORAGE, id);
+    }
+    return id;
+  } catch {
+    return uuidv4();
+  }
+}
+
+/**
+ * WebSocket address of a room's channel
+ * @param {string} room - Room slug
+ * @param {string} [base] - Address of the channel's server
+ * @returns {string} Address, e.g. `wss://example.com/rooms/<slug>/realtime?visitor=...`
+ */
+export function realtimeUrl(room, base = REALTIME_URL) {
+  const path = room === DEFAULT_ROOM ? "realtime" : `rooms/${room}/realtime`;
+  const url = new URL(path, base.endsWith("/") ? base : `${base}/`);
+  // http: and https: addresses work too
+  url.protocol = url.protocol.replace(/^http/, "ws");
+  url.searchParams.set("visitor", visitorId());
+  return url.href;
+}
+
+export class RealtimeChannel {
+  /**
+   * @param {string} room - Room slug
+   * @param {Object} handlers - Callbacks
+   * @param {Function} handlers.onOperations - Receives candle operations
+   *   someone saved
+   * @param {Function} handlers.onChanged - Called when the room changed in
+   *   a way only a poll can tell
+   * @param {Function} handlers.onPresence - Receives how many visitors are
+   *   in the room, or null while disconnected
+   * @param {Function} [handlers.onConnection] - Receives whether the
+   *   channel is connected
+   * @param {Object} [options] - Timing overrides, see DEFAULT_OPTIONS
+   */
+  constructor(room, { onOperations, onChanged, onPresence, onConnection }, options = {}) {
+    this.room = room;
+    this.onOperations = onOperations;
+    this.onChanged = onChanged;
+    this.onPresence = onPresence;
+    this.onConnection = onConnection;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.socket = null;
+    this.timer = null;
+    this.running = false;
+    this.isConnected = false;
+    this.failures = 0;
+
+    this.handleOnline = this.handleOnline.bind(this);
+  }
+
+  /**
+   * Connect, and stay connected until stopped
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    window.addEventListener("online", this.handleOnline);
+    this.connect();
+  }
+
+  /**
+   * Disconnect and stop reconnecting
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    window.removeEventListener("online", this.handleOnline);
+
+    const socket = this.socket;
+    this.socket = null;
+    socket?.close();
+    this.setConnected(false);
+  }
+
+  /**
+   * Tell everyone else in the room that we saved a change. Only the
+   * standalone channel passes it on; the write proxy announces its own
+   * writes.
+   */
+  notifyChanged() {
+    if (this.isConnected) {
+      this.socket.send(JSON.stringify({ type: MESSAGE_TYPES.CHANGED }));
+    }
+  }
+
+  handleOnline() {
+    if (!this.socket) {
+      this.failures = 0;
+      clearTimeout(this.timer);
+      this.connect();
+    }
+  }
+
+  setConnected(isConnected) {
+    if (this.isConnected === isConnected) return;
+    this.isConnected = isConnected;
+    if (!isConnected) {
+      this.onPresence(null);
+    }
+    if (this.onConnection) {
+      this.onConnection(isConnected);
+    }
+  }
+
+  connect() {
+    this.timer = null;
+    if (!this.running || navigator.onLine === false) return;
+
+    let socket;
+    try {
+      socket = new WebSocket(realtimeUrl(this.room));
+    } catch (error) {
+      console.error("Realtime channel failed:", error);
+      this.failures += 1;
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.socket = socket;
+    socket.onopen = () => {
+      this.failures = 0;
+      this.setConnected(true);
+    };
+    socket.onmessage = (event) => this.receive(event.data);
+    socket.onclose = () => {
+      // Stopped, or already replaced
+      if (this.socket !== socket) return;
+      this.socket = null;
+      if (!this.isConnected) {
+        this.failures += 1;
+      }
+      this.setConnected(false);
+      this.scheduleReconnect();
+    };
+  }
+
+  scheduleReconnect() {
+    if (!this.running || navigator.onLine === false) return;
+    const { retryDelay, maxRetryDelay } = this.options;
+    const delay = Math.min(retryDelay * 2 ** this.failures, maxRetryDelay);
+    this.timer = setTimeout(() => this.connect(), delay);
+  }
+
+  receive(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return;
+    }
+
+    switch (message?.type) {
+      case MESSAGE_TYPES.PRESENCE:
+        if (Number.isInteger(message.count)) {
+          this.onPresence(message.count);
+        }
+        break;
+      case MESSAGE_TYPES.OPERATIONS:
+        if (Array.isArray(message.operations)) {
+          this.onOperations(message.operations);
+        }
+        break;
+      case MESSAGE_TYPES.CHANGED:
+        this.onChanged();
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+export default RealtimeChannel;
@@ -0,0 +1,44 @@
+// Choosing how candles are drawn
+//
+// Every candle in the DOM is a React subtree with its own CSS animation,
+// which is the nicest to interact with and fine for a few dozen candles.
+// On busy days a room can hold hundreds, so from CANVAS_FROM candles the
+// sky and candles are painted on a canvas instead (see skyPainter.js), and
+// only the candles someone is interacting with stay in the DOM. The mode
+// switches back below DOM_BELOW, a little lower, so a room hovering around
+// the limit does not switch back and forth.
+
+export const RENDER_MODES = {
+  DOM: "dom",
+  CANVAS: "canvas",
+};
+
+export const CANVAS_FROM = 150;
+export const DOM_BELOW = 120;
+
+/**
+ * Mode asked for in the URL, e.g. `?render=canvas` to try canvas mode
+ * with a few candles
+ * @param {string} search - `window.location.search`
+ * @returns {string|null} One of RENDER_MODES, or null to choose by count
+ */
+export function requestedRenderMode(search) {
+  const requested = new URLSearchParams(search).get("render");
+  return Object.values(RENDER_MODES).includes(requested) ? requested : null;
+}
+
+/**
+ * Mode for the number of candles shown
+ * @param {number} count - Candles shown
+ * @param {string} current - Mode in use now
+ * @returns {string} One of RENDER_MODES
+ */
+export function chooseRenderMode(count, current) {
+  if (count >= CANVAS_FROM) {
+    return RENDER_MODES.CANVAS;
+  }
+  if (count < DOM_BELOW) {
+    return RENDER_MODES.DOM;
+  }
+  return current;
+}
@@ -0,0 +1,236 @@
+// Self-hosted REST service for persisting candle data
+//
+// Expects a server exposing:
+//   GET  {VITE_STORAGE_URL}/candles -> candles file (see candleSchema.js),
+//        with an ETag
+//   PUT  {VITE_STORAGE_URL}/candles <- candles file; honours
+//        If-Match and answers 412 when the candles changed meanwhile
+//
+// Rooms other than the default one live below
+// {VITE_STORAGE_URL}/rooms/<slug>, e.g. GET .../rooms/<slug>/candles.
+import {
+  StorageConflictError,
+  fetchOrThrow,
+  loadErrorFromResponse,
+} from "./storageErrors";
+import { parseDocument, serializeDocument, withMeta } from "./candleSchema";
+import { applyOperations } from "./candleOperations";
+import { DEFAULT_ROOM } from "./rooms";
+
+const STORAGE_URL = import.meta.env.VITE_STORAGE_URL;
+const STORAGE_TOKEN = import.meta.env.VITE_STORAGE_TOKEN;
+const MAX_RETRIES = 3;
+
+export class RestService {
+  /**
+   * @param {Object} [options] - Service options
+   * @param {string} [options.room] - Room whose candles to read and write
+   */
+  constructor({ room = DEFAULT_ROOM } = {}) {
+    this.room = room;
+    this.baseUrl = (STORAGE_URL || "").replace(/\/+$/, "");
+    this.candlesUrl = room
+      ? `${this.baseUrl}/rooms/${room}/candles`
+      : `${this.baseUrl}/candles`;
+    this.headers = {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+    };
+
+    if (STORAGE_TOKEN) {
+      this.headers["Authorization"] = `Bearer ${STORAGE_TOKEN}`;
+    }
+
+    // ETag of the candles the last load returned
+    this.etag = null;
+
+    // Last candles file read, see candleSchema.js
+    this.document = null;
+  }
+
+  /**
+   * Fetch candle data from the REST server
+   * @returns {Promise<Array>} Array of candle objects
+   * @throws {StorageLoadError} If the candles could not be read
+   */
+  async loadCandles() {
+    try {
+      const response = await fetchOrThrow(this.candlesUrl, {
+        headers: this.headers,
+      });
+
+      if (!response.ok) {
+        throw loadErrorFromResponse(response, "candles");
+      }
+
+      this.etag = response.headers.get("ETag");
+      this.document = parseDocument(await response.text());
+      return this.document.candles;
+    } catch (error) {
+      console.error("Error loading candles from REST server:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch candle data only if it changed since the given ETag
+   * @param {string} [etag] - ETag of the candles the caller already has
+   * @returns {Promise<Object>} `{ changed, candles, meta, etag }`
+   * @throws {StorageLoadError} If the candles could not be read
+   */
+  async pollCandles(etag) {
+    const headers = { ...this.headers };
+    if (etag) {
+      headers["If-None-Match"] = etag;
+    }
+
+    const response = await fetchOrThrow(this.candlesUrl, { headers });
+
+    if (response.status === 304) {
+      return { changed: false, etag };
+    }
+
+    if (!response.ok) {
+      throw loadErrorFromResponse(response, "candles");
+    }
+
+    const document = parseDocument(await response.text());
+    return {
+      changed: true,
+      candles: document.candles,
+      meta: document.meta,
+      etag: response.headers.get("ETag"),
+    };
+  }
+
+  /**
+   * Save candle data to the REST server
+   * @param {Array} candles - Array of candle objects
+   * @param {Object} [options] - Save options
+   * @param {string} [options.etag] - Only write if the candles still match
+   *   this ETag
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveCandles(candles, { etag } = {}) {
+    try {
+      if (!this.isConfigured()) {
+        throw new Error("No storage URL configured");
+      }
+
+      if (!Array.isArray(candles)) {
+        console.error("Invalid candles data - must be an array");
+        throw new Error("Invalid candles data");
+      }
+
+      const headers = { ...this.headers };
+      if (etag) {
+        headers["If-Match"] = etag;
+      }
+
+      const response = await fetch(this.candlesUrl, {
+        method: "PUT",
+        headers,
+        body: serializeDocument(this.document, candles),
+      });
+
+      if (response.status === 412) {
+        throw new StorageConflictError("Candles changed since they were loaded", {
+          expectedVersion: etag,
+          actualVersion: response.headers.get("ETag"),
+        });
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(
+          `Failed to save candles: ${response.status} - ${errorText}`
+        );
+      }
+
+      this.etag = response.headers.get("ETag");
+      return true;
+    } catch (error) {
+      console.error("Error saving candles to REST server:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a change to the latest candle data with a conditional write,
+   * retrying on top of fresh data when another write got there first
+   * @param {Function} mutate - Receives the latest candles, returns the new array
+   * @param {Object} [options] - Update options
+   * @param {number} [options.retries] - Attempts before giving up
+   * @returns {Promise<Array>} Candles as saved
+   */
+  async updateCandles(mutate, { retries = MAX_RETRIES } = {}) {
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      const candles = mutate(await this.loadCandles());
+
+      try {
+        await this.saveCandles(candles, { etag: this.etag });
+        return candles;
+      } catch (error) {
+        if (!(error instanceof StorageConflictError)) {
+          throw error;
+        }
+        console.warn(`Storage write conflict (attempt ${attempt}), retrying...`);
+      }
+    }
+
+    throw new StorageConflictError(
+      "Could not save candles: the memorial kept changing",
+      { attempts: retries }
+    );
+  }
+
+  /**
+   * Save candle operations, in order
+   * @param {Array} operations - Candle operations
+   * @returns {Promise<Array>} Candles as saved
+   */
+  async applyOperations(operations) {
+    return this.updateCandles((latestCandles) =>
+      applyOperations(latestCandles, operations)
+    );
+  }
+
+  /**
+   * Change the room's title, subtitle or settings
+   * @param {Object} changes - Meta fields to set
+   * @returns {Promise<Object>} Meta as saved
+   */
+  async updateMeta(changes) {
+    await this.updateCandles((latestCandles) => {
+      this.document = withMeta(this.document, changes);
+      return latestCandles;
+    });
+    return this.document.meta;
+  }
+
+  /**
+   * Check if the service is properly configured
+   * @returns {boolean} Configuration status
+   */
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Get configuration status details
+   * @returns {Object} Configuration details
+   */
+  getConfigStatus() {
+    return {
+      backend: "rest",
+      room: this.room,
+      hasUrl: !!this.baseUrl,
+      hasToken: !!STORAGE_TOKEN,
+      isConfigured: this.isConfigured(),
+    };
+  }
+}
+
+// Export a singleton instance
+export const restService = new RestService();
+export default restService;
@@ -0,0 +1,155 @@
+// Retention policies: which candles a room keeps, and for how long
+//
+// A room's policy lives in its settings (`meta.settings.retention`, see
+// rooms.js) and is enforced by server/cleanup.js, which the scheduled
+// cleanup workflow runs. Pruned candles are removed with ordinary remove
+// operations, so they leave tombstones like any other removal.
+//
+// Also used by server/, hence the explicit extensions.
+import { removeCandle } from "./candleOperations.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Used by rooms that have not chosen a policy
+export const DEFAULT_RETENTION = { maxAgeDays: 7 };
+
+/**
+ * @typedef {Object} RetentionPolicy
+ * @property {boolean} [neverExpire] - Keep every candle forever
+ * @property {number} [maxAgeDays] - Prune candles older than this
+ * @property {number} [namedMaxAgeDays] - Age limit for candles with a
+ *   name, instead of maxAgeDays
+ * @property {number} [maxCount] - Keep only this many of the newest candles
+ */
+
+const isLimit = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Check a retention policy
+ * @param {*} policy - Candidate policy
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateRetentionPolicy(policy) {
+  if (!policy || typeof policy !== "object" || Array.isArray(policy)) {
+    return "Retention policy must be an object";
+  }
+  if (policy.neverExpire !== undefined && typeof policy.neverExpire !== "boolean") {
+    return "neverExpire must be true or false";
+  }
+  for (const field of ["maxAgeDays", "namedMaxAgeDays", "maxCount"]) {
+    if (policy[field] !== undefined && !isLimit(policy[field])) {
+      return `${field} must be a whole number above zero`;
+    }
+  }
+  return null;
+}
+
+/**
+ * The policy a room's settings ask for
+ * @param {Object} [settings] - Room settings
+ * @returns {RetentionPolicy} Policy
+ */
+export function resolveRetentionPolicy(settings = {}) {
+  const policy = settings.retention;
+
+  if (policy === undefined) {
+    return DEFAULT_RETENTION;
+  }
+
+  const problem = validateRetentionPolicy(policy);
+  if (problem) {
+    // A broken policy must never prune more than intended
+    console.warn(`Ignoring invalid retention policy (${problem}), keeping every candle.`);
+    return { neverExpire: true };
+  }
+  return policy;
+}
+
+/**
+ * Describe a policy in words, for logs and settings screens
+ * @param {RetentionPolicy} policy - Policy
+ * @returns {string} Description
+ */
+export function describeRetentionPolicy(policy) {
+  if (policy.neverExpire) {
+    return "never expire";
+  }
+
+  const rules = [];
+  if (policy.maxAgeDays) {
+    rules.push(`keep candles for ${policy.maxAgeDays} days`);
+  }
+  if (policy.namedMaxAgeDays) {
+    rules.push(`keep named candles for ${policy.namedMaxAgeDays} days`);
+  }
+  if (policy.maxCount) {
+    rules.push(`keep the newest ${policy.maxCount} candles`);
+  }
+  return rules.length > 0 ? rules.join(", ") : "never expire";
+}
+
+/**
+ * Work out which candles a policy prunes
+ *
+ * Candles lit before candles recorded `createdAt` have an unknown age.
+ * They are never pruned by age; `stamp` lists them so the caller can
+ * record the current time as their creation time.
+ * @param {Array} candles - Visible candles (no tombstones)
+ * @param {RetentionPolicy} policy - Policy to enforce
+ * @param {number} [now] - Reference time
+ * @returns {Object} `{ keep, prune, stamp }`, each an array of candles;
+ *   `prune` entries also carry the `reason`
+ */
+export function planRetention(candles, policy, now = Date.now()) {
+  const stamp = candles.filter((candle) => typeof candle.createdAt !== "number");
+
+  if (policy.neverExpire) {
+    return { keep: candles, prune: [], stamp };
+  }
+
+  const prune = [];
+  const tooOld = (candle) => {
+    const maxAgeDays = candle.name && policy.namedMaxAgeDays
+      ? policy.namedMaxAgeDays
+      : policy.maxAgeDays;
+    return (
+      !!maxAgeDays &&
+      typeof candle.createdAt === "number" &&
+      now - candle.createdAt > maxAgeDays * DAY
+    );
+  };
+
+  let keep = [];
+  for (const candle of candles) {
+    if (tooOld(candle)) {
+      prune.push({ ...candle, reason: "too old" });
+    } else {
+      keep.push(candle);
+    }
+  }
+
+  if (policy.maxCount && keep.length > policy.maxCount) {
+    // Newest first; candles of unknown age count as brand new
+    const byAge = [...keep].sort(
+      (a, b) => (b.createdAt ?? now) - (a.createdAt ?? now)
+    );
+    const overflow = new Set(byAge.slice(policy.maxCount).map((candle) => candle.id));
+
+    prune.push(
+      ...keep
+        .filter((candle) => overflow.has(candle.id))
+        .map((candle) => ({ ...candle, reason: "over the candle limit" }))
+    );
+    keep = keep.filter((candle) => !overflow.has(candle.id));
+  }
+
+  return { keep, prune, stamp };
+}
+
+/**
+ * Remove operations for the candles a plan prunes
+ * @param {Object} plan - Result of planRetention()
+ * @returns {Array} Candle operations
+ */
+export const pruneOperations = (plan) =>
+  plan.prune.map((candle) => removeCandle(candle.id));
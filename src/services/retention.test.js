@@ -0,0 +1,97 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  DEFAULT_RETENTION,
+  describeRetentionPolicy,
+  planRetention,
+  pruneOperations,
+  resolveRetentionPolicy,
+  validateRetentionPolicy,
+} from "./retention";
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 100 * DAY;
+
+const candle = (id, ageDays, name = "") => ({ id, x: 0.5, y: 0.5, name, createdAt: NOW - ageDays * DAY });
+
+const ids = (candles) => candles.map((c) => c.id);
+
+describe("planRetention", () => {
+  it("prunes candles older than the age limit", () => {
+    const plan = planRetention([candle("new", 1), candle("old", 8)], { maxAgeDays: 7 }, NOW);
+
+    expect(ids(plan.keep)).toEqual(["new"]);
+    expect(plan.prune).toEqual([{ ...candle("old", 8), reason: "too old" }]);
+  });
+
+  it("keeps named candles for their own limit", () => {
+    const plan = planRetention([candle("anon", 10), candle("named", 10, "Anna")], { maxAgeDays: 7, namedMaxAgeDays: 30 }, NOW);
+
+    expect(ids(plan.keep)).toEqual(["named"]);
+    expect(ids(plan.prune)).toEqual(["anon"]);
+  });
+
+  it("keeps only the newest candles beyond the count limit", () => {
+    const candles = [candle("b", 2), candle("a", 3), candle("c", 1)];
+
+    const plan = planRetention(candles, { maxCount: 2 }, NOW);
+
+    expect(ids(plan.keep)).toEqual(["b", "c"]);
+    expect(plan.prune).toEqual([{ ...candle("a", 3), reason: "over the candle limit" }]);
+  });
+
+  it("never prunes candles of unknown age by age, and asks for them to be stamped", () => {
+    const unknown = { id: "unknown", x: 0, y: 0, name: "" };
+
+    const plan = planRetention([unknown, candle("old", 8)], { maxAgeDays: 7, maxCount: 1 }, NOW);
+
+    expect(ids(plan.keep)).toEqual(["unknown"]);
+    expect(ids(plan.prune)).toEqual(["old"]);
+    expect(plan.stamp).toEqual([unknown]);
+  });
+
+  it("prunes nothing when candles never expire", () => {
+    const candles = [candle("old", 1000)];
+
+    expect(planRetention(candles, { neverExpire: true, maxCount: 0 }, NOW)).toEqual({ keep: candles, prune: [], stamp: [] });
+  });
+
+  it("removes pruned candles with ordinary remove operations", () => {
+    const plan = planRetention([candle("old", 8)], { maxAgeDays: 7 }, NOW);
+
+    expect(pruneOperations(plan)).toEqual([expect.objectContaining({ type: "remove", candleId: "old" })]);
+  });
+});
+
+describe("resolveRetentionPolicy", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("uses the default for rooms without a policy", () => {
+    expect(resolveRetentionPolicy()).toBe(DEFAULT_RETENTION);
+    expect(resolveRetentionPolicy({ retention: { maxCount: 10 } })).toEqual({ maxCount: 10 });
+  });
+
+  it("keeps every candle when the policy is invalid", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(resolveRetentionPolicy({ retention: { maxAgeDays: -1 } })).toEqual({ neverExpire: true });
+  });
+});
+
+describe("validateRetentionPolicy", () => {
+  it("accepts whole numbers above zero only", () => {
+    expect(validateRetentionPolicy({ maxAgeDays: 7, namedMaxAgeDays: 30, maxCount: 100 })).toBeNull();
+    expect(validateRetentionPolicy({ maxAgeDays: 1.5 })).toBe("maxAgeDays must be a whole number above zero");
+    expect(validateRetentionPolicy({ maxCount: 0 })).toBe("maxCount must be a whole number above zero");
+    expect(validateRetentionPolicy({ neverExpire: "yes" })).toBe("neverExpire must be true or false");
+    expect(validateRetentionPolicy([])).toBe("Retention policy must be an object");
+  });
+});
+
+describe("describeRetentionPolicy", () => {
+  it("lists each rule", () => {
+    expect(describeRetentionPolicy({ maxAgeDays: 7, maxCount: 50 })).toBe("keep candles for 7 days, keep the newest 50 candles");
+    expect(describeRetentionPolicy({})).toBe("never expire");
+  });
+});
@@ -0,0 +1,173 @@
+// Memorial rooms
+//
+// Every room has its own candles file, title, subtitle and settings, kept
+// in the file's `meta`. Rooms are addressed by URL, e.g.
+// `#/room/baby-loss-awareness-2026`; the page without a room is the
+// default memorial. Private rooms get an unguessable slug, so only people
+// given the link can find them. A link can also point at one candle:
+// `#candle=<id>` in the default memorial, or
+// `#/room/baby-loss-awareness-2026?candle=<id>` in a room.
+//
+// Also used by the write proxy in server/.
+
+export const DEFAULT_ROOM = "";
+
+export const DEFAULT_META = {
+  title: "Memorial Candles",
+  subtitle: "Light a candle in memory of precious little ones.",
+};
+
+export const MAX_TITLE_LENGTH = 60;
+export const MAX_SUBTITLE_LENGTH = 140;
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 64;
+// Random bytes after a private room's readable prefix, see privateSlug()
+const PRIVATE_SUFFIX_BYTES = 6;
+const ROOM_HASH_PATTERN = /^#\/room\/([^/?#]+)/;
+const CANDLE_HASH_PATTERN = /[#?&]candle=([^&]+)/;
+
+/**
+ * Whether a string can be used as a room slug
+ * @param {string} slug - Candidate slug
+ * @returns {boolean} Validity
+ */
+export const isValidSlug = (slug) =>
+  typeof slug === "string" && slug.length <= MAX_SLUG_LENGTH && SLUG_PATTERN.test(slug);
+
+/**
+ * Read the room from a location hash
+ * @param {string} hash - `window.location.hash`
+ * @returns {string} Room slug, or DEFAULT_ROOM
+ */
+export function roomFromHash(hash) {
+  const match = hash.match(ROOM_HASH_PATTERN);
+  if (!match) {
+    return DEFAULT_ROOM;
+  }
+
+  try {
+    const slug = decodeURIComponent(match[1]).toLowerCase();
+    return isValidSlug(slug) ? slug : DEFAULT_ROOM;
+  } catch {
+    // A malformed link, e.g. `#/room/%`
+    return DEFAULT_ROOM;
+  }
+}
+
+/**
+ * Location hash for a room
+ * @param {string} room - Room slug
+ * @returns {string} Hash, including the leading `#`
+ */
+export const roomHash = (room) => (room ? `#/room/${room}` : "#/");
+
+/**
+ * Read the candle a link points at from a location hash
+ * @param {string} hash - `window.location.hash`
+ * @returns {string|null} Candle id, or null
+ */
+export function candleFromHash(hash) {
+  const match = hash.match(CANDLE_HASH_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  try {
+    return decodeURIComponent(match[1]) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Location hash for one candle in a room
+ * @param {string} room - Room slug
+ * @param {string} id - Candle id
+ * @returns {string} Hash, including the leading `#`
+ */
+export const candleHash = (room, id) =>
+  room
+    ? `${roomHash(room)}?candle=${encodeURIComponent(id)}`
+    : `#candle=${encodeURIComponent(id)}`;
+
+/**
+ * Name of the gist file holding a room's candles
+ * @param {string} room - Room slug
+ * @returns {string} File name
+ */
+export const roomFilename = (room) => (room ? `room-${room}.json` : "candles.json");
+
+/**
+ * Room a gist file belongs to
+ * @param {string} filename - File name
+ * @returns {string|null} Room slug, or null for files that hold no room
+ */
+export function roomFromFilename(filename) {
+  if (filename === roomFilename(DEFAULT_ROOM)) {
+    return DEFAULT_ROOM;
+  }
+
+  const match = filename.match(/^room-(.+)\.json$/);
+  return match && isValidSlug(match[1]) ? match[1] : null;
+}
+
+/**
+ * Turn a title into a slug
+ * @param {string} title - Room title
+ * @returns {string} Slug, possibly empty
+ */
+export function slugify(title) {
+  return title
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    // Leaves room for a private room's "-" and suffix
+    .slice(0, MAX_SLUG_LENGTH - 1 - PRIVATE_SUFFIX_BYTES * 2)
+    .replace(/-+$/, "");
+}
+
+/**
+ * An unguessable slug for a private room
+ * @param {string} title - Room title, used as a readable prefix
+ * @returns {string} Slug
+ */
+export function privateSlug(title) {
+  const bytes = crypto.getRandomValues(new Uint8Array(PRIVATE_SUFFIX_BYTES));
+  const suffix = [...bytes].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+  const prefix = slugify(title);
+  return prefix ? `${prefix}-${suffix}` : suffix;
+}
+
+/**
+ * A readable title for a room that has not set one
+ * @param {string} room - Room slug
+ * @returns {string} Title
+ */
+export const titleFromSlug = (room) =>
+  room
+    .split("-")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+
+/**
+ * Room meta with defaults filled in
+ * @param {string} room - Room slug
+ * @param {Object} [meta] - Stored meta
+ * @param {Object} [defaults] - Title and subtitle of the default memorial,
+ *   e.g. in the visitor's language
+ * @returns {Object} `{ title, subtitle, settings, ... }`
+ */
+export function resolveMeta(room, meta = {}, defaults = DEFAULT_META) {
+  const title = room ? titleFromSlug(room) : defaults.title;
+
+  // Meta is not validated on read, so never render anything but text
+  return {
+    settings: {},
+    ...meta,
+    title: typeof meta.title === "string" && meta.title.trim() ? meta.title : title,
+    subtitle: typeof meta.subtitle === "string" ? meta.subtitle : defaults.subtitle,
+  };
+}
@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_ROOM, MAX_TITLE_LENGTH, candleFromHash, isValidSlug, privateSlug, roomFromHash, slugify } from "./rooms";
+
+describe("roomFromHash", () => {
+  it("reads the room from a link", () => {
+    expect(roomFromHash("#/room/anna-maria")).toBe("anna-maria");
+    expect(roomFromHash("#/room/Anna-Maria?candle=1")).toBe("anna-maria");
+  });
+
+  it("falls back to the default room", () => {
+    expect(roomFromHash("")).toBe(DEFAULT_ROOM);
+    expect(roomFromHash("#/room/not a slug")).toBe(DEFAULT_ROOM);
+  });
+
+  it("falls back to the default room for malformed links", () => {
+    expect(roomFromHash("#/room/%")).toBe(DEFAULT_ROOM);
+    expect(roomFromHash("#/room/%E0%A4%A")).toBe(DEFAULT_ROOM);
+  });
+});
+
+describe("candleFromHash", () => {
+  it("ignores malformed links", () => {
+    expect(candleFromHash("#candle=%")).toBeNull();
+  });
+});
+
+describe("privateSlug", () => {
+  it("gives a valid slug for the longest title", () => {
+    const title = "a".repeat(MAX_TITLE_LENGTH);
+    const slug = privateSlug(title);
+
+    expect(isValidSlug(slug)).toBe(true);
+    expect(slug.startsWith(slugify(title))).toBe(true);
+    expect(roomFromHash(`#/room/${slug}`)).toBe(slug);
+  });
+
+  it("gives a valid slug for a long title of many words", () => {
+    expect(isValidSlug(privateSlug("in loving memory of ".repeat(3)))).toBe(true);
+  });
+});
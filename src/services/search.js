@@ -0,0 +1,109 @@
+// Finding candles by name or dedication
+//
+// Matching ignores case, accents and punctuation, so "zoe" finds "Zoë"
+// and "marie claire" finds "Marie-Claire". Words also match with a typo
+// or two, depending on their length, so "sofia" finds "Sophia". A query
+// matches when every one of its words matches the start of a word in the
+// text, or the text contains the whole query.
+
+// Fields searched, and how much a match in each counts
+const FIELDS = [
+  { field: "name", read: (candle) => candle.name, weight: 1 },
+  { field: "litBy", read: (candle) => candle.dedication?.litBy, weight: 0.8 },
+  { field: "message", read: (candle) => candle.dedication?.message, weight: 0.7 },
+];
+
+// Scores of the ways a query can match
+const SCORES = { START: 1, WORD_START: 0.9, INSIDE: 0.75, WORDS: 0.6, TYPO: 0.15 };
+
+export const MAX_RESULTS = 8;
+
+/**
+ * Text as it is compared: lower case, without accents, and with anything
+ * but letters and digits turned into single spaces
+ * @param {string} text - Text
+ * @returns {string} Normalised text
+ */
+export const normalizeForSearch = (text) =>
+  (text ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+
+// Typos forgiven in a query word of this many characters
+const typosAllowed = (length) => (length <= 2 ? 0 : length <= 4 ? 1 : 2);
+
+// Edit distance between a query word and the closest start of a text word
+function prefixDistance(query, word) {
+  let previous = Array.from({ length: query.length + 1 }, (_, i) => i);
+  let best = previous[query.length];
+
+  for (let j = 1; j <= word.length; j++) {
+    const current = [j];
+    for (let i = 1; i <= query.length; i++) {
+      current[i] = Math.min(
+        previous[i] + 1,
+        current[i - 1] + 1,
+        previous[i - 1] + (query[i - 1] === word[j - 1] ? 0 : 1)
+      );
+    }
+    best = Math.min(best, current[query.length]);
+    previous = current;
+  }
+  return best;
+}
+
+/**
+ * How well a normalised query matches some text
+ * @param {string} query - Query, see normalizeForSearch()
+ * @param {string} text - Text to search
+ * @returns {number} Score between 0 and 1, 0 when it does not match
+ */
+export function matchScore(query, text) {
+  const normalized = normalizeForSearch(text);
+  if (!query || !normalized) return 0;
+
+  const index = normalized.indexOf(query);
+  if (index === 0) return SCORES.START;
+  if (index > 0) return normalized[index - 1] === " " ? SCORES.WORD_START : SCORES.INSIDE;
+
+  const words = normalized.split(" ");
+  let typos = 0;
+  for (const queryWord of query.split(" ")) {
+    const distance = Math.min(...words.map((word) => prefixDistance(queryWord, word)));
+    if (distance > typosAllowed(queryWord.length)) return 0;
+    typos += distance;
+  }
+  return Math.max(SCORES.WORDS - typos * SCORES.TYPO, SCORES.TYPO);
+}
+
+/**
+ * Candles matching a query, best first
+ * @param {Array} candles - Candles to search
+ * @param {string} query - What the visitor typed
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most results to return
+ * @returns {Array} `{ candle, field }`, where field names what matched
+ */
+export function searchCandles(candles, query, { limit = Infinity } = {}) {
+  const normalizedQuery = normalizeForSearch(query);
+  if (!normalizedQuery) return [];
+
+  return candles
+    .map((candle) => {
+      const best = FIELDS.reduce(
+        (found, { field, read, weight }) => {
+          const score = matchScore(normalizedQuery, read(candle)) * weight;
+          return score > found.score ? { field, score } : found;
+        },
+        { field: null, score: 0 }
+      );
+      return { candle, ...best };
+    })
+    .filter((result) => result.score > 0)
+    .sort((a, b) => b.score - a.score || (b.candle.createdAt ?? 0) - (a.candle.createdAt ?? 0))
+    .slice(0, limit)
+    .map(({ candle, field }) => ({ candle, field }));
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { matchScore, normalizeForSearch, searchCandles } from "./search";
+
+const candle = (id, name, dedication, createdAt = 0) => ({ id, name, dedication, createdAt });
+
+const found = (results) => results.map(({ candle: { id }, field }) => [id, field]);
+
+describe("normalizeForSearch", () => {
+  it("ignores case, accents and punctuation", () => {
+    expect(normalizeForSearch("  Zoë  Marie-Claire! ")).toBe("zoe marie claire");
+    expect(normalizeForSearch(undefined)).toBe("");
+  });
+});
+
+describe("matchScore", () => {
+  it("ranks a match at the start above one at a word start, above one inside", () => {
+    const start = matchScore("ann", "Anna Lee");
+    const wordStart = matchScore("lee", "Anna Lee");
+    const inside = matchScore("nna", "Anna Lee");
+
+    expect(start).toBeGreaterThan(wordStart);
+    expect(wordStart).toBeGreaterThan(inside);
+    expect(inside).toBeGreaterThan(0);
+  });
+
+  it("matches words in any order", () => {
+    expect(matchScore("lee ann", "Anna Lee")).toBeGreaterThan(0);
+  });
+
+  it("forgives more typos in longer words", () => {
+    expect(matchScore("sofia", "Sophia")).toBeGreaterThan(0);
+    expect(matchScore("jon", "Jan")).toBeGreaterThan(0);
+    expect(matchScore("jo", "Ja")).toBe(0);
+    expect(matchScore("xyzzy", "Sophia")).toBe(0);
+  });
+
+  it("does not match empty text or queries", () => {
+    expect(matchScore("", "Anna")).toBe(0);
+    expect(matchScore("anna", "")).toBe(0);
+  });
+});
+
+describe("searchCandles", () => {
+  const candles = [
+    candle("message", "Bea", { message: "For Anna, always" }),
+    candle("litBy", "Cleo", { litBy: "Anna" }),
+    candle("name", "Anna"),
+    candle("other", "Dora"),
+  ];
+
+  it("finds candles by name, then by who lit them, then by message", () => {
+    expect(found(searchCandles(candles, "anna"))).toEqual([
+      ["name", "name"],
+      ["litBy", "litBy"],
+      ["message", "message"],
+    ]);
+  });
+
+  it("puts newer candles first among equal matches", () => {
+    const twins = [candle("older", "Anna", undefined, 1), candle("newer", "Anna", undefined, 2)];
+
+    expect(found(searchCandles(twins, "Anna"))).toEqual([["newer", "name"], ["older", "name"]]);
+  });
+
+  it("returns at most the limit", () => {
+    expect(searchCandles(candles, "anna", { limit: 2 })).toHaveLength(2);
+  });
+
+  it("finds nothing for a blank query", () => {
+    expect(searchCandles(candles, " - ")).toEqual([]);
+  });
+});
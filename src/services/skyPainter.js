@@ -0,0 +1,312 @@
+// Drawing the sky and candles on a 2D canvas
+//
+// With hundreds of candles, a React subtree and CSS animation per candle
+// is more than low-end phones can keep up with. In canvas mode (see
+// renderMode.js) the sky, the stars and every candle nobody is interacting
+// with are painted here instead, following the DOM candle's layout in
+// Candle.jsx and the styles in candleStyles.js. The parts of a candle that
+// never change are drawn once into a sprite per color and decoration; only
+// the flames and stars are painted every frame.
+import { createElement } from "react";
+import { flushSync } from "react-dom";
+import { createRoot } from "react-dom/client";
+import { CANDLE_SIZE } from "./coordinates";
+import { wrapText } from "./textWidth";
+
+const STAR_COUNT = 150;
+
+const SKY_STOPS = [["#0f0f23", 0], ["#1a1a3a", 50], ["#2d2d5a", 100]];
+
+// Candle layout in pixels from its top left corner, as in Candle.jsx
+const FLAME = { x: 30, y: 12, radiusX: 6, radiusY: 12 };
+const BODY = { x: 6, y: 26, width: 48, height: 24, radius: 4 };
+const BASE = { x: 0, y: 46, width: 60, height: 12 };
+const DECORATION_SIZE = 16;
+const LABEL = { y: 66, maxWidth: 64, color: "#9ca3af" };
+
+// Outline of candles matching a search, like the ring on Candle.jsx
+const HIGHLIGHT = { color: "#7dd3fc", width: 2, radius: 4 };
+
+// Room around the sprite for the candle's glow
+const GLOW = 20;
+
+// Names, and the hint on unnamed candles of one's own
+const LABEL_STYLES = {
+  name: { weight: 600, size: 16, lineHeight: 24 },
+  hint: { weight: 100, size: 12, lineHeight: 16 },
+};
+
+const sprites = new Map();
+const icons = new Map();
+const labels = new Map();
+const flameGradients = new WeakMap();
+
+/**
+ * Stars for the sky, placed at random
+ * @param {number} [count] - Number of stars
+ * @returns {Array} Stars, positioned as fractions of the sky
+ */
+export function createStars(count = STAR_COUNT) {
+  return Array.from({ length: count }, () => ({
+    x: Math.random(),
+    y: Math.random(),
+    size: Math.random() * 3 + 1,
+    delay: Math.random() * 2,
+    duration: Math.random() * 3 + 2,
+  }));
+}
+
+/**
+ * A fixed offset into a candle's flame animation, so candles lit together
+ * do not flicker in step
+ * @param {string} id - Candle id
+ * @returns {number} Phase between 0 and 2
+ */
+export function phaseOf(id) {
+  let hash = 0;
+  for (const char of id) {
+    hash = (hash * 31 + char.charCodeAt(0)) % 997;
+  }
+  return (hash / 997) * 2;
+}
+
+const addStops = (gradient, stops) => {
+  for (const [color, percent] of stops) {
+    gradient.addColorStop(percent / 100, color);
+  }
+  return gradient;
+};
+
+/**
+ * Paint the night sky with twinkling stars, like StarryBackground
+ * @param {CanvasRenderingContext2D} ctx - Context, in CSS pixels
+ * @param {Object} size - `{ width, height }` in pixels
+ * @param {Array} stars - From createStars()
+ * @param {number} time - Milliseconds, e.g. from requestAnimationFrame
+ */
+export function paintSky(ctx, { width, height }, stars, time) {
+  ctx.fillStyle = addStops(ctx.createLinearGradient(0, 0, 0, height), SKY_STOPS);
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.fillStyle = "#ffffff";
+  for (const star of stars) {
+    // The `twinkle` keyframes: faint and small at the ends, bright midway
+    const progress = ((time / 1000 - star.delay) / star.duration) % 1;
+    const brightness = 0.5 - Math.cos(progress * 2 * Math.PI) / 2;
+    ctx.globalAlpha = 0.3 + 0.7 * brightness;
+    ctx.beginPath();
+    ctx.arc(star.x * width, star.y * height, (star.size / 2) * (1 + 0.2 * brightness), 0, 2 * Math.PI);
+    ctx.fill();
+  }
+  ctx.globalAlpha = 1;
+}
+
+// Lucide icons are React components; each is rendered once to SVG markup
+// and loaded as an image
+const iconElement = (Icon, color) => {
+  const key = `${Icon.displayName}:${color}`;
+  if (!icons.has(key)) {
+    const container = document.createElement("div");
+    const root = createRoot(container);
+    flushSync(() => root.render(createElement(Icon, { color, size: DECORATION_SIZE })));
+    const image = new Image();
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(container.innerHTML)}`;
+    root.unmount();
+    icons.set(key, image);
+  }
+  return icons.get(key);
+};
+
+// The icon, or null until it has loaded
+const iconImage = (Icon, color) => {
+  const image = iconElement(Icon, color);
+  return image.complete && image.naturalWidth > 0 ? image : null;
+};
+
+/**
+ * Wait until a candle style can be painted in full, decoration included
+ * @param {Object} style - Resolved style, see resolveStyle()
+ * @returns {Promise} Settles once the decoration has loaded or failed to
+ */
+export async function whenStyleReady({ color, decoration }) {
+  if (!decoration.icon) return;
+  await iconElement(decoration.icon, decoration.color ?? color.border)
+    .decode()
+    .catch(() => {});
+}
+
+const roundedTop = (ctx, { x, y, width, height, radius }) => {
+  ctx.beginPath();
+  ctx.moveTo(x, y + height);
+  ctx.lineTo(x, y + radius);
+  ctx.arcTo(x, y, x + radius, y, radius);
+  ctx.lineTo(x + width - radius, y);
+  ctx.arcTo(x + width, y, x + width, y + radius, radius);
+  ctx.lineTo(x + width, y + height);
+  ctx.closePath();
+};
+
+// Everything of a candle but its flame and name. Not cached while its
+// decoration is still loading.
+const candleSprite = ({ color, decoration }, scale) => {
+  const key = `${color.id}:${decoration.id}:${scale}`;
+  if (sprites.has(key)) {
+    return sprites.get(key);
+  }
+
+  const decorationColor = decoration.color ?? color.border;
+  const icon = decoration.icon ? iconImage(decoration.icon, decorationColor) : null;
+
+  const sprite = document.createElement("canvas");
+  sprite.width = (CANDLE_SIZE.width + 2 * GLOW) * scale;
+  sprite.height = (BASE.y + BASE.height + 2 * GLOW) * scale;
+  const ctx = sprite.getContext("2d");
+  ctx.scale(scale, scale);
+  ctx.translate(GLOW, GLOW);
+
+  // Body, with its glow and border
+  const radians = (color.angle * Math.PI) / 180;
+  const centerX = BODY.x + BODY.width / 2;
+  const centerY = BODY.y + BODY.height / 2;
+  const reachX = (Math.sin(radians) * BODY.width) / 2;
+  const reachY = (-Math.cos(radians) * BODY.height) / 2;
+  roundedTop(ctx, BODY);
+  ctx.fillStyle = addStops(
+    ctx.createLinearGradient(centerX - reachX, centerY - reachY, centerX + reachX, centerY + reachY),
+    color.stops
+  );
+  ctx.shadowColor = color.glow;
+  ctx.shadowBlur = GLOW;
+  ctx.fill();
+  ctx.shadowBlur = 0;
+  ctx.strokeStyle = color.border;
+  ctx.stroke();
+
+  if (icon) {
+    ctx.drawImage(
+      icon,
+      centerX - DECORATION_SIZE / 2,
+      centerY - DECORATION_SIZE / 2,
+      DECORATION_SIZE,
+      DECORATION_SIZE
+    );
+  }
+
+  // Base
+  ctx.beginPath();
+  ctx.ellipse(
+    BASE.x + BASE.width / 2,
+    BASE.y + BASE.height / 2,
+    BASE.width / 2,
+    BASE.height / 2,
+    0,
+    0,
+    2 * Math.PI
+  );
+  ctx.fillStyle = addStops(ctx.createLinearGradient(0, BASE.y, 0, BASE.y + BASE.height), [
+    ["#d1d5db", 0],
+    ["#6b7280", 100],
+  ]);
+  ctx.shadowColor = "rgba(0, 0, 0, 0.1)";
+  ctx.shadowBlur = 6;
+  ctx.shadowOffsetY = 4;
+  ctx.fill();
+
+  if (!decoration.icon || icon) {
+    sprites.set(key, sprite);
+  }
+  return sprite;
+};
+
+// Gradients are in the flame's own coordinates, so one per flame style
+// serves every candle
+const flameGradient = (ctx, flame) => {
+  if (!flameGradients.has(ctx)) {
+    flameGradients.set(ctx, new Map());
+  }
+  const gradients = flameGradients.get(ctx);
+  if (!gradients.has(flame.id)) {
+    // `radial-gradient(circle, ...)` reaches the farthest corner
+    const radius = Math.hypot(FLAME.radiusX, FLAME.radiusY);
+    gradients.set(flame.id, addStops(ctx.createRadialGradient(0, 0, 0, 0, 0, radius), flame.stops));
+  }
+  return gradients.get(flame.id);
+};
+
+const paintFlame = (ctx, flame, x, y, wave) => {
+  const { sway, stretch, fade, glow } = flame.motion;
+
+  ctx.save();
+  ctx.translate(x + FLAME.x, y + FLAME.y);
+  ctx.rotate((sway * wave * Math.PI) / 180);
+  ctx.scale(1 - (stretch * wave) / 2, 1 + stretch * wave);
+  ctx.globalAlpha = 1 - fade * (0.5 - wave / 2);
+  if (glow) {
+    ctx.shadowColor = flame.stops[1][0];
+    ctx.shadowBlur = glow * (0.5 + wave / 2);
+  }
+  ctx.beginPath();
+  ctx.ellipse(0, 0, FLAME.radiusX, FLAME.radiusY, 0, 0, 2 * Math.PI);
+  ctx.fillStyle = flameGradient(ctx, flame);
+  ctx.fill();
+  ctx.restore();
+};
+
+/**
+ * Lines of a candle's label, measured once per text
+ * @param {string} text - Name, or hint for an unnamed candle
+ * @param {Object} options - Options
+ * @param {boolean} options.isHint - Drawn thin and small, like "Click to name"
+ * @param {string} options.fontFamily - Font family of the page
+ * @returns {Object} `{ lines, font, lineHeight }`
+ */
+export function labelFor(text, { isHint, fontFamily }) {
+  const key = `${isHint}:${fontFamily}:${text}`;
+  if (!labels.has(key)) {
+    const { weight, size, lineHeight } = isHint ? LABEL_STYLES.hint : LABEL_STYLES.name;
+    const font = `${weight} ${size}px ${fontFamily}`;
+    labels.set(key, { lines: wrapText(text, { font, maxWidth: LABEL.maxWidth }), font, lineHeight });
+  }
+  return labels.get(key);
+}
+
+/**
+ * Paint one candle with its flame and label
+ * @param {CanvasRenderingContext2D} ctx - Context, in CSS pixels
+ * @param {Object} candle - `{ x, y, style, phase, label, isHighlighted }`:
+ *   top left in pixels, resolved style (see resolveStyle()), phaseOf() its
+ *   id, labelFor() its name, if any, and whether it matches a search
+ * @param {number} time - Milliseconds, e.g. from requestAnimationFrame
+ * @param {number} scale - Device pixels per CSS pixel
+ */
+export function paintCandle(ctx, { x, y, style, phase, label, isHighlighted }, time, scale) {
+  if (isHighlighted) {
+    ctx.strokeStyle = HIGHLIGHT.color;
+    ctx.lineWidth = HIGHLIGHT.width;
+    ctx.beginPath();
+    ctx.roundRect(x, y, CANDLE_SIZE.width, CANDLE_SIZE.height, HIGHLIGHT.radius);
+    ctx.stroke();
+  }
+
+  ctx.drawImage(
+    candleSprite(style, scale),
+    x - GLOW,
+    y - GLOW,
+    CANDLE_SIZE.width + 2 * GLOW,
+    BASE.y + BASE.height + 2 * GLOW
+  );
+
+  // The CSS animations alternate, so a sine wave is a close match
+  const wave = Math.sin((time / 1000 / style.flame.motion.period + phase) * Math.PI);
+  paintFlame(ctx, style.flame, x, y, wave);
+
+  if (label) {
+    ctx.font = label.font;
+    ctx.fillStyle = LABEL.color;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    label.lines.forEach((line, index) => {
+      ctx.fillText(line, x + CANDLE_SIZE.width / 2, y + LABEL.y + (index + 0.5) * label.lineHeight);
+    });
+  }
+}
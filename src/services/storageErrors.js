@@ -0,0 +1,130 @@
+// Typed errors shared by the storage backends
+
+/**
+ * Thrown when a write is rejected because the stored candles changed
+ * since they were last read
+ */
+export class StorageConflictError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Conflict details
+   * @param {string} [details.expectedVersion] - Version the write was based on
+   * @param {string} [details.actualVersion] - Version found in storage
+   * @param {number} [details.attempts] - Number of attempts made
+   */
+  constructor(message, { expectedVersion, actualVersion, attempts } = {}) {
+    super(message);
+    this.name = "StorageConflictError";
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Thrown when storage refuses a change as invalid. Retrying the same
+ * change can never succeed.
+ */
+export class StorageValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "StorageValidationError";
+  }
+}
+
+/**
+ * Thrown when storage refuses a change because the visitor does not own
+ * the candle
+ */
+export class StoragePermissionError extends StorageValidationError {
+  constructor(message) {
+    super(message);
+    this.name = "StoragePermissionError";
+  }
+}
+
+export const LOAD_ERROR_REASONS = {
+  NOT_FOUND: "not-found",
+  UNAUTHORIZED: "unauthorized",
+  RATE_LIMITED: "rate-limited",
+  MALFORMED: "malformed",
+  NETWORK: "network",
+};
+
+/**
+ * Thrown when candles could not be read. An empty memorial is never
+ * reported this way, so callers can tell "no candles" from "no answer".
+ */
+export class StorageLoadError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {string} details.reason - One of LOAD_ERROR_REASONS
+   * @param {number} [details.status] - HTTP status, if there was a response
+   * @param {number} [details.retryAt] - When a rate limit resets (epoch ms)
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { reason, status, retryAt, cause } = {}) {
+    super(message);
+    this.name = "StorageLoadError";
+    this.reason = reason;
+    this.status = status;
+    this.retryAt = retryAt;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Describe a failed HTTP response as a StorageLoadError
+ * @param {Response} response - Fetch response that was not ok
+ * @param {string} what - What was being loaded, for the message
+ * @returns {StorageLoadError} Typed error
+ */
+export function loadErrorFromResponse(response, what) {
+  const { status, headers } = response;
+  const message = `Failed to fetch ${what}: ${status}`;
+
+  const retryAfter = headers.get("Retry-After");
+  const reset = headers.get("X-RateLimit-Reset");
+  if (status === 429 || (status === 403 && headers.get("X-RateLimit-Remaining") === "0")) {
+    const retryAt = retryAfter
+      ? Date.now() + Number(retryAfter) * 1000
+      : reset
+        ? Number(reset) * 1000
+        : undefined;
+    return new StorageLoadError(message, {
+      reason: LOAD_ERROR_REASONS.RATE_LIMITED,
+      status,
+      retryAt,
+    });
+  }
+
+  if (status === 401 || status === 403) {
+    return new StorageLoadError(message, { reason: LOAD_ERROR_REASONS.UNAUTHORIZED, status });
+  }
+
+  if (status === 404) {
+    return new StorageLoadError(message, { reason: LOAD_ERROR_REASONS.NOT_FOUND, status });
+  }
+
+  // Anything else, such as a 5xx, means the server could not be reached
+  // in a useful way
+  return new StorageLoadError(message, { reason: LOAD_ERROR_REASONS.NETWORK, status });
+}
+
+/**
+ * fetch() that reports connection failures as a StorageLoadError
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} Fetch response
+ */
+export async function fetchOrThrow(url, options) {
+  try {
+    return await fetch(url, options);
+  } catch (error) {
+    throw new StorageLoadError(`Network error: ${error.message}`, {
+      reason: LOAD_ERROR_REASONS.NETWORK,
+      cause: error,
+    });
+  }
+}
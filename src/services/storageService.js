@@ -0,0 +1,93 @@
+// Selects the storage backend used by the app
+//
+// Every backend implements the same contract:
+//   loadCandles(): Promise<Array>
+//   pollCandles(etag?: string): Promise<{ changed, candles, meta, etag, rateLimit? }>
+//   saveCandles(candles: Array): Promise<boolean>
+//   updateCandles(mutate: (candles) => Array): Promise<Array>
+//   applyOperations(operations: Array, { onSaved }?): Promise<Array>
+//   updateMeta(changes: Object, { auth }?): Promise<Object>
+//   isConfigured(): boolean
+//   getConfigStatus(): Object
+//
+// Each memorial room gets its own backend instance, see rooms.js.
+import gistService, { GistService } from "./gistService";
+import localStorageService, { LocalStorageService } from "./localStorageService";
+import restService, { RestService } from "./restService";
+import { DEFAULT_ROOM } from "./rooms";
+
+const STORAGE_BACKEND = import.meta.env.VITE_STORAGE_BACKEND;
+
+export const backends = {
+  gist: gistService,
+  local: localStorageService,
+  rest: restService,
+};
+
+const backendClasses = {
+  gist: GistService,
+  local: LocalStorageService,
+  rest: RestService,
+};
+
+// Backends already created for other rooms, by "<backend>:<room>"
+const roomBackends = new Map();
+
+/**
+ * Resolve the name of the configured storage backend
+ *
+ * Uses VITE_STORAGE_BACKEND when set. Otherwise falls back to the Gist
+ * when it can be written to, and to browser storage when it cannot.
+ * @param {string} [name] - Backend name ("gist", "local" or "rest")
+ * @returns {string} Backend name
+ */
+function resolveBackendName(name = STORAGE_BACKEND) {
+  if (name) {
+    const backend = backends[name];
+
+    if (!backend) {
+      console.warn(`Unknown storage backend "${name}", using local storage.`);
+      return "local";
+    }
+
+    if (!backend.isConfigured()) {
+      console.warn(`Storage backend "${name}" is not fully configured.`);
+    }
+
+    return name;
+  }
+
+  return gistService.isConfigured() ? "gist" : "local";
+}
+
+/**
+ * Resolve the configured storage backend
+ * @param {string} [name] - Backend name ("gist", "local" or "rest")
+ * @returns {Object} Storage backend instance
+ */
+export function resolveStorage(name = STORAGE_BACKEND) {
+  return backends[resolveBackendName(name)];
+}
+
+const backendName = resolveBackendName();
+
+/**
+ * Storage backend for a memorial room
+ * @param {string} [room] - Room slug
+ * @returns {Object} Storage backend instance
+ */
+export function getRoomStorage(room = DEFAULT_ROOM) {
+  if (room === DEFAULT_ROOM) {
+    return backends[backendName];
+  }
+
+  const key = `${backendName}:${room}`;
+  if (!roomBackends.has(key)) {
+    roomBackends.set(key, new backendClasses[backendName]({ room }));
+  }
+  return roomBackends.get(key);
+}
+
+// Export the resolved backend as a singleton
+export const storageService = backends[backendName];
+export default storageService;
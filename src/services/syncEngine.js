@@ -0,0 +1,252 @@
+// Polls the storage backend for candle changes
+//
+// Uses conditional requests so unchanged candles cost nothing, slows
+// down while the tab is hidden, after errors or when the GitHub rate
+// limit runs low, and stops entirely while the browser is offline. While
+// a realtime channel pushes changes (see realtime.js) polls only catch up
+// on anything it missed.
+import { StorageLoadError, LOAD_ERROR_REASONS } from "./storageErrors";
+
+export const SYNC_STATES = {
+  IDLE: "idle",
+  SYNCED: "synced",
+  HIDDEN: "hidden",
+  OFFLINE: "offline",
+  BACKOFF: "backoff",
+  RATE_LIMITED: "rate-limited",
+};
+
+const DEFAULT_OPTIONS = {
+  interval: 3000,
+  hiddenInterval: 30000,
+  // While the realtime channel is connected
+  realtimeInterval: 30000,
+  maxBackoff: 60000,
+  // Start spreading requests out once fewer than this many remain
+  rateLimitReserve: 10,
+};
+
+export class SyncEngine {
+  /**
+   * @param {Object} storage - Storage backend implementing pollCandles()
+   * @param {Object} handlers - Callbacks
+   * @param {Function} handlers.onCandles - Receives changed candles and the
+   *   room's meta
+   * @param {Function} [handlers.onStatus] - Receives the sync status
+   * @param {Object} [options] - Timing overrides, see DEFAULT_OPTIONS
+   */
+  constructor(storage, { onCandles, onStatus }, options = {}) {
+    this.storage = storage;
+    this.onCandles = onCandles;
+    this.onStatus = onStatus;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.etag = null;
+    this.timer = null;
+    this.running = false;
+    this.inFlight = false;
+    // Asked to poll again while a poll was in flight
+    this.pollAgain = false;
+    this.failures = 0;
+    this.realtime = false;
+    this.status = {
+      state: SYNC_STATES.IDLE,
+      lastSyncedAt: null,
+      rateLimit: null,
+      // True until a load succeeds; writes must not be based on a failed load
+      loadFailed: true,
+      error: null,
+    };
+
+    this.handleOnline = this.handleOnline.bind(this);
+    this.handleOffline = this.handleOffline.bind(this);
+    this.handleVisibility = this.handleVisibility.bind(this);
+  }
+
+  /**
+   * Start polling and listening for connectivity and visibility changes
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    window.addEventListener("online", this.handleOnline);
+    window.addEventListener("offline", this.handleOffline);
+    document.addEventListener("visibilitychange", this.handleVisibility);
+
+    if (navigator.onLine === false) {
+      this.setStatus({ state: SYNC_STATES.OFFLINE });
+    } else {
+      this.poll();
+    }
+  }
+
+  /**
+   * Stop polling and remove all listeners
+   */
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    window.removeEventListener("online", this.handleOnline);
+    window.removeEventListener("offline", this.handleOffline);
+    document.removeEventListener("visibilitychange", this.handleVisibility);
+  }
+
+  /**
+   * Forget the last seen version so the next poll downloads the candles
+   * even if they did not change
+   */
+  invalidate() {
+    this.etag = null;
+  }
+
+  /**
+   * Poll right away instead of waiting for the next scheduled poll. During
+   * a poll, another follows as soon as it ends: it may have been answered
+   * before the change that prompted this.
+   */
+  pollNow() {
+    if (!this.running || navigator.onLine === false) return;
+    if (this.inFlight) {
+      this.pollAgain = true;
+      return;
+    }
+    this.poll();
+  }
+
+  /**
+   * Poll less often while a realtime channel is connected, and catch up
+   * right away on anything missed when it connects or drops
+   * @param {boolean} connected - Whether the channel is connected
+   */
+  setRealtime(connected) {
+    this.realtime = connected;
+    this.pollNow();
+  }
+
+  handleOnline() {
+    this.failures = 0;
+    this.pollNow();
+  }
+
+  handleOffline() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.setStatus({ state: SYNC_STATES.OFFLINE });
+  }
+
+  handleVisibility() {
+    if (document.visibilityState === "visible") {
+      this.pollNow();
+    }
+  }
+
+  setStatus(changes) {
+    this.status = { ...this.status, ...changes };
+    if (this.onStatus) {
+      this.onStatus(this.status);
+    }
+  }
+
+  async poll() {
+    if (this.inFlight) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.inFlight = true;
+
+    try {
+      const result = await this.storage.pollCandles(this.etag);
+      this.failures = 0;
+      this.etag = result.etag;
+
+      if (result.changed) {
+        this.onCandles(result.candles, result.meta ?? {});
+      }
+
+      this.setStatus({
+        state: SYNC_STATES.SYNCED,
+        lastSyncedAt: Date.now(),
+        rateLimit: result.rateLimit ?? null,
+        loadFailed: false,
+        error: null,
+      });
+    } catch (error) {
+      console.error("Polling failed:", error);
+      this.failures += 1;
+      const rateLimited =
+        error instanceof StorageLoadError &&
+        error.reason === LOAD_ERROR_REASONS.RATE_LIMITED;
+      this.setStatus({
+        state: rateLimited ? SYNC_STATES.RATE_LIMITED : SYNC_STATES.BACKOFF,
+        rateLimit: this.storage.rateLimit ?? this.status.rateLimit,
+        loadFailed: true,
+        error,
+      });
+    } finally {
+      this.inFlight = false;
+      // After a failure the backoff decides when to try again
+      const again = this.pollAgain && this.failures === 0;
+      this.pollAgain = false;
+      if (again) {
+        this.pollNow();
+      } else {
+        this.scheduleNext();
+      }
+    }
+  }
+
+  /**
+   * Work out how long to wait before the next poll
+   * @returns {number} Delay in milliseconds
+   */
+  nextDelay() {
+    const { interval, hiddenInterval, realtimeInterval, maxBackoff, rateLimitReserve } = this.options;
+    let delay = document.visibilityState === "hidden" ? hiddenInterval : interval;
+    if (this.realtime) {
+      delay = Math.max(delay, realtimeInterval);
+    }
+
+    if (this.failures > 0) {
+      delay = Math.min(interval * 2 ** this.failures, maxBackoff);
+
+      // A rate-limited request is pointless before the limit resets
+      const retryAt = this.status.error?.retryAt;
+      if (retryAt) {
+        delay = Math.max(delay, retryAt - Date.now());
+      }
+    }
+
+    const rateLimit = this.status.rateLimit;
+    if (rateLimit && rateLimit.remaining <= rateLimitReserve) {
+      const untilReset = Math.max(rateLimit.resetAt - Date.now(), 0);
+      // Spread what is left of the budget evenly until the window resets
+      const spread = rateLimit.remaining > 0 ? untilReset / rateLimit.remaining : untilReset;
+      delay = Math.max(delay, spread);
+    }
+
+    return delay;
+  }
+
+  scheduleNext() {
+    if (!this.running || navigator.onLine === false) return;
+
+    const delay = this.nextDelay();
+    const rateLimit = this.status.rateLimit;
+
+    if (this.failures > 0) {
+      this.setStatus({ nextPollAt: Date.now() + delay });
+    } else if (rateLimit && rateLimit.remaining <= this.options.rateLimitReserve) {
+      this.setStatus({ state: SYNC_STATES.RATE_LIMITED, nextPollAt: Date.now() + delay });
+    } else if (document.visibilityState === "hidden") {
+      this.setStatus({ state: SYNC_STATES.HIDDEN, nextPollAt: Date.now() + delay });
+    } else {
+      this.setStatus({ nextPollAt: Date.now() + delay });
+    }
+
+    this.timer = setTimeout(() => this.poll(), delay);
+  }
+}
+
+export default SyncEngine;
@@ -0,0 +1,50 @@
+// @vitest-environment jsdom
+import { afterEach, describe, expect, it, vi } from "vitest";
+import SyncEngine from "./syncEngine";
+
+// A storage backend whose polls are answered by hand
+const createStorage = () => {
+  const pending = [];
+  return {
+    pending,
+    pollCandles: vi.fn(() => new Promise((resolve) => pending.push(resolve))),
+    answer(candles) {
+      pending.shift()({ changed: true, candles, meta: {}, etag: `"${candles.length}"` });
+    },
+  };
+};
+
+describe("SyncEngine.pollNow", () => {
+  let engine;
+
+  afterEach(() => {
+    engine?.stop();
+    vi.useRealTimers();
+  });
+
+  it("polls again once a poll in flight ends", async () => {
+    vi.useFakeTimers();
+    const storage = createStorage();
+    const onCandles = vi.fn();
+    engine = new SyncEngine(storage, { onCandles }, { realtimeInterval: 30000 });
+    engine.setRealtime(true);
+    engine.start();
+    expect(storage.pollCandles).toHaveBeenCalledTimes(1);
+
+    // A change is pushed while the first poll is still waiting
+    engine.pollNow();
+    expect(storage.pollCandles).toHaveBeenCalledTimes(1);
+
+    storage.answer([]);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(storage.pollCandles).toHaveBeenCalledTimes(2);
+
+    storage.answer([{ id: "new" }]);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(onCandles).toHaveBeenLastCalledWith([{ id: "new" }], {});
+
+    // Then back to the slow schedule, with nothing more to catch up on
+    await vi.advanceTimersByTimeAsync(29999);
+    expect(storage.pollCandles).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,104 @@
+// Fitting visitors' text into the space it is shown in
+//
+// A limit in characters means very different widths in different scripts:
+// fifteen Chinese characters are far wider than fifteen Latin letters, and
+// a Devanagari or Thai name uses several code points per letter. Names are
+// therefore limited by how wide they render, measured in the label's font,
+// as well as by the storage limit in candleSchema.js. Text is only ever
+// cut between grapheme clusters, so no letter loses its accents or vowel
+// signs.
+
+let context = null;
+
+const segmenter = typeof Intl.Segmenter === "function"
+  ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+  : null;
+
+/**
+ * Split text into what readers see as single characters
+ * @param {string} text - Text
+ * @returns {Array} Grapheme clusters, or code points where the browser
+ *   cannot segment text
+ */
+export const graphemes = (text) =>
+  segmenter ? [...segmenter.segment(text)].map(({ segment }) => segment) : [...text];
+
+/**
+ * Rendered width of text
+ * @param {string} text - Text
+ * @param {string} font - CSS font shorthand, e.g. from getComputedStyle()
+ * @returns {number} Width in pixels, or 0 where text cannot be measured
+ */
+export function textWidth(text, font) {
+  context ??= document.createElement("canvas").getContext("2d");
+  if (!context) {
+    return 0;
+  }
+  context.font = font;
+  return context.measureText(text).width;
+}
+
+/**
+ * Longest start of the text within both limits
+ * @param {string} text - Text
+ * @param {Object} limits - Limits
+ * @param {string} limits.font - CSS font the text is shown in
+ * @param {number} limits.maxWidth - Widest the text may render, in pixels
+ * @param {number} limits.maxLength - Most code points, see MAX_NAME_LENGTH
+ * @returns {string} Text, cut between grapheme clusters when too long
+ */
+export function fitText(text, { font, maxWidth, maxLength }) {
+  if ([...text].length <= maxLength && textWidth(text, font) <= maxWidth) {
+    return text;
+  }
+
+  let fitted = "";
+  for (const grapheme of graphemes(text)) {
+    const next = fitted + grapheme;
+    if ([...next].length > maxLength || textWidth(next, font) > maxWidth) {
+      break;
+    }
+    fitted = next;
+  }
+  return fitted;
+}
+
+/**
+ * Break text into lines no wider than a limit, between words where
+ * possible, like a label with `break-words`
+ * @param {string} text - Text
+ * @param {Object} limits - Limits
+ * @param {string} limits.font - CSS font the text is shown in
+ * @param {number} limits.maxWidth - Widest a line may render, in pixels
+ * @returns {Array} Lines
+ */
+export function wrapText(text, { font, maxWidth }) {
+  const lines = [];
+  let line = "";
+
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const joined = line ? `${line} ${word}` : word;
+    if (textWidth(joined, font) <= maxWidth) {
+      line = joined;
+      continue;
+    }
+    if (line) {
+      lines.push(line);
+    }
+
+    // Words wider than a line are broken between grapheme clusters
+    line = "";
+    for (const grapheme of graphemes(word)) {
+      if (line && textWidth(line + grapheme, font) > maxWidth) {
+        lines.push(line);
+        line = "";
+      }
+      line += grapheme;
+    }
+  }
+
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
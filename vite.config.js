@@ -1,9 +1,46 @@
-import { defineConfig } from "vite";
+import { readFileSync } from "node:fs";
+import { defineConfig, loadEnv } from "vite";
 import react from "@vitejs/plugin-react";
 import tailwindcss from "@tailwindcss/vite";
+import { DEFAULT_META } from "./src/services/rooms.js";
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+const escapeAttribute = (value) =>
+  value.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+
+const placeholdersIn = (line) => [...line.matchAll(PLACEHOLDER)].map(([, key]) => key);
+
+// Open Graph and Twitter card meta for link previews, rendered from the
+// og-meta.html template in place of the `<!-- open-graph -->` comment in
+// index.html. Rooms are addressed in the URL's hash, which link previews
+// never see, so every room link is previewed with the same title, text and
+// image. Absolute URLs need VITE_SITE_URL; without it, tags that would
+// need one are left out.
+const openGraph = (env) => ({
+  name: "open-graph",
+  transformIndexHtml(html) {
+    const siteUrl = env.VITE_SITE_URL;
+    const values = {
+      title: env.VITE_SITE_TITLE || DEFAULT_META.title,
+      description: env.VITE_SITE_DESCRIPTION || DEFAULT_META.subtitle,
+      url: siteUrl ?? "",
+      image: siteUrl ? new URL("og-image.png", siteUrl).href : "",
+      imageAlt: "A lit candle under a starry night sky",
+    };
+
+    const tags = readFileSync(new URL("./og-meta.html", import.meta.url), "utf8")
+      .split("\n")
+      .filter((line) => line.trim() && placeholdersIn(line).every((key) => values[key]))
+      .map((line) => line.replace(PLACEHOLDER, (_, key) => escapeAttribute(values[key])))
+      .join("\n    ");
+
+    return html.replace("<!-- open-graph -->", tags);
+  },
+});
 
 // https://vite.dev/config/
-export default defineConfig({
+export default defineConfig(({ mode }) => ({
   base: "/memorial-candles/",
-  plugins: [react(), tailwindcss()],
-});
+  plugins: [react(), tailwindcss(), openGraph(loadEnv(mode, "."))],
+}));